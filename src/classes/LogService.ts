@@ -1,10 +1,51 @@
+import fs from "fs-extra";
 import kleur from "kleur";
 
+export enum LogFormat {
+	Text = "text",
+	/** One JSON object per line, see `LogEvent` */
+	Json = "json",
+}
+
+export enum StepStatus {
+	Success = "success",
+	Failure = "failure",
+}
+
+export type LogEvent =
+	| {
+			event: "step";
+			name: string;
+			duration: number;
+			status: StepStatus;
+			/** The last command run during the step */
+			command?: string;
+			exitCode?: number;
+	  }
+	| { event: "output"; command: string; text: string }
+	| { event: "warning" | "error"; message: string };
+
+// eslint-disable-next-line no-control-regex
+const ANSI_ESCAPE = /\x1b\[[0-9;]*m/g;
+
 export class LogService {
 	public static verbose = false;
+	/** Only print warnings and errors */
+	public static quiet = false;
+	/** Drops all output, e.g. while printing machine-readable output */
+	public static silent = false;
+	public static format = LogFormat.Text;
 	private static partial = false;
+	/** Everything logged so far, including child process output, for the log file */
+	private static history = new Array<string>();
+
+	private static record(message: string) {
+		this.history.push(message.replace(ANSI_ESCAPE, ""));
+	}
 
 	static write(message: string) {
+		this.record(message);
+		if (this.silent || this.quiet || this.format === LogFormat.Json) return;
 		this.partial = !message.endsWith("\n");
 		process.stdout.write(message);
 	}
@@ -24,7 +65,60 @@ export class LogService {
 		}
 	}
 
+	/**
+	 * Prints a line even with `--quiet`, or emits it as an event with `--log-format json`.
+	 */
+	private static writeImportant(event: "warning" | "error", message: string, label?: string) {
+		const line = label !== undefined ? `${label} ${message}` : message;
+		if (this.format === LogFormat.Json) {
+			this.record(line + "\n");
+			this.emit({ event, message: message.replace(ANSI_ESCAPE, "") });
+			return;
+		}
+		const quiet = this.quiet;
+		this.quiet = false;
+		this.writeLine(line);
+		this.quiet = quiet;
+	}
+
 	static warn(message: string) {
-		this.writeLine(`${kleur.yellow("Compiler Warning:")} ${message}`);
+		this.writeImportant("warning", message, kleur.yellow("Warning:"));
+	}
+
+	static error(message: string) {
+		this.writeImportant("error", message);
+	}
+
+	/**
+	 * Writes a JSON event with `--log-format json`.
+	 */
+	static emit(event: LogEvent) {
+		if (this.format === LogFormat.Json && !this.silent) {
+			process.stdout.write(JSON.stringify(event) + "\n");
+		}
+	}
+
+	/**
+	 * Shows child process output as it arrives with `--verbose`. It always ends up in the log file.
+	 */
+	static childOutput(command: string, text: string) {
+		this.record(text);
+		if (!this.verbose || this.silent) return;
+		if (this.format === LogFormat.Json) {
+			this.emit({ event: "output", command, text });
+		} else if (!this.quiet) {
+			if (this.partial) {
+				process.stdout.write("\n");
+			}
+			this.partial = !text.endsWith("\n");
+			process.stdout.write(text);
+		}
+	}
+
+	/**
+	 * Writes everything logged so far to a file.
+	 */
+	static saveLog(filePath: string) {
+		fs.outputFileSync(filePath, this.history.join(""));
 	}
 }
@@ -0,0 +1,145 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import os from "os";
+import path from "path";
+
+import { LOG_FILE } from "../constants";
+import { cmd } from "../util/cmd";
+import { LogService } from "./LogService";
+
+/** Folders recorded as a whole, without looking at what is inside */
+const OPAQUE_DIRS = new Set([".git", "node_modules"]);
+
+function listEntries(root: string, dir = root, entries = new Array<string>()) {
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		const fullPath = path.join(dir, entry.name);
+		entries.push(path.relative(root, fullPath));
+		if (entry.isDirectory() && !OPAQUE_DIRS.has(entry.name)) {
+			listEntries(root, fullPath, entries);
+		}
+	}
+	return entries;
+}
+
+/**
+ * Records what init changes in a project directory, so a failed or interrupted init can be undone.
+ * Anything that existed before the journal started is kept, and files it was told about are restored.
+ *
+ * Rolling back is synchronous so it can also run from the process `exit` event,
+ * which is how cancelled prompts (`process.exit(1)`) and Ctrl-C end init.
+ */
+export class ProjectJournal {
+	/** Commands run in the project, in order */
+	public readonly commands = new Array<string>();
+
+	private readonly existedBefore: boolean;
+	private readonly entries: Set<string>;
+	private readonly originals = new Map<string, Buffer>();
+	private active = true;
+
+	private readonly onExit = () => this.finish();
+	private readonly onInterrupt = () => process.exit(130);
+
+	constructor(
+		public readonly cwd: string,
+		private readonly keepOnFailure = false,
+	) {
+		this.existedBefore = fs.pathExistsSync(cwd);
+		this.entries = new Set(this.existedBefore && fs.statSync(cwd).isDirectory() ? listEntries(cwd) : []);
+		process.on("exit", this.onExit);
+		process.on("SIGINT", this.onInterrupt);
+	}
+
+	/**
+	 * Saves the current contents of existing files that are about to be overwritten or merged.
+	 */
+	public async preserve(relativePaths: ReadonlyArray<string>) {
+		for (const relative of relativePaths) {
+			const filePath = path.join(this.cwd, relative);
+			if (!this.originals.has(relative) && (await fs.stat(filePath)).isFile()) {
+				this.originals.set(relative, await fs.readFile(filePath));
+			}
+		}
+	}
+
+	/**
+	 * Runs a shell command in the project and records it.
+	 */
+	public async run(command: string) {
+		this.commands.push(command);
+		return cmd(command, this.cwd);
+	}
+
+	/**
+	 * Marks init as successful. Nothing is undone after this.
+	 */
+	public commit() {
+		this.active = false;
+		process.off("exit", this.onExit);
+		process.off("SIGINT", this.onInterrupt);
+	}
+
+	/**
+	 * Lists the entries created since the journal started, and the preserved files that were changed.
+	 */
+	private findChanges() {
+		const created = new Array<string>();
+		if (fs.pathExistsSync(this.cwd) && fs.statSync(this.cwd).isDirectory()) {
+			created.push(...listEntries(this.cwd).filter(relative => !this.entries.has(relative)));
+		}
+		const changed = [...this.originals].filter(([relative, contents]) => {
+			const filePath = path.join(this.cwd, relative);
+			return !fs.pathExistsSync(filePath) || !fs.readFileSync(filePath).equals(contents);
+		});
+		return { created, changed };
+	}
+
+	/**
+	 * Undoes the changes, or reports them with `--keep-on-failure`, if init did not commit.
+	 * Init that failed before changing anything, e.g. on an invalid option, only removes the empty directory.
+	 */
+	public finish() {
+		if (!this.active) return;
+		this.commit();
+
+		const { created, changed } = this.findChanges();
+		if (created.length === 0 && changed.length === 0 && this.commands.length === 0) {
+			if (!this.existedBefore) {
+				fs.removeSync(this.cwd);
+			}
+			return;
+		}
+
+		if (this.keepOnFailure) {
+			LogService.saveLog(path.join(this.cwd, LOG_FILE));
+			LogService.writeLine(`Kept the partially created project in ${kleur.yellow(this.cwd)}`);
+			if (this.commands.length > 0) {
+				LogService.writeLine(`Commands run:\n${this.commands.map(v => `  - ${v}\n`).join("")}`);
+			}
+			return;
+		}
+
+		// the project is about to be removed, so keep the log somewhere else
+		const logFile = path.join(os.tmpdir(), `create-bevy-${Date.now()}.log`);
+		LogService.saveLog(logFile);
+		LogService.writeLine(`Log written to ${kleur.yellow(logFile)}`);
+
+		if (!this.existedBefore) {
+			fs.removeSync(this.cwd);
+			LogService.writeLine(`Rolled back: removed ${kleur.yellow(this.cwd)}`);
+			return;
+		}
+
+		// removing a created folder removes everything created inside it
+		const removed = created.filter(relative => !created.includes(path.dirname(relative)));
+		for (const relative of removed) {
+			fs.removeSync(path.join(this.cwd, relative));
+		}
+		for (const [relative, contents] of changed) {
+			fs.outputFileSync(path.join(this.cwd, relative), contents);
+		}
+		LogService.writeLine(
+			`Rolled back: removed ${removed.length} created entries and restored ${changed.length} existing files`,
+		);
+	}
+}
@@ -0,0 +1,155 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import { lookpath } from "lookpath";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { DEFAULT_REGISTRY } from "../constants";
+import { InitError } from "../errors/InitError";
+import { benchmark } from "../util/benchmark";
+import { CI_PROVIDER_TITLES, CiProvider, getPipeline, PipelineStage, writeCi } from "../util/ci";
+import { cmd } from "../util/cmd";
+import { ENV_EXAMPLE_FILE, ENV_FILE } from "../util/env";
+import { getGitConfig, git } from "../util/git";
+import { getFrozenInstallCommand, getProjectPackageManager, getRunCommand } from "../util/packageManagers";
+import { readStamp } from "../util/stamp";
+
+interface CiOptions {
+	dir?: string;
+}
+
+interface GenerateOptions extends CiOptions {
+	provider?: CiProvider;
+	branch?: string;
+}
+
+interface RunOptions extends CiOptions {
+	install?: boolean;
+	skipTests?: boolean;
+}
+
+async function readPackageJson(cwd: string) {
+	const packageJsonPath = path.join(cwd, "package.json");
+	if (!(await fs.pathExists(packageJsonPath))) {
+		throw new InitError(`${kleur.yellow(packageJsonPath)} not found`);
+	}
+	return fs.readJson(packageJsonPath);
+}
+
+async function generate(argv: yargs.Arguments<GenerateOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const packageJson = await readPackageJson(cwd);
+	const answers = (await readStamp(cwd).catch(() => undefined))?.answers ?? {};
+	const provider =
+		argv.provider ?? (Object.values(CiProvider).find(value => value === answers.ci) || CiProvider.GitHub);
+	const currentBranch = await git(["rev-parse", "--abbrev-ref", "HEAD"], cwd)
+		.then(output => output.trim())
+		.catch(() => undefined);
+	const branch =
+		argv.branch ??
+		(typeof answers.branch === "string" ? answers.branch : undefined) ??
+		(currentBranch !== undefined && currentBranch !== "HEAD" ? currentBranch : undefined) ??
+		(await getGitConfig("init.defaultBranch", cwd)) ??
+		"master";
+
+	const written = await writeCi(cwd, provider, {
+		manager: (await getProjectPackageManager(cwd, packageJson)).manager,
+		packageName: packageJson.name ?? path.basename(cwd),
+		registry: packageJson.publishConfig?.registry ?? DEFAULT_REGISTRY,
+		branch,
+		scripts: packageJson.scripts ?? {},
+	});
+	for (const file of written) {
+		LogService.writeLine(`Wrote ${kleur.yellow(file)}`);
+	}
+	if (written.length === 0) {
+		LogService.writeLine(`No workflows for ${CI_PROVIDER_TITLES[provider]}`);
+	}
+}
+
+async function run(argv: yargs.Arguments<RunOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const packageJson = await readPackageJson(cwd);
+	const { manager, version } = await getProjectPackageManager(cwd, packageJson);
+	const setup = { manager, version, corepack: (await lookpath("corepack")) !== undefined };
+	const steps = getPipeline(packageJson.scripts ?? {}, script => getRunCommand(setup, script)).filter(
+		step => !(argv.skipTests && step.stage === PipelineStage.Test),
+	);
+
+	if (steps.some(step => step.stage === PipelineStage.Place) && (await lookpath("rojo")) === undefined) {
+		throw new InitError("Rojo not found, install the project's tools with rokit install first");
+	}
+	const secrets = steps.flatMap(step => step.secrets ?? []);
+	const missing = secrets.filter(secret => process.env[secret] === undefined);
+	if (missing.length > 0 && !(await fs.pathExists(path.join(cwd, ENV_FILE)))) {
+		throw new InitError(
+			`The tests read ${missing.join(", ")} from ${ENV_FILE}, which does not exist. ` +
+				`Create it from ${ENV_EXAMPLE_FILE}, or pass --skipTests`,
+		);
+	}
+
+	if (argv.install) {
+		const install = getFrozenInstallCommand(setup);
+		await benchmark(`Running ${install}..`, () => cmd(install, cwd));
+	}
+	for (const { stage, command, allowFailure } of steps) {
+		try {
+			await benchmark(`[${stage}] Running ${command}..`, () => cmd(command, cwd));
+		} catch (error) {
+			if (!allowFailure) throw error;
+			LogService.warn(`${stage} failed, continuing as CI does\n${String(error)}`);
+		}
+	}
+	LogService.writeLine(kleur.green(`Pipeline passed: ${steps.map(step => step.stage).join(" → ")}`));
+}
+
+/**
+ * Defines behavior of `create-roblox-ts ci` command.
+ */
+export = {
+	command: "ci",
+	describe: "Generate CI workflows and run the CI pipeline locally",
+	builder: () =>
+		yargs
+			.option("dir", {
+				string: true,
+				describe: "Project to use (defaults to the current directory)",
+			})
+			.command({
+				command: "generate",
+				describe: "Write the CI workflows for the project's package manager, registry and scripts",
+				builder: () =>
+					yargs
+						.option("provider", {
+							choices: Object.values(CiProvider),
+							describe: "CI provider (defaults to the one chosen during init, or github)",
+						})
+						.option("branch", {
+							string: true,
+							describe:
+								"Branch the workflows build (defaults to the one chosen during init, or the current branch)",
+						}),
+				handler: argv => generate(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, GenerateOptions>)
+			.command({
+				command: "run",
+				describe: "Run the CI pipeline locally: lint, build, rojo build and test, in the same order as CI",
+				builder: () =>
+					yargs
+						.option("install", {
+							boolean: true,
+							describe: "Install the dependencies from the lockfile first, as CI does",
+						})
+						.option("skipTests", {
+							boolean: true,
+							describe: "Stop after rojo build",
+						}),
+				handler: argv => run(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, RunOptions>)
+			.demandCommand(1),
+	handler: () => {},
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, CiOptions>;
@@ -0,0 +1,135 @@
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { cleanClaudeResources, getProjectScope, syncClaudeResources, SyncMode } from "../util/claudeSync";
+
+interface SyncOptions {
+	dir?: string;
+	mode: SyncMode;
+	scope?: Array<string>;
+	trust?: Array<string>;
+	dryRun?: boolean;
+}
+
+interface CleanOptions {
+	dir?: string;
+	dryRun?: boolean;
+}
+
+async function sync(argv: yargs.Arguments<SyncOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const projectScope = await getProjectScope(cwd);
+	const trustedScopes = [projectScope, ...(argv.trust ?? [])];
+	const report = await syncClaudeResources(cwd, {
+		mode: argv.mode,
+		scopes: [...new Set([...(argv.scope ?? [projectScope]), ...trustedScopes])],
+		trustedScopes,
+		dryRun: argv.dryRun,
+	});
+	const verb = argv.dryRun ? "Would sync" : "Synced";
+
+	for (const entry of report.entries) {
+		LogService.writeLineIfVerbose(
+			`  ${entry.mode.padEnd(4)} .claude/${entry.name} ${kleur.gray(`<- ${entry.package}`)}`,
+		);
+	}
+	for (const name of report.removed) {
+		LogService.writeLine(`  ${argv.dryRun ? "would remove" : "removed"} .claude/${name}`);
+	}
+	for (const collision of report.collisions) {
+		LogService.warn(collision);
+	}
+	if (report.untrusted.length > 0) {
+		LogService.warn(
+			`Left out the hooks and MCP servers of ${report.untrusted.join(", ")}. ` +
+				"Pass --trust with their scope to add them",
+		);
+	}
+	const copied = report.entries.filter(entry => entry.mode !== argv.mode).length;
+	if (copied > 0) {
+		LogService.warn(
+			`Symlinks are not allowed here, copied ${copied} entries instead. Use --mode copy to skip trying`,
+		);
+	}
+
+	const packages = new Set(report.entries.map(entry => entry.package)).size;
+	LogService.writeLine(
+		`${verb} ${report.entries.length} resources from ${packages} packages, ` +
+			`${report.hooks} hook groups and ${report.mcpServers.length} MCP servers`,
+	);
+}
+
+async function clean(argv: yargs.Arguments<CleanOptions>) {
+	const state = await cleanClaudeResources(path.resolve(argv.dir ?? "."), argv.dryRun);
+	for (const entry of state.entries) {
+		LogService.writeLine(`  ${argv.dryRun ? "would remove" : "removed"} .claude/${entry.name}`);
+	}
+	LogService.writeLine(
+		`${argv.dryRun ? "Would remove" : "Removed"} ${state.entries.length} resources, ` +
+			`${state.hooks.length} hook groups and ${state.mcpServers.length} MCP servers`,
+	);
+}
+
+/**
+ * Defines behavior of `create-roblox-ts claude` command.
+ */
+export = {
+	command: "claude",
+	describe: "Manage Claude Code resources provided by dependencies",
+	builder: () =>
+		yargs
+			.command({
+				command: "sync",
+				describe: "Link the skills, agents, commands, output styles, hooks and MCP servers of dependencies",
+				builder: () =>
+					yargs
+						.option("dir", {
+							string: true,
+							describe: "Project to sync (defaults to the current directory)",
+						})
+						.option("mode", {
+							choices: Object.values(SyncMode),
+							default: SyncMode.Link,
+							describe: "Link resources, or copy them where symlinks are not allowed",
+						})
+						.option("scope", {
+							type: "string",
+							array: true,
+							describe: "Only sync packages in these scopes (defaults to the project's own scope)",
+						})
+						.option("trust", {
+							type: "string",
+							array: true,
+							describe:
+								"Also sync the hooks and MCP servers of packages in these scopes, which run commands " +
+								"on your machine. Only the project's own scope is trusted by default",
+						})
+						.option("dryRun", {
+							boolean: true,
+							describe: "Print what would change without writing files",
+						}),
+				handler: argv => sync(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, SyncOptions>)
+			.command({
+				command: "clean",
+				describe: "Remove everything an earlier sync created",
+				builder: () =>
+					yargs
+						.option("dir", {
+							string: true,
+							describe: "Project to clean (defaults to the current directory)",
+						})
+						.option("dryRun", {
+							boolean: true,
+							describe: "Print what would be removed without removing it",
+						}),
+				handler: argv => clean(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, CleanOptions>)
+			.demandCommand(1),
+	handler: () => {},
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, {}>;
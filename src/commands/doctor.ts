@@ -0,0 +1,87 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import { CheckResult, CheckStatus, runChecks } from "../util/doctor";
+import { getBuiltinTemplates } from "../util/templates";
+
+interface DoctorOptions {
+	dir?: string;
+	template?: string;
+	json?: boolean;
+}
+
+const STATUS_LABELS: { [K in CheckStatus]: string } = {
+	[CheckStatus.Pass]: kleur.green("pass"),
+	[CheckStatus.Warn]: kleur.yellow("warn"),
+	[CheckStatus.Fail]: kleur.red("fail"),
+};
+
+function printTable(results: ReadonlyArray<CheckResult>) {
+	const nameWidth = Math.max(5, ...results.map(result => result.name.length));
+	LogService.writeLine(kleur.bold(`${"Check".padEnd(nameWidth)}  Status  Details`));
+	for (const { name, status, message } of results) {
+		LogService.writeLine(`${name.padEnd(nameWidth)}  ${STATUS_LABELS[status]}    ${message}`);
+	}
+
+	const fixes = results.filter(result => result.fix !== undefined && result.status !== CheckStatus.Pass);
+	if (fixes.length > 0) {
+		LogService.writeLine("", "Suggested fixes:");
+		for (const { name, fix } of fixes) {
+			LogService.writeLine(`  - ${kleur.bold(name)}: ${fix}`);
+		}
+	}
+}
+
+async function doctor(argv: yargs.Arguments<DoctorOptions>) {
+	const projectDir = path.resolve(argv.dir ?? ".");
+	let dir = projectDir;
+	// outside a project, check against what the chosen template needs
+	if (argv.template !== undefined || !(await fs.pathExists(path.join(projectDir, "package.json")))) {
+		const templateName = argv.template ?? "package";
+		const template = getBuiltinTemplates().find(({ name }) => name === templateName);
+		if (!template) {
+			throw new InitError(`Unknown template ${kleur.yellow(templateName)}`);
+		}
+		dir = template.dir;
+	}
+
+	const results = await runChecks({ dir, projectDir });
+	if (argv.json) {
+		process.stdout.write(JSON.stringify({ results }, undefined, "\t") + "\n");
+	} else {
+		printTable(results);
+	}
+
+	if (results.some(result => result.status === CheckStatus.Fail)) {
+		process.exitCode = 1;
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts doctor` command.
+ */
+export = {
+	command: "doctor",
+	describe: "Check that the tools and credentials the templates need are set up",
+	builder: () =>
+		yargs
+			.option("dir", {
+				string: true,
+				describe: "Project to check (defaults to the current directory)",
+			})
+			.option("template", {
+				choices: getBuiltinTemplates().map(({ name }) => name),
+				describe:
+					"Check against a built-in template instead of the project (defaults to package outside a project)",
+			})
+			.option("json", {
+				boolean: true,
+				describe: "Print the results as JSON",
+			}),
+	handler: argv => doctor(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, DoctorOptions>;
@@ -0,0 +1,143 @@
+import kleur from "kleur";
+import path from "path";
+import prompts from "prompts";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import { checkSelectedExample, findExample, listExamples, readRunConfig, writeRunConfig } from "../util/examples";
+
+interface ExamplesOptions {
+	dir?: string;
+	json?: boolean;
+}
+
+interface UseOptions {
+	dir?: string;
+	example?: string;
+}
+
+interface CheckOptions {
+	dir?: string;
+}
+
+async function list(argv: yargs.Arguments<ExamplesOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const examples = await listExamples(cwd);
+	const config = await readRunConfig(cwd);
+	if (argv.json) {
+		process.stdout.write(JSON.stringify({ selected: config, examples }, undefined, "\t") + "\n");
+		return;
+	}
+	if (examples.length === 0) {
+		LogService.writeLine("No examples found");
+		return;
+	}
+
+	let folder: string | undefined;
+	for (const example of examples) {
+		if (example.folder !== folder) {
+			folder = example.folder;
+			LogService.writeLine(kleur.bold(`${folder}/`));
+		}
+		const selected = config?.exampleFolder === example.folder && config.exampleName === example.name;
+		const notes = [
+			...(selected ? [kleur.green("selected")] : []),
+			...(example.hasCreateApp ? [] : ["no createApp"]),
+		];
+		LogService.writeLine(`  ${example.name}${notes.length > 0 ? kleur.gray(` (${notes.join(", ")})`) : ""}`);
+	}
+}
+
+async function use(argv: yargs.Arguments<UseOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const all = await listExamples(cwd);
+	const examples = all.filter(example => example.hasCreateApp);
+	if (examples.length === 0) {
+		throw new InitError("No examples with a createApp export found");
+	}
+
+	let id = argv.example;
+	if (id === undefined) {
+		const config = await readRunConfig(cwd);
+		const current = examples.findIndex(
+			example => example.folder === config?.exampleFolder && example.name === config.exampleName,
+		);
+		({ id } = await prompts(
+			{
+				type: "select",
+				name: "id",
+				message: "Example to run",
+				choices: examples.map(example => ({
+					title: `${example.folder}/${example.name}`,
+					value: `${example.folder}/${example.name}`,
+				})),
+				initial: Math.max(current, 0),
+			},
+			{ onCancel: () => process.exit(1) },
+		));
+	}
+
+	const example = findExample(all, id!);
+	if (example && !example.hasCreateApp) {
+		throw new InitError(`${kleur.yellow(example.file)} does not export createApp`);
+	}
+	if (!example) {
+		throw new InitError(
+			`Example ${kleur.yellow(id!)} not found. Available examples:\n${examples
+				.map(v => `  - ${v.folder}/${v.name}\n`)
+				.join("")}`,
+		);
+	}
+	await writeRunConfig(cwd, example);
+	LogService.writeLine(`Selected ${example.folder}/${example.name}, rebuild to run it`);
+}
+
+async function check(argv: yargs.Arguments<CheckOptions>) {
+	const example = await checkSelectedExample(path.resolve(argv.dir ?? "."));
+	if (example) {
+		LogService.writeLineIfVerbose(`Example ${example.folder}/${example.name} is ready to run`);
+	}
+}
+
+const dirOption = {
+	string: true,
+	describe: "Project to use (defaults to the current directory)",
+} as const;
+
+/**
+ * Defines behavior of `create-roblox-ts examples` command.
+ */
+export = {
+	command: "examples",
+	describe: "List the examples in __examples__ and choose the one to run",
+	builder: () =>
+		yargs
+			.command({
+				command: "use [example]",
+				describe: "Select the example to run, given as <folder>/<name> or picked from a list",
+				builder: () =>
+					yargs
+						.positional("example", {
+							type: "string",
+							describe: "Example to select, e.g. my_plugin/standard",
+						})
+						.option("dir", dirOption),
+				handler: argv => use(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, UseOptions>)
+			.command({
+				command: "check",
+				describe: "Check that run.json selects an example that exists and exports createApp",
+				builder: () => yargs.option("dir", dirOption),
+				handler: argv => check(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, CheckOptions>)
+			.option("dir", dirOption)
+			.option("json", {
+				boolean: true,
+				describe: "Print the examples as JSON",
+			}),
+	handler: argv => list(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, ExamplesOptions>;
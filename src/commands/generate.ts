@@ -0,0 +1,81 @@
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { generate, GeneratorKind } from "../util/generate";
+
+interface GenerateCommandOptions {
+	name: string;
+	dir?: string;
+	plugin?: string;
+}
+
+const GENERATORS: ReadonlyArray<{ kind: GeneratorKind; describe: string; name: string; plugin?: boolean }> = [
+	{
+		kind: GeneratorKind.Plugin,
+		describe: "Add a Bevy plugin and export it from the source root",
+		name: "Plugin name",
+	},
+	{ kind: GeneratorKind.System, describe: "Add a system", name: "System name", plugin: true },
+	{ kind: GeneratorKind.Component, describe: "Add a component", name: "Component name", plugin: true },
+	{ kind: GeneratorKind.Resource, describe: "Add a resource", name: "Resource name", plugin: true },
+	{
+		kind: GeneratorKind.Example,
+		describe: "Add an example under __examples__ with a createApp() function",
+		name: "<folder>/<name>, the folder defaults to the package name",
+	},
+	{ kind: GeneratorKind.Test, describe: "Add a TestEZ spec under __tests__", name: "Spec name" },
+];
+
+async function run(kind: GeneratorKind, argv: yargs.Arguments<GenerateCommandOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const result = await generate(cwd, { kind, name: argv.name, plugin: argv.plugin });
+	LogService.writeLine(
+		...result.created.map(file => `  create  ${file}`),
+		...result.updated.map(file => `  update  ${file}`),
+	);
+	for (const warning of result.warnings) {
+		LogService.warn(warning);
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts generate` command.
+ */
+export = {
+	command: "generate",
+	aliases: ["g"],
+	describe: "Add plugins, systems, components, resources, examples and tests to a project",
+	builder: () => {
+		let argv = yargs;
+		for (const generator of GENERATORS) {
+			argv = argv.command({
+				command: `${generator.kind} <name>`,
+				describe: generator.describe,
+				builder: () => {
+					const options = yargs
+						.positional("name", {
+							type: "string",
+							demandOption: true,
+							describe: generator.name,
+						})
+						.option("dir", {
+							string: true,
+							describe: "Project to add to (defaults to the current directory)",
+						});
+					return generator.plugin
+						? options.option("plugin", {
+								string: true,
+								describe: "Plugin to add it to, which also registers systems in the plugin",
+						  })
+						: options;
+				},
+				handler: argv => run(generator.kind, argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, GenerateCommandOptions>);
+		}
+		return argv.demandCommand(1);
+	},
+	handler: () => {},
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, {}>;
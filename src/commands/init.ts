@@ -1,376 +1,1074 @@
-import { spawn } from "child_process";
 import fs from "fs-extra";
 import kleur from "kleur";
 import { lookpath } from "lookpath";
+import os from "os";
 import path from "path";
 import prompts from "prompts";
 import yargs from "yargs";
 
-import { PACKAGE_ROOT, PROJECT_SCOPE, RBXTS_SCOPE, TEMPLATES_DIR } from "../constants";
+import { LogService } from "../classes/LogService";
+import { ProjectJournal } from "../classes/ProjectJournal";
+import { BACKUP_DIR, DEFAULT_LICENSE, DEFAULT_REGISTRY, LOG_FILE, PROJECT_SCOPE, STAMP_FILE } from "../constants";
 import { InitError } from "../errors/InitError";
 import { benchmark } from "../util/benchmark";
+import { CI_FILES, CI_PROVIDER_TITLES, CiProvider } from "../util/ci";
+import { quoteArg } from "../util/cmd";
+import { createDiff } from "../util/diff";
+import { ENV_EXAMPLE_FILE, ENV_FILE, getDeclaredVariables } from "../util/env";
+import { findWorkTree, getGitAuthor, getGitConfig, git, installPreCommitHook } from "../util/git";
+import { backupFiles, findExistingFiles, MergeReport, OverwriteMode, printMergeReport } from "../util/overwrite";
+import {
+	detectPackageManagers,
+	getInstallCommand,
+	getProjectPackageManager,
+	getRunCommand,
+	LOCKFILES,
+	PackageManager,
+	packageManagers,
+	PackageManagerSetup,
+	parsePackageManagerField,
+	PNPM_WORKSPACE_FILE,
+	resolvePackageManagerVersion,
+} from "../util/packageManagers";
+import {
+	normalizeScope,
+	scopeToGitHubOrg,
+	validateGitHubOrg,
+	validatePackageName,
+	validateScope,
+	validateUrl,
+} from "../util/packageMetadata";
+import { FileAction, InitPlan, PlannedFile, PlannedFileDiff, planRepositories, printPlan } from "../util/plan";
+import { ProjectFilesOptions, writeProjectFiles } from "../util/projectFiles";
+import { CloneMode, cloneRepositories, GitProtocol, RepositoryConfig, toRemoteUrl } from "../util/repositories";
+import { loadRepositories } from "../util/repositoryManifest";
+import { formatFindings, scanDirectory, scanFile, SecretFinding } from "../util/secrets";
+import { createStamp, writeStamp } from "../util/stamp";
+import { templateFeatures } from "../util/templateFeatures";
+import {
+	getBuiltinTemplates,
+	getUsedPlaceholders,
+	planTemplateFiles,
+	resolveTemplate,
+	Template,
+	TemplateFeature,
+	TemplateFile,
+	TemplateFixup,
+	toPosix,
+} from "../util/templates";
+import { TemplateContext, TemplateVariables } from "../util/templating";
+import { UnresolvedVersion, VersionSource } from "../util/versions";
+import {
+	findWorkspaceRoot,
+	readWorkspace,
+	WORKSPACE_PACKAGES_DIR,
+	WORKSPACE_PROJECT_FILE,
+	WORKSPACE_TEMPLATE,
+	writeWorkspaceProject,
+} from "../util/workspace";
 
 interface InitOptions {
 	compilerVersion?: string;
 	dir?: string;
 	yes?: boolean;
 	packageManager?: PackageManager;
+	features?: Array<TemplateFeature | typeof NO_FEATURES>;
+	ci?: CiProvider;
+	branch?: string;
+	nestRepo?: boolean;
+	remote?: boolean;
+	commit?: boolean;
+	commitMessage?: string;
+	sign?: boolean;
+	hooks?: boolean;
+	workspace?: boolean;
+	into?: string;
 	skipBuild?: boolean;
 	gitProtocol?: GitProtocol;
+	cloneMode?: CloneMode;
+	shallow?: boolean;
+	repositories?: string;
+	template?: string;
+	name?: string;
+	scope?: string;
+	org?: string;
+	repositoryUrl?: string;
+	description?: string;
+	author?: string;
+	license?: string;
+	registry?: string;
+	versionSource?: VersionSource;
+	registryMirror?: string;
+	lockfile?: string;
+	force?: boolean;
+	merge?: boolean;
+	keepOnFailure?: boolean;
+	dryRun?: boolean;
+	planJson?: boolean;
+	robloxApiKey?: string;
+	universeId?: string;
+	testPlaceId?: string;
+	checkSecrets?: string;
 }
 
-enum InitMode {
-	None = "none",
-	Game = "game",
-	Package = "package",
-}
+const DEFAULT_COMMIT_MESSAGE = "chore: initial commit";
 
-enum PackageManager {
-	NPM = "npm",
-	Yarn = "yarn",
-	PNPM = "pnpm",
-}
+/** `--features none` leaves out every optional feature */
+const NO_FEATURES = "none";
 
-enum GitProtocol {
-	HTTPS = "https",
-	SSH = "ssh",
-}
-
-interface RepositoryConfig {
-	name: string;
-	https: string;
-	ssh: string;
-	destination: string;
-	templates?: string[];
-}
-
-interface RepositoriesConfig {
-	repositories: RepositoryConfig[];
-}
-
-interface PackageManagerCommands {
-	init: string;
-	devInstall: string;
-	build: string;
-}
+/** Files init writes besides the template files, which must not be overwritten either */
+const PROJECT_FILES = ["package.json", ...LOCKFILES, PNPM_WORKSPACE_FILE, "tsconfig.json", ".gitignore", STAMP_FILE];
 
-const packageManagerCommands: {
-	[K in PackageManager]: PackageManagerCommands;
-} = {
-	[PackageManager.NPM]: {
-		init: "npm init -y",
-		devInstall: "npm install --silent -D",
-		build: "npm run build",
-	},
-	[PackageManager.Yarn]: {
-		init: "yarn init -y",
-		devInstall: "yarn add --silent -D",
-		build: "yarn run build",
-	},
-	[PackageManager.PNPM]: {
-		init: "pnpm init",
-		devInstall: "pnpm install --silent -D",
-		build: "pnpm run build",
-	},
-};
-
-function cmd(cmdStr: string, cwd: string) {
-	return new Promise<string>((resolve, reject) => {
-		const [command, ...args] = cmdStr.split(" ");
-		const childProcess = spawn(command, args, { cwd, shell: true });
-		let output = "";
-		childProcess.stdout.on("data", data => (output += data));
-		childProcess.stderr.on("data", data => (output += data));
-		childProcess.on("close", code =>
-			code === 0
-				? resolve(output)
-				: reject(new InitError(`Command "${cmdStr}" exited with code ${code}\n\n${output}`)),
+async function checkOverwrites(cwd: string, existingPaths: Array<string>) {
+	if (existingPaths.length > 0) {
+		const pathInfo = existingPaths
+			.map(v => `  - ${kleur.yellow(path.join(path.relative(process.cwd(), cwd), v))}\n`)
+			.join("");
+		throw new InitError(
+			`Cannot initialize project, process could overwrite:\n${pathInfo}` +
+				"Use --force to back up and overwrite these files, or --merge to keep them and only add missing files",
 		);
-		childProcess.on("error", reject);
-	});
+	}
 }
 
-const GIT_IGNORE = ["/node_modules", "/out", "/include", "*.tsbuildinfo"];
+async function promptVariables(
+	argv: yargs.Arguments<InitOptions>,
+	cwd: string,
+	template: Template,
+): Promise<TemplateVariables> {
+	const used = await getUsedPlaceholders(template);
+	const ask = (value: string | undefined, ...variables: Array<keyof TemplateVariables>) =>
+		value === undefined && !argv.yes && (variables.length === 0 || variables.some(v => used.has(v))) && "text";
 
-async function init(argv: yargs.Arguments<InitOptions>, initMode: InitMode) {
-	const compilerVersion = argv.compilerVersion;
+	const { scope: rawScope = argv.scope ?? PROJECT_SCOPE }: { scope: string } = await prompts(
+		{
+			type: () => ask(argv.scope),
+			name: "scope",
+			message: "Package scope",
+			initial: PROJECT_SCOPE,
+			validate: (value: string) => validateScope(normalizeScope(value)) ?? true,
+		},
+		{ onCancel: () => process.exit(1) },
+	);
+	const scope = normalizeScope(rawScope);
 
-	const { dir = argv.dir } = await prompts(
+	const defaultName = path.basename(cwd);
+	const defaultOrg = scopeToGitHubOrg(scope);
+	// the org only ends up in the project through {{githubOrg}}, the default repository URL and the fixup
+	const usesOrg =
+		used.has("githubOrg") ||
+		(used.has("repositoryUrl") && argv.repositoryUrl === undefined) ||
+		(template.manifest.fixups ?? []).includes(TemplateFixup.PackageJson);
+	// the project directory does not exist yet during a dry run
+	const defaultAuthor = await getGitAuthor((await fs.pathExists(cwd)) ? cwd : os.homedir());
+	const {
+		name = argv.name ?? defaultName,
+		org = argv.org ?? defaultOrg,
+		repositoryUrl = argv.repositoryUrl ?? `git+https://github.com/${org}/${name}.git`,
+		description = argv.description ?? "",
+		author = argv.author ?? defaultAuthor,
+		license = argv.license ?? DEFAULT_LICENSE,
+		registry = argv.registry ?? DEFAULT_REGISTRY,
+	}: {
+		name: string;
+		org: string;
+		repositoryUrl: string;
+		description: string;
+		author: string;
+		license: string;
+		registry: string;
+	} = await prompts(
 		[
 			{
-				type: () => argv.dir === undefined && "text",
-				name: "dir",
-				message: "Project directory",
+				type: () => ask(argv.name),
+				name: "name",
+				message: "Package name",
+				initial: defaultName,
+				validate: (value: string) => validatePackageName(value, scope) ?? true,
+			},
+			{
+				type: () => usesOrg && ask(argv.org),
+				name: "org",
+				message: "GitHub user or organization",
+				initial: defaultOrg,
+				validate: (value: string) => validateGitHubOrg(value) ?? true,
+			},
+			{
+				type: () => ask(argv.repositoryUrl, "repositoryUrl"),
+				name: "repositoryUrl",
+				message: "Repository URL",
+				initial: (_, values) =>
+					`git+https://github.com/${values.org ?? argv.org ?? defaultOrg}/${
+						values.name ?? argv.name ?? defaultName
+					}.git`,
+				validate: (value: string) => validateUrl(value) ?? true,
+			},
+			{
+				type: () => ask(argv.description, "description"),
+				name: "description",
+				message: "Description",
+			},
+			{
+				type: () => ask(argv.author, "author"),
+				name: "author",
+				message: "Author",
+				initial: defaultAuthor,
+			},
+			{
+				type: () => ask(argv.license, "license"),
+				name: "license",
+				message: "License",
+				initial: DEFAULT_LICENSE,
+			},
+			{
+				type: () => ask(argv.registry, "registry"),
+				name: "registry",
+				message: "Publish registry",
+				initial: DEFAULT_REGISTRY,
+				validate: (value: string) => validateUrl(value) ?? true,
 			},
 		],
 		{ onCancel: () => process.exit(1) },
 	);
 
-	const cwd = path.resolve(dir);
-	if (!(await fs.pathExists(cwd))) {
-		await fs.ensureDir(cwd);
-	}
-
-	if (!(await fs.stat(cwd)).isDirectory()) {
-		throw new InitError(`${cwd} is not a directory!`);
-	}
-
-	// Detect if there are any additional package managers
-	// We don't need to prompt the user to use additional package managers if none are installed
-
-	// Although npm is installed by default, it can be uninstalled
-	// and replaced by another manager, so check for it to make sure
-	const [npmAvailable, pnpmAvailable, yarnAvailable, gitAvailable] = (
-		await Promise.allSettled(["npm", "pnpm", "yarn", "git"].map(v => lookpath(v)))
-	).map(v => (v.status === "fulfilled" ? v.value !== undefined : true));
-
-	// Git 是必须的，如果没有安装则抛出错误
-	if (!gitAvailable) {
-		throw new InitError(
-			"Git is required but not found. Please install Git from https://git-scm.com/ and try again.",
-		);
+	// flags and defaults bypass the prompt validation, so check everything again before any file is written
+	const issues = [
+		validateScope(scope),
+		validatePackageName(name, scope),
+		usesOrg ? validateGitHubOrg(org) : undefined,
+		validateUrl(repositoryUrl),
+		validateUrl(registry),
+	].filter(issue => issue !== undefined);
+	if (issues.length > 0) {
+		throw new InitError(`Invalid package metadata:\n${issues.map(v => `  - ${v}\n`).join("")}`);
 	}
 
-	const packageManagerExistance: { [K in PackageManager]: boolean } = {
-		[PackageManager.NPM]: npmAvailable,
-		[PackageManager.PNPM]: pnpmAvailable,
-		[PackageManager.Yarn]: yarnAvailable,
+	return {
+		projectName: path.basename(cwd),
+		scope,
+		packageName: `${scope}/${name}`,
+		packageNameWithoutScope: name,
+		githubOrg: org,
+		repositoryUrl,
+		author,
+		description,
+		license,
+		registry,
 	};
+}
 
-	const packageManagerCount = Object.values(packageManagerExistance).filter(exists => exists).length;
+interface GitSetup {
+	/** Top level of the enclosing work tree the project is added to, instead of running `git init` */
+	reuse?: string;
+	/** Initial branch of a new repository, or the current branch of the reused one */
+	branch: string;
+	/** `origin` remote added to a new repository */
+	remote?: string;
+	/** Message of the initial commit, or `undefined` to leave the project uncommitted */
+	commitMessage?: string;
+	/** Sign the initial commit, or force it unsigned. Follows `commit.gpgsign` when `undefined` */
+	sign?: boolean;
+	/** Install a pre-commit hook that runs lint and build */
+	hooks: boolean;
+}
 
-	// Load repository configuration
-	const repoConfigPath = path.join(PACKAGE_ROOT, "repositories.json");
-	let repoConfig: RepositoriesConfig | undefined;
-	if (await fs.pathExists(repoConfigPath)) {
-		try {
-			repoConfig = await fs.readJson(repoConfigPath);
-		} catch (error) {
-			// Ignore if repositories.json is malformed
-		}
-	}
-	const hasRepositories = repoConfig && repoConfig.repositories && repoConfig.repositories.length > 0;
+/**
+ * Asks how the project's repository is set up. A project inside another work tree either gets a nested
+ * repository or is added to the enclosing one, which then keeps its branch and remotes.
+ */
+async function promptGit(
+	argv: yargs.Arguments<InitOptions>,
+	cwd: string,
+	variables: TemplateVariables,
+	hasRepositories: boolean,
+): Promise<{ git: GitSetup; gitProtocol: GitProtocol }> {
+	const workTree = await findWorkTree(cwd);
+	// the project directory is already the top of a repository, so there is nothing to nest
+	const isRepository = workTree === path.resolve(cwd);
+	const canNest = workTree !== undefined && !isRepository;
+	const defaultBranch = (await getGitConfig("init.defaultBranch", os.homedir())) ?? "master";
+	const canAddRemote = toRemoteUrl(variables.repositoryUrl, GitProtocol.SSH) !== undefined;
+	const creates = (nestRepo: boolean | undefined) => workTree === undefined || (canNest && !!nestRepo);
 
-	const {
-		template = initMode,
-		packageManager = argv.packageManager ?? PackageManager.NPM,
-		gitProtocol = argv.gitProtocol ?? GitProtocol.SSH,
-	}: {
-		template: InitMode;
-		packageManager: PackageManager;
-		gitProtocol: GitProtocol;
+	const answers: {
+		nestRepo?: boolean;
+		branch?: string;
+		remote?: boolean;
+		gitProtocol?: GitProtocol;
+		commit?: boolean;
+		hooks?: boolean;
 	} = await prompts(
 		[
 			{
-				type: () => initMode === InitMode.None && "select",
-				name: "template",
-				message: "Select template",
-				choices: [InitMode.Game, InitMode.Package].map(value => ({
-					title: value,
-					value,
-				})),
+				// packages added to a workspace share its repository unless asked otherwise
+				type: () =>
+					argv.nestRepo === undefined &&
+					canNest &&
+					argv.into === undefined &&
+					argv.yes === undefined &&
+					"select",
+				name: "nestRepo",
+				message: `${kleur.yellow(cwd)} is inside the Git repository ${kleur.yellow(workTree ?? "")}`,
+				choices: [
+					{ title: "Add the project to the existing repository", value: false },
+					{ title: "Create a nested repository", value: true },
+				],
 				initial: 0,
 			},
 			{
-				type: () =>
-					argv.packageManager === undefined && packageManagerCount > 1 && argv.yes === undefined && "select",
-				name: "packageManager",
-				message: "Multiple package managers detected. Select package manager:",
-				choices: Object.entries(PackageManager)
-					.filter(([, packageManager]) => packageManagerExistance[packageManager])
-					.map(([managerDisplayName, managerEnum]) => ({
-						title: managerDisplayName,
-						value: managerEnum,
-					})),
+				type: (_, values) =>
+					argv.branch === undefined &&
+					creates(values.nestRepo ?? argv.nestRepo) &&
+					argv.yes === undefined &&
+					"text",
+				name: "branch",
+				message: "Initial branch",
+				initial: defaultBranch,
+			},
+			{
+				type: (_, values) =>
+					argv.remote === undefined &&
+					canAddRemote &&
+					creates(values.nestRepo ?? argv.nestRepo) &&
+					argv.yes === undefined &&
+					"confirm",
+				name: "remote",
+				message: `Add ${variables.repositoryUrl} as the origin remote?`,
+				initial: true,
 			},
 			{
-				type: () => argv.gitProtocol === undefined && hasRepositories && argv.yes === undefined && "select",
+				type: (_, values) =>
+					argv.gitProtocol === undefined &&
+					(hasRepositories || (values.remote ?? argv.remote ?? false)) &&
+					argv.yes === undefined &&
+					"select",
 				name: "gitProtocol",
-				message: "Select Git protocol for cloning repositories:",
+				message: "Select Git protocol for the origin remote and cloning repositories:",
 				choices: [
 					{ title: "SSH", value: GitProtocol.SSH },
 					{ title: "HTTPS", value: GitProtocol.HTTPS },
 				],
 				initial: 0,
 			},
+			{
+				type: () => argv.commit === undefined && argv.yes === undefined && "confirm",
+				name: "commit",
+				message: "Create an initial commit?",
+				initial: (_, values) => creates(values.nestRepo ?? argv.nestRepo),
+			},
+			{
+				type: () => argv.hooks === undefined && argv.yes === undefined && "confirm",
+				name: "hooks",
+				message: "Install a pre-commit hook that runs lint and build?",
+				initial: false,
+			},
 		],
 		{ onCancel: () => process.exit(1) },
 	);
 
-	const paths = {
-		packageJson: path.join(cwd, "package.json"),
-		packageLockJson: path.join(cwd, "package-lock.json"),
-		tsconfig: path.join(cwd, "tsconfig.json"),
-		gitignore: path.join(cwd, ".gitignore"),
+	const nestRepo = answers.nestRepo ?? argv.nestRepo;
+	const create = creates(nestRepo);
+	const gitProtocol = answers.gitProtocol ?? argv.gitProtocol ?? GitProtocol.SSH;
+	// a reused repository keeps its branch, which the CI workflows then build
+	const currentBranch = create
+		? undefined
+		: await git(["symbolic-ref", "--short", "HEAD"], workTree!)
+				.then(output => output.trim())
+				.catch(() => undefined);
+	const remote = create && (answers.remote ?? argv.remote ?? true);
+	const commit = answers.commit ?? argv.commit ?? create;
+
+	return {
+		git: {
+			reuse: create ? undefined : workTree,
+			branch: argv.branch ?? answers.branch ?? currentBranch ?? defaultBranch,
+			remote: remote ? toRemoteUrl(variables.repositoryUrl, gitProtocol) : undefined,
+			commitMessage: commit ? argv.commitMessage ?? DEFAULT_COMMIT_MESSAGE : undefined,
+			sign: argv.sign,
+			hooks: answers.hooks ?? argv.hooks ?? false,
+		},
+		gitProtocol,
 	};
+}
+
+interface ProjectSetup {
+	cwd: string;
+	/** The template as given on the command line or picked from the list */
+	templateSpec: string;
+	template: Template;
+	context: TemplateContext;
+	packageManager: PackageManagerSetup;
+	/** Optional parts of the template that were selected, the others are stripped after copying */
+	features: Array<TemplateFeature>;
+	/** Provider of the generated CI workflows, for templates with `ci` */
+	ciProvider: CiProvider;
+	git: GitSetup;
+	gitProtocol: GitProtocol;
+	overwriteMode: OverwriteMode;
+	/** Project-relative paths of existing files that init would overwrite or merge */
+	existingPaths: Array<string>;
+	/** Values for the generated `.env`, or `undefined` if the template has no `.env.example` */
+	env?: Record<string, string | undefined>;
+	/** Repositories configured for the selected template */
+	repositories: Array<RepositoryConfig>;
+	/** Root of the workspace the package is added to with `--into` */
+	workspace?: string;
+}
 
-	const templateDir = path.join(TEMPLATES_DIR, template);
+/**
+ * Asks for the values of the `.env` generated from the template's `.env.example`.
+ */
+async function promptEnv(argv: yargs.Arguments<InitOptions>, files: ReadonlyArray<TemplateFile>) {
+	const example = files.find(file => file.dest === ENV_EXAMPLE_FILE);
+	if (!example) return undefined;
+
+	const variables = getDeclaredVariables(await fs.readFile(example.src, "utf8"));
+	const answers: Record<string, string | undefined> = await prompts(
+		variables.map(variable => ({
+			type: () => argv[variable.option] === undefined && !argv.yes && (variable.secret ? "password" : "text"),
+			name: variable.key,
+			message: `${variable.message} (leave empty to fill in later)`,
+			validate: (value: string) => variable.validate?.(value) ?? true,
+		})),
+		{ onCancel: () => process.exit(1) },
+	);
 
-	const pathValues = Object.values(paths);
-	for (const fileName of await fs.readdir(templateDir)) {
-		pathValues.push(path.join(cwd, fileName));
+	const values: Record<string, string | undefined> = {};
+	const issues = new Array<string>();
+	for (const variable of variables) {
+		const value = argv[variable.option] ?? answers[variable.key];
+		const issue = value !== undefined ? variable.validate?.(value) : undefined;
+		if (issue !== undefined) {
+			issues.push(`--${variable.option}: ${issue}`);
+		}
+		values[variable.key] = value;
+	}
+	if (issues.length > 0) {
+		throw new InitError(`Invalid ${ENV_FILE} values:\n${issues.map(v => `  - ${v}\n`).join("")}`);
 	}
+	return values;
+}
 
-	const existingPaths = new Array<string>();
-	for (const filePath of pathValues) {
-		if (filePath && (await fs.pathExists(filePath))) {
-			const stat = await fs.stat(filePath);
-			if (stat.isFile() || stat.isSymbolicLink() || (await fs.readdir(filePath)).length > 0) {
-				existingPaths.push(path.relative(process.cwd(), filePath));
-			}
+/**
+ * Scans a template, local directory, git URL or npm package for credentials, and fails if any are found.
+ */
+async function checkSecrets(spec: string) {
+	const template = await resolveTemplate(spec);
+	try {
+		const { findings, fileCount } = await scanDirectory(template.dir);
+		if (findings.length > 0) {
+			throw new InitError(
+				`Found ${findings.length} possible secrets in ${kleur.yellow(spec)}:\n${formatFindings(findings)}`,
+			);
 		}
+		LogService.writeLine(`No secrets found in ${fileCount} files of ${kleur.yellow(spec)}`);
+	} finally {
+		await template.dispose();
 	}
+}
 
-	if (existingPaths.length > 0) {
-		const pathInfo = existingPaths.map(v => `  - ${kleur.yellow(v)}\n`).join("");
-		throw new InitError(`Cannot initialize project, process could overwrite:\n${pathInfo}`);
+async function init(argv: yargs.Arguments<InitOptions>, templateName = argv.template) {
+	if (argv.checkSecrets !== undefined) {
+		await checkSecrets(argv.checkSecrets);
+		return;
+	}
+
+	if (argv.workspace) {
+		if (templateName !== undefined && templateName !== WORKSPACE_TEMPLATE) {
+			throw new InitError(
+				`--workspace creates the workspace root, add ${templateName} packages to it with --into`,
+			);
+		}
+		templateName = WORKSPACE_TEMPLATE;
+	}
+	const workspaceRoot = argv.into !== undefined ? await findWorkspaceRoot(argv.into) : undefined;
+	if (argv.into !== undefined && workspaceRoot === undefined) {
+		throw new InitError(`${kleur.yellow(argv.into)} is not a pnpm workspace, create one with init --workspace`);
 	}
 
-	const selectedPackageManager = packageManagerCommands[packageManager];
+	const { dir = argv.dir } = await prompts(
+		[
+			{
+				type: () => argv.dir === undefined && "text",
+				name: "dir",
+				message:
+					workspaceRoot !== undefined
+						? `Package directory in ${WORKSPACE_PACKAGES_DIR}/`
+						: "Project directory",
+			},
+		],
+		{ onCancel: () => process.exit(1) },
+	);
 
-	// 1. 先复制所有模板文件
-	await benchmark("Copying template files..", async () => {
-		await fs.copy(templateDir, cwd);
+	// packages of a workspace live in its packages/ folder
+	const cwd =
+		workspaceRoot !== undefined ? path.resolve(workspaceRoot, WORKSPACE_PACKAGES_DIR, dir) : path.resolve(dir);
+	if (argv.dryRun || argv.planJson) {
+		await planProject(argv, templateName, cwd, workspaceRoot);
+		return;
+	}
 
-		// 重命名特殊文件（npm 默认会排除以点开头的配置文件）
-		const filesToRename = [
-			{ from: "gitignore", to: ".gitignore" },
-			{ from: "npmrc", to: ".npmrc" },
-		];
+	const journal = new ProjectJournal(cwd, argv.keepOnFailure);
+	try {
+		await createProject(argv, templateName, journal, workspaceRoot);
+		journal.commit();
+	} finally {
+		// undoes everything created so far, unless the project was committed
+		journal.finish();
+	}
+}
 
-		for (const { from, to } of filesToRename) {
-			const fromPath = path.join(cwd, from);
-			const toPath = path.join(cwd, to);
-			if (await fs.pathExists(fromPath)) {
-				await fs.rename(fromPath, toPath);
-			}
+/**
+ * Asks every question and checks the project directory, without writing anything.
+ */
+async function prepareProject(
+	argv: yargs.Arguments<InitOptions>,
+	templateName: string | undefined,
+	cwd: string,
+	workspaceRoot?: string,
+): Promise<ProjectSetup> {
+	if ((await fs.pathExists(cwd)) && !(await fs.stat(cwd)).isDirectory()) {
+		throw new InitError(`${cwd} is not a directory!`);
+	}
+
+	// Git 是必须的，如果没有安装则抛出错误
+	if ((await lookpath("git").catch(() => "git")) === undefined) {
+		throw new InitError(
+			"Git is required but not found. Please install Git from https://git-scm.com/ and try again.",
+		);
+	}
+
+	// pnpm and Yarn count as installed when corepack can provide them
+	const { available, corepack } = await detectPackageManagers();
+
+	// Load repository configuration, layering user and project manifests over the bundled one
+	const repositories = await loadRepositories(argv.repositories);
+	const hasRepositories = repositories.length > 0;
+
+	const { template: templateSpec = templateName! }: { template: string } = await prompts(
+		{
+			type: () => templateName === undefined && "select",
+			name: "template",
+			message: "Select template",
+			choices: getBuiltinTemplates().map(({ name, description }) => ({
+				title: name,
+				description,
+				value: name,
+			})),
+			initial: 0,
+		},
+		{ onCancel: () => process.exit(1) },
+	);
+	const template = await benchmark("Resolving template..", () => resolveTemplate(templateSpec));
+	try {
+		// workspaces are linked by pnpm, so their root and every package use it
+		const isWorkspace = template.manifest.workspace === true || workspaceRoot !== undefined;
+		if (template.manifest.workspace && workspaceRoot !== undefined) {
+			throw new InitError(
+				`Template ${template.manifest.name} creates a workspace root and cannot be added to one`,
+			);
 		}
-	});
-
-	// 2. 修改 package.json 的名称和仓库信息
-	await benchmark("Updating package.json..", async () => {
-		const pkgJson = await fs.readJson(paths.packageJson);
-
-		// 获取项目目录名作为包名
-		const dirName = path.basename(cwd);
-
-		// 只修改名称相关的字段
-		pkgJson.name = PROJECT_SCOPE + "/" + dirName;
-
-		// 修改 repository 字段
-		if (pkgJson.repository) {
-			if (typeof pkgJson.repository === "string") {
-				// 如果是字符串，替换仓库名
-				pkgJson.repository = pkgJson.repository.replace(
-					/github\.com\/[^/]+\/[^/]+/,
-					`github.com/white-dragon-bevy/${dirName}`,
-				);
-			} else if (typeof pkgJson.repository === "object" && pkgJson.repository.url) {
-				// 如果是对象，替换 url
-				pkgJson.repository.url = pkgJson.repository.url.replace(
-					/github\.com\/[^/]+\/[^/]+/,
-					`github.com/white-dragon-bevy/${dirName}`,
-				);
-			}
+		if (isWorkspace && argv.packageManager !== undefined && argv.packageManager !== PackageManager.PNPM) {
+			throw new InitError(
+				`Workspaces are managed with pnpm, --packageManager ${argv.packageManager} cannot be used`,
+			);
+		}
+		if (isWorkspace && !available[PackageManager.PNPM]) {
+			throw new InitError(
+				"Workspaces are managed with pnpm. Install pnpm, or Node.js with corepack, and try again",
+			);
 		}
 
-		await fs.outputFile(paths.packageJson, JSON.stringify(pkgJson, null, 2));
-	});
+		// the template's `packageManager` field is what its lockfile and CI workflows were made for
+		const templateField = (await fs.readJson(path.join(template.dir, "package.json")).catch(() => undefined))
+			?.packageManager;
+		const templateManager = parsePackageManagerField(templateField)?.manager;
+		// merging keeps the project's packageManager field and lockfile, so it stays on its manager
+		const projectPackageJson = argv.merge
+			? await fs.readJson(path.join(cwd, "package.json")).catch(() => undefined)
+			: undefined;
+		const projectManager =
+			projectPackageJson !== undefined
+				? (await getProjectPackageManager(cwd, projectPackageJson)).manager
+				: undefined;
+		const defaultManager = isWorkspace
+			? PackageManager.PNPM
+			: projectManager !== undefined && available[projectManager]
+			? projectManager
+			: templateManager !== undefined && available[templateManager]
+			? templateManager
+			: PackageManager.NPM;
+		const choices = Object.values(PackageManager).filter(manager => available[manager]);
 
-	// 3. 初始化 Git
-	await benchmark("Initializing Git..", async () => {
-		await cmd("git init", cwd);
-		// 模板已经包含 .gitignore，这里只需要确保包含必要的规则
-		const existingGitignore = await fs.readFile(paths.gitignore, "utf-8").catch(() => "");
-		const requiredRules = GIT_IGNORE.filter(rule => !existingGitignore.includes(rule));
-		if (requiredRules.length > 0) {
-			await fs.appendFile(paths.gitignore, "\n" + requiredRules.join("\n") + "\n");
+		const templateFeatureList = template.manifest.features ?? [];
+		const {
+			packageManager = argv.packageManager ?? defaultManager,
+			features = templateFeatureList.filter(feature => argv.features?.includes(feature) ?? true),
+			ciProvider = argv.ci ?? (template.manifest.ci && !workspaceRoot ? CiProvider.GitHub : CiProvider.None),
+		}: {
+			packageManager: PackageManager;
+			features: Array<TemplateFeature>;
+			ciProvider: CiProvider;
+		} = await prompts(
+			[
+				{
+					type: () =>
+						argv.packageManager === undefined &&
+						!isWorkspace &&
+						choices.length > 1 &&
+						argv.yes === undefined &&
+						"select",
+					name: "packageManager",
+					message: "Select package manager:",
+					choices: choices.map(manager => ({
+						title: packageManagers[manager].title,
+						description:
+							manager === projectManager
+								? "used by the project"
+								: manager === templateManager
+								? "used by the template"
+								: undefined,
+						value: manager,
+					})),
+					initial: Math.max(choices.indexOf(defaultManager), 0),
+				},
+				{
+					type: () =>
+						argv.features === undefined &&
+						templateFeatureList.length > 0 &&
+						argv.yes === undefined &&
+						"multiselect",
+					name: "features",
+					message: "Select features:",
+					choices: templateFeatureList.map(feature => ({
+						title: templateFeatures[feature].title,
+						description: templateFeatures[feature].description,
+						value: feature,
+						selected: true,
+					})),
+					instructions: false,
+				},
+				{
+					// the packages of a workspace are built by its root
+					type: () =>
+						argv.ci === undefined &&
+						template.manifest.ci &&
+						workspaceRoot === undefined &&
+						argv.yes === undefined &&
+						"select",
+					name: "ciProvider",
+					message: "Select CI provider:",
+					choices: Object.values(CiProvider).map(provider => ({
+						title: CI_PROVIDER_TITLES[provider],
+						value: provider,
+					})),
+					initial: 0,
+				},
+			],
+			{ onCancel: () => process.exit(1) },
+		);
+		const packageManagerSetup: PackageManagerSetup = {
+			manager: packageManager,
+			version: await resolvePackageManagerVersion(packageManager, templateField, template.dir),
+			corepack,
+		};
+
+		const overwriteMode = argv.force
+			? OverwriteMode.Force
+			: argv.merge
+			? OverwriteMode.Merge
+			: OverwriteMode.Refuse;
+		const variables = await promptVariables(argv, cwd, template);
+		const { git: gitSetup, gitProtocol } = await promptGit(argv, cwd, variables, hasRepositories);
+		const ci = template.manifest.ci ? ciProvider : CiProvider.None;
+		const context: TemplateContext = {
+			variables,
+			answers: {
+				template: template.manifest.name,
+				packageManager,
+				gitProtocol,
+				cloneMode: argv.cloneMode,
+				// files of features that were not selected are left out by `feature!=false` conditions
+				...Object.fromEntries(templateFeatureList.map(feature => [feature, features.includes(feature)])),
+				ci,
+				branch: gitSetup.branch,
+				workspace: workspaceRoot !== undefined,
+			},
+		};
+
+		const plannedFiles = await planTemplateFiles(template, context);
+		const findings = new Array<SecretFinding>();
+		for (const file of plannedFiles) {
+			findings.push(...scanFile(file.dest, await fs.readFile(file.src)));
+		}
+		if (findings.length > 0) {
+			throw new InitError(
+				`Refusing to copy files that look like secrets from template ${kleur.yellow(
+					template.manifest.name,
+				)}:\n` +
+					formatFindings(findings) +
+					"Replace the values with placeholders, or move them to .env.example",
+			);
 		}
-	});
 
-	// 4. 安装依赖
-	await benchmark("Installing dependencies..", async () => {
-		// 运行 npm install 安装模板中定义的所有依赖
-		const installCmd =
-			packageManager === PackageManager.NPM
-				? "npm install --silent"
-				: packageManager === PackageManager.Yarn
-					? "yarn install --silent"
-					: "pnpm install --silent";
-		await cmd(installCmd, cwd);
-	});
-
-	// Update default.project.json with the correct project name
-	const defaultProjectPath = path.join(cwd, "default.project.json");
-	if (await fs.pathExists(defaultProjectPath)) {
-		await benchmark("Updating project name..", async () => {
-			const projectJson = await fs.readJson(defaultProjectPath);
-			const pkgJson = await fs.readJson(paths.packageJson);
-
-			// Use the name from package.json
-			projectJson.name = pkgJson.name;
-
-			// For package template, also update the node_modules path
-			if (template === InitMode.Package) {
-				// Extract the package name without scope (e.g., "@white-dragon-bevy/my_plugin" -> "my_plugin")
-				const packageNameWithoutScope = pkgJson.name.split("/").pop();
-
-				// Navigate to the target node: tree.ReplicatedStorage.rbxts_include.node_modules["@white-dragon-bevy"]
-				const whitedragonBevyNode =
-					projectJson.tree?.ReplicatedStorage?.rbxts_include?.node_modules?.["@white-dragon-bevy"];
-
-				if (whitedragonBevyNode && typeof whitedragonBevyNode === "object" && packageNameWithoutScope) {
-					// Find the old key (should be the template package name, e.g., "bevy_plugin_example")
-					// Filter out Rojo special keys that start with "$"
-					const oldKeys = Object.keys(whitedragonBevyNode).filter(key => !key.startsWith("$"));
-					if (oldKeys.length > 0) {
-						const oldKey = oldKeys[0];
-						// Copy the content to the new key
-						whitedragonBevyNode[packageNameWithoutScope] = whitedragonBevyNode[oldKey];
-						// Delete the old key
-						delete whitedragonBevyNode[oldKey];
-
-						// Also update globIgnorePaths to replace the old package name with the new one
-						if (projectJson.globIgnorePaths && Array.isArray(projectJson.globIgnorePaths)) {
-							projectJson.globIgnorePaths = projectJson.globIgnorePaths.map((pattern: string) => {
-								// Replace the old package name with the new one in the glob pattern
-								return pattern.replace(
-									new RegExp(`\\b${oldKey}\\b`, "g"),
-									packageNameWithoutScope,
-								);
-							});
-						}
-					}
-				}
-			}
+		// destinations are renamed (gitignore -> .gitignore), so compare against what will actually be written
+		const templateFiles = plannedFiles.map(file => file.dest);
+		const existingPaths = await findExistingFiles(cwd, [
+			...PROJECT_FILES,
+			...templateFiles,
+			...CI_FILES[ci],
+			...(template.manifest.workspace ? [WORKSPACE_PROJECT_FILE] : []),
+		]);
+		if (overwriteMode === OverwriteMode.Refuse) {
+			await checkOverwrites(cwd, existingPaths);
+		}
+
+		return {
+			cwd,
+			templateSpec,
+			template,
+			context,
+			packageManager: packageManagerSetup,
+			features,
+			ciProvider: ci,
+			git: gitSetup,
+			gitProtocol,
+			overwriteMode,
+			existingPaths,
+			env: await promptEnv(argv, plannedFiles),
+			// If templates is not specified, clone for all templates
+			repositories: repositories.filter(
+				repo =>
+					!repo.templates || repo.templates.length === 0 || repo.templates.includes(template.manifest.name),
+			),
+			workspace: workspaceRoot,
+		};
+	} catch (error) {
+		await template.dispose();
+		throw error;
+	}
+}
 
-			await fs.outputFile(defaultProjectPath, JSON.stringify(projectJson, undefined, "\t"));
+/**
+ * Options for writing the project files into the project, or into a staging copy of it when planning,
+ * which does not query the registry.
+ */
+function getProjectFilesOptions(
+	argv: yargs.Arguments<InitOptions>,
+	setup: ProjectSetup,
+	planning = false,
+): ProjectFilesOptions {
+	const backup = setup.overwriteMode === OverwriteMode.Force && setup.existingPaths.length > 0;
+	return {
+		template: setup.template,
+		context: setup.context,
+		features: setup.features,
+		packageManager: setup.packageManager,
+		ciProvider: setup.ciProvider,
+		branch: setup.git.branch,
+		overwriteMode: setup.overwriteMode,
+		existingPaths: setup.existingPaths,
+		env: setup.env,
+		versionSource:
+			planning && argv.versionSource === VersionSource.Registry
+				? VersionSource.None
+				: argv.versionSource ?? VersionSource.Registry,
+		lockfile: argv.lockfile,
+		registryMirror: argv.registryMirror,
+		compilerVersion: argv.compilerVersion,
+		workspace: setup.workspace !== undefined ? { root: setup.workspace, packageDir: setup.cwd } : undefined,
+		gitIgnoreRules: backup ? [`/${BACKUP_DIR}`] : [],
+	};
+}
+
+/**
+ * Lists the shell commands init runs inside the project, in order. Cloning and hooks are not included.
+ */
+function getProjectCommands(argv: yargs.Arguments<InitOptions>, setup: ProjectSetup) {
+	const { reuse, branch, remote, commitMessage, sign } = setup.git;
+	const signFlag = sign === undefined ? "" : sign ? "-S " : "--no-gpg-sign ";
+	return {
+		postCopy: setup.template.manifest.postCopy ?? [],
+		git:
+			reuse === undefined
+				? [
+						"git init",
+						`git symbolic-ref HEAD ${quoteArg(`refs/heads/${branch}`)}`,
+						...(remote !== undefined ? [`git remote add origin ${quoteArg(remote)}`] : []),
+				  ]
+				: [],
+		install: getInstallCommand(setup.packageManager),
+		// a new workspace has no packages to build yet
+		build:
+			argv.skipBuild || setup.template.manifest.workspace
+				? undefined
+				: getRunCommand(setup.packageManager, "build"),
+		// the project was just built, so the pre-commit hook is skipped
+		commit:
+			commitMessage !== undefined
+				? ["git add -A .", `git commit --no-verify ${signFlag}-m ${quoteArg(commitMessage)} -- .`]
+				: [],
+	};
+}
+
+async function createProject(
+	argv: yargs.Arguments<InitOptions>,
+	templateName: string | undefined,
+	journal: ProjectJournal,
+	workspaceRoot?: string,
+) {
+	const cwd = journal.cwd;
+	await fs.ensureDir(cwd);
+
+	const setup = await prepareProject(argv, templateName, cwd, workspaceRoot);
+	try {
+		await writeProject(argv, setup, journal);
+	} finally {
+		await setup.template.dispose();
+	}
+}
+
+async function writeProject(argv: yargs.Arguments<InitOptions>, setup: ProjectSetup, journal: ProjectJournal) {
+	const { cwd, existingPaths, gitProtocol } = setup;
+	const commands = getProjectCommands(argv, setup);
+
+	await journal.preserve(existingPaths);
+	if (setup.overwriteMode === OverwriteMode.Force && existingPaths.length > 0) {
+		const backupDir = await backupFiles(cwd, existingPaths);
+		LogService.writeLine(
+			`Backed up ${existingPaths.length} existing files to ${kleur.yellow(path.relative(cwd, backupDir))}`,
+		);
+	}
+
+	const { report, files } = await writeProjectFiles(cwd, getProjectFilesOptions(argv, setup));
+	if (report) {
+		printMergeReport(report);
+	}
+
+	for (const command of commands.postCopy) {
+		await benchmark(`Running ${command}..`, () => journal.run(command));
+	}
+
+	// 3. 初始化 Git
+	if (commands.git.length > 0) {
+		await benchmark("Initializing Git..", async () => {
+			for (const command of commands.git) {
+				await journal.run(command);
+			}
 		});
 	}
 
+	// 4. 安装依赖
+	await benchmark("Installing dependencies..", () => journal.run(commands.install));
+
 	// Clone repositories if configured
-	if (repoConfig && repoConfig.repositories && repoConfig.repositories.length > 0) {
-		const repositoriesToClone = repoConfig.repositories.filter(repo => {
-			// If templates is not specified, clone for all templates
-			if (!repo.templates || repo.templates.length === 0) {
-				return true;
-			}
-			// Otherwise, check if current template is in the list
-			return repo.templates.includes(template);
+	if (setup.repositories.length > 0) {
+		LogService.writeLine(`Cloning repositories using ${gitProtocol}..`);
+		const failures = await cloneRepositories(setup.repositories, cwd, {
+			protocol: gitProtocol,
+			mode: argv.cloneMode,
+			shallow: argv.shallow,
 		});
+		for (const { repository, error } of failures) {
+			LogService.warn(
+				`Failed to clone ${kleur.yellow(repository.name)} into ${repository.destination}\n${
+					(error as Error).message ?? String(error)
+				}`,
+			);
+		}
+	}
+
+	if (commands.build !== undefined) {
+		await benchmark("Compiling..", () => journal.run(commands.build!));
+	}
 
-		
+	if (setup.workspace !== undefined) {
+		const root = setup.workspace;
+		if (await writeWorkspaceProject(root, await readWorkspace(root))) {
+			LogService.writeLine(`Added the package to ${kleur.yellow(path.join(root, WORKSPACE_PROJECT_FILE))}`);
+		}
+	}
+
+	if (setup.git.hooks) {
+		const scripts: Record<string, string> = (await fs.readJson(path.join(cwd, "package.json"))).scripts ?? {};
+		const hookCommands = ["lint", "build"]
+			.filter(script => scripts[script] !== undefined)
+			.map(script => getRunCommand(setup.packageManager, script));
+		const hookPath = await installPreCommitHook(cwd, hookCommands);
+		if (hookPath !== undefined) {
+			LogService.writeLineIfVerbose(`Installed ${kleur.yellow(hookPath)}`);
+		} else {
+			LogService.warn(
+				"No pre-commit hook installed, the repository already has one or core.hooksPath disables hooks",
+			);
+		}
 	}
 
-	if (!argv.skipBuild) {
-		await benchmark("Compiling..", () => cmd(selectedPackageManager.build, cwd));
+	// lets `upgrade` tell later template changes apart from changes made in the project
+	const isBuiltin = getBuiltinTemplates().some(template => template.dir === setup.template.dir);
+	await writeStamp(
+		cwd,
+		await createStamp(setup.template, setup.context, isBuiltin ? undefined : setup.templateSpec, cwd, files),
+	);
+
+	if (commands.commit.length > 0) {
+		if ((await getGitConfig("user.name", cwd)) && (await getGitConfig("user.email", cwd))) {
+			await benchmark("Committing..", async () => {
+				for (const command of commands.commit) {
+					await journal.run(command);
+				}
+			});
+		} else {
+			LogService.warn("Skipped the initial commit, set git's user.name and user.email to commit");
+		}
 	}
 
-	console.log("成功创建 bevy 插件, 请进入插件目录, 运行 Claude Code, 使用 /init-bevy-plugin-repo 命令初始化插件仓库")
+	LogService.saveLog(path.join(cwd, LOG_FILE));
+	LogService.writeLine(
+		`Created ${kleur.green(setup.context.variables.packageName)} from the ${
+			setup.template.manifest.name
+		} template in ${kleur.yellow(path.relative(process.cwd(), cwd) || ".")}`,
+	);
+	if (await fs.pathExists(path.join(cwd, ".claude"))) {
+		LogService.writeLine(
+			"Open the project in Claude Code and run /init-bevy-plugin-repo to finish setting up the repository",
+		);
+	}
 }
 
-const GAME_DESCRIPTION = "Generate a Roblox place";
-const PACKAGE_DESCRIPTION = "Generate a roblox-ts npm package";
+/**
+ * Works out what init would do by writing the project files into a staging copy of the project,
+ * then prints the plan. Nothing in the project directory is touched and no commands are run.
+ */
+async function planProject(
+	argv: yargs.Arguments<InitOptions>,
+	templateName: string | undefined,
+	cwd: string,
+	workspaceRoot?: string,
+) {
+	LogService.silent = !!argv.planJson;
+	const setup = await prepareProject(argv, templateName, cwd, workspaceRoot);
+	const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-plan-"));
+	try {
+		const templateFiles = await planTemplateFiles(setup.template, setup.context);
+		for (const relative of setup.existingPaths) {
+			await fs.copy(path.join(cwd, relative), path.join(stagingDir, relative));
+		}
+		// what is written to the staging copy is reported by the plan instead
+		let report: MergeReport | undefined;
+		let unresolved: Array<UnresolvedVersion>;
+		LogService.silent = true;
+		try {
+			({ report, unresolved } = await writeProjectFiles(stagingDir, getProjectFilesOptions(argv, setup, true)));
+		} finally {
+			LogService.silent = !!argv.planJson;
+		}
+
+		const actions = new Map<string, FileAction>([
+			...(report?.written ?? []).map(file => [file, FileAction.Create] as const),
+			...(report?.merged ?? []).map(file => [file, FileAction.Merge] as const),
+			...(report?.unchanged ?? []).map(file => [file, FileAction.Unchanged] as const),
+			...(report?.conflicts ?? []).filter(c => !c.keys).map(c => [c.file, FileAction.Keep] as const),
+		]);
+		const files = new Array<PlannedFile>();
+		for (const file of templateFiles) {
+			const kept = await fs.pathExists(path.join(stagingDir, file.dest));
+			// template files removed again, e.g. the lockfile of another package manager, are not created at all
+			if (!kept && !setup.existingPaths.includes(file.dest)) continue;
+			files.push({
+				source: toPosix(path.relative(setup.template.dir, file.src)),
+				destination: file.dest,
+				action: !kept
+					? FileAction.Delete
+					: actions.get(file.dest) ??
+					  (setup.existingPaths.includes(file.dest) ? FileAction.Overwrite : FileAction.Create),
+			});
+		}
+		for (const file of setup.existingPaths) {
+			if (
+				!files.some(planned => planned.destination === file) &&
+				!(await fs.pathExists(path.join(stagingDir, file)))
+			) {
+				files.push({ source: file, destination: file, action: FileAction.Delete });
+			}
+		}
+
+		const generatedFiles = [
+			...CI_FILES[setup.ciProvider],
+			...(setup.template.manifest.workspace ? [WORKSPACE_PROJECT_FILE] : []),
+		];
+		for (const file of generatedFiles) {
+			if (!files.some(planned => planned.destination === file)) {
+				files.push({
+					source: file,
+					destination: file,
+					action: setup.existingPaths.includes(file)
+						? setup.overwriteMode === OverwriteMode.Merge
+							? FileAction.Keep
+							: FileAction.Overwrite
+						: FileAction.Create,
+				});
+			}
+		}
+
+		if (
+			setup.env &&
+			!(await fs.pathExists(path.join(cwd, ENV_FILE))) &&
+			(await fs.pathExists(path.join(stagingDir, ENV_FILE)))
+		) {
+			files.push({ source: ENV_EXAMPLE_FILE, destination: ENV_FILE, action: FileAction.Create });
+		}
+
+		const diffs = new Array<PlannedFileDiff>();
+		for (const fileName of ["package.json", "default.project.json"]) {
+			const after = await fs.readFile(path.join(stagingDir, fileName), "utf8").catch(() => undefined);
+			const source = templateFiles.find(file => file.dest === fileName)?.src;
+			const before = setup.existingPaths.includes(fileName)
+				? await fs.readFile(path.join(cwd, fileName), "utf8")
+				: source !== undefined
+				? await fs.readFile(source, "utf8")
+				: "";
+			const diff = after !== undefined ? createDiff(before, after, fileName, fileName) : "";
+			if (diff !== "") {
+				diffs.push({ file: fileName, diff });
+			}
+		}
+
+		const commands = getProjectCommands(argv, setup);
+		const plan: InitPlan = {
+			directory: cwd,
+			template: setup.template.manifest.name,
+			packageManager: setup.packageManager.manager,
+			features: setup.features,
+			overwriteMode: setup.overwriteMode,
+			files,
+			diffs,
+			// the plan does not query the registry, init does
+			unresolved:
+				argv.versionSource === VersionSource.Lockfile || argv.versionSource === VersionSource.None
+					? []
+					: unresolved,
+			repositories: planRepositories(setup.repositories, setup.gitProtocol, argv.cloneMode, argv.shallow),
+			commands: [
+				...commands.postCopy,
+				...commands.git,
+				commands.install,
+				...(commands.build !== undefined ? [commands.build] : []),
+				...commands.commit,
+			],
+		};
+
+		if (argv.planJson) {
+			process.stdout.write(JSON.stringify(plan, undefined, "\t") + "\n");
+		} else {
+			printPlan(plan);
+		}
+	} finally {
+		await setup.template.dispose();
+		await fs.remove(stagingDir);
+		LogService.silent = false;
+	}
+}
 
 /**
  * Defines behavior of `rbxtsc init` command.
@@ -403,19 +1101,180 @@ export = {
 			})
 			.option("packageManager", {
 				choices: Object.values(PackageManager),
-				describe: "Choose an alternative package manager",
+				describe: "Package manager to install with (defaults to the template's packageManager)",
 			})
+			.option("features", {
+				type: "string",
+				array: true,
+				choices: [...Object.values(TemplateFeature), NO_FEATURES] as const,
+				describe: "Optional template features to include (defaults to all, pass none to leave them all out)",
+			})
+			.check(argv => {
+				if (argv.features?.includes(NO_FEATURES) && argv.features.length > 1) {
+					throw new InitError(`--features ${NO_FEATURES} cannot be combined with other features`);
+				}
+				return true;
+			}, true)
+			.option("ci", {
+				choices: Object.values(CiProvider),
+				describe: "CI provider to generate workflows for, if the template has CI (defaults to github)",
+			})
+			.option("branch", {
+				string: true,
+				describe:
+					"Initial branch, which the CI workflows build (defaults to the branch of an enclosing repository, git's init.defaultBranch, or master)",
+			})
+			.option("nestRepo", {
+				boolean: true,
+				describe: "Create a nested repository when the directory is inside another Git repository",
+			})
+			.option("remote", {
+				boolean: true,
+				describe: "Add the repository URL as the origin remote of a new repository (defaults to true)",
+			})
+			.option("commit", {
+				boolean: true,
+				describe:
+					"Commit the project once it is built (defaults to true, unless it is added to an existing repository)",
+			})
+			.option("commitMessage", {
+				string: true,
+				describe: `Message of the initial commit (defaults to "${DEFAULT_COMMIT_MESSAGE}")`,
+			})
+			.option("sign", {
+				boolean: true,
+				describe:
+					"Sign the initial commit, or pass --no-sign to never sign it (defaults to git's commit.gpgsign)",
+			})
+			.option("hooks", {
+				boolean: true,
+				describe: "Install a pre-commit hook that runs lint and build",
+			})
+			.option("workspace", {
+				boolean: true,
+				describe: `Create a pnpm workspace root, with ${WORKSPACE_PACKAGES_DIR}/ for the packages developed together`,
+			})
+			.option("into", {
+				string: true,
+				describe: `Add the package to the ${WORKSPACE_PACKAGES_DIR}/ folder of a workspace, depending on the other packages through workspace: ranges`,
+			})
+			.conflicts("workspace", "into")
 			.option("skipBuild", {
 				boolean: true,
 				describe: "Do not run build script",
 			})
 			.option("gitProtocol", {
 				choices: Object.values(GitProtocol),
-				describe: "Choose Git protocol for cloning repositories",
+				describe: "Choose Git protocol for the origin remote and cloning repositories",
+			})
+			.option("cloneMode", {
+				choices: Object.values(CloneMode),
+				describe: "Clone repositories as plain clones or as git submodules (overrides repositories.json)",
+			})
+			.option("repositories", {
+				string: true,
+				describe: "Additional repository manifest layered over the bundled and user manifests",
+			})
+			.option("template", {
+				string: true,
+				describe: "Template to use: a built-in template name, a local path, a git URL or an npm package",
+			})
+			.option("name", {
+				string: true,
+				describe: "Package name without scope (defaults to the directory name)",
+			})
+			.option("scope", {
+				string: true,
+				describe: `Package scope (defaults to ${PROJECT_SCOPE})`,
+			})
+			.option("org", {
+				string: true,
+				describe: "GitHub user or organization hosting the repository (defaults to the scope)",
+			})
+			.option("repositoryUrl", {
+				string: true,
+				describe: "Repository URL (defaults to the GitHub repository of the package)",
+			})
+			.option("description", {
+				string: true,
+				describe: "Package description",
+			})
+			.option("author", {
+				string: true,
+				describe: "Package author (defaults to the git user)",
+			})
+			.option("license", {
+				string: true,
+				describe: `Package license (defaults to ${DEFAULT_LICENSE})`,
+			})
+			.option("registry", {
+				string: true,
+				describe: `Registry the package is published to (defaults to ${DEFAULT_REGISTRY})`,
+			})
+			.option("shallow", {
+				boolean: true,
+				describe: "Only fetch the latest commit of each cloned repository (overrides repositories.json)",
+			})
+			.option("force", {
+				boolean: true,
+				describe: `Overwrite existing files, backing them up to ${BACKUP_DIR} first`,
+			})
+			.option("merge", {
+				boolean: true,
+				describe:
+					"Only add missing files to an existing project and merge package.json, tsconfig.json and default.project.json",
+			})
+			.conflicts("force", "merge")
+			.option("robloxApiKey", {
+				string: true,
+				describe: "Roblox Open Cloud API key written to .env",
+			})
+			.option("universeId", {
+				string: true,
+				describe: "Universe ID written to .env",
+			})
+			.option("testPlaceId", {
+				string: true,
+				describe: "Test place ID written to .env",
+			})
+			.option("checkSecrets", {
+				string: true,
+				describe: "Scan a template or directory for credentials and exit with an error if any are found",
+			})
+			.option("dryRun", {
+				boolean: true,
+				describe: "Print what init would do without writing files or running commands",
+			})
+			.option("planJson", {
+				boolean: true,
+				describe: "Like --dry-run, but print the plan as JSON",
+			})
+			.option("keepOnFailure", {
+				boolean: true,
+				describe: "Keep the partially created project when init fails, instead of rolling it back",
+			})
+			.option("versionSource", {
+				choices: Object.values(VersionSource),
+				default: VersionSource.Registry,
+				describe: "Where to resolve pinned roblox-ts, type package and framework versions from",
+			})
+			.option("registryMirror", {
+				string: true,
+				describe: "Registry (e.g. a local mirror) queried instead of the configured one",
+			})
+			.option("lockfile", {
+				string: true,
+				describe:
+					"Lockfile to resolve versions from with --versionSource lockfile (defaults to the template's)",
 			})
 
-			.command(InitMode.Game, GAME_DESCRIPTION, {}, argv => init(argv as never, InitMode.Game))
-			.command(InitMode.Package, PACKAGE_DESCRIPTION, {}, argv => init(argv as never, InitMode.Package)),
-	handler: argv => init(argv, InitMode.None),
+			.command(
+				getBuiltinTemplates().map(({ name, description }) => ({
+					command: name,
+					describe: description,
+					handler: (argv: yargs.Arguments<InitOptions>) => init(argv, name),
+				})),
+			),
+	handler: argv => init(argv),
 	// eslint-disable-next-line @typescript-eslint/ban-types
 } satisfies yargs.CommandModule<{}, InitOptions>;
@@ -0,0 +1,139 @@
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { LINKS_FILE } from "../constants";
+import { InitError } from "../errors/InitError";
+import { getPackageLinks, linkPackages, LinkStatus, PackageLink, toPackageName } from "../util/link";
+
+interface LinkOptions {
+	dir?: string;
+	packages?: Array<string>;
+	force?: boolean;
+}
+
+interface LinkStatusOptions {
+	dir?: string;
+	json?: boolean;
+}
+
+const STATUS_LABELS: { [K in LinkStatus]: string } = {
+	[LinkStatus.Linked]: kleur.green("linked"),
+	[LinkStatus.Installed]: "installed",
+	[LinkStatus.Missing]: kleur.yellow("missing"),
+};
+
+function printTable(links: ReadonlyArray<PackageLink>) {
+	const nameWidth = Math.max(7, ...links.map(link => link.name.length));
+	LogService.writeLine(kleur.bold(`${"Package".padEnd(nameWidth)}  Status     Local checkout`));
+	for (const { name, status, target, version, source } of links) {
+		const checkout =
+			target !== undefined
+				? `${target}${version !== undefined ? ` (${version})` : ""}${
+						source !== undefined ? kleur.gray(` found by ${source}`) : ""
+				  }`
+				: kleur.gray("none found");
+		const label = STATUS_LABELS[status] + " ".repeat(Math.max(0, 9 - status.length));
+		LogService.writeLine(`${name.padEnd(nameWidth)}  ${label}  ${checkout}`);
+	}
+
+	const issues = links.filter(link => link.issues.length > 0);
+	if (issues.length > 0) {
+		LogService.writeLine("", "Issues:");
+		for (const { name, issues: messages } of issues) {
+			LogService.writeLine(...messages.map(message => `  - ${kleur.bold(name)}: ${message}`));
+		}
+	}
+}
+
+async function linkStatus(argv: yargs.Arguments<LinkStatusOptions>) {
+	const links = await getPackageLinks(path.resolve(argv.dir ?? "."));
+	if (argv.json) {
+		process.stdout.write(JSON.stringify({ packages: links }, undefined, "\t") + "\n");
+	} else if (links.length === 0) {
+		LogService.writeLine("The project has no dependencies to link");
+	} else {
+		printTable(links);
+	}
+}
+
+async function link(argv: yargs.Arguments<LinkOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const links = await getPackageLinks(cwd);
+	const requested = (argv.packages ?? []).map(toPackageName);
+
+	const unknown = requested.filter(name => !links.some(link => link.name === name));
+	if (unknown.length > 0) {
+		throw new InitError(`Not a dependency of the project: ${unknown.map(name => kleur.yellow(name)).join(", ")}`);
+	}
+
+	const chosen = requested.length > 0 ? links.filter(link => requested.includes(link.name)) : links;
+	const notFound = chosen.filter(link => link.target === undefined);
+	if (requested.length > 0 && notFound.length > 0) {
+		throw new InitError(
+			`No local checkout found for ${notFound.map(link => kleur.yellow(link.name)).join(", ")}. ` +
+				`Map the package to its folder in ${LINKS_FILE}`,
+		);
+	}
+	for (const { name } of notFound) {
+		LogService.warn(`No local checkout of ${name} found, leaving it as installed`);
+	}
+
+	const toLink = chosen.filter(link => link.target !== undefined);
+	const issues = toLink.flatMap(link => link.issues.map(issue => `${link.name}: ${issue}`));
+	if (issues.length > 0 && !argv.force) {
+		throw new InitError(
+			`Cannot link:\n${issues.map(v => `  - ${v}\n`).join("")}Fix the issues or use --force to link anyway`,
+		);
+	}
+
+	await linkPackages(cwd, toLink);
+	for (const { name, target } of toLink) {
+		LogService.writeLine(`Linked ${name} -> ${kleur.yellow(target!)}`);
+	}
+	if (toLink.length === 0) {
+		LogService.writeLine("Nothing to link");
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts link` command.
+ */
+export = {
+	command: "link [packages..]",
+	describe: "Use local checkouts of @white-dragon-bevy packages instead of the installed versions",
+	builder: () =>
+		yargs
+			.command({
+				command: "status",
+				describe: "Show which packages are linked, and where their local checkouts are",
+				builder: () =>
+					yargs
+						.option("dir", {
+							string: true,
+							describe: "Project to check (defaults to the current directory)",
+						})
+						.option("json", {
+							boolean: true,
+							describe: "Print the status as JSON",
+						}),
+				handler: argv => linkStatus(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, LinkStatusOptions>)
+			.positional("packages", {
+				type: "string",
+				array: true,
+				describe: "Packages to link, e.g. bevy_framework (defaults to every package with a local checkout)",
+			})
+			.option("dir", {
+				string: true,
+				describe: "Project to link into (defaults to the current directory)",
+			})
+			.option("force", {
+				boolean: true,
+				describe: "Link even when out/ is not built or the version does not satisfy peerDependencies",
+			}),
+	handler: argv => link(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, LinkOptions>;
@@ -0,0 +1,148 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import {
+	findProjectFiles,
+	getDependencyScopes,
+	IssueSeverity,
+	ProjectIssue,
+	readProjectFile,
+	syncProject,
+	validateProject,
+	writeProjectFile,
+} from "../util/rojoProject";
+
+interface ProjectOptions {
+	dir?: string;
+	project?: Array<string>;
+}
+
+interface CheckOptions extends ProjectOptions {
+	json?: boolean;
+}
+
+interface SyncOptions extends ProjectOptions {
+	dryRun?: boolean;
+}
+
+const SEVERITY_LABELS: { [K in IssueSeverity]: string } = {
+	[IssueSeverity.Error]: kleur.red("error"),
+	[IssueSeverity.Warning]: kleur.yellow("warn"),
+};
+
+async function getProjectFiles(cwd: string, projects: ReadonlyArray<string> | undefined) {
+	const files =
+		projects && projects.length > 0 ? projects.map(file => path.resolve(cwd, file)) : await findProjectFiles(cwd);
+	if (files.length === 0) {
+		throw new InitError(`No Rojo project files found in ${kleur.yellow(cwd)}`);
+	}
+	return files;
+}
+
+async function check(argv: yargs.Arguments<CheckOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const results = new Array<{ file: string; issues: Array<ProjectIssue> }>();
+	for (const file of await getProjectFiles(cwd, argv.project)) {
+		results.push({ file: path.relative(cwd, file), issues: await validateProject(await readProjectFile(file)) });
+	}
+
+	if (argv.json) {
+		process.stdout.write(JSON.stringify({ results }, undefined, "\t") + "\n");
+	} else {
+		for (const { file, issues } of results) {
+			LogService.writeLine(kleur.bold(file) + (issues.length === 0 ? kleur.green(" ok") : ""));
+			for (const { severity, node, message } of issues) {
+				LogService.writeLine(`  ${SEVERITY_LABELS[severity]}  ${node !== "" ? `${node}: ` : ""}${message}`);
+			}
+		}
+	}
+
+	if (results.some(({ issues }) => issues.some(issue => issue.severity === IssueSeverity.Error))) {
+		process.exitCode = 1;
+	}
+}
+
+async function sync(argv: yargs.Arguments<SyncOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const packageJsonPath = path.join(cwd, "package.json");
+	if (!(await fs.pathExists(packageJsonPath))) {
+		throw new InitError(`${kleur.yellow(packageJsonPath)} not found`);
+	}
+	const packageJson = await fs.readJson(packageJsonPath);
+	const scopes = getDependencyScopes(packageJson);
+	const allFiles = await findProjectFiles(cwd);
+
+	for (const file of await getProjectFiles(cwd, argv.project)) {
+		const projectFile = await readProjectFile(file);
+		const result = syncProject(projectFile, packageJson, scopes, allFiles);
+		const changes = [
+			...result.addedScopes.map(scope => `mapped ${scope}`),
+			...result.removedScopes.map(scope => `unmapped ${scope}`),
+			...(result.updatedPackage ? [`moved the package node to ${packageJson.name}`] : []),
+			...(result.updatedGlobs ? ["regenerated globIgnorePaths"] : []),
+		];
+		const name = path.relative(cwd, file);
+		if (changes.length === 0) {
+			LogService.writeLine(`${name} is up to date`);
+			continue;
+		}
+		if (!argv.dryRun) {
+			await writeProjectFile(projectFile);
+		}
+		LogService.writeLine(`${argv.dryRun ? "Would update" : "Updated"} ${name}:`);
+		for (const change of changes) {
+			LogService.writeLine(`  - ${change}`);
+		}
+	}
+}
+
+const projectOptions = (argv: yargs.Argv) =>
+	argv
+		.option("dir", {
+			string: true,
+			describe: "Project to use (defaults to the current directory)",
+		})
+		.option("project", {
+			type: "string",
+			array: true,
+			describe: "Rojo project files to use (defaults to every *.project.json)",
+		});
+
+/**
+ * Defines behavior of `create-roblox-ts project` command.
+ */
+export = {
+	command: "project",
+	describe: "Check and update the Rojo project files",
+	builder: () =>
+		yargs
+			.command({
+				command: "check",
+				describe: "Check paths, class names and properties in the Rojo project files",
+				builder: () =>
+					projectOptions(yargs).option("json", {
+						boolean: true,
+						describe: "Print the issues as JSON",
+					}),
+				handler: argv => check(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, CheckOptions>)
+			.command({
+				command: "sync",
+				describe: "Map the node_modules scopes of package.json and regenerate globIgnorePaths",
+				builder: () =>
+					projectOptions(yargs).option("dryRun", {
+						boolean: true,
+						describe: "Print the changes without writing them",
+					}),
+				handler: argv => sync(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, SyncOptions>)
+			.demandCommand(1),
+	handler: () => {},
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, ProjectOptions>;
@@ -0,0 +1,195 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import os from "os";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { DEFAULT_REGISTRY } from "../constants";
+import { InitError } from "../errors/InitError";
+import { benchmark } from "../util/benchmark";
+import { cmd, quoteArg } from "../util/cmd";
+import { git } from "../util/git";
+import {
+	CHANGELOG_FILE,
+	findUnpublishedFiles,
+	getCommitsSince,
+	getDistTag,
+	getLastTag,
+	getTagName,
+	getTags,
+	packPackage,
+	renderChangelog,
+	stagePackage,
+	updateChangelog,
+	writePackageVersion,
+} from "../util/release";
+import { bumpVersion, ReleaseType } from "../util/versions";
+
+interface ReleaseOptions {
+	bump?: ReleaseType;
+	preid: string;
+	dir?: string;
+	dryRun?: boolean;
+	publish?: boolean;
+	registry?: string;
+	tag?: string;
+	skipBuild?: boolean;
+}
+
+/**
+ * Bumps the version, adds a changelog section, and commits and tags the release.
+ */
+async function prepareRelease(argv: yargs.Arguments<ReleaseOptions>, cwd: string, version: string) {
+	const next = bumpVersion(version, argv.bump!, argv.preid);
+	const tagName = getTagName(next);
+	if ((await getTags(cwd)).includes(tagName)) {
+		throw new InitError(`Tag ${kleur.yellow(tagName)} already exists`);
+	}
+
+	const lastTag = await getLastTag(cwd);
+	const section = renderChangelog(next, await getCommitsSince(cwd, lastTag));
+	if (argv.dryRun) {
+		LogService.writeLine(`Would release ${version} -> ${next}, changes since ${lastTag ?? "the first commit"}:`);
+		LogService.writeLine(section);
+		return next;
+	}
+
+	if ((await git(["status", "--porcelain"], cwd)).trim() !== "") {
+		throw new InitError("The work tree has uncommitted changes, commit or stash them before releasing");
+	}
+	await writePackageVersion(cwd, next);
+	await updateChangelog(cwd, section);
+	await benchmark(`Tagging ${tagName}..`, async () => {
+		await git(["add", "package.json", CHANGELOG_FILE], cwd);
+		await git(["commit", "--quiet", "-m", `chore(release): ${tagName}`], cwd);
+		await git(["tag", "-a", tagName, "-m", tagName], cwd);
+	});
+	return next;
+}
+
+/**
+ * Checks that HEAD carries the tag of the version in package.json, as the release workflow does.
+ */
+async function checkReleaseTag(argv: yargs.Arguments<ReleaseOptions>, cwd: string, version: string) {
+	const tagName = getTagName(version);
+	const refName = process.env.GITHUB_REF_TYPE === "tag" ? process.env.GITHUB_REF_NAME : undefined;
+	const tags = refName !== undefined ? [refName] : await getTags(cwd, true);
+	if (tags.includes(tagName)) return;
+
+	const problem =
+		tags.length > 0
+			? `The tag ${kleur.yellow(tags.join(", "))} does not match version ${kleur.yellow(version)} in package.json`
+			: `HEAD is not tagged ${kleur.yellow(tagName)}`;
+	if (argv.dryRun) {
+		LogService.warn(problem);
+	} else {
+		throw new InitError(`${problem}. Run \`release <patch|minor|major|prerelease>\` to bump and tag a release`);
+	}
+}
+
+async function release(argv: yargs.Arguments<ReleaseOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const packageJson = await fs.readJson(path.join(cwd, "package.json")).catch(() => {
+		throw new InitError(`${kleur.yellow(path.join(cwd, "package.json"))} not found`);
+	});
+
+	let version: string = packageJson.version;
+	if (argv.bump !== undefined) {
+		version = await prepareRelease(argv, cwd, version);
+		if (!argv.publish && !argv.dryRun) {
+			LogService.writeLine(
+				`Released ${getTagName(version)}. Push the commit and the tag to publish it: git push --follow-tags`,
+			);
+			return;
+		}
+	} else {
+		await checkReleaseTag(argv, cwd, version);
+	}
+
+	if (!argv.skipBuild) {
+		await benchmark("Building..", () => cmd("npm run build", cwd));
+	}
+
+	const registry: string = argv.registry ?? packageJson.publishConfig?.registry ?? DEFAULT_REGISTRY;
+	const stageDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-release-"));
+	try {
+		await benchmark("Staging package..", () => stagePackage(cwd, stageDir, version, registry));
+		const packed = await benchmark("Packing..", () => packPackage(cwd, stageDir, argv.dryRun === true));
+
+		const unpublished = findUnpublishedFiles(packed.files);
+		if (unpublished.length > 0) {
+			if (argv.dryRun) {
+				await fs.remove(path.join(cwd, packed.filename));
+			}
+			throw new InitError(
+				`The package would include files that must not be published:\n${unpublished
+					.map(v => `  - ${v}\n`)
+					.join("")}Exclude them with "!" globs in the files field of package.json`,
+			);
+		}
+
+		if (argv.dryRun) {
+			LogService.writeLine(`Packed ${packed.files.length} files into ${kleur.yellow(packed.filename)}`);
+			LogService.writeLineIfVerbose(...packed.files.map(file => `  ${file}`));
+			return;
+		}
+
+		// npm refuses to publish a prerelease as latest
+		const distTag = argv.tag ?? getDistTag(version);
+		const publishArgs = ["npm", "publish", stageDir, "--ignore-scripts", "--registry", registry];
+		if (distTag !== undefined) {
+			publishArgs.push("--tag", distTag);
+		}
+		await benchmark(`Publishing ${packageJson.name}@${version} to ${registry}..`, () =>
+			cmd(publishArgs.map(quoteArg).join(" "), cwd),
+		);
+	} finally {
+		await fs.remove(stageDir);
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts release` command.
+ */
+export = {
+	command: "release [bump]",
+	describe: "Bump the version and tag a release, or publish the tagged version when no bump is given (e.g. from CI)",
+	builder: () =>
+		yargs
+			.positional("bump", {
+				choices: Object.values(ReleaseType),
+				describe: "Version to release, updates package.json and CHANGELOG.md and creates the tag",
+			})
+			.option("preid", {
+				string: true,
+				default: "beta",
+				describe: "Prerelease identifier used by the prerelease bump",
+			})
+			.option("dir", {
+				string: true,
+				describe: "Project to release (defaults to the current directory)",
+			})
+			.option("dryRun", {
+				boolean: true,
+				describe: "Write a tarball of the package instead of publishing, without changing the project or git",
+			})
+			.option("publish", {
+				boolean: true,
+				describe: "Publish right after bumping instead of leaving it to the release workflow",
+			})
+			.option("registry", {
+				string: true,
+				describe: "Registry to publish to (defaults to publishConfig.registry in package.json)",
+			})
+			.option("tag", {
+				string: true,
+				describe: "npm dist-tag to publish under (defaults to the prerelease identifier for prereleases)",
+			})
+			.option("skipBuild", {
+				boolean: true,
+				describe: "Package the existing out/ without building first",
+			}),
+	handler: argv => release(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, ReleaseOptions>;
@@ -0,0 +1,80 @@
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { loadRepositories } from "../util/repositoryManifest";
+
+interface ReposListOptions {
+	repositories?: string;
+	json?: boolean;
+}
+
+async function list(argv: yargs.Arguments<ReposListOptions>) {
+	const repositories = await loadRepositories(argv.repositories);
+
+	if (argv.json) {
+		process.stdout.write(
+			JSON.stringify(
+				{
+					repositories: repositories.map(({ sources, ...repository }) => ({
+						...repository,
+						sources: sources.map(({ kind, file }) => ({ kind, file })),
+					})),
+				},
+				undefined,
+				"\t",
+			) + "\n",
+		);
+		return;
+	}
+
+	if (repositories.length === 0) {
+		LogService.writeLine("No repositories configured");
+		return;
+	}
+
+	for (const { sources, ...repository } of repositories) {
+		LogService.writeLine(`${kleur.bold(repository.name)} -> ${repository.destination}`);
+		LogService.writeLine(`    https:     ${repository.https}`);
+		LogService.writeLine(`    ssh:       ${repository.ssh}`);
+		LogService.writeLine(`    templates: ${repository.templates?.join(", ") || "all"}`);
+		LogService.writeLine(`    mode:      ${repository.mode ?? "clone"}${repository.shallow ? " (shallow)" : ""}`);
+		if (repository.ref !== undefined) {
+			LogService.writeLine(`    ref:       ${repository.ref}`);
+		}
+		for (const { kind, file } of sources) {
+			LogService.writeLine(
+				`    from:      ${kleur.gray(`[${kind}]`)} ${path.relative(process.cwd(), file) || file}`,
+			);
+		}
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts repos` command.
+ */
+export = {
+	command: "repos",
+	describe: "Inspect the repositories cloned during init",
+	builder: () =>
+		yargs
+			.command(
+				"list",
+				"Print the effective repository manifest and where each entry came from",
+				() =>
+					yargs
+						.option("repositories", {
+							string: true,
+							describe: "Additional repository manifest layered over the bundled and user manifests",
+						})
+						.option("json", {
+							boolean: true,
+							describe: "Print the merged manifest as JSON",
+						}),
+				argv => list(argv),
+			)
+			.demandCommand(1),
+	handler: () => {},
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, {}>;
@@ -0,0 +1,133 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import {
+	compareRuns,
+	createTraceMapper,
+	formatFrames,
+	readTestRuns,
+	renderJunit,
+	renderMarkdown,
+	TEST_RESULT_DIR,
+	TestStatus,
+} from "../util/testReport";
+
+interface TestReportOptions {
+	dir?: string;
+	history?: number;
+	junit?: string;
+	markdown?: string;
+	json?: boolean;
+}
+
+async function testReport(argv: yargs.Arguments<TestReportOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const runs = (await readTestRuns(cwd)).slice(-Math.max(argv.history ?? 10, 1));
+	const latest = runs[runs.length - 1];
+	if (!latest) {
+		throw new InitError(
+			`No test results found in ${kleur.yellow(path.join(cwd, TEST_RESULT_DIR))}, run the tests first`,
+		);
+	}
+
+	const history = compareRuns(runs);
+	const mapTrace = await createTraceMapper(cwd);
+	const packageJsonPath = path.join(cwd, "package.json");
+	const suiteName: string = (await fs.pathExists(packageJsonPath))
+		? (await fs.readJson(packageJsonPath)).name ?? path.basename(cwd)
+		: path.basename(cwd);
+
+	if (argv.junit !== undefined) {
+		await fs.outputFile(path.resolve(argv.junit), await renderJunit(latest, suiteName, mapTrace));
+		LogService.writeLineIfVerbose(`Wrote ${argv.junit}`);
+	}
+	if (argv.markdown !== undefined) {
+		await fs.outputFile(path.resolve(argv.markdown), await renderMarkdown(latest, history, mapTrace));
+		LogService.writeLineIfVerbose(`Wrote ${argv.markdown}`);
+	}
+
+	const failures = latest.tests.filter(test => test.status === TestStatus.Failed);
+	if (argv.json) {
+		const tests = await Promise.all(
+			latest.tests.map(async test => ({
+				...test,
+				frames: test.trace !== undefined ? await mapTrace(test.trace) : undefined,
+			})),
+		);
+		process.stdout.write(
+			JSON.stringify({ latest: { ...latest, tests }, runs: runs.length, ...history }, undefined, "\t") + "\n",
+		);
+	} else {
+		LogService.writeLine(
+			`${kleur.bold(latest.file)} (${latest.timestamp.toISOString()}): ` +
+				`${latest.success ? kleur.green("passed") : kleur.red("failed")}, ${latest.totalTests} tests, ` +
+				`${latest.passed} passed, ${latest.failed} failed, ${latest.skipped} skipped`,
+		);
+		if (failures.length > 0) {
+			LogService.writeLine("", kleur.bold("Failures:"));
+			for (const test of failures) {
+				LogService.writeLine(`  ${kleur.red("✗")} ${test.name}`);
+				const details = [
+					...(test.message !== undefined && test.message !== test.name ? test.message.split("\n") : []),
+					...(test.trace !== undefined ? formatFrames(await mapTrace(test.trace)) : []),
+				];
+				for (const line of details) {
+					LogService.writeLine(kleur.gray(`      ${line}`));
+				}
+			}
+		}
+		if (history.newlyFailing.length > 0) {
+			LogService.writeLine("", kleur.bold("Newly failing:"));
+			for (const name of history.newlyFailing) {
+				LogService.writeLine(`  - ${name}`);
+			}
+		}
+		if (history.flaky.length > 0) {
+			LogService.writeLine("", kleur.bold(`Flaky over the last ${runs.length} runs:`));
+			for (const { name, failures, runs } of history.flaky) {
+				LogService.writeLine(`  - ${name} (failed ${failures} of ${runs} runs)`);
+			}
+		}
+	}
+
+	if (!latest.success) {
+		process.exitCode = 1;
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts test-report` command.
+ */
+export = {
+	command: "test-report",
+	describe: `Summarize the test runs stored in ${TEST_RESULT_DIR}`,
+	builder: () =>
+		yargs
+			.option("dir", {
+				string: true,
+				describe: "Project to report on (defaults to the current directory)",
+			})
+			.option("history", {
+				number: true,
+				default: 10,
+				describe: "Number of recent runs to compare for newly failing and flaky tests",
+			})
+			.option("junit", {
+				string: true,
+				describe: "Write the latest run as JUnit XML to this file",
+			})
+			.option("markdown", {
+				string: true,
+				describe: "Write a Markdown summary to this file",
+			})
+			.option("json", {
+				boolean: true,
+				describe: "Print the report as JSON",
+			}),
+	handler: argv => testReport(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, TestReportOptions>;
@@ -0,0 +1,58 @@
+import kleur from "kleur";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { getLinkedPackages, toPackageName, unlinkPackages } from "../util/link";
+
+interface UnlinkOptions {
+	dir?: string;
+	packages?: Array<string>;
+}
+
+async function unlink(argv: yargs.Arguments<UnlinkOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const linked = await getLinkedPackages(cwd);
+	const requested = (argv.packages ?? []).map(toPackageName);
+	for (const name of requested.filter(name => !linked.includes(name))) {
+		LogService.warn(`${name} is not linked`);
+	}
+
+	const names = requested.length > 0 ? requested.filter(name => linked.includes(name)) : linked;
+	const notRestored = await unlinkPackages(cwd, names);
+	for (const name of names) {
+		LogService.writeLine(
+			notRestored.includes(name) ? `Unlinked ${name}` : `Unlinked ${name}, restored the installed version`,
+		);
+	}
+	if (notRestored.length > 0) {
+		LogService.warn(
+			`${notRestored.map(name => kleur.yellow(name)).join(", ")} had no installed version to restore, ` +
+				"install the dependencies again",
+		);
+	}
+	if (names.length === 0) {
+		LogService.writeLine("Nothing to unlink");
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts unlink` command.
+ */
+export = {
+	command: "unlink [packages..]",
+	describe: "Remove links created by `link` and restore the installed versions",
+	builder: () =>
+		yargs
+			.positional("packages", {
+				type: "string",
+				array: true,
+				describe: "Packages to unlink (defaults to every linked package)",
+			})
+			.option("dir", {
+				string: true,
+				describe: "Project to unlink in (defaults to the current directory)",
+			}),
+	handler: argv => unlink(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, UnlinkOptions>;
@@ -0,0 +1,255 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import { lookpath } from "lookpath";
+import os from "os";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { BACKUP_DIR, STAMP_FILE, VERSION } from "../constants";
+import { benchmark } from "../util/benchmark";
+import { CiProvider } from "../util/ci";
+import { colorDiff, createDiff, mergeThreeWay } from "../util/diff";
+import { OverwriteMode } from "../util/overwrite";
+import { PackageManager, parsePackageManagerField } from "../util/packageManagers";
+import { writeProjectFiles } from "../util/projectFiles";
+import { createStamp, hashContents, readStamp, TemplateStamp, writeStamp } from "../util/stamp";
+import { getBuiltinTemplates, resolveTemplate, Template } from "../util/templates";
+import { isBinary, TemplateContext } from "../util/templating";
+import { VersionSource } from "../util/versions";
+import { findWorkspaceRoot, readWorkspace } from "../util/workspace";
+
+interface UpgradeOptions {
+	dir?: string;
+	template?: string;
+	dryRun?: boolean;
+	diff?: boolean;
+	versionSource?: VersionSource;
+	registryMirror?: string;
+}
+
+enum UpgradeAction {
+	UpToDate = "up to date",
+	Added = "added",
+	Updated = "updated",
+	Merged = "merged",
+	Conflict = "conflict",
+	Removed = "removed",
+	Kept = "kept",
+}
+
+interface UpgradeResult {
+	file: string;
+	action: UpgradeAction;
+	note?: string;
+	diff?: string;
+}
+
+/**
+ * Writes the project files of a template into `dir` with the answers the project was created with,
+ * the way init would write them today.
+ */
+async function writeTemplate(
+	argv: yargs.Arguments<UpgradeOptions>,
+	cwd: string,
+	stamp: TemplateStamp,
+	template: Template,
+	dir: string,
+) {
+	const { answers } = stamp;
+	const manager = (answers.packageManager as PackageManager | undefined) ?? PackageManager.NPM;
+	const packageJson = await fs.readJson(path.join(cwd, "package.json")).catch(() => ({}));
+	const current = parsePackageManagerField(packageJson.packageManager);
+	const root = answers.workspace ? await findWorkspaceRoot(path.dirname(cwd)) : undefined;
+	const ciProvider = Object.values(CiProvider).find(value => value === answers.ci) ?? CiProvider.None;
+
+	return writeProjectFiles(dir, {
+		template,
+		context: { variables: stamp.variables, answers },
+		features: (template.manifest.features ?? []).filter(feature => answers[feature] !== false),
+		packageManager: {
+			manager,
+			version: current?.manager === manager ? current.version : undefined,
+			corepack: (await lookpath("corepack")) !== undefined,
+		},
+		// the workflows are generated again from the answers, like init generated them
+		ciProvider: template.manifest.ci ? ciProvider : CiProvider.None,
+		branch: typeof answers.branch === "string" ? answers.branch : "main",
+		overwriteMode: OverwriteMode.Force,
+		existingPaths: [],
+		versionSource: argv.versionSource ?? VersionSource.Registry,
+		registryMirror: argv.registryMirror,
+		workspace: root !== undefined ? { root, packageDir: cwd } : undefined,
+		workspacePackages: template.manifest.workspace ? await readWorkspace(cwd) : [],
+		gitIgnoreRules: (await fs.pathExists(path.join(cwd, BACKUP_DIR))) ? [`/${BACKUP_DIR}`] : [],
+	});
+}
+
+async function upgradeFile(
+	cwd: string,
+	file: string,
+	stamp: TemplateStamp,
+	next: string | Buffer,
+	base: string | Buffer | undefined,
+	argv: yargs.Arguments<UpgradeOptions>,
+): Promise<UpgradeResult> {
+	const filePath = path.join(cwd, file);
+	const write = async (contents: string | Buffer) => {
+		if (!argv.dryRun) {
+			await fs.outputFile(filePath, contents);
+		}
+	};
+
+	if (!(await fs.pathExists(filePath))) {
+		if (stamp.files[file] !== undefined) {
+			return { file, action: UpgradeAction.Kept, note: "deleted in the project" };
+		}
+		await write(next);
+		return { file, action: UpgradeAction.Added };
+	}
+
+	const current = await fs.readFile(filePath);
+	const currentHash = hashContents(current);
+	if (currentHash === hashContents(next)) {
+		return { file, action: UpgradeAction.UpToDate };
+	}
+	// e.g. merged into the project at init, which owns them since
+	if (stamp.files[file] === undefined) {
+		return { file, action: UpgradeAction.Kept, note: "not written by the template" };
+	}
+	// the project still has the file as the template wrote it, so take the new version as is
+	if (currentHash === stamp.files[file]) {
+		await write(next);
+		return { file, action: UpgradeAction.Updated };
+	}
+
+	if (isBinary(current) || typeof next !== "string") {
+		return { file, action: UpgradeAction.Conflict, note: "binary file changed in the project and the template" };
+	}
+	const text = current.toString("utf8");
+
+	const diff = createDiff(text, next, file, `template/${file}`);
+	if (base === undefined || typeof base !== "string") {
+		return { file, action: UpgradeAction.Conflict, note: "changed in the project", diff };
+	}
+
+	const merged = mergeThreeWay(base, text, next);
+	if (merged.text === text) {
+		return { file, action: UpgradeAction.UpToDate };
+	}
+	if (!merged.conflict) {
+		await write(merged.text);
+		return { file, action: UpgradeAction.Merged };
+	}
+	if (argv.diff) {
+		return { file, action: UpgradeAction.Conflict, note: "left unchanged", diff };
+	}
+	await write(merged.text);
+	return { file, action: UpgradeAction.Conflict, note: "conflict markers written" };
+}
+
+async function upgrade(argv: yargs.Arguments<UpgradeOptions>) {
+	const cwd = path.resolve(argv.dir ?? ".");
+	const stamp = await readStamp(cwd);
+	const context: TemplateContext = { variables: stamp.variables, answers: stamp.answers };
+
+	const spec = argv.template ?? stamp.source ?? stamp.template;
+	const next = await benchmark("Resolving template..", () => resolveTemplate(spec));
+	const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-upgrade-"));
+	const results = new Array<UpgradeResult>();
+	try {
+		const { files } = await writeTemplate(argv, cwd, stamp, next, stagingDir);
+
+		// the files as init last wrote them are the base, also when switching to another template
+		for (const file of files) {
+			const contents = await fs.readFile(path.join(stagingDir, file));
+			const nextContents = isBinary(contents) ? contents : contents.toString("utf8");
+			results.push(await upgradeFile(cwd, file, stamp, nextContents, stamp.base[file], argv));
+		}
+
+		// files the template no longer has are removed, unless the project changed them
+		for (const [file, hash] of Object.entries(stamp.files)) {
+			const filePath = path.join(cwd, file);
+			if (files.includes(file) || !(await fs.pathExists(filePath))) continue;
+			if (hashContents(await fs.readFile(filePath)) === hash) {
+				if (!argv.dryRun) {
+					await fs.remove(filePath);
+				}
+				results.push({ file, action: UpgradeAction.Removed });
+			} else {
+				results.push({ file, action: UpgradeAction.Kept, note: "removed from the template" });
+			}
+		}
+
+		if (!argv.dryRun) {
+			const owned = results.filter(result => result.action === UpgradeAction.Kept && !stamp.files[result.file]);
+			const tracked = files.filter(file => !owned.some(result => result.file === file));
+			const isBuiltin = getBuiltinTemplates().some(template => template.dir === next.dir);
+			await writeStamp(cwd, await createStamp(next, context, isBuiltin ? undefined : spec, stagingDir, tracked));
+		}
+	} finally {
+		await next.dispose();
+		await fs.remove(stagingDir);
+	}
+
+	for (const { file, action, note, diff } of results) {
+		if (action === UpgradeAction.UpToDate) continue;
+		const label = action === UpgradeAction.Conflict ? kleur.red(action) : action;
+		LogService.writeLine(`  ${label.padEnd(9)} ${file}${note !== undefined ? kleur.gray(` (${note})`) : ""}`);
+		if (diff) {
+			LogService.writeLine(colorDiff(diff));
+		}
+	}
+
+	const conflicts = results.filter(result => result.action === UpgradeAction.Conflict).length;
+	const changed = results.filter(result => result.action !== UpgradeAction.UpToDate).length;
+	LogService.writeLine(
+		`${argv.dryRun ? "Would upgrade" : "Upgraded"} ${stamp.template} from ${stamp.version} to ${VERSION}: ` +
+			`${changed} files changed, ${conflicts} conflicts`,
+	);
+	if (conflicts > 0) {
+		LogService.warn(
+			argv.dryRun
+				? "Files changed in the project and in the template need to be merged by hand"
+				: `Resolve the conflicts, then commit. ${STAMP_FILE} already records the new template`,
+		);
+		process.exitCode = 1;
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts upgrade` command.
+ */
+export = {
+	command: "upgrade",
+	describe: "Bring a project up to date with the latest version of its template",
+	builder: () =>
+		yargs
+			.option("dir", {
+				string: true,
+				describe: "Project to upgrade (defaults to the current directory)",
+			})
+			.option("template", {
+				string: true,
+				describe: "Upgrade to this template (a built-in name, local path, git URL or npm package) instead",
+			})
+			.option("dryRun", {
+				boolean: true,
+				describe: "Print what would change without writing files",
+			})
+			.option("diff", {
+				boolean: true,
+				describe: "Leave conflicting files untouched and print a diff instead of writing conflict markers",
+			})
+			.option("versionSource", {
+				choices: Object.values(VersionSource),
+				default: VersionSource.Registry,
+				describe: "Where to resolve the pinned versions of the upgraded package.json from",
+			})
+			.option("registryMirror", {
+				string: true,
+				describe: "Registry (e.g. a local mirror) queried instead of the configured one",
+			}),
+	handler: argv => upgrade(argv),
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, UpgradeOptions>;
@@ -0,0 +1,131 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import { lookpath } from "lookpath";
+import path from "path";
+import yargs from "yargs";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import { benchmark } from "../util/benchmark";
+import { cmd } from "../util/cmd";
+import { getProjectPackageManager, getRunCommand } from "../util/packageManagers";
+import { findWorkspaceRoot, readWorkspace, sortPackages, syncWorkspace } from "../util/workspace";
+
+interface WorkspaceOptions {
+	dir?: string;
+}
+
+interface ListOptions extends WorkspaceOptions {
+	json?: boolean;
+}
+
+interface RunOptions extends WorkspaceOptions {
+	script: string;
+}
+
+async function getRoot(argv: yargs.Arguments<WorkspaceOptions>) {
+	const dir = path.resolve(argv.dir ?? ".");
+	const root = await findWorkspaceRoot(dir);
+	if (root === undefined) {
+		throw new InitError(`${kleur.yellow(dir)} is not inside a pnpm workspace, create one with init --workspace`);
+	}
+	return root;
+}
+
+async function list(argv: yargs.Arguments<ListOptions>) {
+	const packages = sortPackages(await readWorkspace(await getRoot(argv)));
+	if (argv.json) {
+		process.stdout.write(JSON.stringify(packages, undefined, "\t") + "\n");
+		return;
+	}
+	if (packages.length === 0) {
+		LogService.writeLine("No packages in the workspace, add one with init --into");
+		return;
+	}
+	packages.forEach((member, index) => {
+		const dependencies = member.dependencies.length > 0 ? ` → ${member.dependencies.join(", ")}` : "";
+		LogService.writeLine(
+			`${index + 1}. ${member.name}@${member.version} ${kleur.gray(member.relative + dependencies)}`,
+		);
+	});
+}
+
+async function run(argv: yargs.Arguments<RunOptions>) {
+	const root = await getRoot(argv);
+	const packageJson = await fs.readJson(path.join(root, "package.json")).catch(() => ({}));
+	const { manager, version } = await getProjectPackageManager(root, packageJson);
+	const setup = { manager, version, corepack: (await lookpath("corepack")) !== undefined };
+
+	const packages = sortPackages(await readWorkspace(root));
+	const selected = packages.filter(member => member.scripts[argv.script] !== undefined);
+	if (selected.length === 0) {
+		LogService.warn(`No package in the workspace has a ${argv.script} script`);
+		return;
+	}
+	for (const member of packages.filter(v => !selected.includes(v))) {
+		LogService.writeLineIfVerbose(`Skipping ${member.name}, it has no ${argv.script} script`);
+	}
+
+	const command = getRunCommand(setup, argv.script);
+	for (const member of selected) {
+		await benchmark(`[${member.name}] Running ${command}..`, () => cmd(command, member.dir));
+	}
+	LogService.writeLine(kleur.green(`Ran ${argv.script} in ${selected.map(member => member.name).join(" → ")}`));
+}
+
+async function sync(argv: yargs.Arguments<WorkspaceOptions>) {
+	const notes = await syncWorkspace(await getRoot(argv));
+	for (const note of notes) {
+		LogService.writeLine(note);
+	}
+	if (notes.length === 0) {
+		LogService.writeLine("The workspace is up to date");
+	}
+}
+
+/**
+ * Defines behavior of `create-roblox-ts ws` command. It is not called `workspace`, which is the template
+ * `init workspace` creates a workspace root from.
+ */
+export = {
+	command: "ws",
+	describe: "List, build and test the packages of a workspace created with init --workspace",
+	builder: () =>
+		yargs
+			.option("dir", {
+				string: true,
+				describe: "Folder inside the workspace (defaults to the current directory)",
+			})
+			.command({
+				command: "list",
+				describe: "List the packages in dependency order, with the workspace packages each depends on",
+				builder: () =>
+					yargs.option("json", {
+						boolean: true,
+						describe: "Print the packages as JSON",
+					}),
+				handler: argv => list(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, ListOptions>)
+			.command({
+				command: "run <script>",
+				describe: "Run a script in every package that has it, dependencies first",
+				builder: () =>
+					yargs.positional("script", {
+						type: "string",
+						demandOption: true,
+						describe: "package.json script to run, e.g. build or test",
+					}),
+				handler: argv => run(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, RunOptions>)
+			.command({
+				command: "sync",
+				describe: "Use workspace: ranges between the packages and regenerate the root Rojo test project",
+				handler: argv => sync(argv),
+				// eslint-disable-next-line @typescript-eslint/ban-types
+			} satisfies yargs.CommandModule<{}, WorkspaceOptions>)
+			.demandCommand(1),
+	handler: () => {},
+	// eslint-disable-next-line @typescript-eslint/ban-types
+} satisfies yargs.CommandModule<{}, WorkspaceOptions>;
@@ -1,10 +1,27 @@
+import os from "os";
 import path from "path";
 
 export const PACKAGE_ROOT = path.join(__dirname, "..");
 
 // eslint-disable-next-line @typescript-eslint/no-require-imports, @typescript-eslint/no-var-requires
 export const VERSION: string = require(path.join(PACKAGE_ROOT, "package.json")).version;
+// eslint-disable-next-line @typescript-eslint/no-require-imports, @typescript-eslint/no-var-requires
+export const PACKAGE_NAME: string = require(path.join(PACKAGE_ROOT, "package.json")).name;
 
 export const RBXTS_SCOPE = "@rbxts";
 export const PROJECT_SCOPE = "@white-dragon-bevy";
+export const DEFAULT_REGISTRY = "https://npm.pkg.github.com";
+export const DEFAULT_LICENSE = "MIT";
+/** Node major version the generated CI workflows run on */
+export const CI_NODE_MAJOR = 20;
 export const TEMPLATES_DIR = path.join(PACKAGE_ROOT, "templates");
+export const TEMPLATE_MANIFEST = "template.json";
+
+export const USER_CONFIG_DIR = path.join(os.homedir(), ".create-bevy");
+export const REPOSITORIES_FILE = "repositories.json";
+export const REPOSITORIES_ENV = "CREATE_BEVY_REPOSITORIES";
+export const BACKUP_DIR = ".create-bevy-backup";
+export const LOG_FILE = "create-bevy.log";
+export const STAMP_FILE = ".create-bevy.json";
+export const LINKS_FILE = "bevy-links.json";
+export const GENERATORS_DIR = path.join(TEMPLATES_DIR, "generators");
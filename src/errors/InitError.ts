@@ -3,7 +3,7 @@ import kleur from "kleur";
 import { LoggableError } from "./LoggableError";
 
 export class InitError extends LoggableError {
-	constructor(private message: string) {
+	constructor(public readonly message: string) {
 		super();
 	}
 
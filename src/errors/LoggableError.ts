@@ -8,6 +8,6 @@ export abstract class LoggableError {
 	public abstract toString(): string;
 
 	public log() {
-		LogService.writeLine(this.toString());
+		LogService.error(this.toString());
 	}
 }
@@ -2,6 +2,7 @@
 
 import yargs from "yargs";
 
+import { LogFormat, LogService } from "./classes/LogService";
 import { PACKAGE_ROOT, VERSION } from "./constants";
 import { InitError } from "./errors/InitError";
 import { LoggableError } from "./errors/LoggableError";
@@ -18,6 +19,30 @@ yargs
 	.alias("v", "version")
 	.describe("version", "show version information")
 
+	// logging
+	.option("verbose", {
+		boolean: true,
+		global: true,
+		describe: "Show the output of every command as it runs",
+	})
+	.option("quiet", {
+		boolean: true,
+		global: true,
+		describe: "Only print warnings and errors",
+	})
+	.conflicts("verbose", "quiet")
+	.option("logFormat", {
+		choices: Object.values(LogFormat),
+		default: LogFormat.Text,
+		global: true,
+		describe: "Print one JSON event per step instead of text",
+	})
+	.middleware(argv => {
+		LogService.verbose = argv.verbose === true;
+		LogService.quiet = argv.quiet === true;
+		LogService.format = argv.logFormat;
+	})
+
 	// commands
 	.commandDir(`${PACKAGE_ROOT}/out/commands`)
 
@@ -1,18 +1,51 @@
-import { LogService } from "../classes/LogService";
+import kleur from "kleur";
+
+import { LogService, StepStatus } from "../classes/LogService";
+
+interface StepCommand {
+	command?: string;
+	exitCode?: number;
+}
+
+/** Steps currently running, innermost last */
+const steps = new Array<StepCommand>();
 
 function benchmarkStart(name: string) {
 	LogService.write(`${name}`);
 	return Date.now();
 }
 
-function benchmarkEnd(startTime: number) {
-	LogService.write(` ( ${Date.now() - startTime} ms )\n`);
+function benchmarkEnd(name: string, startTime: number, status: StepStatus, step: StepCommand = {}) {
+	const duration = Date.now() - startTime;
+	// text output is still written in JSON mode so it ends up in the log file
+	LogService.emit({ event: "step", name, duration, status, ...step });
+	if (status === StepStatus.Success) {
+		LogService.write(` ( ${duration} ms )\n`);
+	} else {
+		LogService.write(` ${kleur.red("failed")}\n`);
+	}
+}
+
+/**
+ * Records a command run by `cmd` against the innermost running step, for `--log-format json`.
+ */
+export function recordCommand(command: string, exitCode: number | null) {
+	const step = steps[steps.length - 1];
+	if (step) {
+		step.command = command;
+		step.exitCode = exitCode ?? undefined;
+	}
 }
 
 export function benchmarkSync(name: string, callback: () => void) {
 	const startTime = benchmarkStart(name);
-	callback();
-	benchmarkEnd(startTime);
+	try {
+		callback();
+	} catch (error) {
+		benchmarkEnd(name, startTime, StepStatus.Failure);
+		throw error;
+	}
+	benchmarkEnd(name, startTime, StepStatus.Success);
 }
 
 export function benchmarkIfVerbose(name: string, callback: () => void) {
@@ -25,6 +58,16 @@ export function benchmarkIfVerbose(name: string, callback: () => void) {
 
 export async function benchmark<T>(name: string, callback: () => Promise<T>) {
 	const startTime = benchmarkStart(name);
-	await callback();
-	benchmarkEnd(startTime);
+	const step: StepCommand = {};
+	steps.push(step);
+	try {
+		const result = await callback();
+		benchmarkEnd(name, startTime, StepStatus.Success, step);
+		return result;
+	} catch (error) {
+		benchmarkEnd(name, startTime, StepStatus.Failure, step);
+		throw error;
+	} finally {
+		steps.splice(steps.indexOf(step), 1);
+	}
 }
@@ -0,0 +1,467 @@
+import fs from "fs-extra";
+import path from "path";
+
+import { CI_NODE_MAJOR, DEFAULT_REGISTRY } from "../constants";
+import { PackageManager, packageManagers } from "./packageManagers";
+
+export enum CiProvider {
+	GitHub = "github",
+	GitLab = "gitlab",
+	None = "none",
+}
+
+/** Stages of the pipeline, run in this order in CI and by `ci run` */
+export enum PipelineStage {
+	Lint = "lint",
+	Build = "build",
+	Place = "place",
+	Test = "test",
+}
+
+export interface PipelineStep {
+	stage: PipelineStage;
+	/** Step name in the generated workflows */
+	name: string;
+	command: string;
+	/** Failures are reported without stopping the pipeline */
+	allowFailure?: boolean;
+	/** Variables the step reads from `.env`, which CI writes from its secrets */
+	secrets?: Array<string>;
+}
+
+export interface CiOptions {
+	manager: PackageManager;
+	packageName: string;
+	registry: string;
+	/** Branch whose pushes and pull requests are built */
+	branch: string;
+	/** `package.json` scripts, which decide whether the pipeline lints and tests */
+	scripts: Record<string, string>;
+}
+
+export const CI_PROVIDER_TITLES: { [K in CiProvider]: string } = {
+	[CiProvider.GitHub]: "GitHub Actions",
+	[CiProvider.GitLab]: "GitLab CI",
+	[CiProvider.None]: "None",
+};
+
+/** Files generated for each provider */
+export const CI_FILES: { [K in CiProvider]: Array<string> } = {
+	[CiProvider.GitHub]: [".github/workflows/ci.yml", ".github/workflows/release.yml"],
+	[CiProvider.GitLab]: [".gitlab-ci.yml"],
+	[CiProvider.None]: [],
+};
+
+export const PLACE_FILE = "test-place.rbxl";
+
+const GITHUB_REGISTRY_HOST = "npm.pkg.github.com";
+const TEST_SECRETS = ["ROBLOX_API_KEY", "UNIVERSE_ID", "TEST_PLACE_ID"];
+const RELEASE_TAG = "v*.*.*";
+const TEST_REPORT = "npx create-bevy test-report --junit .test-result/junit.xml";
+
+/**
+ * Lists the steps every pipeline runs after installing: lint, build, `rojo build` and the tests.
+ * `runScript` turns a `package.json` script into a command.
+ */
+export function getPipeline(scripts: Record<string, string>, runScript: (script: string) => string) {
+	const steps = new Array<PipelineStep>();
+	if (scripts.lint !== undefined) {
+		steps.push({ stage: PipelineStage.Lint, name: "运行 ESLint", command: runScript("lint"), allowFailure: true });
+	}
+	steps.push(
+		{ stage: PipelineStage.Build, name: "构建 TypeScript", command: runScript("build") },
+		{
+			stage: PipelineStage.Place,
+			name: "使用 Rojo 构建 Place 文件",
+			command: `rojo build default.project.json -o ${PLACE_FILE}`,
+		},
+	);
+	if (scripts.test !== undefined) {
+		steps.push({
+			stage: PipelineStage.Test,
+			name: "上传到测试 Place 并运行测试",
+			command: runScript("test"),
+			secrets: TEST_SECRETS,
+		});
+	}
+	return steps;
+}
+
+function getRegistryHost(registry: string) {
+	try {
+		return new URL(registry).host;
+	} catch {
+		return new URL(DEFAULT_REGISTRY).host;
+	}
+}
+
+function getRegistryTitle(registry: string) {
+	const host = getRegistryHost(registry);
+	return host === GITHUB_REGISTRY_HOST ? "GitHub Packages" : host;
+}
+
+function getScope(packageName: string) {
+	return packageName.startsWith("@") ? packageName.split("/")[0] : undefined;
+}
+
+function quote(value: string) {
+	return `'${value.replace(/'/g, "''")}'`;
+}
+
+/** A `run` key, as a block scalar when the command spans several lines */
+function run(command: string) {
+	return command.includes("\n") ? ["run: |", ...command.split("\n").map(line => `  ${line}`)] : [`run: ${command}`];
+}
+
+function step(name: string, ...body: Array<string>) {
+	return [`- name: ${name}`, ...body.map(line => `  ${line}`)];
+}
+
+/** Joins steps with blank lines and indents them below `steps:` */
+function renderSteps(steps: ReadonlyArray<Array<string>>, indent: string) {
+	return steps.flatMap((lines, index) => [...(index > 0 ? [""] : []), ...lines.map(line => indent + line)]);
+}
+
+/** Writes `.env` from the secrets, as the test runner reads its settings from there */
+function writeEnvCommand(secrets: ReadonlyArray<string>) {
+	const format = secrets.map(secret => `${secret}=%s\\n`).join("");
+	return `printf '${format}' ${secrets.map(secret => `"$${secret}"`).join(" ")} > .env`;
+}
+
+const VERIFY_VERSION = [
+	'TAG_VERSION="${{ github.ref_name }}"',
+	`PACKAGE_VERSION="v$(node -p "require('./package.json').version")"`,
+	"",
+	'echo "Git Tag: $TAG_VERSION"',
+	'echo "Package Version: $PACKAGE_VERSION"',
+	"",
+	'if [ "$TAG_VERSION" != "$PACKAGE_VERSION" ]; then',
+	'  echo "❌ 错误: Git tag ($TAG_VERSION) 与 package.json 版本 ($PACKAGE_VERSION) 不一致！"',
+	'  echo "请确保 package.json 中的版本号与 tag 匹配。"',
+	"  exit 1",
+	"fi",
+	"",
+	'echo "✅ 版本号验证通过"',
+].join("\n");
+
+function renderGitHubSetup(options: CiOptions) {
+	const adapter = packageManagers[options.manager];
+	const scope = getScope(options.packageName);
+	const isGitHubRegistry = getRegistryHost(options.registry) === GITHUB_REGISTRY_HOST;
+	const setupManager = adapter.ciSteps(`设置 ${adapter.title.split(" ")[0]}`);
+	return [
+		step("检出代码", "uses: actions/checkout@v4"),
+		step(
+			"设置 Node.js",
+			"uses: actions/setup-node@v4",
+			"with:",
+			"  node-version: ${{ env.NODE_VERSION }}",
+			`  registry-url: ${quote(options.registry)}`,
+			...(scope !== undefined ? [`  scope: ${quote(scope)}`] : []),
+		),
+		...(setupManager.length > 0 ? [setupManager] : []),
+		step(
+			"安装依赖",
+			...run(adapter.frozenInstall),
+			"env:",
+			`  NODE_AUTH_TOKEN: \${{ secrets.${isGitHubRegistry ? "GITHUB_TOKEN" : "NPM_TOKEN"} }}`,
+		),
+	];
+}
+
+function renderGitHubPipeline(pipeline: ReadonlyArray<PipelineStep>, release: boolean) {
+	const steps = new Array<Array<string>>();
+	for (const { stage, name, command, allowFailure, secrets } of pipeline) {
+		if (stage === PipelineStage.Place) {
+			steps.push(step("安装 Rokit", "uses: CompeyDev/setup-rokit@v0.1.2"));
+		}
+		if (stage === PipelineStage.Test) {
+			steps.push(
+				step(
+					name,
+					...(release ? [] : ["id: run-tests"]),
+					...run(`${writeEnvCommand(secrets ?? [])}\n${command}`),
+					"env:",
+					...(secrets ?? []).map(secret => `  ${secret}: \${{ secrets.${secret} }}`),
+				),
+				step("汇总测试结果", "if: always()", ...run(`${TEST_REPORT} --markdown "$GITHUB_STEP_SUMMARY"`)),
+				step(
+					"上传测试报告",
+					"if: always()",
+					"uses: actions/upload-artifact@v4",
+					"with:",
+					`  name: ${release ? "test-reports-release" : "test-reports"}`,
+					"  path: |",
+					"    .test-result/*.yaml",
+					"    .test-result/junit.xml",
+					"  retention-days: 30",
+					"  include-hidden-files: true",
+				),
+			);
+			continue;
+		}
+		steps.push(step(name, ...run(command), ...(allowFailure ? ["continue-on-error: true"] : [])));
+		if (stage === PipelineStage.Place && !release) {
+			steps.push(
+				step(
+					"上传构建产物",
+					"uses: actions/upload-artifact@v4",
+					"with:",
+					"  name: test-place",
+					`  path: ${PLACE_FILE}`,
+					"  retention-days: 7",
+				),
+			);
+		}
+	}
+	return steps;
+}
+
+function renderGitHubHeader(pipeline: ReadonlyArray<PipelineStep>) {
+	if (!pipeline.some(({ stage }) => stage === PipelineStage.Test)) return [];
+	return [
+		"# 限制并发执行，因为 Roblox Open Cloud Luau Execution API 每个 universe 只支持 2 个并发请求",
+		"concurrency:",
+		"  group: roblox-testing-${{ github.ref }}",
+		"  cancel-in-progress: false",
+		"",
+	];
+}
+
+function renderGitHubCi(options: CiOptions, pipeline: ReadonlyArray<PipelineStep>) {
+	const isGitHubRegistry = getRegistryHost(options.registry) === GITHUB_REGISTRY_HOST;
+	const steps = [...renderGitHubSetup(options), ...renderGitHubPipeline(pipeline, false)];
+	if (pipeline.some(({ stage }) => stage === PipelineStage.Test)) {
+		steps.push(step("检查测试结果", "if: failure()", ...run('echo "❌ 测试失败！请查看测试报告。"\nexit 1')));
+	}
+	return [
+		"name: Roblox CI/CD",
+		"",
+		"on:",
+		"  push:",
+		`    branches: [${options.branch}]`,
+		"  pull_request:",
+		`    branches: [${options.branch}]`,
+		"",
+		...renderGitHubHeader(pipeline),
+		"permissions:",
+		"  contents: read",
+		...(isGitHubRegistry ? ["  packages: read"] : []),
+		"",
+		"env:",
+		`  NODE_VERSION: '${CI_NODE_MAJOR}.x'`,
+		"",
+		"jobs:",
+		"  build-and-test:",
+		"    runs-on: ubuntu-latest",
+		"",
+		"    steps:",
+		...renderSteps(steps, "      "),
+		"",
+	].join("\n");
+}
+
+function renderGitHubRelease(options: CiOptions, pipeline: ReadonlyArray<PipelineStep>) {
+	const adapter = packageManagers[options.manager];
+	const isGitHubRegistry = getRegistryHost(options.registry) === GITHUB_REGISTRY_HOST;
+	const token = `\${{ secrets.${isGitHubRegistry ? "GITHUB_TOKEN" : "NPM_TOKEN"} }}`;
+	const [checkout, ...setup] = renderGitHubSetup(options);
+	const build = pipeline.find(({ stage }) => stage === PipelineStage.Build)!;
+	const install = [
+		`npm install ${options.packageName}@\${{ github.ref_name }}`,
+		...(options.manager !== PackageManager.NPM
+			? [`${adapter.add} ${options.packageName}@\${{ github.ref_name }}`]
+			: []),
+	];
+
+	const testSteps = [
+		checkout,
+		step("验证版本号一致性", ...run(VERIFY_VERSION)),
+		...setup,
+		...renderGitHubPipeline(pipeline, true),
+	];
+	const publishSteps = [
+		checkout,
+		...setup,
+		step(`${build.name} (发布模式)`, ...run(build.command)),
+		step(
+			`发布到 ${getRegistryTitle(options.registry)}`,
+			...run(`${adapter.run} publish`),
+			"env:",
+			`  NODE_AUTH_TOKEN: ${token}`,
+		),
+		step(
+			"创建 GitHub Release",
+			"uses: softprops/action-gh-release@v2",
+			"with:",
+			"  tag_name: ${{ github.ref_name }}",
+			"  name: Release ${{ github.ref_name }}",
+			"  body: |",
+			"    ## 更新内容",
+			"",
+			"    查看完整的更新日志: [CHANGELOG.md](https://github.com/${{ github.repository }}/blob/${{ github.ref_name }}/CHANGELOG.md)",
+			"",
+			"    ## 安装",
+			"",
+			"    ```bash",
+			...install.map(line => `    ${line}`),
+			"    ```",
+			"  draft: false",
+			"  prerelease: false",
+		),
+	];
+
+	return [
+		`name: Release to ${getRegistryTitle(options.registry)}`,
+		"",
+		"on:",
+		"  push:",
+		"    tags:",
+		`      - ${quote(RELEASE_TAG)}`,
+		"",
+		...renderGitHubHeader(pipeline),
+		"permissions:",
+		"  contents: write",
+		...(isGitHubRegistry ? ["  packages: write"] : []),
+		"",
+		"env:",
+		`  NODE_VERSION: '${CI_NODE_MAJOR}.x'`,
+		"",
+		"jobs:",
+		"  # 1. 先运行完整的测试流程",
+		"  build-and-test:",
+		"    runs-on: ubuntu-latest",
+		"    permissions:",
+		"      contents: read",
+		...(isGitHubRegistry ? ["      packages: read"] : []),
+		"",
+		"    steps:",
+		...renderSteps(testSteps, "      "),
+		"",
+		"  # 2. 测试通过后发布",
+		"  publish:",
+		"    needs: build-and-test",
+		"    runs-on: ubuntu-latest",
+		"",
+		"    steps:",
+		...renderSteps(publishSteps, "      "),
+		"",
+	].join("\n");
+}
+
+function renderGitLabCi(options: CiOptions, pipeline: ReadonlyArray<PipelineStep>) {
+	const adapter = packageManagers[options.manager];
+	const tests = pipeline.find(({ stage }) => stage === PipelineStage.Test);
+	const build = pipeline.find(({ stage }) => stage === PipelineStage.Build)!;
+	const setup = [
+		...(adapter.corepack ? ["corepack enable"] : []),
+		...(options.manager === PackageManager.Bun ? ["npm install --global bun"] : []),
+		`echo "//${getRegistryHost(options.registry)}/:_authToken=\${NODE_AUTH_TOKEN}" >> .npmrc`,
+		adapter.frozenInstall,
+	];
+	const script = new Array<string>();
+	for (const { stage, command, allowFailure, secrets } of pipeline) {
+		if (stage === PipelineStage.Place) {
+			script.push(
+				"curl -sSf https://raw.githubusercontent.com/rojo-rbx/rokit/main/scripts/install.sh | bash",
+				'export PATH="$HOME/.rokit/bin:$PATH"',
+				"rokit install --no-trust-check",
+			);
+		}
+		if (secrets !== undefined) {
+			script.push(writeEnvCommand(secrets));
+		}
+		script.push(allowFailure ? `${command} || true` : command);
+	}
+	const list = (lines: ReadonlyArray<string>, indent: string) =>
+		lines.map(line => `${indent}- ${/^[\w./-][^:#]*$/.test(line) ? line : quote(line)}`);
+
+	return [
+		"# 由 create-bevy 生成，修改选项后可用 `npx create-bevy ci generate --provider gitlab` 重新生成",
+		"# 需要在 CI/CD 变量中设置 NPM_TOKEN" + (tests ? ` 以及 ${TEST_SECRETS.join("、")}` : ""),
+		"",
+		"workflow:",
+		"  rules:",
+		'    - if: $CI_PIPELINE_SOURCE == "merge_request_event"',
+		`    - if: $CI_COMMIT_BRANCH == "${options.branch}"`,
+		"    - if: $CI_COMMIT_TAG =~ /^v\\d+\\.\\d+\\.\\d+/",
+		"",
+		"stages:",
+		"  - test",
+		"  - release",
+		"",
+		"variables:",
+		"  NODE_AUTH_TOKEN: $NPM_TOKEN",
+		"",
+		"default:",
+		`  image: node:${CI_NODE_MAJOR}`,
+		"  before_script:",
+		...list(setup, "    "),
+		"",
+		"build-and-test:",
+		"  stage: test",
+		...(tests
+			? [
+					"  # Roblox Open Cloud Luau Execution API 每个 universe 只支持 2 个并发请求",
+					"  resource_group: roblox-testing",
+			  ]
+			: []),
+		"  script:",
+		...list(script, "    "),
+		...(tests ? ["  after_script:", ...list([TEST_REPORT], "    ")] : []),
+		"  artifacts:",
+		"    when: always",
+		"    expire_in: 30 days",
+		"    paths:",
+		`      - ${PLACE_FILE}`,
+		...(tests ? ["      - .test-result/", "    reports:", "      junit: .test-result/junit.xml"] : []),
+		"",
+		"release:",
+		"  stage: release",
+		"  rules:",
+		"    - if: $CI_COMMIT_TAG =~ /^v\\d+\\.\\d+\\.\\d+/",
+		"  script:",
+		...list(
+			[
+				`test "$CI_COMMIT_TAG" = "v$(node -p "require('./package.json').version")"`,
+				build.command,
+				`${adapter.run} publish`,
+			],
+			"    ",
+		),
+		"",
+	].join("\n");
+}
+
+/**
+ * Renders the CI configuration of a provider, by project-relative path.
+ */
+export function renderCi(provider: CiProvider, options: CiOptions) {
+	const adapter = packageManagers[options.manager];
+	const pipeline = getPipeline(options.scripts, script => `${adapter.run} ${script}`);
+	const files = new Map<string, string>();
+	if (provider === CiProvider.GitHub) {
+		files.set(CI_FILES[provider][0], renderGitHubCi(options, pipeline));
+		files.set(CI_FILES[provider][1], renderGitHubRelease(options, pipeline));
+	} else if (provider === CiProvider.GitLab) {
+		files.set(CI_FILES[provider][0], renderGitLabCi(options, pipeline));
+	}
+	for (const [file, contents] of files) {
+		files.set(file, contents.replace(/[ \t]+$/gm, ""));
+	}
+	return files;
+}
+
+/**
+ * Writes the CI configuration of a provider into a project, replacing earlier generated files except those
+ * in `keep`. Returns the paths written.
+ */
+export async function writeCi(cwd: string, provider: CiProvider, options: CiOptions, keep: ReadonlyArray<string> = []) {
+	const written = new Array<string>();
+	for (const [file, contents] of renderCi(provider, options)) {
+		if (keep.includes(file)) continue;
+		await fs.outputFile(path.join(cwd, file), contents);
+		written.push(file);
+	}
+	return written;
+}
@@ -0,0 +1,498 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { PROJECT_SCOPE } from "../constants";
+import { InitError } from "../errors/InitError";
+import { parseJsonc } from "./jsonMerge";
+import { toPosix } from "./templates";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Json = any;
+
+export enum SyncMode {
+	Link = "link",
+	/** For file systems or policies that do not allow symlinks */
+	Copy = "copy",
+}
+
+/** Folder resources, and where they go inside `.claude/` */
+export enum ResourceKind {
+	Skills = "skills",
+	Agents = "agents",
+	Commands = "commands",
+	OutputStyles = "output-styles",
+}
+
+/**
+ * `.claude-plugin/plugin.json`. Paths are relative to the package root, as in Claude Code plugins.
+ * Resources that are not declared are looked up in their default folder under `.claude-plugin/`.
+ */
+export interface PluginManifest {
+	name?: string;
+	skills?: string | Array<string>;
+	agents?: string | Array<string>;
+	commands?: string | Array<string>;
+	outputStyles?: string | Array<string>;
+	/** Path to a hooks file, or the hooks themselves, in the `hooks` format of Claude Code settings */
+	hooks?: string | Json;
+	/** Path to an `.mcp.json` style file, or the servers themselves */
+	mcpServers?: string | Json;
+}
+
+export interface PluginPackage {
+	name: string;
+	/** Where the package was found under `node_modules`, not resolved through symlinks */
+	dir: string;
+	manifest: PluginManifest;
+}
+
+export interface SyncEntry {
+	kind: ResourceKind;
+	/** Path inside `.claude/`, e.g. `skills/@white-dragon-bevy__bevy_framework__ecs` */
+	name: string;
+	source: string;
+	package: string;
+	mode: SyncMode;
+}
+
+interface HookEntry {
+	event: string;
+	group: Json;
+	package: string;
+}
+
+interface SyncState {
+	entries: Array<SyncEntry>;
+	hooks: Array<HookEntry>;
+	mcpServers: Array<string>;
+}
+
+export interface SyncReport {
+	entries: Array<SyncEntry>;
+	/** Entries from an earlier sync whose package or resource is gone */
+	removed: Array<string>;
+	hooks: number;
+	mcpServers: Array<string>;
+	/** Packages whose hooks and MCP servers were left out, because their scope is not trusted */
+	untrusted: Array<string>;
+	collisions: Array<string>;
+}
+
+export interface SyncOptions {
+	mode: SyncMode;
+	/** Only sync packages in these scopes. Dependencies are still followed through other packages. */
+	scopes?: ReadonlyArray<string>;
+	/** Scopes whose packages may add hooks and MCP servers, which run commands on the developer's machine */
+	trustedScopes: ReadonlyArray<string>;
+	dryRun?: boolean;
+}
+
+const CLAUDE_DIR = ".claude";
+const PLUGIN_DIR = ".claude-plugin";
+const MANIFEST_FILE = "plugin.json";
+/** Hooks are machine specific, so they go in the settings file that is not committed */
+const SETTINGS_FILE = "settings.local.json";
+const MCP_FILE = ".mcp.json";
+/** Lists everything the sync created, so it never touches entries made by hand */
+const STATE_FILE = ".create-bevy-sync.json";
+
+const MANIFEST_FIELDS: { [K in ResourceKind]: keyof PluginManifest } = {
+	[ResourceKind.Skills]: "skills",
+	[ResourceKind.Agents]: "agents",
+	[ResourceKind.Commands]: "commands",
+	[ResourceKind.OutputStyles]: "outputStyles",
+};
+
+/**
+ * Finds the folder of a dependency the way Node does, looking in every `node_modules` above `fromDir`.
+ */
+async function findPackageDir(name: string, fromDir: string) {
+	for (let dir = fromDir; ; dir = path.dirname(dir)) {
+		const candidate = path.join(dir, "node_modules", name);
+		if (await fs.pathExists(path.join(candidate, "package.json"))) {
+			return candidate;
+		}
+		if (path.dirname(dir) === dir) return undefined;
+	}
+}
+
+async function readManifest(dir: string): Promise<PluginManifest> {
+	const file = path.join(dir, PLUGIN_DIR, MANIFEST_FILE);
+	if (!(await fs.pathExists(file))) return {};
+	try {
+		return await fs.readJson(file);
+	} catch (error) {
+		throw new InitError(`Plugin manifest ${kleur.yellow(file)} is not valid JSON\n${(error as Error).message}`);
+	}
+}
+
+function isInScope(name: string, scopes: ReadonlyArray<string>) {
+	return scopes.some(scope => name.startsWith(`${scope}/`));
+}
+
+/**
+ * The scope of the project's own package, which is synced and trusted by default.
+ */
+export async function getProjectScope(cwd: string) {
+	const packageJson = await fs.readJson(path.join(cwd, "package.json")).catch(() => undefined);
+	const name: unknown = packageJson?.name;
+	return typeof name === "string" && name.startsWith("@") ? name.split("/")[0] : PROJECT_SCOPE;
+}
+
+/**
+ * Walks the project's dependencies, and theirs, and lists every package with a `.claude-plugin` folder.
+ * Packages are listed closest to the project first.
+ */
+export async function findPluginPackages(cwd: string, scopes?: ReadonlyArray<string>) {
+	const packages = new Array<PluginPackage>();
+	const visited = new Set<string>();
+	const queue = [{ dir: cwd, isRoot: true }];
+	while (queue.length > 0) {
+		const { dir, isRoot } = queue.shift()!;
+		const realDir = await fs.realpath(dir);
+		if (visited.has(realDir)) continue;
+		visited.add(realDir);
+
+		const packageJson = await fs.readJson(path.join(dir, "package.json")).catch(() => undefined);
+		if (!packageJson) continue;
+
+		const name: string = packageJson.name ?? path.basename(dir);
+		const inScope = scopes === undefined || isInScope(name, scopes);
+		if (!isRoot && inScope && (await fs.pathExists(path.join(dir, PLUGIN_DIR)))) {
+			packages.push({ name, dir, manifest: await readManifest(dir) });
+		}
+
+		const fields = ["dependencies", "optionalDependencies", "peerDependencies"];
+		if (isRoot) {
+			fields.push("devDependencies");
+		}
+		for (const field of fields) {
+			for (const dependency of Object.keys(packageJson[field] ?? {})) {
+				// pnpm keeps a package's dependencies next to its real location
+				const dependencyDir = await findPackageDir(dependency, realDir);
+				if (dependencyDir !== undefined) {
+					queue.push({ dir: dependencyDir, isRoot: false });
+				}
+			}
+		}
+	}
+	return packages;
+}
+
+/**
+ * `@white-dragon-bevy/bevy_framework` becomes `@white-dragon-bevy__bevy_framework`.
+ * The `@` prefix keeps synced entries apart from the project's own.
+ */
+function getEntryPrefix(packageName: string) {
+	return `@${packageName.replace(/^@/, "").replace("/", "__")}`;
+}
+
+function getResourceDirs(pkg: PluginPackage, kind: ResourceKind) {
+	const declared = pkg.manifest[MANIFEST_FIELDS[kind]] as string | Array<string> | undefined;
+	const dirs =
+		declared === undefined ? [path.join(PLUGIN_DIR, kind)] : typeof declared === "string" ? [declared] : declared;
+	return dirs.map(dir => path.resolve(pkg.dir, dir));
+}
+
+async function isDirectory(dir: string) {
+	return (await fs.stat(dir).catch(() => undefined))?.isDirectory() === true;
+}
+
+/**
+ * Lists the folders a package contributes. Each skill is synced on its own, other kinds as a whole folder.
+ */
+async function planEntries(pkg: PluginPackage, mode: SyncMode) {
+	const entries = new Array<SyncEntry>();
+	const prefix = getEntryPrefix(pkg.name);
+	for (const kind of Object.values(ResourceKind)) {
+		const dirs = new Array<string>();
+		for (const dir of getResourceDirs(pkg, kind)) {
+			if (await isDirectory(dir)) {
+				dirs.push(dir);
+			}
+		}
+
+		for (const dir of dirs) {
+			if (kind === ResourceKind.Skills) {
+				for (const skill of await fs.readdir(dir)) {
+					if (await isDirectory(path.join(dir, skill))) {
+						const name = `${kind}/${prefix}__${skill}`;
+						entries.push({ kind, name, source: path.join(dir, skill), package: pkg.name, mode });
+					}
+				}
+			} else {
+				const name = dirs.length > 1 ? `${kind}/${prefix}__${path.basename(dir)}` : `${kind}/${prefix}`;
+				entries.push({ kind, name, source: dir, package: pkg.name, mode });
+			}
+		}
+	}
+	return entries;
+}
+
+/**
+ * Reads a declared or default JSON resource, replacing `${CLAUDE_PLUGIN_ROOT}` with the package folder.
+ */
+async function readJsonResource(cwd: string, pkg: PluginPackage, declared: string | Json, defaultPath: string) {
+	let value: Json = declared;
+	if (declared === undefined || typeof declared === "string") {
+		const file = path.resolve(pkg.dir, declared ?? defaultPath);
+		if (!(await fs.pathExists(file))) return undefined;
+		try {
+			value = parseJsonc(await fs.readFile(file, "utf8"));
+		} catch (error) {
+			throw new InitError(`${kleur.yellow(file)} is not valid JSON\n${(error as Error).message}`);
+		}
+	}
+
+	// expanded by Claude Code in hook commands and in .mcp.json
+	const root = "${CLAUDE_PROJECT_DIR}/" + toPosix(path.relative(cwd, pkg.dir));
+	return JSON.parse(JSON.stringify(value).split("${CLAUDE_PLUGIN_ROOT}").join(JSON.stringify(root).slice(1, -1)));
+}
+
+async function readJsonFile(file: string): Promise<Json> {
+	if (!(await fs.pathExists(file))) return undefined;
+	try {
+		return parseJsonc(await fs.readFile(file, "utf8"));
+	} catch (error) {
+		throw new InitError(`${kleur.yellow(file)} is not valid JSON\n${(error as Error).message}`);
+	}
+}
+
+async function readState(cwd: string): Promise<SyncState> {
+	const state = await fs.readJson(path.join(cwd, CLAUDE_DIR, STATE_FILE)).catch(() => undefined);
+	return { entries: state?.entries ?? [], hooks: state?.hooks ?? [], mcpServers: state?.mcpServers ?? [] };
+}
+
+async function writeState(cwd: string, state: SyncState) {
+	const file = path.join(cwd, CLAUDE_DIR, STATE_FILE);
+	if (state.entries.length === 0 && state.hooks.length === 0 && state.mcpServers.length === 0) {
+		await fs.remove(file);
+	} else {
+		await fs.outputJson(file, state, { spaces: "\t" });
+	}
+}
+
+async function createEntry(cwd: string, entry: SyncEntry) {
+	const dest = path.join(cwd, CLAUDE_DIR, entry.name);
+	await fs.ensureDir(path.dirname(dest));
+	if (entry.mode === SyncMode.Link) {
+		try {
+			await fs.symlink(entry.source, dest, "junction");
+			return entry;
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "EPERM") throw error;
+		}
+	}
+	await fs.copy(entry.source, dest, { dereference: true });
+	return { ...entry, mode: SyncMode.Copy };
+}
+
+function sameJson(a: Json, b: Json) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Takes out hook groups an earlier sync added, and adds the ones the packages declare now.
+ * Groups are matched by their full contents, so edited or hand-made groups are left alone.
+ */
+function syncHooks(settings: Json, previous: ReadonlyArray<HookEntry>, next: ReadonlyArray<HookEntry>) {
+	const hooks: Record<string, Array<Json>> = settings.hooks ?? {};
+	for (const { event, group } of previous) {
+		const index = (hooks[event] ?? []).findIndex(existing => sameJson(existing, group));
+		if (index !== -1) {
+			hooks[event].splice(index, 1);
+		}
+		if (hooks[event]?.length === 0) {
+			delete hooks[event];
+		}
+	}
+	for (const { event, group } of next) {
+		(hooks[event] ??= []).push(group);
+	}
+	if (Object.keys(hooks).length > 0) {
+		settings.hooks = hooks;
+	} else {
+		delete settings.hooks;
+	}
+}
+
+async function writeJsonFile(file: string, value: Json, existed: boolean) {
+	if (!existed && Object.keys(value).length === 0) return;
+	await fs.outputFile(file, JSON.stringify(value, undefined, "\t") + "\n");
+}
+
+/**
+ * Syncs the Claude Code resources of every plugin package into `.claude/`:
+ * folders are linked (or copied), hooks are merged into `.claude/settings.local.json`,
+ * and MCP servers are added to `.mcp.json`, where Claude Code asks before starting them.
+ * Hooks and MCP servers only come from packages in trusted scopes.
+ * Entries created by an earlier sync that no package provides anymore are removed.
+ */
+export async function syncClaudeResources(cwd: string, options: SyncOptions): Promise<SyncReport> {
+	const packages = await findPluginPackages(cwd, options.scopes);
+	const state = await readState(cwd);
+	const owned = new Set(state.entries.map(entry => entry.name));
+	const collisions = new Array<string>();
+
+	const planned = new Map<string, SyncEntry>();
+	const hookEntries = new Array<HookEntry>();
+	const mcpServers = new Map<string, { config: Json; package: string }>();
+	const seen = new Map<string, string>();
+	const untrusted = new Array<string>();
+	for (const pkg of packages) {
+		// another version of a package that is already synced, deeper in the tree
+		const firstDir = seen.get(pkg.name);
+		if (firstDir !== undefined) {
+			if ((await fs.realpath(firstDir)) !== (await fs.realpath(pkg.dir))) {
+				collisions.push(`${pkg.name} is installed more than once, using ${firstDir}`);
+			}
+			continue;
+		}
+		seen.set(pkg.name, pkg.dir);
+
+		for (const entry of await planEntries(pkg, options.mode)) {
+			const existing = planned.get(entry.name);
+			if (existing) {
+				collisions.push(`${entry.name} is provided by ${existing.package} and ${entry.package}`);
+			} else if (!owned.has(entry.name) && (await fs.pathExists(path.join(cwd, CLAUDE_DIR, entry.name)))) {
+				collisions.push(`${CLAUDE_DIR}/${entry.name} already exists and was not created by sync`);
+			} else {
+				planned.set(entry.name, entry);
+			}
+		}
+
+		const hooksFile = await readJsonResource(cwd, pkg, pkg.manifest.hooks, `${PLUGIN_DIR}/hooks/hooks.json`);
+		const mcpFile = await readJsonResource(cwd, pkg, pkg.manifest.mcpServers, `${PLUGIN_DIR}/${MCP_FILE}`);
+		// hooks and MCP servers run commands, so only trusted scopes may add them
+		if (!isInScope(pkg.name, options.trustedScopes)) {
+			if (hooksFile !== undefined || mcpFile !== undefined) {
+				untrusted.push(pkg.name);
+			}
+			continue;
+		}
+
+		const hooks: Record<string, Array<Json>> = hooksFile?.hooks ?? hooksFile ?? {};
+		for (const [event, groups] of Object.entries(hooks)) {
+			for (const group of Array.isArray(groups) ? groups : []) {
+				hookEntries.push({ event, group, package: pkg.name });
+			}
+		}
+
+		for (const [name, config] of Object.entries<Json>(mcpFile?.mcpServers ?? mcpFile ?? {})) {
+			const existing = mcpServers.get(name);
+			if (existing) {
+				collisions.push(`MCP server ${name} is provided by ${existing.package} and ${pkg.name}`);
+			} else {
+				mcpServers.set(name, { config, package: pkg.name });
+			}
+		}
+	}
+
+	const mcpPath = path.join(cwd, MCP_FILE);
+	const mcp = (await readJsonFile(mcpPath)) ?? {};
+	const servers: Record<string, Json> = mcp.mcpServers ?? {};
+	for (const name of state.mcpServers) {
+		delete servers[name];
+	}
+	for (const [name, { package: packageName }] of mcpServers) {
+		if (servers[name] !== undefined) {
+			collisions.push(`MCP server ${name} from ${packageName} is already configured in ${MCP_FILE}`);
+			mcpServers.delete(name);
+		}
+	}
+
+	const removed = state.entries
+		.filter(entry => {
+			const next = planned.get(entry.name);
+			return next === undefined || next.source !== entry.source || next.mode !== entry.mode;
+		})
+		.map(entry => entry.name);
+	const report: SyncReport = {
+		entries: [...planned.values()],
+		removed: removed.filter(name => !planned.has(name)),
+		hooks: hookEntries.length,
+		mcpServers: [...mcpServers.keys()],
+		untrusted,
+		collisions,
+	};
+	if (options.dryRun) return report;
+
+	for (const name of removed) {
+		await fs.remove(path.join(cwd, CLAUDE_DIR, name));
+	}
+	const entries = new Array<SyncEntry>();
+	for (const entry of planned.values()) {
+		const dest = path.join(cwd, CLAUDE_DIR, entry.name);
+		// copies are refreshed on every sync, links only when they are missing
+		if (entry.mode === SyncMode.Copy || !(await fs.lstat(dest).catch(() => undefined))) {
+			await fs.remove(dest);
+			entries.push(await createEntry(cwd, entry));
+		} else {
+			entries.push(state.entries.find(previous => previous.name === entry.name) ?? entry);
+		}
+	}
+
+	const settingsPath = path.join(cwd, CLAUDE_DIR, SETTINGS_FILE);
+	const settingsExisted = await fs.pathExists(settingsPath);
+	const settings = (await readJsonFile(settingsPath)) ?? {};
+	syncHooks(settings, state.hooks, hookEntries);
+	// servers are never enabled here, only those that are gone lose the approval given to them
+	const enabled = new Set<string>(settings.enabledMcpjsonServers ?? []);
+	state.mcpServers.filter(name => !mcpServers.has(name)).forEach(name => enabled.delete(name));
+	if (enabled.size > 0) {
+		settings.enabledMcpjsonServers = [...enabled];
+	} else {
+		delete settings.enabledMcpjsonServers;
+	}
+	await writeJsonFile(settingsPath, settings, settingsExisted);
+
+	mcpServers.forEach(({ config }, name) => (servers[name] = config));
+	if (Object.keys(servers).length > 0) {
+		mcp.mcpServers = servers;
+	} else {
+		delete mcp.mcpServers;
+	}
+	await writeJsonFile(mcpPath, mcp, await fs.pathExists(mcpPath));
+
+	await writeState(cwd, { entries, hooks: hookEntries, mcpServers: report.mcpServers });
+	report.entries = entries;
+	return report;
+}
+
+/**
+ * Removes everything an earlier sync created.
+ */
+export async function cleanClaudeResources(cwd: string, dryRun?: boolean) {
+	const state = await readState(cwd);
+	if (!dryRun) {
+		for (const entry of state.entries) {
+			await fs.remove(path.join(cwd, CLAUDE_DIR, entry.name));
+		}
+
+		const settingsPath = path.join(cwd, CLAUDE_DIR, SETTINGS_FILE);
+		const settings = await readJsonFile(settingsPath);
+		if (settings !== undefined) {
+			syncHooks(settings, state.hooks, []);
+			const enabled = (settings.enabledMcpjsonServers ?? []).filter(
+				(name: string) => !state.mcpServers.includes(name),
+			);
+			if (enabled.length > 0) {
+				settings.enabledMcpjsonServers = enabled;
+			} else {
+				delete settings.enabledMcpjsonServers;
+			}
+			await writeJsonFile(settingsPath, settings, true);
+		}
+
+		const mcpPath = path.join(cwd, MCP_FILE);
+		const mcp = await readJsonFile(mcpPath);
+		if (mcp?.mcpServers !== undefined) {
+			state.mcpServers.forEach(name => delete mcp.mcpServers[name]);
+			await writeJsonFile(mcpPath, mcp, true);
+		}
+
+		await writeState(cwd, { entries: [], hooks: [], mcpServers: [] });
+	}
+	return state;
+}
@@ -0,0 +1,56 @@
+import { spawn } from "child_process";
+import { lookpath } from "lookpath";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import { recordCommand } from "./benchmark";
+
+/**
+ * Runs a shell command and resolves with its combined output.
+ * The output is also streamed through `LogService`, which shows it with `--verbose`.
+ */
+export function cmd(cmdStr: string, cwd: string) {
+	return new Promise<string>((resolve, reject) => {
+		const [command, ...args] = cmdStr.split(" ");
+		const childProcess = spawn(command, args, { cwd, shell: true });
+		let output = "";
+		const onData = (data: Buffer) => {
+			output += data;
+			LogService.childOutput(cmdStr, String(data));
+		};
+		childProcess.stdout.on("data", onData);
+		childProcess.stderr.on("data", onData);
+		childProcess.on("close", code => {
+			recordCommand(cmdStr, code);
+			if (code === 0) {
+				resolve(output);
+			} else {
+				reject(new InitError(`Command "${cmdStr}" exited with code ${code}\n\n${output}`));
+			}
+		});
+		childProcess.on("error", reject);
+	});
+}
+
+/**
+ * Quotes a single shell argument if it contains characters the shell would interpret.
+ */
+export function quoteArg(arg: string) {
+	return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `"${arg.replace(/(["$`])/g, "\\$1")}"`;
+}
+
+const VERSION = /\d+\.\d+\.\d+(?:-[\w.-]+)?/;
+
+/**
+ * Runs `<tool> --version` and reads the version from its output, or `undefined` if the tool is not installed.
+ */
+export async function getToolVersion(tool: string, cwd: string) {
+	if ((await lookpath(tool)) === undefined) {
+		return undefined;
+	}
+	try {
+		return VERSION.exec(await cmd(`${tool} --version`, cwd))?.[0];
+	} catch {
+		return undefined;
+	}
+}
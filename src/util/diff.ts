@@ -0,0 +1,173 @@
+import kleur from "kleur";
+
+type DiffLine = { kind: " " | "-" | "+"; text: string };
+
+const CONTEXT_LINES = 3;
+
+function splitLines(text: string) {
+	const lines = text.split(/\r?\n/);
+	if (lines[lines.length - 1] === "") {
+		lines.pop();
+	}
+	return lines;
+}
+
+/**
+ * Computes the lengths of the longest common subsequences of every pair of suffixes.
+ */
+function lcsLengths(before: ReadonlyArray<string>, after: ReadonlyArray<string>) {
+	const lengths = before.map(() => new Array<number>(after.length + 1).fill(0));
+	lengths.push(new Array<number>(after.length + 1).fill(0));
+	for (let i = before.length - 1; i >= 0; i--) {
+		for (let j = after.length - 1; j >= 0; j--) {
+			lengths[i][j] =
+				before[i] === after[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+	return lengths;
+}
+
+/**
+ * Computes a line diff from the longest common subsequence of both texts.
+ */
+function diffLines(before: ReadonlyArray<string>, after: ReadonlyArray<string>) {
+	const lengths = lcsLengths(before, after);
+	const lines = new Array<DiffLine>();
+	let [i, j] = [0, 0];
+	while (i < before.length || j < after.length) {
+		if (i < before.length && j < after.length && before[i] === after[j]) {
+			lines.push({ kind: " ", text: before[i++] });
+			j++;
+		} else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+			lines.push({ kind: "-", text: before[i++] });
+		} else {
+			lines.push({ kind: "+", text: after[j++] });
+		}
+	}
+	return lines;
+}
+
+/**
+ * Creates a unified diff between two texts, or an empty string if they are equal.
+ */
+export function createDiff(before: string, after: string, beforeName = "a", afterName = "b") {
+	const lines = diffLines(splitLines(before), splitLines(after));
+	const changed = lines.map((line, index) => (line.kind !== " " ? index : -1)).filter(index => index !== -1);
+	if (changed.length === 0) {
+		return "";
+	}
+
+	// group changes whose context overlaps into hunks
+	const hunks = new Array<[number, number]>();
+	for (const index of changed) {
+		const start = Math.max(0, index - CONTEXT_LINES);
+		const end = Math.min(lines.length, index + CONTEXT_LINES + 1);
+		const last = hunks[hunks.length - 1];
+		if (last && start <= last[1]) {
+			last[1] = end;
+		} else {
+			hunks.push([start, end]);
+		}
+	}
+
+	const output = [`--- ${beforeName}`, `+++ ${afterName}`];
+	for (const [start, end] of hunks) {
+		const offset = lines.slice(0, start);
+		const hunk = lines.slice(start, end);
+		const beforeStart = offset.filter(line => line.kind !== "+").length + 1;
+		const afterStart = offset.filter(line => line.kind !== "-").length + 1;
+		const beforeCount = hunk.filter(line => line.kind !== "+").length;
+		const afterCount = hunk.filter(line => line.kind !== "-").length;
+		output.push(`@@ -${beforeStart},${beforeCount} +${afterStart},${afterCount} @@`);
+		output.push(...hunk.map(line => line.kind + line.text));
+	}
+	return output.join("\n") + "\n";
+}
+
+/**
+ * Colors the added and removed lines of a unified diff for the terminal.
+ */
+export function colorDiff(diff: string) {
+	return diff
+		.split("\n")
+		.map(line =>
+			line.startsWith("@@")
+				? kleur.cyan(line)
+				: line.startsWith("+")
+				? kleur.green(line)
+				: line.startsWith("-")
+				? kleur.red(line)
+				: line,
+		)
+		.join("\n");
+}
+
+/**
+ * Maps each line of `before` to the index of the same line in `after`, or -1 if it was removed.
+ */
+function matchLines(before: ReadonlyArray<string>, after: ReadonlyArray<string>) {
+	const lengths = lcsLengths(before, after);
+	const matches = new Array<number>(before.length).fill(-1);
+	let [i, j] = [0, 0];
+	while (i < before.length && j < after.length) {
+		if (before[i] === after[j]) {
+			matches[i++] = j++;
+		} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return matches;
+}
+
+export interface MergeResult {
+	text: string;
+	/** Whether the text contains conflict markers */
+	conflict: boolean;
+}
+
+function sameLines(a: ReadonlyArray<string>, b: ReadonlyArray<string>) {
+	return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merges the changes from `base` to `ours` and from `base` to `theirs`, line by line.
+ * Regions changed on both sides in different ways are wrapped in git-style conflict markers.
+ */
+export function mergeThreeWay(base: string, ours: string, theirs: string, oursName = "yours", theirsName = "template") {
+	const [baseLines, ourLines, theirLines] = [splitLines(base), splitLines(ours), splitLines(theirs)];
+	const ourMatches = matchLines(baseLines, ourLines);
+	const theirMatches = matchLines(baseLines, theirLines);
+
+	const output = new Array<string>();
+	let conflict = false;
+	let [i, j, k] = [0, 0, 0];
+	for (;;) {
+		// the next base line both sides kept is where they are in sync again
+		let next = i;
+		while (next < baseLines.length && (ourMatches[next] === -1 || theirMatches[next] === -1)) next++;
+		const ourEnd = next < baseLines.length ? ourMatches[next] : ourLines.length;
+		const theirEnd = next < baseLines.length ? theirMatches[next] : theirLines.length;
+
+		const baseChunk = baseLines.slice(i, next);
+		const ourChunk = ourLines.slice(j, ourEnd);
+		const theirChunk = theirLines.slice(k, theirEnd);
+		if (sameLines(ourChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+			output.push(...theirChunk);
+		} else if (sameLines(theirChunk, baseChunk)) {
+			output.push(...ourChunk);
+		} else {
+			conflict = true;
+			output.push(`<<<<<<< ${oursName}`, ...ourChunk, "=======", ...theirChunk, `>>>>>>> ${theirsName}`);
+		}
+
+		if (next >= baseLines.length) break;
+		output.push(baseLines[next]);
+		[i, j, k] = [next + 1, ourEnd + 1, theirEnd + 1];
+	}
+	// the final newline merges like a line of its own
+	const [baseEol, ourEol] = [base.endsWith("\n"), ours.endsWith("\n")];
+	const eol = ourEol !== baseEol ? ourEol : theirs.endsWith("\n");
+	return { text: output.join("\n") + (eol ? "\n" : ""), conflict };
+}
@@ -0,0 +1,289 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+
+import { CI_NODE_MAJOR, DEFAULT_REGISTRY, PROJECT_SCOPE } from "../constants";
+import { getToolVersion } from "./cmd";
+import { ENV_EXAMPLE_FILE, ENV_FILE, getDeclaredVariables } from "./env";
+
+export enum CheckStatus {
+	Pass = "pass",
+	Warn = "warn",
+	Fail = "fail",
+}
+
+export interface CheckResult {
+	name: string;
+	status: CheckStatus;
+	message: string;
+	/** What to do about a warning or failure */
+	fix?: string;
+}
+
+export interface DoctorContext {
+	/** Project being checked, or a template when run outside a project */
+	dir: string;
+	/** Where `.env` and the project `.npmrc` are looked up */
+	projectDir: string;
+}
+
+async function readPackageJson(dir: string) {
+	return fs.readJson(path.join(dir, "package.json")).catch(() => undefined);
+}
+
+export async function checkNode({ dir }: DoctorContext): Promise<CheckResult> {
+	const range: string | undefined = (await readPackageJson(dir))?.engines?.node;
+	const required = Number(/\d+/.exec(range ?? "")?.[0] ?? CI_NODE_MAJOR);
+	const installed = process.versions.node;
+	const name = "Node.js";
+	if (Number(installed.split(".")[0]) < required) {
+		return {
+			name,
+			status: CheckStatus.Fail,
+			message: `${installed} is installed, ${range ?? `>=${required}`} is required`,
+			fix: `Install Node.js ${required} or newer from https://nodejs.org/`,
+		};
+	}
+	return { name, status: CheckStatus.Pass, message: installed };
+}
+
+export async function checkGit({ dir }: DoctorContext): Promise<CheckResult> {
+	const version = await getToolVersion("git", dir);
+	return version !== undefined
+		? { name: "git", status: CheckStatus.Pass, message: version }
+		: {
+				name: "git",
+				status: CheckStatus.Fail,
+				message: "not found",
+				fix: "Install Git from https://git-scm.com/",
+		  };
+}
+
+export async function checkPackageManager({ dir }: DoctorContext): Promise<CheckResult> {
+	const field: string | undefined = (await readPackageJson(dir))?.packageManager;
+	const name = "packageManager";
+	if (field === undefined) {
+		return { name, status: CheckStatus.Pass, message: "not pinned in package.json" };
+	}
+
+	const [manager, version] = field.split("+")[0].split("@");
+	const installed = await getToolVersion(manager, dir);
+	const corepack = await getToolVersion("corepack", dir);
+	const activate = `corepack enable && corepack prepare ${manager}@${version} --activate`;
+	if (installed === version) {
+		return { name, status: CheckStatus.Pass, message: `${manager} ${installed}` };
+	}
+	if (installed !== undefined) {
+		return {
+			name,
+			status: CheckStatus.Warn,
+			message: `${field} is required, ${manager} ${installed} is installed`,
+			fix: corepack !== undefined ? activate : `npm install -g ${manager}@${version}`,
+		};
+	}
+	if (corepack !== undefined) {
+		return {
+			name,
+			status: CheckStatus.Warn,
+			message: `${manager} is not installed, corepack ${corepack} can provide it`,
+			fix: activate,
+		};
+	}
+	return {
+		name,
+		status: CheckStatus.Fail,
+		message: `${field} is required, but neither ${manager} nor corepack is installed`,
+		fix: `npm install -g ${manager}@${version}`,
+	};
+}
+
+/**
+ * Reads the `[tools]` table of a `rokit.toml`, e.g. `rojo = "rojo-rbx/rojo@7.4.4"`.
+ */
+function parseRokitTools(toml: string) {
+	const tools = new Map<string, string>();
+	let inTools = false;
+	for (const line of toml.split(/\r?\n/)) {
+		const section = /^\s*\[([^\]]+)\]/.exec(line);
+		if (section) {
+			inTools = section[1].trim() === "tools";
+			continue;
+		}
+		const tool = /^\s*([\w-]+)\s*=\s*"[^"@]+@([^"]+)"/.exec(line);
+		if (inTools && tool) {
+			tools.set(tool[1], tool[2]);
+		}
+	}
+	return tools;
+}
+
+export async function checkRokit({ dir }: DoctorContext): Promise<Array<CheckResult>> {
+	const tomlPath = path.join(dir, "rokit.toml");
+	if (!(await fs.pathExists(tomlPath))) {
+		return [];
+	}
+
+	const results = new Array<CheckResult>();
+	const rokit = await getToolVersion("rokit", dir);
+	results.push(
+		rokit !== undefined
+			? { name: "rokit", status: CheckStatus.Pass, message: rokit }
+			: {
+					name: "rokit",
+					status: CheckStatus.Fail,
+					message: "not found",
+					fix: "Install Rokit from https://github.com/rojo-rbx/rokit",
+			  },
+	);
+
+	for (const [tool, expected] of parseRokitTools(await fs.readFile(tomlPath, "utf8"))) {
+		const installed = await getToolVersion(tool, dir);
+		if (installed === expected) {
+			results.push({ name: tool, status: CheckStatus.Pass, message: installed });
+		} else {
+			results.push({
+				name: tool,
+				status: installed === undefined ? CheckStatus.Fail : CheckStatus.Warn,
+				message: `${expected} is required by rokit.toml, ${installed ?? "none"} is installed`,
+				fix: "rokit install",
+			});
+		}
+	}
+	return results;
+}
+
+/**
+ * Reads `key=value` lines, as used by `.npmrc` and `.env` files.
+ */
+function readKeyValueFile(filePath: string) {
+	const config = new Map<string, string>();
+	if (!fs.pathExistsSync(filePath)) {
+		return config;
+	}
+	for (const line of fs.readFileSync(filePath, "utf8").split(/\r?\n/)) {
+		const match = /^\s*([^#;=\s][^=]*?)\s*=\s*(.*?)\s*$/.exec(line);
+		if (match) {
+			config.set(match[1], match[2]);
+		}
+	}
+	return config;
+}
+
+/**
+ * Checks that every scope the project depends on from a private registry has an auth token. The registry of
+ * each scope is read from `.npmrc`, and scopes without one come from the public registry and need no token.
+ */
+export async function checkRegistryAuth({ dir, projectDir }: DoctorContext): Promise<Array<CheckResult>> {
+	const userConfig = process.env.NPM_CONFIG_USERCONFIG ?? path.join(os.homedir(), ".npmrc");
+	// project settings win over user settings, as with npm
+	const config = new Map([...readKeyValueFile(userConfig), ...readKeyValueFile(path.join(projectDir, ".npmrc"))]);
+	const packageJson = await readPackageJson(dir);
+	const scopes = new Set(
+		["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"]
+			.flatMap(field => Object.keys(packageJson?.[field] ?? {}))
+			.filter(name => name.startsWith("@"))
+			.map(name => name.split("/")[0]),
+	);
+
+	const results = new Array<CheckResult>();
+	for (const scope of [...scopes].sort()) {
+		// the Bevy packages are published to GitHub Packages, which templates set up in their .npmrc
+		const registry = config.get(`${scope}:registry`) ?? (scope === PROJECT_SCOPE ? DEFAULT_REGISTRY : undefined);
+		if (registry === undefined) continue;
+
+		const registryKey = registry.replace(/^https?:/, "").replace(/\/?$/, "/");
+		const name = `${scope} auth`;
+		const fix =
+			(registry.includes("npm.pkg.github.com")
+				? "Create a GitHub token with read:packages"
+				: `Create a token for ${registry}`) +
+			` and add "${registryKey}:_authToken=<token>" to ${userConfig}, ` +
+			`or run npm login --scope=${scope} --registry=${registry}`;
+		const token = config.get(`${registryKey}:_authToken`);
+		const variable = /^\$\{(\w+)\}$/.exec(token ?? "")?.[1];
+		if (token === undefined || token === "") {
+			results.push({ name, status: CheckStatus.Fail, message: `no auth token for ${registry}`, fix });
+		} else if (variable !== undefined && !process.env[variable]) {
+			results.push({
+				name,
+				status: CheckStatus.Fail,
+				message: `auth token uses \${${variable}}, which is not set`,
+				fix,
+			});
+		} else {
+			results.push({ name, status: CheckStatus.Pass, message: `token configured for ${registry}` });
+		}
+	}
+	return results;
+}
+
+export async function checkSymlinks(): Promise<CheckResult> {
+	const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-doctor-"));
+	const name = "symlinks";
+	try {
+		await fs.ensureDir(path.join(tmpDir, "target"));
+		await fs.symlink(path.join(tmpDir, "target"), path.join(tmpDir, "link"), "dir");
+		return { name, status: CheckStatus.Pass, message: "can create directory symlinks" };
+	} catch (error) {
+		return {
+			name,
+			status: CheckStatus.Fail,
+			message: `cannot create symlinks (${(error as NodeJS.ErrnoException).code ?? String(error)})`,
+			fix:
+				process.platform === "win32"
+					? "Enable Developer Mode in Windows settings, or run the terminal as administrator"
+					: "Check the permissions of the project and temp directories",
+		};
+	} finally {
+		await fs.remove(tmpDir);
+	}
+}
+
+/**
+ * Checks the `.env` variables the template's `.env.example` declares. Projects without one are skipped.
+ */
+export async function checkEnv({ dir, projectDir }: DoctorContext): Promise<Array<CheckResult>> {
+	const example = await fs.readFile(path.join(dir, ENV_EXAMPLE_FILE), "utf8").catch(() => undefined);
+	const variables = example !== undefined ? getDeclaredVariables(example) : [];
+	if (variables.length === 0) {
+		return [];
+	}
+
+	const envPath = path.join(projectDir, ENV_FILE);
+	const env = readKeyValueFile(envPath);
+	const missing = variables
+		.map(variable => variable.key)
+		.filter(key => {
+			const value = process.env[key] ?? env.get(key);
+			return value === undefined || value === "" || /^your_/.test(value);
+		});
+	const name = "Open Cloud .env";
+	if (missing.length === 0) {
+		return [{ name, status: CheckStatus.Pass, message: "all variables set" }];
+	}
+	return [
+		{
+			name,
+			status: CheckStatus.Warn,
+			message: `${missing.join(", ")} not set, cloud tests cannot run`,
+			fix: (await fs.pathExists(envPath))
+				? `Fill in ${missing.join(", ")} in ${ENV_FILE}`
+				: `Copy ${ENV_EXAMPLE_FILE} to ${ENV_FILE} and fill in the values`,
+		},
+	];
+}
+
+/**
+ * Runs every check, in the order they are reported.
+ */
+export async function runChecks(context: DoctorContext) {
+	return [
+		await checkNode(context),
+		await checkGit(context),
+		await checkPackageManager(context),
+		...(await checkRokit(context)),
+		...(await checkRegistryAuth(context)),
+		await checkSymlinks(),
+		...(await checkEnv(context)),
+	];
+}
@@ -0,0 +1,59 @@
+import fs from "fs-extra";
+import path from "path";
+
+export const ENV_FILE = ".env";
+export const ENV_EXAMPLE_FILE = ".env.example";
+
+export interface EnvVariable {
+	key: string;
+	/** CLI option that sets the value */
+	option: "robloxApiKey" | "universeId" | "testPlaceId";
+	message: string;
+	/** Hide the value while typing */
+	secret?: boolean;
+	/** @returns an error message, or `undefined` if the value is valid */
+	validate?: (value: string) => string | undefined;
+}
+
+function validateId(value: string) {
+	if (value !== "" && !/^\d+$/.test(value)) {
+		return `"${value}" is not a numeric ID`;
+	}
+}
+
+/** Roblox Open Cloud settings used by the cloud test runner */
+export const ENV_VARIABLES: ReadonlyArray<EnvVariable> = [
+	{ key: "ROBLOX_API_KEY", option: "robloxApiKey", message: "Roblox Open Cloud API key", secret: true },
+	{ key: "UNIVERSE_ID", option: "universeId", message: "Universe ID", validate: validateId },
+	{ key: "TEST_PLACE_ID", option: "testPlaceId", message: "Test place ID", validate: validateId },
+];
+
+/**
+ * Lists the variables from `ENV_VARIABLES` that an env example file declares.
+ */
+export function getDeclaredVariables(example: string) {
+	return ENV_VARIABLES.filter(variable => new RegExp(`^\\s*${variable.key}\\s*=`, "m").test(example));
+}
+
+/**
+ * Fills in an env example. Lines of variables without a value keep their placeholder.
+ */
+export function renderEnv(example: string, values: Record<string, string | undefined>) {
+	return example.replace(/^(\s*)(\w+)(\s*=).*$/gm, (line, indent: string, key: string, equals: string) =>
+		values[key] !== undefined && values[key] !== "" ? `${indent}${key}${equals}${values[key]}` : line,
+	);
+}
+
+/**
+ * Writes `.env` from `.env.example`, unless the project already has one.
+ * @returns whether the file was written
+ */
+export async function writeEnvFile(cwd: string, values: Record<string, string | undefined>) {
+	const envPath = path.join(cwd, ENV_FILE);
+	const examplePath = path.join(cwd, ENV_EXAMPLE_FILE);
+	if ((await fs.pathExists(envPath)) || !(await fs.pathExists(examplePath))) {
+		return false;
+	}
+	await fs.outputFile(envPath, renderEnv(await fs.readFile(examplePath, "utf8"), values), { mode: 0o600 });
+	return true;
+}
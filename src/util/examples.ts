@@ -0,0 +1,110 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { InitError } from "../errors/InitError";
+import { getSourceRoot } from "./generate";
+import { toPosix } from "./templates";
+
+export interface ExampleModule {
+	folder: string;
+	name: string;
+	/** Path relative to the project */
+	file: string;
+	/** `__examples__/index.ts` runs the module, which is expected to export `createApp` */
+	hasCreateApp: boolean;
+}
+
+export interface RunConfig {
+	exampleFolder: string;
+	exampleName: string;
+}
+
+const EXAMPLES_DIR = "__examples__";
+const RUN_CONFIG_FILE = "run.json";
+
+const CREATE_APP_EXPORT =
+	/\bexport\s+(?:async\s+)?function\s+createApp\b|\bexport\s+(?:const|let)\s+createApp\b|\bexport\s*\{[^}]*\bcreateApp\b/;
+
+async function getExamplesDir(cwd: string) {
+	return path.join(await getSourceRoot(cwd), EXAMPLES_DIR);
+}
+
+/**
+ * Lists the example modules, one folder deep in `__examples__`, like `__examples__/index.ts` looks them up.
+ */
+export async function listExamples(cwd: string) {
+	const examplesDir = await getExamplesDir(cwd);
+	const examples = new Array<ExampleModule>();
+	if (!(await fs.pathExists(examplesDir))) {
+		return examples;
+	}
+
+	for (const folder of await fs.readdir(examplesDir, { withFileTypes: true })) {
+		if (!folder.isDirectory()) continue;
+		for (const entry of await fs.readdir(path.join(examplesDir, folder.name), { withFileTypes: true })) {
+			const match = /^(.+?)(?<!\.d)\.tsx?$/.exec(entry.name);
+			if (!entry.isFile() || !match) continue;
+			const filePath = path.join(examplesDir, folder.name, entry.name);
+			examples.push({
+				folder: folder.name,
+				name: match[1],
+				file: toPosix(path.relative(cwd, filePath)),
+				hasCreateApp: CREATE_APP_EXPORT.test(await fs.readFile(filePath, "utf8")),
+			});
+		}
+	}
+	return examples.sort((a, b) => `${a.folder}/${a.name}`.localeCompare(`${b.folder}/${b.name}`));
+}
+
+export async function readRunConfig(cwd: string): Promise<RunConfig | undefined> {
+	return fs.readJson(path.join(await getExamplesDir(cwd), RUN_CONFIG_FILE)).catch(() => undefined);
+}
+
+/**
+ * Points `run.json` at an example, keeping any other settings in the file.
+ */
+export async function writeRunConfig(cwd: string, example: ExampleModule) {
+	const file = path.join(await getExamplesDir(cwd), RUN_CONFIG_FILE);
+	const text = await fs.readFile(file, "utf8").catch(() => "{}");
+	const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+	const config = { ...JSON.parse(text), exampleFolder: example.folder, exampleName: example.name };
+	await fs.outputFile(file, JSON.stringify(config, undefined, indent) + "\n");
+}
+
+/**
+ * Finds an example by `<folder>/<name>`.
+ */
+export function findExample(examples: ReadonlyArray<ExampleModule>, id: string) {
+	const [folder, name] = id.split("/", 2);
+	return examples.find(example => example.folder === folder && example.name === name);
+}
+
+function formatExamples(examples: ReadonlyArray<ExampleModule>) {
+	return examples.map(example => `  - ${example.folder}/${example.name}\n`).join("");
+}
+
+/**
+ * Checks that `run.json` selects an example that exists and exports `createApp`,
+ * which `__examples__/index.ts` would otherwise only report at runtime.
+ */
+export async function checkSelectedExample(cwd: string) {
+	const config = await readRunConfig(cwd);
+	if (config === undefined) {
+		return undefined;
+	}
+
+	const examples = await listExamples(cwd);
+	const id = `${config.exampleFolder}/${config.exampleName}`;
+	const example = findExample(examples, id);
+	if (!example) {
+		throw new InitError(
+			`${RUN_CONFIG_FILE} selects the example ${kleur.yellow(id)}, which does not exist. ` +
+				`Available examples:\n${formatExamples(examples)}`,
+		);
+	}
+	if (!example.hasCreateApp) {
+		throw new InitError(`The selected example ${kleur.yellow(example.file)} does not export createApp`);
+	}
+	return example;
+}
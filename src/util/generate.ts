@@ -0,0 +1,259 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { GENERATORS_DIR, PROJECT_SCOPE } from "../constants";
+import { InitError } from "../errors/InitError";
+import { parseJsonc } from "./jsonMerge";
+import { toPosix } from "./templates";
+
+export enum GeneratorKind {
+	Plugin = "plugin",
+	System = "system",
+	Component = "component",
+	Resource = "resource",
+	Example = "example",
+	Test = "test",
+}
+
+export interface GenerateOptions {
+	kind: GeneratorKind;
+	name: string;
+	/** Plugin folder a system, component or resource belongs to */
+	plugin?: string;
+}
+
+export interface GenerateResult {
+	created: Array<string>;
+	updated: Array<string>;
+	warnings: Array<string>;
+}
+
+interface Names {
+	pascalName: string;
+	camelName: string;
+	/** snake_case, used for files and folders */
+	fileName: string;
+}
+
+/** Folder inside a plugin, or the source root, that holds each kind of module */
+const KIND_FOLDERS: { [K in GeneratorKind]?: string } = {
+	[GeneratorKind.System]: "systems",
+	[GeneratorKind.Component]: "components",
+	[GeneratorKind.Resource]: "resources",
+};
+
+/** The identifier each generator exports, to check for conflicts */
+const EXPORTED_NAMES: { [K in GeneratorKind]?: (names: Names) => string } = {
+	[GeneratorKind.Plugin]: names => `${names.pascalName}Plugin`,
+	[GeneratorKind.System]: names => `${names.camelName}System`,
+	[GeneratorKind.Component]: names => names.pascalName,
+	[GeneratorKind.Resource]: names => names.pascalName,
+};
+
+const FRAMEWORK = `${PROJECT_SCOPE}/bevy_framework`;
+
+/**
+ * Splits `playerMovement`, `PlayerMovement`, `player-movement` or `player_movement` into its words.
+ */
+function checkName(name: string) {
+	if (!/^[A-Za-z][\w-]*$/.test(name)) {
+		throw new InitError(`${kleur.yellow(name)} is not a valid name, use letters, digits, "-" and "_"`);
+	}
+}
+
+export function toNames(name: string): Names {
+	checkName(name);
+	const words = name
+		.replace(/([a-z\d])([A-Z])/g, "$1 $2")
+		.split(/[\s_-]+/)
+		.filter(word => word !== "")
+		.map(word => word.toLowerCase());
+	const pascalName = words.map(word => word[0].toUpperCase() + word.slice(1)).join("");
+	return { pascalName, camelName: pascalName[0].toLowerCase() + pascalName.slice(1), fileName: words.join("_") };
+}
+
+/**
+ * Reads `compilerOptions.rootDir` from the project's tsconfig.json, which roblox-ts defaults to `src`.
+ */
+export async function getSourceRoot(cwd: string) {
+	const tsconfigPath = path.join(cwd, "tsconfig.json");
+	if (!(await fs.pathExists(tsconfigPath))) {
+		throw new InitError(`${kleur.yellow(tsconfigPath)} not found, run this inside a roblox-ts project`);
+	}
+	const rootDir: string = parseJsonc(await fs.readFile(tsconfigPath, "utf8")).compilerOptions?.rootDir ?? "src";
+	return path.resolve(cwd, rootDir);
+}
+
+async function renderGenerator(kind: GeneratorKind, variables: Record<string, string>) {
+	const file = kind === GeneratorKind.Test ? "test.spec.ts" : `${kind}.ts`;
+	const text = await fs.readFile(path.join(GENERATORS_DIR, file), "utf8");
+	return text.replace(/\{\{(\w+)\}\}/g, (match, name: string) => variables[name] ?? match);
+}
+
+/**
+ * Finds source files that already export an identifier.
+ */
+async function findExports(rootDir: string, identifier: string) {
+	const declaration = new RegExp(
+		`\\bexport\\s+(?:declare\\s+)?(?:abstract\\s+)?(?:const|let|var|function|class|interface|type|enum|namespace)\\s+${identifier}\\b`,
+	);
+	const found = new Array<string>();
+	const visit = async (dir: string) => {
+		for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+			const fullPath = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				await visit(fullPath);
+			} else if (/\.tsx?$/.test(entry.name) && declaration.test(await fs.readFile(fullPath, "utf8"))) {
+				found.push(fullPath);
+			}
+		}
+	};
+	if (await fs.pathExists(rootDir)) {
+		await visit(rootDir);
+	}
+	return found;
+}
+
+/**
+ * Adds `export * from "./<module>";` to a barrel file, creating it when needed.
+ * @returns whether the file changed
+ */
+async function addBarrelExport(barrelPath: string, modulePath: string) {
+	const specifier = `./${toPosix(path.relative(path.dirname(barrelPath), modulePath)).replace(
+		/(\/index)?\.tsx?$/,
+		"",
+	)}`;
+	const line = `export * from "${specifier}";`;
+	const existing = (await fs.pathExists(barrelPath)) ? await fs.readFile(barrelPath, "utf8") : "";
+	if (existing.split(/\r?\n/).some(existingLine => existingLine.trim() === line)) {
+		return false;
+	}
+	await fs.outputFile(barrelPath, existing === "" ? `${line}\n` : `${existing.replace(/\s*$/, "\n")}${line}\n`);
+	return true;
+}
+
+/**
+ * Registers a new system in its plugin's `build`, next to the code the plugin generator wrote.
+ * @returns whether the plugin could be updated
+ */
+async function registerSystem(pluginPath: string, systemPath: string, systemName: string) {
+	let text = await fs.readFile(pluginPath, "utf8");
+	const build = /build\(app: App\): void \{(\})?/.exec(text);
+	if (!build) return false;
+	// the end of build(), as formatted by the plugin generator
+	const isEmpty = build[1] !== undefined;
+	const end = isEmpty ? build.index + build[0].length - 1 : text.indexOf("\n\t}", build.index);
+	if (end === -1) return false;
+
+	const specifier = `./${toPosix(path.relative(path.dirname(pluginPath), systemPath)).replace(/\.tsx?$/, "")}`;
+	const register = `\n\t\tapp.addSystems(Main, ${systemName});`;
+	text = text.slice(0, end) + register + (isEmpty ? "\n\t" : "") + text.slice(end);
+
+	const imports = [`import { ${systemName} } from "${specifier}";`];
+	if (!/\bMain\b/.test(text.slice(0, build.index))) {
+		imports.unshift(`import { Main } from "${FRAMEWORK}";`);
+	}
+	// after the last import, so the plugin keeps compiling whatever else it imports
+	const lines = text.split("\n");
+	let at = 0;
+	lines.forEach((line, index) => {
+		if (/^import .*;\s*$/.test(line)) {
+			at = index + 1;
+		}
+	});
+	lines.splice(at, 0, ...imports);
+	await fs.writeFile(pluginPath, lines.join("\n"));
+	return true;
+}
+
+async function readPackageName(cwd: string) {
+	const name: string | undefined = (await fs.readJson(path.join(cwd, "package.json")).catch(() => undefined))?.name;
+	return name?.split("/").pop();
+}
+
+/**
+ * Writes a module from `templates/generators` and wires it into the project's barrel files.
+ */
+export async function generate(cwd: string, options: GenerateOptions): Promise<GenerateResult> {
+	const rootDir = await getSourceRoot(cwd);
+	const result: GenerateResult = { created: [], updated: [], warnings: [] };
+	const variables: Record<string, string> = { framework: FRAMEWORK };
+
+	let filePath: string;
+	const barrels = new Array<[barrel: string, module: string]>();
+	let names: Names;
+	if (options.kind === GeneratorKind.Example) {
+		const [folder, name] = options.name.includes("/")
+			? options.name.split("/", 2)
+			: [(await readPackageName(cwd)) ?? "examples", options.name];
+		checkName(folder);
+		// examples are looked up by their file name from run.json, so it is kept as given
+		names = { ...toNames(name), fileName: name };
+		filePath = path.join(rootDir, "__examples__", folder, `${name}.ts`);
+		Object.assign(variables, { folder, title: `${folder}/${name}` });
+	} else if (options.kind === GeneratorKind.Test) {
+		names = toNames(options.name);
+		filePath = path.join(rootDir, "__tests__", `${names.fileName}.spec.ts`);
+		variables.title = options.name;
+	} else if (options.kind === GeneratorKind.Plugin) {
+		names = toNames(options.name);
+		const pluginDir = path.join(rootDir, names.fileName);
+		filePath = path.join(pluginDir, "plugin.ts");
+		barrels.push([path.join(pluginDir, "index.ts"), filePath], [path.join(rootDir, "index.ts"), pluginDir]);
+	} else {
+		names = toNames(options.name);
+		const parentDir = options.plugin !== undefined ? path.join(rootDir, toNames(options.plugin).fileName) : rootDir;
+		if (options.plugin !== undefined && !(await fs.pathExists(path.join(parentDir, "plugin.ts")))) {
+			throw new InitError(`Plugin ${kleur.yellow(options.plugin)} not found, generate it first`);
+		}
+		const kindDir = path.join(parentDir, KIND_FOLDERS[options.kind]!);
+		filePath = path.join(kindDir, `${names.fileName}.ts`);
+		barrels.push([path.join(kindDir, "index.ts"), filePath], [path.join(parentDir, "index.ts"), kindDir]);
+		if (options.plugin !== undefined) {
+			barrels.push([path.join(rootDir, "index.ts"), parentDir]);
+		}
+	}
+	Object.assign(variables, names);
+
+	const conflicts = new Array<string>();
+	if (await fs.pathExists(filePath)) {
+		conflicts.push(`${toPosix(path.relative(cwd, filePath))} already exists`);
+	}
+	const exportedName = EXPORTED_NAMES[options.kind]?.(names);
+	if (exportedName !== undefined) {
+		for (const file of await findExports(rootDir, exportedName)) {
+			conflicts.push(`${exportedName} is already exported by ${toPosix(path.relative(cwd, file))}`);
+		}
+	}
+	if (conflicts.length > 0) {
+		throw new InitError(
+			`Cannot generate ${options.kind} ${options.name}:\n${conflicts.map(v => `  - ${v}\n`).join("")}`,
+		);
+	}
+
+	await fs.outputFile(filePath, await renderGenerator(options.kind, variables));
+	result.created.push(filePath);
+
+	for (const [barrel, module] of barrels) {
+		const existed = await fs.pathExists(barrel);
+		if (await addBarrelExport(barrel, module)) {
+			(existed ? result.updated : result.created).push(barrel);
+		}
+	}
+
+	if (options.kind === GeneratorKind.System && options.plugin !== undefined) {
+		const pluginPath = path.join(rootDir, toNames(options.plugin).fileName, "plugin.ts");
+		if (await registerSystem(pluginPath, filePath, exportedName!)) {
+			result.updated.push(pluginPath);
+		} else {
+			result.warnings.push(
+				`Could not find build() in ${toPosix(path.relative(cwd, pluginPath))}, add the system by hand`,
+			);
+		}
+	}
+
+	result.created = result.created.map(file => toPosix(path.relative(cwd, file)));
+	result.updated = [...new Set(result.updated)].map(file => toPosix(path.relative(cwd, file)));
+	return result;
+}
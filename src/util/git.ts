@@ -0,0 +1,76 @@
+import fs from "fs-extra";
+import path from "path";
+
+import { cmd, quoteArg } from "./cmd";
+
+export function git(args: Array<string>, cwd: string) {
+	return cmd(["git", ...args].map(quoteArg).join(" "), cwd);
+}
+
+/**
+ * Reads a git config value, or `undefined` when it is not set.
+ */
+export async function getGitConfig(key: string, cwd: string) {
+	try {
+		const value = (await git(["config", "--get", key], cwd)).trim();
+		return value.length > 0 ? value : undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Formats the configured git user as an npm `author` string, e.g. `Jane Doe <jane@example.com>`.
+ */
+export async function getGitAuthor(cwd: string) {
+	const name = await getGitConfig("user.name", cwd);
+	const email = await getGitConfig("user.email", cwd);
+	return [name, email && `<${email}>`].filter(v => v).join(" ");
+}
+
+/**
+ * Finds the top level of the git work tree that contains `dir`, or `undefined` when it is not inside one.
+ * `dir` does not need to exist yet.
+ */
+export async function findWorkTree(dir: string) {
+	let existing = path.resolve(dir);
+	while (!(await fs.pathExists(existing)) && path.dirname(existing) !== existing) {
+		existing = path.dirname(existing);
+	}
+	try {
+		const topLevel = (await git(["rev-parse", "--show-toplevel"], existing)).trim();
+		return topLevel.length > 0 ? path.resolve(topLevel) : undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Writes a pre-commit hook that runs `commands` in the project, which may be a folder of a larger repository.
+ * An existing hook is left alone.
+ * @returns the hook's path, or `undefined` if the repository already has a pre-commit hook or `core.hooksPath`
+ * disables hooks, e.g. by pointing at `/dev/null`
+ */
+export async function installPreCommitHook(cwd: string, commands: ReadonlyArray<string>) {
+	const hooksDir = path.resolve(cwd, (await git(["rev-parse", "--git-path", "hooks"], cwd)).trim());
+	const hookPath = path.join(hooksDir, "pre-commit");
+	const isDirectory = await fs.stat(hooksDir).then(
+		stats => stats.isDirectory(),
+		() => true,
+	);
+	if (!isDirectory || (await fs.pathExists(hookPath))) {
+		return undefined;
+	}
+
+	const topLevel = (await git(["rev-parse", "--show-toplevel"], cwd)).trim();
+	const relative = path.relative(topLevel, cwd).split(path.sep).join("/");
+	const lines = [
+		"#!/bin/sh",
+		"# Installed by create-bevy: lint and build the project before every commit",
+		...(relative !== "" ? [`cd "$(git rev-parse --show-toplevel)/${relative}" || exit 1`] : []),
+		...commands.map(command => `${command} || exit 1`),
+		"",
+	];
+	await fs.outputFile(hookPath, lines.join("\n"), { mode: 0o755 });
+	return hookPath;
+}
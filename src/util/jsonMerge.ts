@@ -0,0 +1,128 @@
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Json = any;
+
+/** JSON files merged key by key in `--merge` mode, and the top-level fields merged for each */
+export const MERGEABLE_JSON: Record<string, ReadonlyArray<string> | undefined> = {
+	"package.json": ["scripts", "dependencies", "devDependencies", "peerDependencies", "optionalDependencies"],
+	"tsconfig.json": undefined,
+	"default.project.json": ["tree", "globIgnorePaths"],
+};
+
+export interface JsonMergeResult {
+	value: Json;
+	/** Key paths where the existing value was kept over a different template value */
+	conflicts: Array<string>;
+}
+
+/**
+ * @returns the index of the quote that closes the string starting at `start`
+ */
+function skipString(text: string, start: number) {
+	let i = start + 1;
+	for (; i < text.length && text[i] !== '"'; i++) {
+		if (text[i] === "\\") i++;
+	}
+	return i;
+}
+
+function stripComments(text: string) {
+	let output = "";
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (char === '"') {
+			const start = i;
+			i = skipString(text, i);
+			output += text.slice(start, i + 1);
+		} else if (char === "/" && text[i + 1] === "/") {
+			while (i < text.length && text[i] !== "\n") i++;
+			output += "\n";
+		} else if (char === "/" && text[i + 1] === "*") {
+			i = text.indexOf("*/", i + 2);
+			if (i === -1) break;
+			i++;
+		} else {
+			output += char;
+		}
+	}
+	return output;
+}
+
+/** Whitespace up to the end of an object or array, matched at `lastIndex` */
+const CLOSING_BRACKET = /\s*[}\]]/y;
+
+/** Expects the comments to be stripped already */
+function stripTrailingCommas(text: string) {
+	let output = "";
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (char === '"') {
+			const start = i;
+			i = skipString(text, i);
+			output += text.slice(start, i + 1);
+		} else if (char === ",") {
+			CLOSING_BRACKET.lastIndex = i + 1;
+			if (!CLOSING_BRACKET.test(text)) {
+				output += char;
+			}
+		} else {
+			output += char;
+		}
+	}
+	return output;
+}
+
+/**
+ * Parses JSON with comments and trailing commas, as used by `tsconfig.json`.
+ */
+export function parseJsonc(text: string): Json {
+	return JSON.parse(stripTrailingCommas(stripComments(text)));
+}
+
+/**
+ * Checks whether a JSON file has comments, which writing it back with `JSON.stringify` would drop.
+ */
+export function hasJsonComments(text: string) {
+	return stripComments(text) !== text;
+}
+
+function isObject(value: Json): value is Record<string, Json> {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function mergeValues(existing: Json, incoming: Json, keyPath: string, conflicts: Array<string>): Json {
+	if (isObject(existing) && isObject(incoming)) {
+		const merged = { ...existing };
+		for (const [key, value] of Object.entries(incoming)) {
+			merged[key] = key in existing ? mergeValues(existing[key], value, `${keyPath}.${key}`, conflicts) : value;
+		}
+		return merged;
+	}
+
+	if (Array.isArray(existing) && Array.isArray(incoming)) {
+		const serialized = new Set(existing.map(value => JSON.stringify(value)));
+		return [...existing, ...incoming.filter(value => !serialized.has(JSON.stringify(value)))];
+	}
+
+	if (JSON.stringify(existing) !== JSON.stringify(incoming)) {
+		conflicts.push(keyPath);
+	}
+	return existing;
+}
+
+/**
+ * Merges a template's JSON into an existing file. Existing values always win, missing keys are added,
+ * and arrays are combined. Only `fields` are merged when given; other top-level fields stay as they are.
+ */
+export function mergeJson(existing: Json, incoming: Json, fields?: ReadonlyArray<string>): JsonMergeResult {
+	const conflicts = new Array<string>();
+	if (!isObject(existing) || !isObject(incoming)) {
+		return { value: mergeValues(existing, incoming, "", conflicts), conflicts };
+	}
+
+	const value = { ...existing };
+	for (const key of fields ?? Object.keys(incoming)) {
+		if (!(key in incoming)) continue;
+		value[key] = key in existing ? mergeValues(existing[key], incoming[key], key, conflicts) : incoming[key];
+	}
+	return { value, conflicts };
+}
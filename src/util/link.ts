@@ -0,0 +1,301 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { LINKS_FILE, PROJECT_SCOPE, USER_CONFIG_DIR } from "../constants";
+import { InitError } from "../errors/InitError";
+import { satisfiesRange } from "./versions";
+
+export enum LinkStatus {
+	Linked = "linked",
+	Installed = "installed",
+	Missing = "missing",
+}
+
+export enum LinkSource {
+	Config = "config",
+	Sibling = "sibling",
+}
+
+export interface LinkConfig {
+	/** Package name to local checkout, relative to the config file */
+	packages: Record<string, string>;
+	/** Folders searched for checkouts of packages without an entry, relative to the config file */
+	searchPaths: Array<string>;
+}
+
+export interface PackageLink {
+	name: string;
+	status: LinkStatus;
+	/** `peerDependencies` range the local checkout has to satisfy */
+	range?: string;
+	/** Local checkout, either the linked one or the one `link` would use */
+	target?: string;
+	source?: LinkSource;
+	/** Version in the local checkout's package.json */
+	version?: string;
+	/** Reasons the local checkout should not be linked */
+	issues: Array<string>;
+}
+
+interface LinkStateEntry {
+	target: string;
+	/** The installed copy was moved aside and is restored by `unlink` */
+	backup: boolean;
+}
+
+/** Kept inside node_modules, so a clean install also forgets every link */
+const STATE_FILE = ".create-bevy-links.json";
+const BACKUP_DIR = ".create-bevy-links";
+
+function getModulePath(cwd: string, name: string) {
+	return path.join(cwd, "node_modules", name);
+}
+
+function getBackupPath(cwd: string, name: string) {
+	return path.join(cwd, "node_modules", BACKUP_DIR, name);
+}
+
+async function readLinkConfigFile(file: string, config: LinkConfig) {
+	if (!(await fs.pathExists(file))) return;
+
+	let data: unknown;
+	try {
+		data = await fs.readJson(file);
+	} catch (error) {
+		throw new InitError(`Link config ${kleur.yellow(file)} is not valid JSON\n${(error as Error).message}`);
+	}
+
+	if (typeof data !== "object" || data === null || Array.isArray(data)) {
+		throw new InitError(`Invalid link config ${kleur.yellow(file)}: the config must be an object`);
+	}
+
+	const issues = new Array<string>();
+	const record = data as Record<string, unknown>;
+	for (const key of Object.keys(record)) {
+		if (key !== "$schema" && key !== "packages" && key !== "searchPaths") {
+			issues.push(`unknown property "${key}"`);
+		}
+	}
+
+	const packages = record.packages ?? {};
+	if (typeof packages !== "object" || packages === null || Array.isArray(packages)) {
+		issues.push(`"packages" must be an object`);
+	} else {
+		for (const [name, dir] of Object.entries(packages)) {
+			if (typeof dir !== "string") {
+				issues.push(`packages["${name}"] must be a string`);
+			} else {
+				config.packages[name] = path.resolve(path.dirname(file), dir);
+			}
+		}
+	}
+
+	const searchPaths = record.searchPaths ?? [];
+	if (!Array.isArray(searchPaths) || !searchPaths.every(v => typeof v === "string")) {
+		issues.push(`"searchPaths" must be an array of strings`);
+	} else {
+		config.searchPaths.unshift(...searchPaths.map(dir => path.resolve(path.dirname(file), dir)));
+	}
+
+	if (issues.length > 0) {
+		throw new InitError(`Invalid link config ${kleur.yellow(file)}:\n${issues.map(v => `  - ${v}\n`).join("")}`);
+	}
+}
+
+/**
+ * Loads `~/.create-bevy/bevy-links.json` and then the project's `bevy-links.json`, which wins.
+ * Checkouts are searched next to the project when no search paths are configured.
+ */
+export async function readLinkConfig(cwd: string) {
+	const config: LinkConfig = { packages: {}, searchPaths: [] };
+	await readLinkConfigFile(path.join(USER_CONFIG_DIR, LINKS_FILE), config);
+	await readLinkConfigFile(path.join(cwd, LINKS_FILE), config);
+	config.searchPaths.push(path.dirname(cwd));
+	return config;
+}
+
+async function readPackageName(dir: string): Promise<string | undefined> {
+	return (await fs.readJson(path.join(dir, "package.json")).catch(() => undefined))?.name;
+}
+
+/**
+ * Finds the local checkout of a package: the configured path, a folder named after the package
+ * in one of the search paths, or any folder there whose package.json has the package's name.
+ */
+async function findCheckout(name: string, cwd: string, config: LinkConfig) {
+	const configured = config.packages[name];
+	if (configured !== undefined) {
+		return { dir: configured, source: LinkSource.Config };
+	}
+
+	const folderName = name.split("/").pop()!;
+	for (const searchPath of config.searchPaths) {
+		const candidate = path.join(searchPath, folderName);
+		if (candidate !== cwd && (await readPackageName(candidate)) === name) {
+			return { dir: candidate, source: LinkSource.Sibling };
+		}
+	}
+	for (const searchPath of config.searchPaths) {
+		if (!(await fs.pathExists(searchPath))) continue;
+		for (const entry of await fs.readdir(searchPath, { withFileTypes: true })) {
+			const candidate = path.join(searchPath, entry.name);
+			if (entry.isDirectory() && candidate !== cwd && (await readPackageName(candidate)) === name) {
+				return { dir: candidate, source: LinkSource.Sibling };
+			}
+		}
+	}
+	return undefined;
+}
+
+async function readLinkState(cwd: string): Promise<Record<string, LinkStateEntry>> {
+	return fs.readJson(path.join(cwd, "node_modules", STATE_FILE)).catch(() => ({}));
+}
+
+async function writeLinkState(cwd: string, state: Record<string, LinkStateEntry>) {
+	const file = path.join(cwd, "node_modules", STATE_FILE);
+	if (Object.keys(state).length === 0) {
+		await fs.remove(file);
+		await fs.remove(path.join(cwd, "node_modules", BACKUP_DIR));
+	} else {
+		await fs.outputJson(file, state, { spaces: "\t" });
+	}
+}
+
+/**
+ * A link is a symlink to the checkout's `out/`, like `link` creates.
+ * An install replaces it with a regular package.
+ */
+async function isLinked(cwd: string, name: string, target: string) {
+	const modulePath = getModulePath(cwd, name);
+	const link = await fs.readlink(modulePath).catch(() => undefined);
+	return link !== undefined && path.resolve(path.dirname(modulePath), link) === path.join(target, "out");
+}
+
+/**
+ * Lists the project's dependencies in the `@white-dragon-bevy` scope, with their `peerDependencies` range.
+ */
+async function getScopedDependencies(cwd: string) {
+	const packageJson = await fs.readJson(path.join(cwd, "package.json")).catch(() => {
+		throw new InitError(`${kleur.yellow(path.join(cwd, "package.json"))} not found`);
+	});
+	const dependencies = new Map<string, string | undefined>();
+	for (const field of ["dependencies", "devDependencies", "peerDependencies"]) {
+		for (const name of Object.keys(packageJson[field] ?? {})) {
+			if (name.startsWith(`${PROJECT_SCOPE}/`)) {
+				dependencies.set(name, packageJson.peerDependencies?.[name]);
+			}
+		}
+	}
+	return dependencies;
+}
+
+/**
+ * Expands `bevy_framework` to `@white-dragon-bevy/bevy_framework`.
+ */
+export function toPackageName(name: string) {
+	return name.startsWith("@") ? name : `${PROJECT_SCOPE}/${name}`;
+}
+
+/**
+ * Describes every scoped dependency: whether it is linked, and which local checkout it is (or would be) linked to.
+ */
+export async function getPackageLinks(cwd: string) {
+	const config = await readLinkConfig(cwd);
+	const state = await readLinkState(cwd);
+	const links = new Array<PackageLink>();
+
+	for (const [name, range] of await getScopedDependencies(cwd)) {
+		const linked = state[name] !== undefined && (await isLinked(cwd, name, state[name].target));
+		const status = linked
+			? LinkStatus.Linked
+			: (await fs.pathExists(getModulePath(cwd, name)))
+			? LinkStatus.Installed
+			: LinkStatus.Missing;
+		const checkout = linked
+			? { dir: state[name].target, source: undefined }
+			: await findCheckout(name, cwd, config);
+
+		const link: PackageLink = { name, status, range, target: checkout?.dir, source: checkout?.source, issues: [] };
+		if (checkout) {
+			const packageJson = await fs.readJson(path.join(checkout.dir, "package.json")).catch(() => undefined);
+			link.version = packageJson?.version;
+			if (!packageJson) {
+				link.issues.push(`${checkout.dir} has no package.json`);
+			} else if (packageJson.name !== name) {
+				link.issues.push(`${checkout.dir} is ${packageJson.name ?? "an unnamed package"}`);
+			}
+			if (!(await fs.pathExists(path.join(checkout.dir, "out")))) {
+				link.issues.push(`out/ is not built, run the build in ${checkout.dir}`);
+			}
+			if (range !== undefined && link.version !== undefined && !satisfiesRange(link.version, range)) {
+				link.issues.push(`version ${link.version} does not satisfy the peerDependencies range ${range}`);
+			}
+		}
+		links.push(link);
+	}
+	return links;
+}
+
+/**
+ * Replaces the installed copies of the given packages with links to their local checkouts.
+ * The installed copies are moved aside, so `unlinkPackages` can restore them without reinstalling.
+ */
+export async function linkPackages(cwd: string, links: ReadonlyArray<PackageLink>) {
+	const state = await readLinkState(cwd);
+	for (const link of links) {
+		const target = link.target!;
+		const modulePath = getModulePath(cwd, link.name);
+		const existing = state[link.name];
+
+		if (existing !== undefined && (await isLinked(cwd, link.name, existing.target))) {
+			await fs.remove(modulePath);
+		} else if (await fs.pathExists(modulePath)) {
+			await fs.move(modulePath, getBackupPath(cwd, link.name), { overwrite: true });
+			state[link.name] = { target, backup: true };
+		} else {
+			state[link.name] = { target, backup: false };
+		}
+		state[link.name].target = target;
+
+		// packages are published from out/, so the link mirrors the installed layout
+		await fs.ensureDir(path.dirname(modulePath));
+		await fs.symlink(path.join(target, "out"), modulePath, "junction");
+		await writeLinkState(cwd, state);
+	}
+}
+
+/**
+ * Removes links and moves the installed copies back.
+ * @returns the packages that were not installed before they were linked, and need an install
+ */
+export async function unlinkPackages(cwd: string, names: ReadonlyArray<string>) {
+	const state = await readLinkState(cwd);
+	const notRestored = new Array<string>();
+	for (const name of names) {
+		const entry = state[name];
+		if (entry === undefined) continue;
+
+		const modulePath = getModulePath(cwd, name);
+		if (await isLinked(cwd, name, entry.target)) {
+			await fs.remove(modulePath);
+			const backupPath = getBackupPath(cwd, name);
+			// lstat, since a relative symlink from pnpm only resolves back in its original place
+			if (entry.backup && (await fs.lstat(backupPath).catch(() => undefined))) {
+				await fs.move(backupPath, modulePath);
+			} else {
+				notRestored.push(name);
+			}
+		}
+		delete state[name];
+		await writeLinkState(cwd, state);
+	}
+	return notRestored;
+}
+
+/**
+ * Lists the packages `link` currently manages.
+ */
+export async function getLinkedPackages(cwd: string) {
+	return Object.keys(await readLinkState(cwd));
+}
@@ -0,0 +1,173 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { LogService } from "../classes/LogService";
+import { BACKUP_DIR } from "../constants";
+import { colorDiff, createDiff } from "./diff";
+import { hasJsonComments, MERGEABLE_JSON, mergeJson, parseJsonc } from "./jsonMerge";
+import { planTemplateFiles, renderTemplateFile, Template } from "./templates";
+import { TemplateContext } from "./templating";
+
+export enum OverwriteMode {
+	/** Stop if any file would be overwritten */
+	Refuse = "refuse",
+	/** Back up existing files, then overwrite them */
+	Force = "force",
+	/** Only write missing files and merge known JSON files */
+	Merge = "merge",
+}
+
+export interface MergeConflict {
+	file: string;
+	/** Diff from the existing file to the template file, for files that cannot be merged */
+	diff?: string;
+	/** JSON key paths where the existing value was kept */
+	keys?: Array<string>;
+	/** A JSON file with comments that was not merged, because rewriting it would drop them */
+	commented?: boolean;
+}
+
+/**
+ * What a project had before a template was merged into it. The steps after merging leave these alone,
+ * so merging only adds to the project.
+ */
+export interface ExistingProject {
+	/** Project-relative paths of the files */
+	files: ReadonlyArray<string>;
+	/** package.json scripts */
+	scripts: ReadonlyArray<string>;
+	/** Names from every package.json dependency field */
+	dependencies: ReadonlyArray<string>;
+	/** Whether package.json pinned a package manager */
+	packageManager: boolean;
+}
+
+export interface MergeReport {
+	written: Array<string>;
+	merged: Array<string>;
+	unchanged: Array<string>;
+	conflicts: Array<MergeConflict>;
+}
+
+/**
+ * Lists which of the given project-relative paths already exist as files.
+ */
+export async function findExistingFiles(cwd: string, relativePaths: ReadonlyArray<string>) {
+	const existing = new Array<string>();
+	for (const relative of new Set(relativePaths)) {
+		const filePath = path.join(cwd, relative);
+		if (await fs.pathExists(filePath)) {
+			const stat = await fs.lstat(filePath);
+			if (!stat.isDirectory() || (await fs.readdir(filePath)).length > 0) {
+				existing.push(relative);
+			}
+		}
+	}
+	return existing;
+}
+
+/**
+ * Copies files into a timestamped folder under `.create-bevy-backup` before they are overwritten.
+ * @returns the backup folder
+ */
+export async function backupFiles(cwd: string, relativePaths: ReadonlyArray<string>) {
+	const backupDir = path.join(cwd, BACKUP_DIR, new Date().toISOString().replace(/[:.]/g, "-"));
+	for (const relative of relativePaths) {
+		await fs.copy(path.join(cwd, relative), path.join(backupDir, relative));
+	}
+	return backupDir;
+}
+
+async function mergeFile(cwd: string, dest: string, rendered: string | Buffer, report: MergeReport) {
+	const filePath = path.join(cwd, dest);
+	const existing = await fs.readFile(filePath);
+	if (existing.equals(Buffer.from(rendered))) {
+		report.unchanged.push(dest);
+		return;
+	}
+
+	const fileName = path.posix.basename(dest);
+	const text = existing.toString("utf8");
+	let commented = false;
+	if (fileName in MERGEABLE_JSON && typeof rendered === "string") {
+		let original;
+		let merged;
+		try {
+			original = parseJsonc(text);
+			merged = mergeJson(original, parseJsonc(rendered), MERGEABLE_JSON[fileName]);
+		} catch {
+			// fall through and report a diff, the existing file is not valid JSON
+		}
+		const changed = merged !== undefined && JSON.stringify(merged.value) !== JSON.stringify(original);
+		// rewriting a tsconfig.json with comments would lose them, so it is kept as it is
+		commented = changed && hasJsonComments(text);
+		if (merged && !commented) {
+			if (changed) {
+				const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+				const newline = text.endsWith("\n") ? "\n" : "";
+				await fs.outputFile(filePath, JSON.stringify(merged.value, undefined, indent) + newline);
+				report.merged.push(dest);
+			} else {
+				report.unchanged.push(dest);
+			}
+			if (merged.conflicts.length > 0) {
+				report.conflicts.push({ file: dest, keys: merged.conflicts });
+			}
+			return;
+		}
+	}
+
+	report.conflicts.push({
+		file: dest,
+		diff: typeof rendered === "string" ? createDiff(text, rendered, dest, `template/${dest}`) : undefined,
+		commented: commented || undefined,
+	});
+}
+
+/**
+ * Copies a template into an existing project. Missing files are written, identical files are skipped,
+ * known JSON files are merged, and every other existing file is kept and reported as a conflict.
+ */
+export async function mergeTemplate(template: Template, cwd: string, context: TemplateContext) {
+	const report: MergeReport = { written: [], merged: [], unchanged: [], conflicts: [] };
+	for (const file of await planTemplateFiles(template, context)) {
+		const dest = path.join(cwd, file.dest);
+		const rendered = await renderTemplateFile(file, context);
+		if (await fs.pathExists(dest)) {
+			await mergeFile(cwd, file.dest, rendered, report);
+		} else {
+			await fs.outputFile(dest, rendered);
+			await fs.chmod(dest, (await fs.stat(file.src)).mode);
+			report.written.push(file.dest);
+		}
+	}
+	return report;
+}
+
+/**
+ * Prints what a merge did, with a diff for every file that was kept because it differs from the template.
+ */
+export function printMergeReport(report: MergeReport) {
+	LogService.writeLine(
+		`Merged template: ${report.written.length} written, ${report.merged.length} merged, ` +
+			`${report.unchanged.length} unchanged, ${report.conflicts.length} conflicting`,
+	);
+	for (const { file, diff, keys, commented } of report.conflicts) {
+		if (keys) {
+			LogService.warn(`Kept existing values in ${kleur.yellow(file)}: ${keys.join(", ")}`);
+		} else if (commented) {
+			LogService.warn(
+				`Kept existing ${kleur.yellow(file)}, merging the template into it would drop its comments`,
+			);
+			if (diff) {
+				LogService.writeLine(colorDiff(diff));
+			}
+		} else {
+			LogService.warn(`Kept existing ${kleur.yellow(file)}, it differs from the template`);
+			if (diff) {
+				LogService.writeLine(colorDiff(diff));
+			}
+		}
+	}
+}
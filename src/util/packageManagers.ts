@@ -0,0 +1,324 @@
+import fs from "fs-extra";
+import { lookpath } from "lookpath";
+import path from "path";
+
+import { getToolVersion } from "./cmd";
+import { ExistingProject } from "./overwrite";
+import { parseYaml } from "./yaml";
+
+export enum PackageManager {
+	NPM = "npm",
+	PNPM = "pnpm",
+	Yarn = "yarn",
+	YarnBerry = "yarn-berry",
+	Bun = "bun",
+}
+
+export interface PackageManagerAdapter {
+	/** Executable, and the name used in the `packageManager` field */
+	command: string;
+	title: string;
+	lockfile: string;
+	/** Provided by corepack, which activates the exact version pinned in `packageManager` */
+	corepack: boolean;
+	/** Version range `corepack use` resolves when nothing pins a version */
+	latest: string;
+	install: string;
+	frozenInstall: string;
+	add: string;
+	run: string;
+	/** GitHub Actions steps that make the manager available, run after `actions/setup-node` */
+	ciSteps: (name: string) => Array<string>;
+}
+
+export interface PackageManagerSetup {
+	manager: PackageManager;
+	/** Exact version to pin in `packageManager`, from the template or the installed manager */
+	version?: string;
+	/** Whether corepack is installed, and so can provide pnpm and Yarn */
+	corepack: boolean;
+}
+
+export const packageManagers: { [K in PackageManager]: PackageManagerAdapter } = {
+	[PackageManager.NPM]: {
+		command: "npm",
+		title: "npm",
+		lockfile: "package-lock.json",
+		corepack: false,
+		latest: "latest",
+		install: "npm install",
+		frozenInstall: "npm ci",
+		add: "npm install",
+		run: "npm run",
+		ciSteps: () => [],
+	},
+	[PackageManager.PNPM]: {
+		command: "pnpm",
+		title: "pnpm",
+		lockfile: "pnpm-lock.yaml",
+		corepack: true,
+		latest: "latest",
+		install: "pnpm install",
+		frozenInstall: "pnpm install --frozen-lockfile",
+		add: "pnpm add",
+		run: "pnpm run",
+		// the action reads the version from `packageManager`
+		ciSteps: name => [`- name: ${name}`, "  uses: pnpm/action-setup@v4"],
+	},
+	[PackageManager.Yarn]: {
+		command: "yarn",
+		title: "Yarn",
+		lockfile: "yarn.lock",
+		corepack: true,
+		latest: "1",
+		install: "yarn install",
+		frozenInstall: "yarn install --frozen-lockfile",
+		add: "yarn add",
+		run: "yarn run",
+		ciSteps: name => [`- name: ${name}`, "  run: corepack enable"],
+	},
+	[PackageManager.YarnBerry]: {
+		command: "yarn",
+		title: "Yarn Berry",
+		lockfile: "yarn.lock",
+		corepack: true,
+		latest: "stable",
+		install: "yarn install",
+		frozenInstall: "yarn install --immutable",
+		add: "yarn add",
+		run: "yarn run",
+		ciSteps: name => [`- name: ${name}`, "  run: corepack enable"],
+	},
+	[PackageManager.Bun]: {
+		command: "bun",
+		title: "Bun",
+		lockfile: "bun.lock",
+		corepack: false,
+		latest: "latest",
+		install: "bun install",
+		frozenInstall: "bun install --frozen-lockfile",
+		add: "bun add",
+		run: "bun run",
+		ciSteps: name => [`- name: ${name}`, "  uses: oven-sh/setup-bun@v2"],
+	},
+};
+
+/** Lockfiles of every manager, removed when they do not belong to the chosen one */
+export const LOCKFILES = ["package-lock.json", "pnpm-lock.yaml", "yarn.lock", "bun.lock", "bun.lockb"];
+
+/** Where pnpm reads its workspace settings, e.g. `packages` and `publicHoistPattern` */
+export const PNPM_WORKSPACE_FILE = "pnpm-workspace.yaml";
+export const YARNRC_FILE = ".yarnrc.yml";
+
+/** `npm install`, `pnpm run build`, `yarn test` and the like, with any flags right after them */
+const COMMAND = /(^|[\s;&|(])(npm|pnpm|yarn|bun) (ci|install|i|add|run|test|start)\b((?: +--?[\w-]+)*)/gm;
+const FROZEN_FLAGS = new Set(["--frozen-lockfile", "--immutable", "--frozen"]);
+
+/**
+ * Reads a `packageManager` field such as `pnpm@10.15.0+sha512.abc`. Yarn 2 and later is Yarn Berry.
+ */
+export function parsePackageManagerField(field: unknown) {
+	const match = typeof field === "string" ? /^(npm|pnpm|yarn|bun)@(\d+\.\d+\.\d+[^+]*)/.exec(field) : null;
+	if (!match) return undefined;
+	const [, name, version] = match;
+	const manager =
+		name === "yarn" && Number(version.split(".")[0]) >= 2 ? PackageManager.YarnBerry : (name as PackageManager);
+	return { manager, version };
+}
+
+/**
+ * Works out which manager an existing project uses, from its `packageManager` field or else its lockfile.
+ */
+export async function getProjectPackageManager(cwd: string, packageJson: { packageManager?: unknown }) {
+	const pinned = parsePackageManagerField(packageJson.packageManager);
+	if (pinned) return pinned;
+	for (const manager of Object.values(PackageManager)) {
+		if (manager === PackageManager.Yarn && (await fs.pathExists(path.join(cwd, YARNRC_FILE)))) continue;
+		const { lockfile } = packageManagers[manager];
+		if (await fs.pathExists(path.join(cwd, lockfile))) {
+			return { manager, version: undefined };
+		}
+	}
+	if (await fs.pathExists(path.join(cwd, "bun.lockb"))) {
+		return { manager: PackageManager.Bun, version: undefined };
+	}
+	return { manager: PackageManager.NPM, version: undefined };
+}
+
+/**
+ * Finds the package managers that can be used, directly or through corepack.
+ */
+export async function detectPackageManagers() {
+	const [npm, pnpm, yarn, bun, corepack] = (
+		await Promise.allSettled(["npm", "pnpm", "yarn", "bun", "corepack"].map(v => lookpath(v)))
+	).map(v => (v.status === "fulfilled" ? v.value !== undefined : true));
+	const available: { [K in PackageManager]: boolean } = {
+		[PackageManager.NPM]: npm,
+		[PackageManager.PNPM]: pnpm || corepack,
+		[PackageManager.Yarn]: yarn || corepack,
+		[PackageManager.YarnBerry]: yarn || corepack,
+		[PackageManager.Bun]: bun,
+	};
+	return { available, corepack };
+}
+
+/**
+ * Picks the version to pin: the template's when it uses the same manager, otherwise the installed one.
+ */
+export async function resolvePackageManagerVersion(manager: PackageManager, templateField: unknown, cwd: string) {
+	const pinned = parsePackageManagerField(templateField);
+	if (pinned?.manager === manager) {
+		return pinned.version;
+	}
+	const installed = await getToolVersion(packageManagers[manager].command, cwd);
+	const major = Number(installed?.split(".")[0]);
+	if (manager === PackageManager.Yarn && major >= 2) return undefined;
+	if (manager === PackageManager.YarnBerry && major < 2) return undefined;
+	return installed;
+}
+
+/**
+ * Runs the manager through corepack when it can, so the pinned version is used whatever is installed globally.
+ */
+function withCorepack(setup: PackageManagerSetup, command: string) {
+	return packageManagers[setup.manager].corepack && setup.corepack ? `corepack ${command}` : command;
+}
+
+export function getInstallCommand(setup: PackageManagerSetup) {
+	const adapter = packageManagers[setup.manager];
+	if (setup.version === undefined && adapter.corepack && setup.corepack) {
+		// pins the resolved version in `packageManager` and installs with it
+		return `corepack use ${adapter.command}@${adapter.latest}`;
+	}
+	return withCorepack(setup, adapter.install);
+}
+
+export function getFrozenInstallCommand(setup: PackageManagerSetup) {
+	return withCorepack(setup, packageManagers[setup.manager].frozenInstall);
+}
+
+export function getRunCommand(setup: PackageManagerSetup, script: string) {
+	return withCorepack(setup, `${packageManagers[setup.manager].run} ${script}`);
+}
+
+/**
+ * Rewrites npm, pnpm, Yarn and Bun commands for another manager, e.g. `pnpm install --frozen-lockfile` to `npm ci`.
+ * `npx` is left alone, as every manager ships with Node.js.
+ */
+export function rewriteCommands(text: string, manager: PackageManager) {
+	const adapter = packageManagers[manager];
+	return text.replace(
+		COMMAND,
+		(match, prefix: string, _: string, subcommand: string, flagText: string, offset: number, whole: string) => {
+			const flags = flagText.trim() === "" ? [] : flagText.trim().split(/ +/);
+			const rest = (keep: Array<string>) => keep.map(flag => ` ${flag}`).join("");
+			if (subcommand === "run") {
+				return `${prefix}${adapter.run}${rest(flags)}`;
+			}
+			if (subcommand === "test" || subcommand === "start") {
+				return `${prefix}${adapter.run} ${subcommand}${rest(flags)}`;
+			}
+			const frozen = subcommand === "ci" || flags.some(flag => FROZEN_FLAGS.has(flag));
+			const others = flags.filter(flag => !FROZEN_FLAGS.has(flag));
+			const hasPackages = /^ +[^\s;&|)-]/.test(whole.slice(offset + match.length));
+			if (hasPackages && subcommand !== "ci") {
+				return `${prefix}${adapter.add}${rest(others)}`;
+			}
+			return `${prefix}${frozen ? adapter.frozenInstall : adapter.install}${rest(others)}`;
+		},
+	);
+}
+
+/**
+ * Turns `@scope:registry=url` lines of `.npmrc` into Yarn Berry `npmScopes`, which ignores `.npmrc`.
+ */
+async function writeYarnrc(cwd: string) {
+	const npmrc = await fs.readFile(path.join(cwd, ".npmrc"), "utf8").catch(() => "");
+	const lines = ["nodeLinker: node-modules", ""];
+	const scopes = new Array<string>();
+	for (const line of npmrc.split(/\r?\n/)) {
+		const match = /^@([^:\s]+):registry\s*=\s*(\S+)/.exec(line.trim());
+		if (match) {
+			scopes.push(
+				`  ${match[1]}:`,
+				`    npmRegistryServer: "${match[2]}"`,
+				`    npmAuthToken: "\${NODE_AUTH_TOKEN:-}"`,
+			);
+		}
+	}
+	if (scopes.length > 0) {
+		lines.push("npmScopes:", ...scopes, "");
+	}
+	await fs.outputFile(path.join(cwd, YARNRC_FILE), lines.join("\n"));
+}
+
+/**
+ * Adapts a freshly copied project to the chosen package manager: pins `packageManager`, moves `pnpm-workspace.yaml`
+ * settings to where the manager reads them, removes lockfiles of other managers, and rewrites the commands in
+ * scripts. Returns a note for every file changed besides package.json.
+ * When merging, what the project already had is left as it is.
+ */
+export async function applyPackageManager(cwd: string, setup: PackageManagerSetup, existing?: ExistingProject) {
+	const { manager, version } = setup;
+	const adapter = packageManagers[manager];
+	const notes = new Array<string>();
+
+	const packageJsonPath = path.join(cwd, "package.json");
+	const text = await fs.readFile(packageJsonPath, "utf8");
+	const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+	const packageJson = JSON.parse(text);
+
+	const isExisting = (file: string) => existing?.files.includes(file) ?? false;
+
+	if (existing?.packageManager) {
+		notes.push("Kept the packageManager field of package.json");
+	} else if (version !== undefined) {
+		packageJson.packageManager = `${adapter.command}@${version}`;
+	} else {
+		delete packageJson.packageManager;
+	}
+	for (const [name, script] of Object.entries<string>(packageJson.scripts ?? {})) {
+		if (!existing?.scripts.includes(name)) {
+			packageJson.scripts[name] = rewriteCommands(script, manager);
+		}
+	}
+
+	const workspacePath = path.join(cwd, PNPM_WORKSPACE_FILE);
+	if (manager !== PackageManager.PNPM && !isExisting(PNPM_WORKSPACE_FILE) && (await fs.pathExists(workspacePath))) {
+		const workspace = parseYaml(await fs.readFile(workspacePath, "utf8"), PNPM_WORKSPACE_FILE) as {
+			packages?: Array<string>;
+			onlyBuiltDependencies?: Array<string>;
+		} | null;
+		const moved = new Array<string>();
+		const packages = (workspace?.packages ?? []).filter(pattern => pattern !== ".");
+		if (packages.length > 0) {
+			packageJson.workspaces = packages;
+			moved.push("workspaces");
+		}
+		if (manager === PackageManager.Bun && workspace?.onlyBuiltDependencies) {
+			packageJson.trustedDependencies = workspace.onlyBuiltDependencies;
+			moved.push("trustedDependencies");
+		}
+		// the other managers hoist every package, so `publicHoistPattern` is not needed
+		await fs.remove(workspacePath);
+		notes.push(
+			`Removed ${PNPM_WORKSPACE_FILE}` +
+				(moved.length > 0 ? `, its settings moved to package.json ${moved.join(" and ")}` : ""),
+		);
+	}
+	await fs.outputFile(packageJsonPath, JSON.stringify(packageJson, undefined, indent) + "\n");
+
+	for (const lockfile of LOCKFILES) {
+		if (lockfile !== adapter.lockfile && !isExisting(lockfile) && (await fs.pathExists(path.join(cwd, lockfile)))) {
+			await fs.remove(path.join(cwd, lockfile));
+			notes.push(`Removed ${lockfile}, ${adapter.command} resolves the dependencies again`);
+		}
+	}
+
+	if (manager === PackageManager.YarnBerry && !(await fs.pathExists(path.join(cwd, YARNRC_FILE)))) {
+		await writeYarnrc(cwd);
+		notes.push(`Created ${YARNRC_FILE} with the node-modules linker roblox-ts needs`);
+	}
+
+	return notes;
+}
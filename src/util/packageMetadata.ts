@@ -0,0 +1,86 @@
+const MAX_PACKAGE_NAME_LENGTH = 214;
+const RESERVED_NAMES = new Set(["node_modules", "favicon.ico"]);
+const URL_SAFE_NAME = /^[a-z0-9~-][a-z0-9._~-]*$/;
+
+/**
+ * Adds the leading `@` to a scope if it is missing.
+ */
+export function normalizeScope(scope: string) {
+	scope = scope.trim();
+	return scope.startsWith("@") ? scope : `@${scope}`;
+}
+
+/**
+ * Validates a scope against npm naming rules.
+ * @returns an error message, or `undefined` if the scope is valid
+ */
+export function validateScope(scope: string) {
+	if (scope.length <= 1) {
+		return "Scope cannot be empty";
+	}
+	if (!URL_SAFE_NAME.test(scope.slice(1))) {
+		return `Scope "${scope}" may only contain lowercase letters, digits, "-", ".", "_" and "~", and cannot start with "." or "_"`;
+	}
+}
+
+/**
+ * Validates an unscoped package name against npm naming rules, including the length of the full scoped name.
+ * @returns an error message, or `undefined` if the name is valid
+ */
+export function validatePackageName(name: string, scope: string) {
+	if (name.length === 0) {
+		return "Package name cannot be empty";
+	}
+	if (name.trim() !== name) {
+		return "Package name cannot contain leading or trailing spaces";
+	}
+	if (RESERVED_NAMES.has(name)) {
+		return `"${name}" is a reserved package name`;
+	}
+	if (name.startsWith(".") || name.startsWith("_")) {
+		return `Package name "${name}" cannot start with "." or "_"`;
+	}
+	if (name.toLowerCase() !== name) {
+		return `Package name "${name}" cannot contain uppercase letters`;
+	}
+	if (!URL_SAFE_NAME.test(name)) {
+		return `Package name "${name}" may only contain lowercase letters, digits, "-", ".", "_" and "~"`;
+	}
+	if (`${scope}/${name}`.length > MAX_PACKAGE_NAME_LENGTH) {
+		return `Package name "${scope}/${name}" is longer than ${MAX_PACKAGE_NAME_LENGTH} characters`;
+	}
+}
+
+/**
+ * Validates a GitHub user or organization name.
+ * @returns an error message, or `undefined` if the name is valid
+ */
+export function validateGitHubOrg(org: string) {
+	if (!/^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(org)) {
+		return `"${org}" is not a valid GitHub user or organization name`;
+	}
+}
+
+/**
+ * Derives a GitHub user or organization name from a scope, which may also contain ".", "_" and "~".
+ */
+export function scopeToGitHubOrg(scope: string) {
+	return scope
+		.replace(/^@/, "")
+		.replace(/[._~]+/g, "-")
+		.replace(/-{2,}/g, "-")
+		.replace(/^-|-$/g, "")
+		.slice(0, 39);
+}
+
+/**
+ * Validates an absolute URL, e.g. a registry or repository URL.
+ * @returns an error message, or `undefined` if the URL is valid
+ */
+export function validateUrl(url: string) {
+	try {
+		new URL(url);
+	} catch {
+		return `"${url}" is not a valid URL`;
+	}
+}
@@ -0,0 +1,130 @@
+import kleur from "kleur";
+
+import { LogService } from "../classes/LogService";
+import { colorDiff } from "./diff";
+import { OverwriteMode } from "./overwrite";
+import { CloneMode, GitProtocol, RepositoryConfig } from "./repositories";
+import { UnresolvedVersion } from "./versions";
+
+export enum FileAction {
+	Create = "create",
+	Overwrite = "overwrite",
+	Merge = "merge",
+	/** The existing file differs from the template and is kept (`--merge`) */
+	Keep = "keep",
+	Unchanged = "unchanged",
+	/** Removed from the project, e.g. the lockfile of another package manager */
+	Delete = "delete",
+}
+
+export interface PlannedFile {
+	/** Path inside the template */
+	source: string;
+	/** Path inside the project, after renames and placeholder substitution */
+	destination: string;
+	action: FileAction;
+}
+
+export interface PlannedFileDiff {
+	file: string;
+	diff: string;
+}
+
+export interface PlannedRepository {
+	name: string;
+	url: string;
+	destination: string;
+	protocol: GitProtocol;
+	mode: CloneMode;
+	shallow: boolean;
+	ref?: string;
+}
+
+/**
+ * Everything `init` would do, as printed by `--dry-run` and `--plan-json`.
+ */
+export interface InitPlan {
+	directory: string;
+	template: string;
+	packageManager: string;
+	/** Selected optional parts of the template */
+	features: Array<string>;
+	overwriteMode: OverwriteMode;
+	files: Array<PlannedFile>;
+	/** Edits to project files, from the existing file (or the template source) to the final contents */
+	diffs: Array<PlannedFileDiff>;
+	/** Dependencies the diffs show at the template's range, which init pins from the registry */
+	unresolved: Array<UnresolvedVersion>;
+	repositories: Array<PlannedRepository>;
+	/** Shell commands run inside the project, in order */
+	commands: Array<string>;
+}
+
+/**
+ * Describes how each repository would be cloned, with the same overrides `cloneRepositories` applies.
+ */
+export function planRepositories(
+	repositories: ReadonlyArray<RepositoryConfig>,
+	protocol: GitProtocol,
+	mode?: CloneMode,
+	shallow?: boolean,
+) {
+	return repositories.map(
+		(repository): PlannedRepository => ({
+			name: repository.name,
+			url: repository[protocol],
+			destination: repository.destination,
+			protocol,
+			mode: mode ?? repository.mode ?? CloneMode.Clone,
+			shallow: shallow ?? repository.shallow ?? false,
+			ref: repository.ref,
+		}),
+	);
+}
+
+/**
+ * Prints a plan for people to read.
+ */
+export function printPlan(plan: InitPlan) {
+	LogService.writeLine(
+		`Plan for ${kleur.yellow(plan.directory)} (template ${plan.template}, ${plan.packageManager}, ${
+			plan.overwriteMode
+		})`,
+	);
+
+	if (plan.features.length > 0) {
+		LogService.writeLine(`Features: ${plan.features.join(", ")}`);
+	}
+
+	LogService.writeLine("\nFiles:");
+	for (const { source, destination, action } of plan.files) {
+		const renamed = source !== destination ? ` ${kleur.gray(`<- ${source}`)}` : "";
+		LogService.writeLine(`  ${action.padEnd(9)} ${destination}${renamed}`);
+	}
+
+	for (const { file, diff } of plan.diffs) {
+		LogService.writeLine(`\nChanges to ${file}:`, colorDiff(diff));
+	}
+
+	if (plan.unresolved.length > 0) {
+		LogService.writeLine(
+			"\nNot resolved in this plan, init pins them to versions from the registry:",
+			...plan.unresolved.map(({ name, range }) => `  - ${name} ${kleur.gray(range)}`),
+		);
+	}
+
+	if (plan.repositories.length > 0) {
+		LogService.writeLine("\nRepositories:");
+		for (const repository of plan.repositories) {
+			const details = [repository.protocol, repository.mode, ...(repository.shallow ? ["shallow"] : [])];
+			if (repository.ref !== undefined) {
+				details.push(`ref ${repository.ref}`);
+			}
+			LogService.writeLine(
+				`  - ${repository.name}: ${repository.url} -> ${repository.destination} (${details.join(", ")})`,
+			);
+		}
+	}
+
+	LogService.writeLine("\nCommands:", ...plan.commands.map(command => `  - ${command}`));
+}
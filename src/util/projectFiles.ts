@@ -0,0 +1,208 @@
+import fs from "fs-extra";
+import path from "path";
+
+import { LogService } from "../classes/LogService";
+import { LOG_FILE } from "../constants";
+import { benchmark } from "./benchmark";
+import { CI_PROVIDER_TITLES, CiProvider, writeCi } from "./ci";
+import { ENV_EXAMPLE_FILE, ENV_FILE, writeEnvFile } from "./env";
+import { ExistingProject, MergeReport, mergeTemplate, OverwriteMode } from "./overwrite";
+import { applyPackageManager, LOCKFILES, PackageManagerSetup, YARNRC_FILE } from "./packageManagers";
+import { removeFeatures } from "./templateFeatures";
+import { applyFixups } from "./templateFixups";
+import { copyTemplate, planTemplateFiles, Template, TemplateFeature } from "./templates";
+import { TemplateContext } from "./templating";
+import {
+	createLockfileResolver,
+	createRegistryResolver,
+	findLockfile,
+	pinDependencies,
+	VersionResolver,
+	VersionSource,
+} from "./versions";
+import { adoptWorkspacePackage, WORKSPACE_PROJECT_FILE, WorkspacePackage, writeWorkspaceProject } from "./workspace";
+
+const GIT_IGNORE = ["/node_modules", "/out", "/include", "*.tsbuildinfo", `/${LOG_FILE}`, ENV_FILE];
+
+/**
+ * Checks whether a `.gitignore` already has a rule, treating `/out`, `out` and `out/` as the same rule.
+ */
+function hasGitIgnoreRule(gitignore: string, rule: string) {
+	const normalize = (line: string) => line.trim().replace(/^\//, "").replace(/\/$/, "");
+	return gitignore.split(/\r?\n/).some(line => normalize(line) === normalize(rule));
+}
+
+export interface ProjectFilesOptions {
+	template: Template;
+	context: TemplateContext;
+	/** Optional parts of the template that were selected, the others are stripped after copying */
+	features: ReadonlyArray<TemplateFeature>;
+	packageManager: PackageManagerSetup;
+	/** Provider of the generated CI workflows, for templates with `ci` */
+	ciProvider: CiProvider;
+	/** Branch the CI workflows build */
+	branch: string;
+	overwriteMode: OverwriteMode;
+	/** Project-relative paths of the files the project already has, which merging keeps */
+	existingPaths: ReadonlyArray<string>;
+	/** Values for the generated `.env`, or `undefined` to leave it out */
+	env?: Record<string, string | undefined>;
+	versionSource: VersionSource;
+	/** Lockfile to resolve versions from with `VersionSource.Lockfile`, defaults to the template's */
+	lockfile?: string;
+	registryMirror?: string;
+	compilerVersion?: string;
+	/** Root of the workspace the package is added to, and the folder the package ends up in */
+	workspace?: { root: string; packageDir: string };
+	/** Packages of a workspace root, mapped by its Rojo test project */
+	workspacePackages?: ReadonlyArray<WorkspacePackage>;
+	/** `.gitignore` rules the project needs besides the ones every project gets */
+	gitIgnoreRules?: ReadonlyArray<string>;
+}
+
+/**
+ * Writes a template into `dir` the way init does: copies or merges the files, then fixes them up, strips the
+ * features that were not selected, pins versions, configures the package manager and generates CI workflows.
+ * `dir` is the project itself, or a staging copy of it when planning or upgrading.
+ * @returns the merge report, the project-relative paths of the files that came from the template or were
+ * generated for it, which `upgrade` later compares against, and the dependencies left at the template's range
+ */
+export async function writeProjectFiles(dir: string, options: ProjectFilesOptions) {
+	const { template, context, overwriteMode, existingPaths } = options;
+	const merging = overwriteMode === OverwriteMode.Merge;
+	// merging only adds to the project, so what it already has is left alone
+	let existing: ExistingProject | undefined;
+	if (merging) {
+		const hasPackageJson = existingPaths.includes("package.json");
+		const packageJson: Record<string, Record<string, string> | string | undefined> = hasPackageJson
+			? await fs.readJson(path.join(dir, "package.json")).catch(() => ({}))
+			: {};
+		const keys = (field: string) => Object.keys(packageJson[field] ?? {});
+		existing = {
+			files: existingPaths,
+			scripts: keys("scripts"),
+			dependencies: ["dependencies", "devDependencies", "peerDependencies"].flatMap(keys),
+			packageManager: packageJson.packageManager !== undefined,
+		};
+	}
+	const hadYarnrc = await fs.pathExists(path.join(dir, YARNRC_FILE));
+	const templateFiles = (await planTemplateFiles(template, context)).map(file => file.dest);
+
+	let report: MergeReport | undefined;
+	if (merging) {
+		report = await benchmark("Merging template files..", () => mergeTemplate(template, dir, context));
+	} else {
+		// 1. 先复制所有模板文件, 替换占位符, 并重命名特殊文件（npm 默认会排除以点开头的配置文件）
+		await benchmark("Copying template files..", () => copyTemplate(template, dir, context));
+	}
+	// files that existed before a merge stay the project's own
+	const files = new Set(report ? report.written : templateFiles);
+
+	if (options.env && (await writeEnvFile(dir, options.env))) {
+		LogService.writeLine(`Created ${ENV_FILE} from ${ENV_EXAMPLE_FILE}`);
+	}
+
+	// 2. 按模板清单修正项目文件
+	if (template.manifest.fixups && template.manifest.fixups.length > 0) {
+		await benchmark("Updating project files..", () =>
+			applyFixups(dir, template.manifest.fixups!, context.variables),
+		);
+	}
+
+	// before pinning, so the dependencies of removed features are not resolved
+	const removed = (template.manifest.features ?? []).filter(feature => !options.features.includes(feature));
+	if (removed.length > 0) {
+		const featureNotes = await benchmark(`Removing ${removed.join(", ")}..`, () =>
+			removeFeatures(dir, removed, existing),
+		);
+		for (const note of featureNotes) {
+			LogService.writeLineIfVerbose(note);
+		}
+	}
+
+	const unresolved = await benchmark("Pinning dependency versions..", async () => {
+		let resolver: VersionResolver | undefined;
+		if (options.versionSource === VersionSource.Lockfile) {
+			resolver = await createLockfileResolver(await findLockfile(dir, options.lockfile));
+		} else if (options.versionSource !== VersionSource.None) {
+			resolver = createRegistryResolver(dir, options.registryMirror);
+		}
+		return pinDependencies(dir, {
+			compilerVersion: options.compilerVersion,
+			resolver,
+			keep: existing?.dependencies,
+		});
+	});
+
+	// after pinning, which may read versions from the template's lockfile
+	const notes = await benchmark(`Configuring ${options.packageManager.manager}..`, () =>
+		applyPackageManager(dir, options.packageManager, existing),
+	);
+	for (const note of notes) {
+		LogService.writeLineIfVerbose(note);
+	}
+	if (!hadYarnrc) {
+		files.add(YARNRC_FILE);
+	}
+
+	if (options.workspace !== undefined) {
+		const { root, packageDir } = options.workspace;
+		const workspaceNotes = await benchmark("Adding the package to the workspace..", () =>
+			adoptWorkspacePackage(dir, root, packageDir),
+		);
+		for (const note of workspaceNotes) {
+			LogService.writeLineIfVerbose(note);
+		}
+	}
+	// packages added later with --into fill in the root's test project
+	if (template.manifest.workspace && !(merging && existingPaths.includes(WORKSPACE_PROJECT_FILE))) {
+		await writeWorkspaceProject(dir, options.workspacePackages ?? []);
+		files.add(WORKSPACE_PROJECT_FILE);
+	}
+
+	// generated last, from the final package manager and scripts
+	const provider = options.ciProvider;
+	if (provider !== CiProvider.None) {
+		const packageJson = await fs.readJson(path.join(dir, "package.json"));
+		// merging keeps the project's own workflows
+		const workflows = await benchmark(`Generating ${CI_PROVIDER_TITLES[provider]} workflows..`, () =>
+			writeCi(
+				dir,
+				provider,
+				{
+					manager: options.packageManager.manager,
+					packageName: context.variables.packageName,
+					registry: context.variables.registry,
+					branch: options.branch,
+					scripts: packageJson.scripts ?? {},
+				},
+				merging ? existingPaths : [],
+			),
+		);
+		for (const file of workflows) {
+			files.add(file);
+		}
+	}
+
+	// 模板已经包含 .gitignore，这里只需要确保包含必要的规则
+	const gitignorePath = path.join(dir, ".gitignore");
+	const existingGitignore = await fs.readFile(gitignorePath, "utf-8").catch(() => undefined);
+	const requiredRules = [...GIT_IGNORE, ...(options.gitIgnoreRules ?? [])].filter(
+		rule => !hasGitIgnoreRule(existingGitignore ?? "", rule),
+	);
+	if (requiredRules.length > 0) {
+		await fs.appendFile(gitignorePath, "\n" + requiredRules.join("\n") + "\n");
+	}
+	if (existingGitignore === undefined) {
+		files.add(".gitignore");
+	}
+
+	// lockfiles are rewritten by every install, so they are not compared when upgrading
+	const written = new Array<string>();
+	for (const file of [...files].sort()) {
+		if (!LOCKFILES.includes(file) && (await fs.pathExists(path.join(dir, file)))) {
+			written.push(file);
+		}
+	}
+	return { report, files: written, unresolved };
+}
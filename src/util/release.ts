@@ -0,0 +1,177 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { InitError } from "../errors/InitError";
+import { cmd, quoteArg } from "./cmd";
+import { git } from "./git";
+import { resolveWorkspaceRanges } from "./workspace";
+
+export interface ReleaseCommit {
+	hash: string;
+	subject: string;
+}
+
+export interface PackResult {
+	/** Tarball name, written next to the project by a real pack */
+	filename: string;
+	/** Paths inside the package */
+	files: Array<string>;
+}
+
+export const CHANGELOG_FILE = "CHANGELOG.md";
+
+/** Files that must never be published, whatever the `files` globs say */
+const UNPUBLISHED_FILES = [
+	/(^|\/)__tests__\//,
+	/(^|\/)__examples__\//,
+	/(^|\/)__bootstrap__\//,
+	/\.(spec|test)\.[^/]+$/,
+];
+
+/** Copied next to the compiled output, as consumers link and install the package from out/ */
+const STAGED_EXTRAS = [".claude-plugin", "README.md", "LICENSE", CHANGELOG_FILE];
+
+const CHANGELOG_GROUPS: ReadonlyArray<{ title: string; pattern: RegExp }> = [
+	{ title: "Features", pattern: /^feat(\(.+\))?!?:/ },
+	{ title: "Fixes", pattern: /^fix(\(.+\))?!?:/ },
+	{ title: "Other changes", pattern: /./ },
+];
+
+export function getTagName(version: string) {
+	return `v${version}`;
+}
+
+/**
+ * The npm dist-tag for a version: `undefined` (latest) for a release, and the first identifier of a prerelease,
+ * e.g. `beta` for `1.0.0-beta.1`. Prereleases without one, like `1.0.0-0`, go under `next`.
+ */
+export function getDistTag(version: string) {
+	const prerelease = /^\d+\.\d+\.\d+-([^+]+)/.exec(version)?.[1];
+	if (prerelease === undefined) return undefined;
+	return /^[a-zA-Z-]+/.exec(prerelease)?.[0].replace(/-+$/, "") || "next";
+}
+
+/**
+ * Finds the most recent `v*` tag reachable from HEAD.
+ */
+export async function getLastTag(cwd: string) {
+	try {
+		return (await git(["describe", "--tags", "--abbrev=0", "--match", "v*"], cwd)).trim();
+	} catch {
+		return undefined;
+	}
+}
+
+export async function getTags(cwd: string, pointsAtHead = false) {
+	const output = await git(["tag", "--list", "v*", ...(pointsAtHead ? ["--points-at", "HEAD"] : [])], cwd);
+	return output.split(/\r?\n/).filter(tag => tag !== "");
+}
+
+/**
+ * Lists the commits since a tag, or the whole history without one. Earlier release commits are left out.
+ */
+export async function getCommitsSince(cwd: string, tag?: string) {
+	const output = await git(["log", "--format=%h%x09%s", ...(tag !== undefined ? [`${tag}..HEAD`] : [])], cwd).catch(
+		() => "",
+	);
+	return output
+		.split(/\r?\n/)
+		.map(line => /^(\w+)\t(.*)$/.exec(line))
+		.filter((match): match is RegExpExecArray => match !== null && !/^chore\(release\)/.test(match[2]))
+		.map(([, hash, subject]): ReleaseCommit => ({ hash, subject }));
+}
+
+/**
+ * Renders a changelog section, with conventional commits grouped by type.
+ */
+export function renderChangelog(version: string, commits: ReadonlyArray<ReleaseCommit>, date = new Date()) {
+	const lines = [`## ${getTagName(version)} (${date.toISOString().slice(0, 10)})`, ""];
+	const remaining = [...commits];
+	for (const { title, pattern } of CHANGELOG_GROUPS) {
+		const group = remaining.filter(commit => pattern.test(commit.subject));
+		if (group.length === 0) continue;
+		lines.push(`### ${title}`, "", ...group.map(commit => `- ${commit.subject} (${commit.hash})`), "");
+		for (const commit of group) {
+			remaining.splice(remaining.indexOf(commit), 1);
+		}
+	}
+	if (commits.length === 0) {
+		lines.push("No changes since the last release.", "");
+	}
+	return lines.join("\n");
+}
+
+/**
+ * Adds a section at the top of `CHANGELOG.md`, below its title.
+ */
+export async function updateChangelog(cwd: string, section: string) {
+	const file = path.join(cwd, CHANGELOG_FILE);
+	const existing = (await fs.pathExists(file)) ? await fs.readFile(file, "utf8") : "";
+	const title = /^# .*\r?\n+/.exec(existing)?.[0];
+	const rest = title !== undefined ? existing.slice(title.length) : existing;
+	await fs.outputFile(file, `${title?.trimEnd() ?? "# Changelog"}\n\n${section}\n${rest}`.trimEnd() + "\n");
+}
+
+/**
+ * Writes the version into package.json, keeping the file's indentation.
+ */
+export async function writePackageVersion(cwd: string, version: string) {
+	const file = path.join(cwd, "package.json");
+	const text = await fs.readFile(file, "utf8");
+	const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+	const packageJson = JSON.parse(text);
+	packageJson.version = version;
+	await fs.outputFile(file, JSON.stringify(packageJson, undefined, indent) + "\n");
+}
+
+/**
+ * Copies the compiled output and a publishable package.json into `stageDir`.
+ * Scripts and devDependencies are dropped, `workspace:` ranges become versions, and the registry is pinned in
+ * `publishConfig`.
+ */
+export async function stagePackage(cwd: string, stageDir: string, version: string, registry: string) {
+	const outDir = path.join(cwd, "out");
+	if (!(await fs.pathExists(outDir))) {
+		throw new InitError(`${kleur.yellow(outDir)} does not exist, build the project first`);
+	}
+	await fs.copy(outDir, stageDir, { filter: src => !src.endsWith(".tsbuildinfo") });
+
+	const packageJson = await fs.readJson(path.join(cwd, "package.json"));
+	delete packageJson.scripts;
+	delete packageJson.devDependencies;
+	packageJson.version = version;
+	await resolveWorkspaceRanges(cwd, packageJson);
+	packageJson.publishConfig = { ...packageJson.publishConfig, registry };
+	// the staged package already is the contents of out/, which workspace packages link
+	delete packageJson.publishConfig.directory;
+	delete packageJson.publishConfig.linkDirectory;
+	await fs.outputJson(path.join(stageDir, "package.json"), packageJson, { spaces: 2 });
+
+	for (const extra of STAGED_EXTRAS) {
+		if (await fs.pathExists(path.join(cwd, extra))) {
+			await fs.copy(path.join(cwd, extra), path.join(stageDir, extra), { dereference: true });
+		}
+	}
+}
+
+/**
+ * Runs `npm pack` on the staged package, so the `files` globs are applied exactly as `npm publish` would.
+ * Without `writeTarball`, only the file list is computed.
+ */
+export async function packPackage(cwd: string, stageDir: string, writeTarball: boolean): Promise<PackResult> {
+	const args = ["npm", "pack", stageDir, "--json", "--ignore-scripts", "--pack-destination", cwd];
+	const output = await cmd([...args, ...(writeTarball ? [] : ["--dry-run"])].map(quoteArg).join(" "), cwd);
+	// npm may print warnings around the JSON
+	const start = output.search(/^\[/m);
+	const end = output.lastIndexOf("]");
+	const [result] = JSON.parse(output.slice(start, end + 1));
+	return { filename: result.filename, files: result.files.map((file: { path: string }) => file.path) };
+}
+
+/**
+ * Lists packed files that should have been excluded by the `files` globs.
+ */
+export function findUnpublishedFiles(files: ReadonlyArray<string>) {
+	return files.filter(file => UNPUBLISHED_FILES.some(pattern => pattern.test(file)));
+}
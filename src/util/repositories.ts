@@ -0,0 +1,170 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { LogService } from "../classes/LogService";
+import { git } from "./git";
+
+export enum GitProtocol {
+	HTTPS = "https",
+	SSH = "ssh",
+}
+
+export enum CloneMode {
+	Clone = "clone",
+	Submodule = "submodule",
+}
+
+export interface RepositoryConfig {
+	name: string;
+	https: string;
+	ssh: string;
+	destination: string;
+	templates?: Array<string>;
+	/** Branch, tag or commit to check out. Defaults to the remote's default branch. */
+	ref?: string;
+	/** Only fetch the most recent commit. Ignored when `ref` is a commit hash. */
+	shallow?: boolean;
+	mode?: CloneMode;
+	/** Set to `false` in a manifest to leave out an entry an earlier manifest defines */
+	enabled?: boolean;
+}
+
+export interface RepositoriesConfig {
+	repositories: Array<RepositoryConfig>;
+}
+
+export interface CloneOptions {
+	protocol: GitProtocol;
+	/** Overrides the `mode` of every repository */
+	mode?: CloneMode;
+	/** Overrides the `shallow` flag of every repository */
+	shallow?: boolean;
+}
+
+export interface CloneFailure {
+	repository: RepositoryConfig;
+	error: unknown;
+}
+
+const COMMIT_HASH = /^[0-9a-f]{7,40}$/i;
+
+/** `git+https://host/org/name.git`, `ssh://git@host/org/name.git` and the like */
+const URL_REMOTE = /^(?:git\+)?(?:https?|ssh|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+?)(?:\.git)?\/?$/;
+/** scp-like `git@host:org/name.git` */
+const SCP_REMOTE = /^(?:[^@/]+@)?([^:/]+):(.+?)(?:\.git)?$/;
+
+/**
+ * Turns a repository URL, e.g. the `repository` of `package.json`, into the remote URL git uses with `protocol`.
+ * @returns the remote URL, or `undefined` if the URL does not point at a repository
+ */
+export function toRemoteUrl(repositoryUrl: string, protocol: GitProtocol) {
+	const match = URL_REMOTE.exec(repositoryUrl) ?? SCP_REMOTE.exec(repositoryUrl);
+	if (!match) return undefined;
+	const [, host, repositoryPath] = match;
+	return protocol === GitProtocol.SSH ? `git@${host}:${repositoryPath}.git` : `https://${host}/${repositoryPath}.git`;
+}
+
+async function checkoutRef(dir: string, ref: string, shallow: boolean) {
+	try {
+		await git(["checkout", "--quiet", ref], dir);
+	} catch {
+		// the ref is not available locally (e.g. a shallow clone), so fetch it explicitly
+		await git(["fetch", "--quiet", ...(shallow ? ["--depth", "1"] : []), "origin", ref], dir);
+		await git(["checkout", "--quiet", "FETCH_HEAD"], dir);
+	}
+}
+
+async function cloneRepository(repository: RepositoryConfig, cwd: string, options: CloneOptions) {
+	const url = repository[options.protocol];
+	const mode = options.mode ?? repository.mode ?? CloneMode.Clone;
+	const shallow = options.shallow ?? repository.shallow ?? false;
+	const ref = repository.ref;
+	const isCommit = ref !== undefined && COMMIT_HASH.test(ref);
+	const depthArgs = shallow && !isCommit ? ["--depth", "1"] : [];
+	const destination = path.join(cwd, repository.destination);
+
+	if (!url) {
+		throw new Error(`no ${options.protocol} url configured`);
+	}
+
+	const existed = await fs.pathExists(destination);
+	if (existed && (await fs.readdir(destination)).length > 0) {
+		throw new Error(`${repository.destination} already exists and is not empty`);
+	}
+	// git creates the missing parents too, so a failed clone removes the outermost one
+	let created = existed ? undefined : destination;
+	while (created !== undefined && !(await fs.pathExists(path.dirname(created)))) {
+		created = path.dirname(created);
+	}
+
+	try {
+		if (mode === CloneMode.Submodule) {
+			await git(["submodule", "add", "--quiet", ...depthArgs, url, repository.destination], cwd);
+			if (ref !== undefined) {
+				await checkoutRef(destination, ref, shallow);
+				await git(["add", repository.destination], cwd);
+			}
+		} else {
+			const branchArgs = ref !== undefined && !isCommit ? ["--branch", ref] : [];
+			await git(["clone", "--quiet", ...depthArgs, ...branchArgs, url, repository.destination], cwd);
+			if (ref !== undefined && isCommit) {
+				await checkoutRef(destination, ref, shallow);
+			}
+		}
+	} catch (error) {
+		await removeClone(cwd, repository.destination, mode, created);
+		throw error;
+	}
+}
+
+/**
+ * Removes what a failed clone left behind, so the repository can be cloned again. A failed `git submodule add`
+ * leaves an empty folder, and may have registered the submodule already.
+ * @param created the outermost folder the clone created, or `undefined` if the destination existed
+ */
+async function removeClone(cwd: string, destination: string, mode: CloneMode, created: string | undefined) {
+	const dir = path.join(cwd, destination);
+	if (mode === CloneMode.Submodule) {
+		const gitDir = await git(["rev-parse", "--absolute-git-dir"], cwd).catch(() => undefined);
+		await git(["rm", "--cached", "--quiet", "--ignore-unmatch", "-r", destination], cwd).catch(() => {});
+		await git(["config", "--file", ".gitmodules", "--remove-section", `submodule.${destination}`], cwd).catch(
+			() => {},
+		);
+		const gitmodules = path.join(cwd, ".gitmodules");
+		if ((await fs.readFile(gitmodules, "utf8").catch(() => undefined))?.trim() === "") {
+			await fs.remove(gitmodules);
+		}
+		await git(["add", "--all", "--", ".gitmodules"], cwd).catch(() => {});
+		if (gitDir !== undefined) {
+			await fs.remove(path.join(gitDir.trim(), "modules", destination));
+		}
+	}
+	// an empty folder that was there before is left alone
+	await (created === undefined ? fs.emptyDir(dir) : fs.remove(created));
+}
+
+/**
+ * Clones each repository into its `destination` relative to `cwd`.
+ * A failing repository does not stop the others from being cloned.
+ * @returns the repositories that could not be cloned
+ */
+export async function cloneRepositories(
+	repositories: ReadonlyArray<RepositoryConfig>,
+	cwd: string,
+	options: CloneOptions,
+) {
+	const failures = new Array<CloneFailure>();
+	for (const repository of repositories) {
+		const startTime = Date.now();
+		LogService.write(`  - ${repository.name} -> ${repository.destination}`);
+		try {
+			await cloneRepository(repository, cwd, options);
+			LogService.write(` ( ${Date.now() - startTime} ms )\n`);
+		} catch (error) {
+			LogService.write(` ${kleur.red("failed")}\n`);
+			failures.push({ repository, error });
+		}
+	}
+	return failures;
+}
@@ -0,0 +1,219 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { PACKAGE_ROOT, REPOSITORIES_ENV, REPOSITORIES_FILE, USER_CONFIG_DIR } from "../constants";
+import { InitError } from "../errors/InitError";
+import { CloneMode, RepositoryConfig } from "./repositories";
+
+export enum ManifestKind {
+	Bundled = "bundled",
+	User = "user",
+	Env = "env",
+	Cli = "cli",
+}
+
+export interface ManifestLocation {
+	kind: ManifestKind;
+	file: string;
+	/** Missing optional manifests are skipped, missing required manifests are an error */
+	required: boolean;
+}
+
+export interface ResolvedRepository extends RepositoryConfig {
+	/** Every manifest that contributed to this entry, in the order they were applied */
+	sources: Array<ManifestLocation>;
+}
+
+type FieldType = "string" | "boolean" | "string[]" | "mode";
+
+const REPOSITORY_FIELDS: { [K in keyof Required<RepositoryConfig>]: FieldType } = {
+	name: "string",
+	https: "string",
+	ssh: "string",
+	destination: "string",
+	templates: "string[]",
+	ref: "string",
+	shallow: "boolean",
+	mode: "mode",
+	enabled: "boolean",
+};
+
+const REQUIRED_FIELDS: ReadonlyArray<keyof RepositoryConfig> = ["name", "https", "ssh", "destination"];
+
+function describeType(fieldType: FieldType) {
+	switch (fieldType) {
+		case "string[]":
+			return "an array of strings";
+		case "mode":
+			return `one of ${Object.values(CloneMode).join(", ")}`;
+		default:
+			return `a ${fieldType}`;
+	}
+}
+
+function matchesType(value: unknown, fieldType: FieldType) {
+	switch (fieldType) {
+		case "string[]":
+			return Array.isArray(value) && value.every(v => typeof v === "string");
+		case "mode":
+			return Object.values(CloneMode).includes(value as CloneMode);
+		default:
+			return typeof value === fieldType;
+	}
+}
+
+function validateEntry(entry: unknown, at: string, issues: Array<string>): entry is Partial<RepositoryConfig> {
+	if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+		issues.push(`${at} must be an object`);
+		return false;
+	}
+
+	const record = entry as Record<string, unknown>;
+	const issueCount = issues.length;
+	for (const [key, value] of Object.entries(record)) {
+		const fieldType = REPOSITORY_FIELDS[key as keyof RepositoryConfig];
+		if (fieldType === undefined) {
+			issues.push(`${at} has unknown property "${key}"`);
+		} else if (!matchesType(value, fieldType)) {
+			issues.push(`${at}.${key} must be ${describeType(fieldType)}`);
+		}
+	}
+
+	if (typeof record.name !== "string" || record.name.length === 0) {
+		issues.push(`${at}.name is required`);
+	}
+
+	if (typeof record.destination === "string") {
+		const normalized = path.normalize(record.destination);
+		if (path.isAbsolute(normalized) || normalized.split(path.sep)[0] === "..") {
+			issues.push(`${at}.destination must be a path inside the project`);
+		}
+	}
+
+	return issues.length === issueCount;
+}
+
+/**
+ * Validates the shape of a single manifest file. Entries may be partial, since a layered
+ * manifest can override individual fields of an entry defined by an earlier one.
+ */
+export function validateManifest(data: unknown, file: string) {
+	const issues = new Array<string>();
+	const entries = new Array<Partial<RepositoryConfig> & { name: string }>();
+
+	if (typeof data !== "object" || data === null || Array.isArray(data)) {
+		issues.push("the manifest must be an object");
+	} else {
+		const record = data as Record<string, unknown>;
+		for (const key of Object.keys(record)) {
+			if (key !== "$schema" && key !== "repositories") {
+				issues.push(`unknown property "${key}"`);
+			}
+		}
+		if (!Array.isArray(record.repositories)) {
+			issues.push(`"repositories" must be an array`);
+		} else {
+			const names = new Set<string>();
+			record.repositories.forEach((entry, i) => {
+				if (validateEntry(entry, `repositories[${i}]`, issues)) {
+					const name = entry.name!;
+					if (names.has(name)) {
+						issues.push(`repositories[${i}].name "${name}" is defined more than once`);
+					}
+					names.add(name);
+					entries.push({ ...entry, name });
+				}
+			});
+		}
+	}
+
+	if (issues.length > 0) {
+		throw new InitError(
+			`Invalid repository manifest ${kleur.yellow(file)}:\n${issues.map(v => `  - ${v}\n`).join("")}`,
+		);
+	}
+
+	return entries;
+}
+
+/**
+ * Lists the manifests to load, from lowest to highest priority:
+ * the bundled `repositories.json`, the user's `~/.create-bevy/repositories.json`,
+ * the files in the `CREATE_BEVY_REPOSITORIES` environment variable and the `--repositories` flag.
+ */
+export function getManifestLocations(cliFile?: string) {
+	const locations: Array<ManifestLocation> = [
+		{ kind: ManifestKind.Bundled, file: path.join(PACKAGE_ROOT, REPOSITORIES_FILE), required: false },
+		{ kind: ManifestKind.User, file: path.join(USER_CONFIG_DIR, REPOSITORIES_FILE), required: false },
+	];
+
+	for (const file of (process.env[REPOSITORIES_ENV] ?? "").split(path.delimiter)) {
+		if (file.length > 0) {
+			locations.push({ kind: ManifestKind.Env, file: path.resolve(file), required: true });
+		}
+	}
+
+	if (cliFile !== undefined) {
+		locations.push({ kind: ManifestKind.Cli, file: path.resolve(cliFile), required: true });
+	}
+
+	return locations;
+}
+
+async function readManifest(location: ManifestLocation) {
+	if (!(await fs.pathExists(location.file))) {
+		if (location.required) {
+			throw new InitError(`Repository manifest ${kleur.yellow(location.file)} does not exist`);
+		}
+		return undefined;
+	}
+
+	let data: unknown;
+	try {
+		data = await fs.readJson(location.file);
+	} catch (error) {
+		throw new InitError(
+			`Repository manifest ${kleur.yellow(location.file)} is not valid JSON\n${(error as Error).message}`,
+		);
+	}
+
+	return validateManifest(data, location.file);
+}
+
+/**
+ * Loads every manifest and merges their entries by `name`.
+ * Later manifests override the fields of earlier ones, and leave out an entry with `"enabled": false`.
+ */
+export async function loadRepositories(cliFile?: string) {
+	const merged = new Map<string, Partial<RepositoryConfig> & { sources: Array<ManifestLocation> }>();
+
+	for (const location of getManifestLocations(cliFile)) {
+		const entries = await readManifest(location);
+		for (const entry of entries ?? []) {
+			const existing = merged.get(entry.name);
+			if (existing) {
+				Object.assign(existing, entry);
+				existing.sources.push(location);
+			} else {
+				merged.set(entry.name, { ...entry, sources: [location] });
+			}
+		}
+	}
+
+	const enabled = [...merged.values()].filter(entry => entry.enabled !== false);
+	const issues = new Array<string>();
+	for (const entry of enabled) {
+		const missing = REQUIRED_FIELDS.filter(field => entry[field] === undefined);
+		if (missing.length > 0) {
+			const files = entry.sources.map(source => source.file).join(", ");
+			issues.push(`"${entry.name}" is missing ${missing.join(", ")} (defined in ${files})`);
+		}
+	}
+
+	if (issues.length > 0) {
+		throw new InitError(`Invalid repository manifest:\n${issues.map(v => `  - ${v}\n`).join("")}`);
+	}
+
+	return enabled as Array<ResolvedRepository>;
+}
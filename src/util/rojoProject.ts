@@ -0,0 +1,471 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { RBXTS_SCOPE } from "../constants";
+import { InitError } from "../errors/InitError";
+import { toPosix } from "./templates";
+
+/** A node of the Rojo project tree. Keys without a `$` prefix are child instances */
+export interface RojoTreeNode {
+	$className?: string;
+	$path?: string | { optional: string };
+	$properties?: Record<string, unknown>;
+	$attributes?: Record<string, unknown>;
+	$ignoreUnknownInstances?: boolean;
+	$id?: string;
+	[child: string]: unknown;
+}
+
+export interface RojoProject {
+	name: string;
+	tree: RojoTreeNode;
+	globIgnorePaths?: Array<string>;
+	servePort?: number;
+	servePlaceIds?: Array<number>;
+	[key: string]: unknown;
+}
+
+export interface ProjectFile {
+	/** Absolute path of the `*.project.json` file */
+	file: string;
+	project: RojoProject;
+	/** Indentation and trailing newline of the file, kept when writing it back */
+	indent: string;
+	finalNewline: boolean;
+}
+
+export enum IssueSeverity {
+	Error = "error",
+	Warning = "warning",
+}
+
+export interface ProjectIssue {
+	severity: IssueSeverity;
+	/** Instance path in the tree, e.g. `ReplicatedStorage.rbxts_include` */
+	node: string;
+	message: string;
+}
+
+export interface SyncResult {
+	addedScopes: Array<string>;
+	removedScopes: Array<string>;
+	/** Whether the package's own node or `globIgnorePaths` changed */
+	updatedPackage: boolean;
+	updatedGlobs: boolean;
+}
+
+export const PROJECT_FILE_SUFFIX = ".project.json";
+
+const METADATA_KEYS = new Set(["$className", "$path", "$properties", "$attributes", "$ignoreUnknownInstances", "$id"]);
+
+/** Scopes mapped from devDependencies, the others only hold tooling */
+const DEV_SCOPES = new Set([RBXTS_SCOPE, "@flamework"]);
+
+/** Built output, which does not exist until the project is installed and built */
+const GENERATED_PATHS = /^(out|node_modules|include)(\/|$)/;
+
+/** Services that may appear directly under a `DataModel` root without a `$className` */
+const SERVICES = new Set([
+	"AssetService",
+	"BadgeService",
+	"Chat",
+	"CollectionService",
+	"ContentProvider",
+	"ContextActionService",
+	"GamePassService",
+	"GroupService",
+	"GuiService",
+	"HttpService",
+	"InsertService",
+	"Lighting",
+	"LocalizationService",
+	"LogService",
+	"MarketplaceService",
+	"MaterialService",
+	"MemoryStoreService",
+	"MessagingService",
+	"PathfindingService",
+	"PhysicsService",
+	"Players",
+	"PolicyService",
+	"ReplicatedFirst",
+	"ReplicatedStorage",
+	"RunService",
+	"ServerScriptService",
+	"ServerStorage",
+	"SocialService",
+	"SoundService",
+	"StarterGui",
+	"StarterPack",
+	"StarterPlayer",
+	"Teams",
+	"TeleportService",
+	"TestService",
+	"TextChatService",
+	"TextService",
+	"TweenService",
+	"UserInputService",
+	"VoiceChatService",
+	"Workspace",
+]);
+
+/** Instance classes commonly used in project files. Others are reported as warnings, not errors */
+const KNOWN_CLASSES = new Set([
+	...SERVICES,
+	"DataModel",
+	"StarterPlayerScripts",
+	"StarterCharacterScripts",
+	"Folder",
+	"Model",
+	"Configuration",
+	"ModuleScript",
+	"Script",
+	"LocalScript",
+	"RemoteEvent",
+	"RemoteFunction",
+	"UnreliableRemoteEvent",
+	"BindableEvent",
+	"BindableFunction",
+	"StringValue",
+	"BoolValue",
+	"NumberValue",
+	"IntValue",
+	"ObjectValue",
+	"Part",
+	"Terrain",
+	"Camera",
+	"ScreenGui",
+	"Sound",
+	"SoundGroup",
+	"Animation",
+	"Tool",
+	"ChatWindowConfiguration",
+	"ChatInputBarConfiguration",
+	"BubbleChatConfiguration",
+	"Atmosphere",
+	"Sky",
+]);
+
+/**
+ * Lists the `*.project.json` files of a project, `default.project.json` first.
+ */
+export async function findProjectFiles(cwd: string) {
+	const files = (await fs.readdir(cwd)).filter(file => file.endsWith(PROJECT_FILE_SUFFIX));
+	return files
+		.sort(
+			(a, b) => Number(b === "default.project.json") - Number(a === "default.project.json") || a.localeCompare(b),
+		)
+		.map(file => path.join(cwd, file));
+}
+
+export async function readProjectFile(file: string): Promise<ProjectFile> {
+	if (!(await fs.pathExists(file))) {
+		throw new InitError(`${kleur.yellow(file)} not found`);
+	}
+	const text = await fs.readFile(file, "utf8");
+	let project: RojoProject;
+	try {
+		project = JSON.parse(text);
+	} catch (error) {
+		throw new InitError(`${kleur.yellow(file)} is not valid JSON: ${(error as Error).message}`);
+	}
+	return {
+		file,
+		project,
+		indent: /^([ \t]+)"/m.exec(text)?.[1] ?? "\t",
+		finalNewline: text.endsWith("\n"),
+	};
+}
+
+export async function writeProjectFile({ file, project, indent, finalNewline }: ProjectFile) {
+	await fs.outputFile(file, JSON.stringify(project, undefined, indent) + (finalNewline ? "\n" : ""));
+}
+
+function isNode(value: unknown): value is RojoTreeNode {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Lists the child instances of a node, leaving out `$` metadata.
+ */
+export function getChildren(node: RojoTreeNode) {
+	return Object.entries(node).filter((entry): entry is [string, RojoTreeNode] => !entry[0].startsWith("$"));
+}
+
+function getPath(node: RojoTreeNode) {
+	const value = node.$path;
+	return typeof value === "object" ? value.optional : value;
+}
+
+/**
+ * Finds the node that maps `node_modules` scopes, e.g. `ReplicatedStorage.rbxts_include.node_modules`.
+ */
+export function findNodeModules(tree: RojoTreeNode): RojoTreeNode | undefined {
+	for (const [name, child] of getChildren(tree)) {
+		if (!isNode(child)) continue;
+		if (name === "node_modules" && getChildren(child).some(([, scope]) => isScopeNode(scope))) {
+			return child;
+		}
+		const found = findNodeModules(child);
+		if (found) return found;
+	}
+	return undefined;
+}
+
+function isScopeNode(node: RojoTreeNode) {
+	return isNode(node) && /^node_modules\/@[^/]+$/.test(getPath(node) ?? "");
+}
+
+/**
+ * Checks the project against what Rojo accepts: known metadata, `$path` targets that exist and `$className` values.
+ * Paths to build output are only warned about, as they appear once the project is installed and built.
+ */
+export async function validateProject({ file, project }: ProjectFile) {
+	const issues = new Array<ProjectIssue>();
+	const baseDir = path.dirname(file);
+	const report = (severity: IssueSeverity, node: string, message: string) => issues.push({ severity, node, message });
+
+	if (typeof project.name !== "string" || project.name === "") {
+		report(IssueSeverity.Error, "", `"name" must be a non-empty string`);
+	}
+	if (
+		project.globIgnorePaths !== undefined &&
+		(!Array.isArray(project.globIgnorePaths) || !project.globIgnorePaths.every(v => typeof v === "string"))
+	) {
+		report(IssueSeverity.Error, "", `"globIgnorePaths" must be an array of strings`);
+	}
+	if (!isNode(project.tree)) {
+		report(IssueSeverity.Error, "", `"tree" must be an object`);
+		return issues;
+	}
+
+	const visit = async (node: RojoTreeNode, nodePath: string, parentClass: string | undefined) => {
+		const name = nodePath === "" ? project.name : nodePath.slice(nodePath.lastIndexOf(".") + 1);
+		const where = nodePath === "" ? "tree" : nodePath;
+
+		for (const key of Object.keys(node)) {
+			if (key.startsWith("$") && !METADATA_KEYS.has(key)) {
+				report(IssueSeverity.Error, where, `unknown property ${key}`);
+			}
+		}
+
+		const className = node.$className;
+		if (className !== undefined) {
+			if (typeof className !== "string" || !/^[A-Za-z]\w*$/.test(className)) {
+				report(IssueSeverity.Error, where, `$className must be a class name, got ${JSON.stringify(className)}`);
+			} else if (!KNOWN_CLASSES.has(className)) {
+				report(IssueSeverity.Warning, where, `$className ${className} is not a known Roblox class`);
+			} else if (parentClass === "DataModel" && SERVICES.has(name) && className !== name) {
+				report(IssueSeverity.Error, where, `the ${name} service must have $className ${name}`);
+			}
+		}
+
+		const nodeTarget = getPath(node);
+		if (node.$path !== undefined) {
+			if (typeof nodeTarget !== "string" || nodeTarget === "") {
+				report(IssueSeverity.Error, where, `$path must be a string or { "optional": string }`);
+			} else if (!(await fs.pathExists(path.resolve(baseDir, nodeTarget)))) {
+				const optional = typeof node.$path === "object";
+				const generated = GENERATED_PATHS.test(toPosix(path.normalize(nodeTarget)));
+				if (!optional) {
+					report(
+						generated ? IssueSeverity.Warning : IssueSeverity.Error,
+						where,
+						`$path ${nodeTarget} does not exist${generated ? " yet, install and build the project" : ""}`,
+					);
+				}
+			}
+		} else if (className === undefined && !(parentClass === "DataModel" && SERVICES.has(name))) {
+			report(IssueSeverity.Error, where, "needs a $className or a $path");
+		}
+
+		if (node.$properties !== undefined && !isNode(node.$properties)) {
+			report(IssueSeverity.Error, where, "$properties must be an object");
+		}
+
+		for (const [childName, child] of getChildren(node)) {
+			const childPath = nodePath === "" ? childName : `${nodePath}.${childName}`;
+			if (!isNode(child)) {
+				report(IssueSeverity.Error, childPath, "must be an object");
+				continue;
+			}
+			await visit(child, childPath, typeof className === "string" ? className : undefined);
+		}
+	};
+	await visit(project.tree, "", undefined);
+
+	if (project.tree.$className === "DataModel") {
+		for (const [name] of getChildren(project.tree)) {
+			if (!SERVICES.has(name)) {
+				report(IssueSeverity.Warning, name, "is not a known service, DataModel children should be services");
+			}
+		}
+	}
+	return issues;
+}
+
+/**
+ * Lists the scopes whose packages Rojo has to map: every scope in dependencies and peerDependencies,
+ * and the Roblox scopes in devDependencies.
+ */
+export function getDependencyScopes(packageJson: {
+	dependencies?: Record<string, string>;
+	devDependencies?: Record<string, string>;
+	peerDependencies?: Record<string, string>;
+}) {
+	const getScope = (name: string) => (name.startsWith("@") ? name.split("/")[0] : undefined);
+	const scopes = new Set<string>();
+	for (const name of [
+		...Object.keys(packageJson.dependencies ?? {}),
+		...Object.keys(packageJson.peerDependencies ?? {}),
+	]) {
+		const scope = getScope(name);
+		if (scope !== undefined) scopes.add(scope);
+	}
+	for (const name of Object.keys(packageJson.devDependencies ?? {})) {
+		const scope = getScope(name);
+		if (scope !== undefined && DEV_SCOPES.has(scope)) scopes.add(scope);
+	}
+	return [...scopes].sort();
+}
+
+/**
+ * Maps the package's compiled output as `node_modules[scope][name]`, where dependents will find it once installed,
+ * replacing any previous mapping of `out`.
+ */
+function setPackageNode(nodeModules: RojoTreeNode, packageName: string) {
+	const [scope, name] = packageName.split("/");
+	if (name === undefined) return false;
+
+	const existing = getChildren(nodeModules)
+		.filter(([, scopeNode]) => isNode(scopeNode))
+		.flatMap(([scopeName, scopeNode]) =>
+			getChildren(scopeNode)
+				.filter(([, child]) => isNode(child) && getPath(child) === "out")
+				.map(([childName, child]) => ({ scopeName, scopeNode, childName, child })),
+		);
+	if (existing.length === 0) return false;
+	if (existing.length === 1 && existing[0].scopeName === scope && existing[0].childName === name) return false;
+
+	for (const { scopeNode, childName } of existing) {
+		delete scopeNode[childName];
+	}
+	const scopeNode = (nodeModules[scope] as RojoTreeNode | undefined) ?? { $path: `node_modules/${scope}` };
+	scopeNode[name] = existing[0].child;
+	nodeModules[scope] = scopeNode;
+	return true;
+}
+
+function isGeneratedGlob(pattern: string) {
+	return /^!?\*\*\/node_modules\//.test(pattern) || /^\*\*\/(package|tsconfig)\.json$/.test(pattern);
+}
+
+/**
+ * Rebuilds `globIgnorePaths` for the package: manifests and every project file are ignored, and when
+ * `node_modules` is mapped, nested installs and unpublished folders of dependencies are too,
+ * except for the package's own files. Patterns added by hand are kept after the generated ones.
+ */
+export function getGlobIgnorePaths(
+	existing: ReadonlyArray<string>,
+	projectFiles: ReadonlyArray<string>,
+	packageName: string | undefined,
+	mapsNodeModules: boolean,
+) {
+	const projectGlobs = projectFiles.map(file => `**/${path.basename(file)}`);
+	const generated = ["**/package.json", "**/tsconfig.json", ...projectGlobs];
+	if (mapsNodeModules) {
+		generated.push(
+			"**/node_modules/**/node_modules/**",
+			"**/node_modules/**/__bootstrap__/**",
+			"**/node_modules/**/__examples__/**",
+			"**/node_modules/**/__tests__/**",
+		);
+		const name = packageName?.split("/").pop();
+		if (name !== undefined) {
+			generated.push(`!**/node_modules/**/${name}/**`);
+		}
+	}
+	const custom = existing.filter(
+		pattern => !isGeneratedGlob(pattern) && !pattern.endsWith(PROJECT_FILE_SUFFIX) && !generated.includes(pattern),
+	);
+	return [...generated, ...custom];
+}
+
+/**
+ * Brings a project file in line with `package.json`: adds and removes `node_modules` scope mappings,
+ * renames the package's own node and regenerates `globIgnorePaths`.
+ * Scopes still holding the package's own node are never removed.
+ */
+export function syncProject(
+	projectFile: ProjectFile,
+	packageJson: { name?: string },
+	scopes: ReadonlyArray<string>,
+	projectFiles: ReadonlyArray<string>,
+): SyncResult {
+	const { project } = projectFile;
+	const result: SyncResult = { addedScopes: [], removedScopes: [], updatedPackage: false, updatedGlobs: false };
+	const nodeModules = isNode(project.tree) ? findNodeModules(project.tree) : undefined;
+
+	if (nodeModules) {
+		if (packageJson.name !== undefined) {
+			result.updatedPackage = setPackageNode(nodeModules, packageJson.name);
+		}
+		for (const [scope, node] of getChildren(nodeModules)) {
+			if (isScopeNode(node) && !scopes.includes(scope) && getChildren(node).length === 0) {
+				delete nodeModules[scope];
+				result.removedScopes.push(scope);
+			}
+		}
+		for (const scope of scopes) {
+			if (nodeModules[scope] === undefined) {
+				nodeModules[scope] = { $path: `node_modules/${scope}` };
+				result.addedScopes.push(scope);
+			}
+		}
+	}
+
+	if (project.globIgnorePaths !== undefined || nodeModules) {
+		const globs = getGlobIgnorePaths(project.globIgnorePaths ?? [], projectFiles, packageJson.name, !!nodeModules);
+		result.updatedGlobs = JSON.stringify(globs) !== JSON.stringify(project.globIgnorePaths);
+		project.globIgnorePaths = globs;
+	}
+	return result;
+}
+
+/**
+ * Renames the package's own node to the package name, for templates that hard-code it.
+ */
+export function renamePackageNode(project: RojoProject, packageName: string) {
+	const nodeModules = isNode(project.tree) ? findNodeModules(project.tree) : undefined;
+	if (!nodeModules || !setPackageNode(nodeModules, packageName)) return;
+
+	if (Array.isArray(project.globIgnorePaths)) {
+		const name = packageName.split("/").pop()!;
+		project.globIgnorePaths = project.globIgnorePaths.map(pattern =>
+			/^!\*\*\/node_modules\/\*\*\/[^/]+\/\*\*$/.test(pattern) ? `!**/node_modules/**/${name}/**` : pattern,
+		);
+	}
+}
+
+/**
+ * Removes every node whose `$path` is one of `pathPrefixes` or inside one, and returns the instance paths removed.
+ */
+export function removePathNodes(node: RojoTreeNode, pathPrefixes: ReadonlyArray<string>, parent = ""): Array<string> {
+	const removed = new Array<string>();
+	for (const [name, child] of getChildren(node)) {
+		if (!isNode(child)) continue;
+		const instancePath = parent === "" ? name : `${parent}.${name}`;
+		const nodePath = getPath(child);
+		if (
+			nodePath !== undefined &&
+			pathPrefixes.some(prefix => nodePath === prefix || nodePath.startsWith(prefix + "/"))
+		) {
+			delete node[name];
+			removed.push(instancePath);
+		} else {
+			removed.push(...removePathNodes(child, pathPrefixes, instancePath));
+		}
+	}
+	return removed;
+}
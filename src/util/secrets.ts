@@ -0,0 +1,109 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { toPosix } from "./templates";
+import { isBinary } from "./templating";
+
+export interface SecretFinding {
+	/** Path relative to the scanned directory */
+	file: string;
+	/** 1-based line number, or `undefined` when the file name itself is the problem */
+	line?: number;
+	rule: string;
+}
+
+interface SecretRule {
+	name: string;
+	pattern: RegExp;
+}
+
+/** Folders that are never scanned */
+const SKIPPED_DIRS = new Set([".git", "node_modules"]);
+
+/** Env files meant to be committed, with placeholder values only */
+const ENV_EXAMPLE = /^\.env\.(example|sample|template)$/;
+
+const CONTENT_RULES: Array<SecretRule> = [
+	{ name: "private key", pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/ },
+	{ name: "GitHub token", pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+	{ name: "npm token", pattern: /\bnpm_[A-Za-z0-9]{36}\b/ },
+	{ name: "AWS access key", pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+	{ name: "JSON web token", pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/ },
+	{ name: "registry auth token", pattern: /_auth(?:Token)?\s*=\s*(?!\$\{)[^\s$]{8,}/ },
+	{
+		name: "credential assignment",
+		pattern:
+			/\b[A-Z0-9_]*(?:API_KEY|SECRET|TOKEN|PASSWORD|PRIVATE_KEY)[A-Z0-9_]*\s*[=:]\s*["']?(?![\s"']|\$|<|your_|xxx|changeme)[A-Za-z0-9+/=_-]{20,}/i,
+	},
+];
+
+/** Values in `.env` files that are clearly not real, e.g. `your_api_key_here` or `<id>` */
+const PLACEHOLDER_VALUE = /^(|["']{2}|your_\w*|<[^>]*>|\$\{?\w+\}?|x+|changeme|todo)$/i;
+
+function scanEnvFile(file: string, text: string) {
+	const findings = new Array<SecretFinding>();
+	text.split(/\r?\n/).forEach((line, index) => {
+		const match = /^\s*(?:export\s+)?([A-Za-z_][\w]*)\s*=\s*(.*?)\s*$/.exec(line);
+		if (match && !PLACEHOLDER_VALUE.test(match[2])) {
+			findings.push({ file, line: index + 1, rule: `env value ${match[1]}` });
+		}
+	});
+	return findings;
+}
+
+/**
+ * Scans a single file for things that look like credentials.
+ * `.env` files (except `.env.example` and friends) may only contain placeholder values.
+ */
+export function scanFile(file: string, buffer: Buffer) {
+	const fileName = path.posix.basename(file);
+	if (/\.(pem|p12|pfx)$|^id_(rsa|dsa|ecdsa|ed25519)$/.test(fileName)) {
+		return [{ file, rule: "key file" }];
+	}
+	if (isBinary(buffer)) {
+		return [];
+	}
+
+	const text = buffer.toString("utf8");
+	const findings = new Array<SecretFinding>();
+	if (/^\.env(\..+)?$/.test(fileName) && !ENV_EXAMPLE.test(fileName)) {
+		findings.push(...scanEnvFile(file, text));
+	}
+	text.split(/\r?\n/).forEach((line, index) => {
+		const rule = CONTENT_RULES.find(rule => rule.pattern.test(line));
+		if (rule && !findings.some(finding => finding.line === index + 1)) {
+			findings.push({ file, line: index + 1, rule: rule.name });
+		}
+	});
+	return findings;
+}
+
+/**
+ * Scans every file in a directory, e.g. a template, for things that look like credentials.
+ */
+export async function scanDirectory(dir: string) {
+	const findings = new Array<SecretFinding>();
+	let fileCount = 0;
+	const visit = async (current: string) => {
+		for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+			const fullPath = path.join(current, entry.name);
+			if (entry.isDirectory()) {
+				if (!SKIPPED_DIRS.has(entry.name)) {
+					await visit(fullPath);
+				}
+			} else if (entry.isFile()) {
+				fileCount++;
+				findings.push(...scanFile(toPosix(path.relative(dir, fullPath)), await fs.readFile(fullPath)));
+			}
+		}
+	};
+	await visit(dir);
+	return { findings, fileCount };
+}
+
+export function formatFindings(findings: ReadonlyArray<SecretFinding>) {
+	return findings
+		.map(({ file, line, rule }) => `  - ${kleur.yellow(line !== undefined ? `${file}:${line}` : file)} (${rule})\n`)
+		.join("");
+}
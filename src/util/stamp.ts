@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { STAMP_FILE, VERSION } from "../constants";
+import { InitError } from "../errors/InitError";
+import { Template } from "./templates";
+import { isBinary, TemplateAnswers, TemplateContext, TemplateVariables } from "./templating";
+
+/** Larger files are only hashed, so the stamp stays small enough to review */
+const MAX_BASE_SIZE = 64 * 1024;
+
+/**
+ * Records which template a project was created from, so `upgrade` can tell template changes from user changes.
+ */
+export interface TemplateStamp {
+	template: string;
+	/** Template spec for templates that are not built in, e.g. a git URL */
+	source?: string;
+	/** create-bevy version the files were written by */
+	version: string;
+	variables: TemplateVariables;
+	answers: TemplateAnswers;
+	/** SHA-256 of every file init wrote from the template, by project-relative path */
+	files: Record<string, string>;
+	/** Contents of the text files, which `upgrade` merges project and template changes against */
+	base: Record<string, string>;
+}
+
+export function hashContents(contents: string | Buffer) {
+	return crypto.createHash("sha256").update(contents).digest("hex");
+}
+
+/**
+ * Stamps the files as they are in `dir` after init or upgrade wrote them.
+ */
+export async function createStamp(
+	template: Template,
+	context: TemplateContext,
+	source: string | undefined,
+	dir: string,
+	files: ReadonlyArray<string>,
+) {
+	const stamp: TemplateStamp = {
+		template: template.manifest.name,
+		source,
+		version: VERSION,
+		variables: context.variables,
+		answers: context.answers,
+		files: {},
+		base: {},
+	};
+	for (const file of files) {
+		const contents = await fs.readFile(path.join(dir, file));
+		stamp.files[file] = hashContents(contents);
+		if (!isBinary(contents) && contents.length <= MAX_BASE_SIZE) {
+			stamp.base[file] = contents.toString("utf8");
+		}
+	}
+	return stamp;
+}
+
+export async function writeStamp(cwd: string, stamp: TemplateStamp) {
+	await fs.outputFile(path.join(cwd, STAMP_FILE), JSON.stringify(stamp, undefined, "\t") + "\n");
+}
+
+export async function readStamp(cwd: string): Promise<TemplateStamp> {
+	const stampPath = path.join(cwd, STAMP_FILE);
+	if (!(await fs.pathExists(stampPath))) {
+		throw new InitError(
+			`${kleur.yellow(stampPath)} not found. Only projects created with a template stamp can be upgraded`,
+		);
+	}
+	try {
+		return await fs.readJson(stampPath);
+	} catch (error) {
+		throw new InitError(`${kleur.yellow(stampPath)} is not valid JSON\n${(error as Error).message}`);
+	}
+}
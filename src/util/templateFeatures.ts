@@ -0,0 +1,218 @@
+import fs from "fs-extra";
+import path from "path";
+
+import { parseJsonc } from "./jsonMerge";
+import { ExistingProject } from "./overwrite";
+import { readProjectFile, removePathNodes, writeProjectFile } from "./rojoProject";
+import { TemplateFeature } from "./templates";
+
+interface FeatureDefinition {
+	title: string;
+	description: string;
+	/** Commands removed from the scripts that chain them with `&&`. Scripts left empty are removed */
+	commands: Array<RegExp>;
+	/** Dependencies removed from every dependency field. `@scope/*` and `name-*` match several */
+	dependencies: Array<string>;
+	/** `compilerOptions.plugins` removed from `tsconfig.json`, by transformer name */
+	transformers: Array<string>;
+	/** `compilerOptions.typeRoots` removed from `tsconfig.json` */
+	typeRoots: Array<string>;
+	/** Rojo nodes mapping these paths, or paths inside them, are removed from `default.project.json` */
+	projectPaths: Array<string>;
+	/** `.gitignore` rules only needed by the feature */
+	gitignore: Array<string>;
+	/** `publicHoistPattern` entries removed from `pnpm-workspace.yaml` */
+	hoistPatterns: Array<string>;
+}
+
+export const templateFeatures: { [K in TemplateFeature]: FeatureDefinition } = {
+	[TemplateFeature.Flamework]: {
+		title: "Flamework",
+		description: "Flamework transformer and flamework.build",
+		commands: [],
+		dependencies: ["@flamework/*", "rbxts-transformer-flamework"],
+		transformers: ["rbxts-transformer-flamework"],
+		typeRoots: ["node_modules/@flamework"],
+		projectPaths: ["node_modules/@flamework"],
+		gitignore: ["flamework.build"],
+		hoistPatterns: ["*@flamework", "rbxts-transformer-flamework"],
+	},
+	[TemplateFeature.ESLint]: {
+		title: "ESLint",
+		description: "ESLint preset for roblox-ts and the lint script",
+		commands: [/^eslint\b/],
+		dependencies: ["eslint", "eslint-*", "@eslint/*", "@eslint-react/*", "@typescript-eslint/*", "@isentinel/*"],
+		transformers: [],
+		typeRoots: [],
+		projectPaths: [],
+		gitignore: [],
+		hoistPatterns: [],
+	},
+	[TemplateFeature.Tests]: {
+		title: "Tests",
+		description: "TestEZ specs run in Roblox Open Cloud, with CI test steps",
+		commands: [/\btest-cloud-testez\b/],
+		dependencies: ["@rbxts/test-cloud-testez", "@rbxts/testez"],
+		transformers: [],
+		typeRoots: [],
+		projectPaths: ["node_modules/@rbxts/test-cloud-testez", "node_modules/@rbxts/testez"],
+		gitignore: [".test-result/"],
+		hoistPatterns: [],
+	},
+	[TemplateFeature.Claude]: {
+		title: "Claude plugin",
+		description: "Claude Code plugin manifest and the postinstall that links skills of dependencies",
+		commands: [/create-bevy claude\b/],
+		dependencies: [],
+		transformers: [],
+		typeRoots: [],
+		projectPaths: [],
+		gitignore: ["**/.claude/**/@*", ".claude/settings.local.json", ".claude/.create-bevy-sync.json"],
+		hoistPatterns: [],
+	},
+	[TemplateFeature.Examples]: {
+		title: "Examples",
+		description: "Runnable examples in src/__examples__, checked before every build",
+		commands: [/create-bevy examples\b/],
+		dependencies: [],
+		transformers: [],
+		typeRoots: [],
+		projectPaths: ["out/__examples__"],
+		gitignore: [],
+		hoistPatterns: [],
+	},
+};
+
+function matchesName(name: string, patterns: ReadonlyArray<string>) {
+	return patterns.some(pattern => (pattern.endsWith("*") ? name.startsWith(pattern.slice(0, -1)) : name === pattern));
+}
+
+/**
+ * Replaces the array value of `key` in JSON with comments, keeping the rest of the text as it is.
+ */
+function replaceJsoncArray(text: string, key: string, value: Array<unknown>) {
+	const match = new RegExp(`"${key}"\\s*:\\s*\\[`).exec(text);
+	if (!match) return text;
+
+	const start = match.index + match[0].length - 1;
+	let depth = 0;
+	for (let i = start; i < text.length; i++) {
+		const char = text[i];
+		if (char === '"') {
+			for (i++; i < text.length && text[i] !== '"'; i++) {
+				if (text[i] === "\\") i++;
+			}
+		} else if (char === "[" || char === "{") {
+			depth++;
+		} else if ((char === "]" || char === "}") && --depth === 0) {
+			const items = value.map(item => JSON.stringify(item, undefined, 1).replace(/\n\s*/g, " "));
+			return text.slice(0, start) + `[${items.join(", ")}]` + text.slice(i + 1);
+		}
+	}
+	return text;
+}
+
+/**
+ * Strips the features that were not selected from a freshly copied project: their scripts, dependencies,
+ * `tsconfig.json` plugins and type roots, Rojo nodes, `.gitignore` rules and hoist patterns.
+ * Their files are left out by the template's `conditions`. Returns a note for every file changed.
+ * When merging, what the project already had is left as it is.
+ */
+export async function removeFeatures(cwd: string, removed: ReadonlyArray<TemplateFeature>, existing?: ExistingProject) {
+	const notes = new Array<string>();
+	if (removed.length === 0) return notes;
+	const definitions = removed.map(feature => templateFeatures[feature]);
+	const collect = <T>(select: (definition: FeatureDefinition) => Array<T>) => definitions.flatMap(select);
+	const isExisting = (file: string) => existing?.files.includes(file) ?? false;
+
+	const packageJsonPath = path.join(cwd, "package.json");
+	const removedScripts = new Array<string>();
+	if (await fs.pathExists(packageJsonPath)) {
+		const text = await fs.readFile(packageJsonPath, "utf8");
+		const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+		const packageJson = JSON.parse(text);
+		const commands = collect(definition => definition.commands);
+		for (const [name, script] of Object.entries<string>(packageJson.scripts ?? {})) {
+			if (existing?.scripts.includes(name)) continue;
+			const kept = script
+				.split("&&")
+				.filter(part => !commands.some(command => command.test(part.trim().replace(/^npx /, ""))));
+			if (kept.length === 0) {
+				delete packageJson.scripts[name];
+				removedScripts.push(name);
+			} else if (kept.length < script.split("&&").length) {
+				packageJson.scripts[name] = kept.join("&&").replace(/^\s+/, "");
+			}
+		}
+		const dependencies = collect(definition => definition.dependencies);
+		const removedDependencies = new Array<string>();
+		for (const field of ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"]) {
+			for (const name of Object.keys(packageJson[field] ?? {})) {
+				if (matchesName(name, dependencies) && !existing?.dependencies.includes(name)) {
+					delete packageJson[field][name];
+					removedDependencies.push(name);
+				}
+			}
+		}
+		await fs.outputFile(packageJsonPath, JSON.stringify(packageJson, undefined, indent) + "\n");
+		if (removedScripts.length + removedDependencies.length > 0) {
+			notes.push(
+				`Removed ${[...removedScripts.map(name => `script ${name}`), ...removedDependencies].join(", ")}`,
+			);
+		}
+	}
+
+	const tsconfigPath = path.join(cwd, "tsconfig.json");
+	if (!isExisting("tsconfig.json") && (await fs.pathExists(tsconfigPath))) {
+		let text = await fs.readFile(tsconfigPath, "utf8");
+		const compilerOptions = parseJsonc(text).compilerOptions ?? {};
+		const transformers = collect(definition => definition.transformers);
+		const typeRoots = collect(definition => definition.typeRoots);
+		const plugins: Array<{ transform?: string }> = compilerOptions.plugins ?? [];
+		const keptPlugins = plugins.filter(plugin => !transformers.includes(plugin.transform ?? ""));
+		if (keptPlugins.length < plugins.length) {
+			text = replaceJsoncArray(text, "plugins", keptPlugins);
+		}
+		const roots: Array<string> = compilerOptions.typeRoots ?? [];
+		const keptRoots = roots.filter(root => !typeRoots.includes(root));
+		if (keptRoots.length < roots.length) {
+			text = replaceJsoncArray(text, "typeRoots", keptRoots);
+		}
+		if (keptPlugins.length < plugins.length || keptRoots.length < roots.length) {
+			await fs.outputFile(tsconfigPath, text);
+			notes.push("Removed plugins and type roots from tsconfig.json");
+		}
+	}
+
+	const projectPath = path.join(cwd, "default.project.json");
+	const projectPaths = collect(definition => definition.projectPaths);
+	if (projectPaths.length > 0 && !isExisting("default.project.json") && (await fs.pathExists(projectPath))) {
+		const projectFile = await readProjectFile(projectPath);
+		const nodes = removePathNodes(projectFile.project.tree, projectPaths);
+		if (nodes.length > 0) {
+			await writeProjectFile(projectFile);
+			notes.push(`Removed ${nodes.join(", ")} from default.project.json`);
+		}
+	}
+
+	const gitignorePath = path.join(cwd, ".gitignore");
+	const rules = collect(definition => definition.gitignore);
+	if (rules.length > 0 && !isExisting(".gitignore") && (await fs.pathExists(gitignorePath))) {
+		const text = await fs.readFile(gitignorePath, "utf8");
+		const kept = text.split("\n").filter(line => !rules.includes(line.trim()));
+		await fs.outputFile(gitignorePath, kept.join("\n"));
+	}
+
+	const workspacePath = path.join(cwd, "pnpm-workspace.yaml");
+	const hoistPatterns = collect(definition => definition.hoistPatterns);
+	if (hoistPatterns.length > 0 && !isExisting("pnpm-workspace.yaml") && (await fs.pathExists(workspacePath))) {
+		const text = await fs.readFile(workspacePath, "utf8");
+		const kept = text.split("\n").filter(line => {
+			const item = /^\s*- (['"]?)(.*)\1\s*$/.exec(line);
+			return !item || !hoistPatterns.includes(item[2]);
+		});
+		await fs.outputFile(workspacePath, kept.join("\n"));
+	}
+
+	return notes;
+}
@@ -0,0 +1,64 @@
+import fs from "fs-extra";
+import path from "path";
+
+import { renamePackageNode } from "./rojoProject";
+import { TemplateFixup } from "./templates";
+import { TemplateVariables } from "./templating";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Json = any;
+
+const GITHUB_REPOSITORY = /github\.com\/[^/]+\/[^/]+/;
+
+async function updatePackageJson(cwd: string, variables: TemplateVariables) {
+	const packageJsonPath = path.join(cwd, "package.json");
+	const text = await fs.readFile(packageJsonPath, "utf8");
+	const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+	const pkgJson = JSON.parse(text);
+	const repository = `github.com/${variables.githubOrg}/${variables.packageNameWithoutScope}`;
+
+	// 只修改名称相关的字段
+	pkgJson.name = variables.packageName;
+
+	// 修改 repository 字段
+	if (pkgJson.repository) {
+		if (typeof pkgJson.repository === "string") {
+			// 如果是字符串，替换仓库名
+			pkgJson.repository = pkgJson.repository.replace(GITHUB_REPOSITORY, repository);
+		} else if (typeof pkgJson.repository === "object" && pkgJson.repository.url) {
+			// 如果是对象，替换 url
+			pkgJson.repository.url = pkgJson.repository.url.replace(GITHUB_REPOSITORY, repository);
+		}
+	}
+
+	await fs.outputFile(
+		packageJsonPath,
+		JSON.stringify(pkgJson, undefined, indent) + (text.endsWith("\n") ? "\n" : ""),
+	);
+}
+
+async function updateProjectJson(cwd: string, callback: (projectJson: Json) => void) {
+	const defaultProjectPath = path.join(cwd, "default.project.json");
+	if (!(await fs.pathExists(defaultProjectPath))) return;
+
+	const projectJson = await fs.readJson(defaultProjectPath);
+	callback(projectJson);
+	await fs.outputFile(defaultProjectPath, JSON.stringify(projectJson, undefined, "\t"));
+}
+
+const fixups: { [K in TemplateFixup]: (cwd: string, variables: TemplateVariables) => Promise<void> } = {
+	[TemplateFixup.PackageJson]: updatePackageJson,
+	[TemplateFixup.ProjectName]: (cwd, variables) =>
+		updateProjectJson(cwd, projectJson => (projectJson.name = variables.packageName)),
+	[TemplateFixup.PackageNode]: (cwd, variables) =>
+		updateProjectJson(cwd, projectJson => renamePackageNode(projectJson, variables.packageName)),
+};
+
+/**
+ * Applies the hand-written fixups for templates that do not use `{{placeholders}}`.
+ */
+export async function applyFixups(cwd: string, names: ReadonlyArray<TemplateFixup>, variables: TemplateVariables) {
+	for (const name of names) {
+		await fixups[name](cwd, variables);
+	}
+}
@@ -0,0 +1,303 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import os from "os";
+import path from "path";
+
+import { TEMPLATE_MANIFEST, TEMPLATES_DIR } from "../constants";
+import { InitError } from "../errors/InitError";
+import { cmd, quoteArg } from "./cmd";
+import { escapeJson, evaluateCondition, findPlaceholders, isBinary, substitute, TemplateContext } from "./templating";
+
+export enum TemplateFixup {
+	/** Set `package.json` name to the project scope and directory name, and point `repository` at it */
+	PackageJson = "packageJson",
+	/** Set the `default.project.json` name to the `package.json` name */
+	ProjectName = "projectName",
+	/** Rename the package's own node under `rbxts_include.node_modules[scope]` and in `globIgnorePaths` */
+	PackageNode = "packageNode",
+}
+
+export enum TemplateFeature {
+	/** The Flamework transformer, its `flamework.build` and the `@flamework` Rojo node */
+	Flamework = "flamework",
+	/** The ESLint config, its plugins and the `lint` script */
+	ESLint = "eslint",
+	/** TestEZ specs run in Roblox Open Cloud, the `TestService` Rojo node and the CI test steps */
+	Tests = "tests",
+	/** The Claude Code plugin manifest and the `postinstall` that links the skills of dependencies */
+	Claude = "claude",
+	/** `src/__examples__`, its Rojo node and the check run before every build */
+	Examples = "examples",
+}
+
+export interface TemplateManifest {
+	name: string;
+	description: string;
+	/** Files to rename after copying, e.g. `gitignore` -> `.gitignore` (npm strips dotfiles when publishing) */
+	rename?: Record<string, string>;
+	/** Files or folders only copied when a condition on the init answers holds, e.g. `"packageManager=pnpm"` */
+	conditions?: Record<string, string>;
+	/** Project-file fixups applied after copying */
+	fixups?: Array<TemplateFixup>;
+	/** Optional parts of the template, asked for during init. Deselected ones are stripped from the project */
+	features?: Array<TemplateFeature>;
+	/** Whether init generates CI workflows for the chosen package manager, registry, features and branch */
+	ci?: boolean;
+	/** Whether the template is the root of a pnpm workspace, which packages are added to with `init --into` */
+	workspace?: boolean;
+	/** Shell commands run inside the new project once the template is copied and fixed up */
+	postCopy?: Array<string>;
+}
+
+export interface TemplateFile {
+	/** Absolute path inside the template */
+	src: string;
+	/** Path relative to the new project, after renames and placeholder substitution */
+	dest: string;
+}
+
+export interface Template {
+	manifest: TemplateManifest;
+	dir: string;
+	/** Removes any temporary files used to fetch an external template */
+	dispose: () => Promise<void>;
+}
+
+/** Entries that are never copied from a template */
+const IGNORED_ENTRIES = new Set([TEMPLATE_MANIFEST, ".git", "node_modules"]);
+
+const DEFAULT_RENAME: Record<string, string> = {
+	gitignore: ".gitignore",
+	npmrc: ".npmrc",
+};
+
+function validateManifest(data: unknown, file: string): TemplateManifest {
+	const manifest = data as Partial<TemplateManifest> | undefined;
+	const issues = new Array<string>();
+
+	if (typeof manifest !== "object" || manifest === null) {
+		issues.push("the manifest must be an object");
+	} else {
+		if (typeof manifest.name !== "string" || !/^[\w.-]+$/.test(manifest.name)) {
+			issues.push(`"name" must be a string of letters, digits, ".", "_" or "-"`);
+		}
+		if (typeof manifest.description !== "string") {
+			issues.push(`"description" must be a string`);
+		}
+		if (
+			manifest.rename !== undefined &&
+			(typeof manifest.rename !== "object" || !Object.values(manifest.rename).every(v => typeof v === "string"))
+		) {
+			issues.push(`"rename" must map file names to file names`);
+		}
+		if (
+			manifest.conditions !== undefined &&
+			(typeof manifest.conditions !== "object" ||
+				!Object.values(manifest.conditions).every(v => typeof v === "string"))
+		) {
+			issues.push(`"conditions" must map file names to conditions`);
+		}
+		if (
+			manifest.fixups !== undefined &&
+			(!Array.isArray(manifest.fixups) || !manifest.fixups.every(v => Object.values(TemplateFixup).includes(v)))
+		) {
+			issues.push(`"fixups" must be an array of ${Object.values(TemplateFixup).join(", ")}`);
+		}
+		if (
+			manifest.features !== undefined &&
+			(!Array.isArray(manifest.features) ||
+				!manifest.features.every(v => Object.values(TemplateFeature).includes(v)))
+		) {
+			issues.push(`"features" must be an array of ${Object.values(TemplateFeature).join(", ")}`);
+		}
+		if (manifest.ci !== undefined && typeof manifest.ci !== "boolean") {
+			issues.push(`"ci" must be a boolean`);
+		}
+		if (manifest.workspace !== undefined && typeof manifest.workspace !== "boolean") {
+			issues.push(`"workspace" must be a boolean`);
+		}
+		if (
+			manifest.postCopy !== undefined &&
+			(!Array.isArray(manifest.postCopy) || !manifest.postCopy.every(v => typeof v === "string"))
+		) {
+			issues.push(`"postCopy" must be an array of strings`);
+		}
+	}
+
+	if (issues.length > 0) {
+		throw new InitError(
+			`Invalid template manifest ${kleur.yellow(file)}:\n${issues.map(v => `  - ${v}\n`).join("")}`,
+		);
+	}
+
+	return manifest as TemplateManifest;
+}
+
+function readManifestSync(dir: string, spec: string): TemplateManifest {
+	const file = path.join(dir, TEMPLATE_MANIFEST);
+	if (!fs.pathExistsSync(file)) {
+		return { name: path.basename(spec), description: `Template from ${spec}` };
+	}
+
+	let data: unknown;
+	try {
+		data = fs.readJsonSync(file);
+	} catch (error) {
+		throw new InitError(`Template manifest ${kleur.yellow(file)} is not valid JSON\n${(error as Error).message}`);
+	}
+	return validateManifest(data, file);
+}
+
+/**
+ * Lists the templates bundled with this package. Every folder in `templates/` with a manifest is a template.
+ */
+export function getBuiltinTemplates() {
+	const templates = new Array<TemplateManifest & { dir: string }>();
+	for (const entry of fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })) {
+		const dir = path.join(TEMPLATES_DIR, entry.name);
+		if (entry.isDirectory() && fs.pathExistsSync(path.join(dir, TEMPLATE_MANIFEST))) {
+			templates.push({ ...readManifestSync(dir, entry.name), dir });
+		}
+	}
+	return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getRenames(manifest: TemplateManifest) {
+	return manifest.rename ?? DEFAULT_RENAME;
+}
+
+export function toPosix(filePath: string) {
+	return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Renames a path, or one of its parent folders, according to the template's `rename` map.
+ */
+function applyRenames(relative: string, renames: Record<string, string>) {
+	for (const [from, to] of Object.entries(renames)) {
+		if (relative === from || relative.startsWith(from + "/")) {
+			return to + relative.slice(from.length);
+		}
+	}
+	return relative;
+}
+
+/**
+ * Lists the files a template will create. Leaves out its manifest and files whose condition does not hold,
+ * and applies renames and placeholder substitution to the destination paths.
+ */
+export async function planTemplateFiles(template: Template, context: TemplateContext) {
+	const renames = getRenames(template.manifest);
+	const conditions = template.manifest.conditions ?? {};
+	const files = new Array<TemplateFile>();
+
+	const visit = async (dir: string) => {
+		for (const name of (await fs.readdir(dir)).sort()) {
+			const src = path.join(dir, name);
+			const relative = toPosix(path.relative(template.dir, src));
+			if (dir === template.dir && IGNORED_ENTRIES.has(name)) continue;
+			if (conditions[relative] !== undefined && !evaluateCondition(conditions[relative], context.answers)) {
+				continue;
+			}
+
+			if ((await fs.stat(src)).isDirectory()) {
+				await visit(src);
+			} else {
+				files.push({ src, dest: substitute(applyRenames(relative, renames), context.variables) });
+			}
+		}
+	};
+	await visit(template.dir);
+
+	return files;
+}
+
+/**
+ * Lists every placeholder used in a template's file contents or paths, regardless of file conditions.
+ */
+export async function getUsedPlaceholders(template: Template) {
+	const used = new Set<string>();
+	// without variables the placeholders in paths stay intact, and without conditions every file is listed
+	const context: TemplateContext = { variables: {} as TemplateContext["variables"], answers: {} };
+	const unconditional = { ...template, manifest: { ...template.manifest, conditions: {} } };
+	for (const file of await planTemplateFiles(unconditional, context)) {
+		const buffer = await fs.readFile(file.src);
+		const text = isBinary(buffer) ? "" : buffer.toString("utf8");
+		for (const name of [...findPlaceholders(file.dest), ...findPlaceholders(text)]) {
+			used.add(name);
+		}
+	}
+	return used;
+}
+
+/**
+ * Renders a single template file, substituting placeholders in text files.
+ */
+export async function renderTemplateFile(file: TemplateFile, context: TemplateContext) {
+	const buffer = await fs.readFile(file.src);
+	if (isBinary(buffer)) {
+		return buffer;
+	}
+	const escape = path.extname(file.dest) === ".json" ? escapeJson : undefined;
+	return substitute(buffer.toString("utf8"), context.variables, escape);
+}
+
+/**
+ * Copies a template into `cwd`, substituting placeholders and leaving out files whose condition does not hold.
+ */
+export async function copyTemplate(template: Template, cwd: string, context: TemplateContext) {
+	for (const file of await planTemplateFiles(template, context)) {
+		const dest = path.join(cwd, file.dest);
+		await fs.outputFile(dest, await renderTemplateFile(file, context));
+		await fs.chmod(dest, (await fs.stat(file.src)).mode);
+	}
+}
+
+function isGitUrl(spec: string) {
+	return /^(git@|git\+|ssh:\/\/|git:\/\/|file:\/\/)/.test(spec) || /^https?:\/\/.+\.git(#.*)?$/.test(spec);
+}
+
+async function fetchGitTemplate(spec: string, tmpDir: string) {
+	const [url, ref] = spec.replace(/^git\+/, "").split("#");
+	const dir = path.join(tmpDir, "template");
+	const args = ["git", "clone", "--quiet", "--depth", "1", ...(ref ? ["--branch", ref] : []), url, dir];
+	await cmd(args.map(quoteArg).join(" "), tmpDir);
+	await fs.remove(path.join(dir, ".git"));
+	return dir;
+}
+
+async function fetchNpmTemplate(spec: string, tmpDir: string) {
+	const output = await cmd(`npm pack ${quoteArg(spec)} --silent --pack-destination ${quoteArg(tmpDir)}`, tmpDir);
+	const tarball = output.trim().split("\n").pop()!;
+	await cmd(`tar -xzf ${quoteArg(tarball)}`, tmpDir);
+	return path.join(tmpDir, "package");
+}
+
+/**
+ * Resolves a template from a built-in name, a local path, a git URL (optionally `#ref`) or an npm package spec.
+ */
+export async function resolveTemplate(spec: string): Promise<Template> {
+	const builtin = getBuiltinTemplates().find(template => template.name === spec);
+	if (builtin) {
+		const { dir, ...manifest } = builtin;
+		return { manifest, dir, dispose: async () => {} };
+	}
+
+	const localDir = path.resolve(spec);
+	if (await fs.pathExists(localDir)) {
+		if (!(await fs.stat(localDir)).isDirectory()) {
+			throw new InitError(`Template ${kleur.yellow(spec)} is not a directory`);
+		}
+		return { manifest: readManifestSync(localDir, spec), dir: localDir, dispose: async () => {} };
+	}
+
+	const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-template-"));
+	const dispose = () => fs.remove(tmpDir);
+	try {
+		const dir = isGitUrl(spec) ? await fetchGitTemplate(spec, tmpDir) : await fetchNpmTemplate(spec, tmpDir);
+		return { manifest: readManifestSync(dir, spec), dir, dispose };
+	} catch (error) {
+		await dispose();
+		throw error;
+	}
+}
@@ -0,0 +1,88 @@
+/**
+ * Values substituted for `{{name}}` placeholders in template file contents and paths.
+ */
+export interface TemplateVariables {
+	/** Name of the project directory */
+	projectName: string;
+	/** npm scope including the `@`, e.g. `@white-dragon-bevy` */
+	scope: string;
+	/** Full package name, e.g. `@white-dragon-bevy/my_plugin` */
+	packageName: string;
+	/** Package name without its scope, e.g. `my_plugin` */
+	packageNameWithoutScope: string;
+	githubOrg: string;
+	/** Repository URL written to `package.json`, e.g. `git+https://github.com/white-dragon-bevy/my_plugin.git` */
+	repositoryUrl: string;
+	author: string;
+	description: string;
+	license: string;
+	/** Registry the package is published to (`publishConfig.registry`) */
+	registry: string;
+}
+
+/** Answers given during init, used to decide which conditional files are included */
+export type TemplateAnswers = Record<string, string | boolean | undefined>;
+
+export interface TemplateContext {
+	variables: TemplateVariables;
+	answers: TemplateAnswers;
+}
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+/**
+ * Lists the placeholder names used in a piece of text.
+ */
+export function findPlaceholders(text: string) {
+	return (text.match(PLACEHOLDER) ?? []).map(match => match.slice(2, -2));
+}
+
+/**
+ * Replaces every `{{name}}` whose name is a known variable. Unknown placeholders are left untouched,
+ * so GitHub Actions expressions like `${{ github.ref }}` survive.
+ */
+export function substitute(text: string, variables: TemplateVariables, escape = (value: string) => value) {
+	return text.replace(PLACEHOLDER, (match, name: string) =>
+		Object.prototype.hasOwnProperty.call(variables, name)
+			? escape(variables[name as keyof TemplateVariables])
+			: match,
+	);
+}
+
+/**
+ * Escapes a value for use inside a JSON string literal.
+ */
+export function escapeJson(value: string) {
+	return JSON.stringify(value).slice(1, -1);
+}
+
+/**
+ * Evaluates a file condition against the init answers. Supported forms are
+ * `name` (truthy), `!name` (falsy), `name=value` and `name!=value`, and several of them joined with `&&`.
+ */
+export function evaluateCondition(condition: string, answers: TemplateAnswers): boolean {
+	if (condition.includes("&&")) {
+		return condition.split("&&").every(part => evaluateCondition(part, answers));
+	}
+
+	const match = /^\s*(!)?\s*(\w+)\s*(?:(!?=)\s*(.*?))?\s*$/.exec(condition);
+	if (!match) {
+		return false;
+	}
+
+	const [, negate, name, operator, expected] = match;
+	const value = answers[name];
+	if (operator === undefined) {
+		return negate ? !value : !!value;
+	}
+
+	const equal = String(value) === expected;
+	return operator === "=" ? equal : !equal;
+}
+
+/**
+ * Treats a file as binary if its first few kilobytes contain a NUL byte.
+ */
+export function isBinary(buffer: Buffer) {
+	return buffer.subarray(0, 8000).includes(0);
+}
@@ -0,0 +1,462 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { LogService } from "../classes/LogService";
+import { InitError } from "../errors/InitError";
+import { parseJsonc } from "./jsonMerge";
+import { getChildren, readProjectFile, RojoTreeNode } from "./rojoProject";
+import { toPosix } from "./templates";
+import { parseYaml, YamlValue } from "./yaml";
+
+export enum TestStatus {
+	Passed = "passed",
+	Failed = "failed",
+	Skipped = "skipped",
+}
+
+export interface TestCase {
+	name: string;
+	status: TestStatus;
+	message?: string;
+	/** Luau stack trace, as reported by the test run */
+	trace?: string;
+}
+
+export interface TestRun {
+	/** Path relative to the project */
+	file: string;
+	timestamp: Date;
+	success: boolean;
+	totalTests: number;
+	passed: number;
+	failed: number;
+	skipped: number;
+	/** Tests listed in the result file. Runs may only list their failures */
+	tests: Array<TestCase>;
+}
+
+export interface TestHistory {
+	/** Failing in the latest run, but not in the run before it */
+	newlyFailing: Array<string>;
+	/** Flipped between passing and failing more than once across the compared runs */
+	flaky: Array<{ name: string; failures: number; runs: number }>;
+}
+
+export interface StackFrame {
+	/** Instance path and line as printed by Luau, e.g. `ReplicatedStorage.TS.__tests__.math.spec:12` */
+	location: string;
+	/** TypeScript source and line, when the instance could be traced back through `out/` */
+	source?: string;
+}
+
+export type TraceMapper = (trace: string) => Promise<Array<StackFrame>>;
+
+export const TEST_RESULT_DIR = ".test-result";
+
+const LUAU_EXTENSIONS = [".luau", ".lua", ".server.luau", ".server.lua", ".client.luau", ".client.lua"];
+const LUAU_KEYWORDS = new Set(
+	"and break do else elseif end false for function if in local nil not or repeat return then true until while self TS".split(
+		" ",
+	),
+);
+
+type YamlMapping = { [key: string]: YamlValue };
+
+function isMapping(value: YamlValue | undefined): value is YamlMapping {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function asString(value: YamlValue | undefined) {
+	return typeof value === "string" ? value : typeof value === "number" ? String(value) : undefined;
+}
+
+function toStatus(value: YamlValue | undefined) {
+	const status = String(value ?? "").toLowerCase();
+	if (/pass|success|ok/.test(status)) return TestStatus.Passed;
+	if (/skip|pending|focus/.test(status)) return TestStatus.Skipped;
+	return TestStatus.Failed;
+}
+
+/**
+ * Splits a TestEZ error into its message and the stack trace after it.
+ */
+function splitError(error: string) {
+	const lines = error.trimEnd().split(/\r?\n/);
+	const traceStart = lines.findIndex((line, index) => index > 0 && (/^Stack Begin/.test(line) || isFrame(line)));
+	return traceStart < 0
+		? { message: error.trim() }
+		: { message: lines.slice(0, traceStart).join("\n").trim(), trace: lines.slice(traceStart).join("\n") };
+}
+
+function toTestCase(value: YamlValue, defaultStatus: TestStatus): TestCase | undefined {
+	if (typeof value === "string") {
+		const { message, trace } = splitError(value);
+		return { name: message.split("\n")[0], status: defaultStatus, message, trace };
+	}
+	if (!isMapping(value)) return undefined;
+
+	const phrases = value.phrases ?? value.path;
+	const name = Array.isArray(phrases)
+		? phrases.map(asString).join(" ")
+		: asString(value.name) ?? asString(value.fullName) ?? asString(value.title);
+	const error =
+		asString(value.message) ??
+		asString(value.error) ??
+		(Array.isArray(value.errors) ? value.errors.map(asString).join("\n") : undefined);
+	const split = error !== undefined ? splitError(error) : undefined;
+	const status =
+		value.status !== undefined || value.result !== undefined
+			? toStatus(value.status ?? value.result)
+			: defaultStatus;
+	if (name === undefined && split === undefined) return undefined;
+	return {
+		name: name ?? split!.message.split("\n")[0],
+		status,
+		message: split?.message,
+		trace: asString(value.trace) ?? asString(value.stackTrace) ?? asString(value.stack) ?? split?.trace,
+	};
+}
+
+/**
+ * Reads the timestamp of a run from the file, falling back to its name (`<timestamp>.yaml`) and then its mtime.
+ */
+function getTimestamp(data: YamlMapping, file: string, mtime: Date) {
+	const candidates = [asString(data.timestamp), asString(data.startTime), path.basename(file, path.extname(file))];
+	for (const candidate of candidates) {
+		if (candidate === undefined) continue;
+		if (/^\d{10,13}$/.test(candidate)) {
+			return new Date(Number(candidate) * (candidate.length === 10 ? 1000 : 1));
+		}
+		// file names cannot hold `:`, e.g. `2026-10-19T12-30-00`
+		const iso = candidate.replace(/^(\d{4}-\d\d-\d\d)[T_ ](\d\d)[-:](\d\d)[-:](\d\d)/, "$1T$2:$3:$4");
+		const date = new Date(iso);
+		if (!isNaN(date.getTime())) return date;
+	}
+	return mtime;
+}
+
+function toTestRun(data: YamlValue, file: string, mtime: Date): TestRun {
+	if (!isMapping(data) || (typeof data.totalTests !== "number" && typeof data.success !== "boolean")) {
+		throw new InitError(`${kleur.yellow(file)} is not a test result, it has neither success nor totalTests`);
+	}
+	const count = (key: string) => (typeof data[key] === "number" ? (data[key] as number) : 0);
+	const tests = new Array<TestCase>();
+	for (const key of ["tests", "results", "testResults"]) {
+		const value = data[key];
+		if (Array.isArray(value)) {
+			tests.push(
+				...value.map(test => toTestCase(test, TestStatus.Passed)).filter((test): test is TestCase => !!test),
+			);
+		}
+	}
+	for (const key of ["failures", "errors"]) {
+		const value = data[key];
+		if (!Array.isArray(value)) continue;
+		for (const failure of value.map(test => toTestCase(test, TestStatus.Failed))) {
+			if (failure && !tests.some(test => test.name === failure.name && test.status === TestStatus.Failed)) {
+				tests.push(failure);
+			}
+		}
+	}
+
+	const failed = count("failed");
+	return {
+		file,
+		timestamp: getTimestamp(data, file, mtime),
+		success: typeof data.success === "boolean" ? data.success : failed === 0,
+		totalTests: count("totalTests"),
+		passed: count("passed"),
+		failed,
+		skipped: count("skipped"),
+		tests,
+	};
+}
+
+/**
+ * Reads the stored test runs, oldest first. Files that cannot be parsed are skipped with a warning.
+ */
+export async function readTestRuns(cwd: string) {
+	const dir = path.join(cwd, TEST_RESULT_DIR);
+	const runs = new Array<TestRun>();
+	if (!(await fs.pathExists(dir))) {
+		return runs;
+	}
+	for (const name of await fs.readdir(dir)) {
+		if (!/\.ya?ml$/.test(name)) continue;
+		const file = path.join(dir, name);
+		const relative = toPosix(path.relative(cwd, file));
+		try {
+			const { mtime } = await fs.stat(file);
+			runs.push(toTestRun(parseYaml(await fs.readFile(file, "utf8"), relative), relative, mtime));
+		} catch (error) {
+			LogService.warn(`Skipped ${kleur.yellow(relative)}\n${String(error)}`);
+		}
+	}
+	return runs.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+}
+
+/**
+ * Outcome of a test in a run. Tests missing from a run without failures passed, as runs may only list failures.
+ */
+function getOutcome(run: TestRun, name: string) {
+	const test = run.tests.find(v => v.name === name);
+	if (test) return test.status;
+	return run.success && run.failed === 0 ? TestStatus.Passed : undefined;
+}
+
+/**
+ * Compares the latest run with the ones before it.
+ */
+export function compareRuns(runs: ReadonlyArray<TestRun>): TestHistory {
+	const latest = runs[runs.length - 1];
+	const previous = runs[runs.length - 2];
+	const history: TestHistory = { newlyFailing: [], flaky: [] };
+	if (!latest) return history;
+
+	if (previous) {
+		history.newlyFailing = latest.tests
+			.filter(test => test.status === TestStatus.Failed && getOutcome(previous, test.name) === TestStatus.Passed)
+			.map(test => test.name);
+	}
+
+	const names = new Set(runs.flatMap(run => run.tests.map(test => test.name)));
+	for (const name of names) {
+		const outcomes = runs
+			.map(run => getOutcome(run, name))
+			.filter(outcome => outcome === TestStatus.Passed || outcome === TestStatus.Failed);
+		const flips = outcomes.filter((outcome, index) => index > 0 && outcome !== outcomes[index - 1]).length;
+		if (flips > 1) {
+			const failures = outcomes.filter(outcome => outcome === TestStatus.Failed).length;
+			history.flaky.push({ name, failures, runs: outcomes.length });
+		}
+	}
+	history.flaky.sort((a, b) => b.failures / b.runs - a.failures / a.runs || a.name.localeCompare(b.name));
+	return history;
+}
+
+function isFrame(line: string) {
+	return parseFrame(line) !== undefined;
+}
+
+/**
+ * Reads `Script 'ReplicatedStorage.TS.x', Line 12` and `ReplicatedStorage.TS.x:12` frames.
+ */
+function parseFrame(line: string) {
+	const match =
+		/Script '([^']+)',\s*Line (\d+)/.exec(line) ?? /^\s*([A-Za-z_][\w@-]*(?:\.[\w@-]+)+):(\d+)\b/.exec(line);
+	return match ? { instance: match[1], line: Number(match[2]) } : undefined;
+}
+
+function collectMappings(node: RojoTreeNode, instancePath: Array<string>, mappings: Array<[string, string]>) {
+	if (typeof node.$path === "string") {
+		mappings.push([instancePath.join("."), node.$path]);
+	}
+	for (const [name, child] of getChildren(node)) {
+		if (typeof child === "object" && child !== null) {
+			collectMappings(child, [...instancePath, name], mappings);
+		}
+	}
+}
+
+function tokenize(line: string) {
+	return new Set((line.match(/[A-Za-z_]\w+/g) ?? []).filter(token => !LUAU_KEYWORDS.has(token)));
+}
+
+/**
+ * Finds the TypeScript line a compiled Luau line came from. roblox-ts does not emit source maps, so this picks
+ * the line sharing the most identifiers, preferring the one closest to the same relative position.
+ */
+function matchLine(luauLines: ReadonlyArray<string>, luauLine: number, tsLines: ReadonlyArray<string>) {
+	const tokens = tokenize(luauLines[luauLine - 1] ?? "");
+	if (tokens.size === 0) return undefined;
+	const expected = (luauLine / luauLines.length) * tsLines.length;
+	let best: { line: number; score: number; distance: number } | undefined;
+	tsLines.forEach((text, index) => {
+		const candidate = tokenize(text);
+		const score = [...tokens].filter(token => candidate.has(token)).length;
+		const distance = Math.abs(index + 1 - expected);
+		if (score > 0 && (!best || score > best.score || (score === best.score && distance < best.distance))) {
+			best = { line: index + 1, score, distance };
+		}
+	});
+	return best?.line;
+}
+
+/**
+ * Maps Luau stack frames back to TypeScript lines, using the Rojo project to find the compiled file in `out/`
+ * and the tsconfig `rootDir` to find its source. Works on the files on disk only.
+ */
+export async function createTraceMapper(cwd: string): Promise<TraceMapper> {
+	const mappings = new Array<[string, string]>();
+	const projectPath = path.join(cwd, "default.project.json");
+	if (await fs.pathExists(projectPath)) {
+		const { project } = await readProjectFile(projectPath);
+		collectMappings(project.tree, [], mappings);
+	}
+	// longest instance paths first, so nested mappings win
+	mappings.sort((a, b) => b[0].length - a[0].length);
+
+	const tsconfigPath = path.join(cwd, "tsconfig.json");
+	const compilerOptions = (await fs.pathExists(tsconfigPath))
+		? parseJsonc(await fs.readFile(tsconfigPath, "utf8")).compilerOptions ?? {}
+		: {};
+	const rootDir = path.resolve(cwd, compilerOptions.rootDir ?? "src");
+	const outDir = path.resolve(cwd, compilerOptions.outDir ?? "out");
+
+	const files = new Map<string, Promise<Array<string> | undefined>>();
+	const readLines = (file: string) => {
+		if (!files.has(file)) {
+			files.set(
+				file,
+				fs
+					.readFile(file, "utf8")
+					.then(text => text.split(/\r?\n/))
+					.catch(() => undefined),
+			);
+		}
+		return files.get(file)!;
+	};
+
+	const findLuauFile = async (instance: string) => {
+		// instance names may contain dots, e.g. `math.spec`, so try every split of the remaining path
+		const mapping = mappings.find(
+			([prefix]) => prefix === "" || instance === prefix || instance.startsWith(prefix + "."),
+		);
+		if (!mapping) return undefined;
+		const rest = mapping[0] === "" ? instance : instance.slice(mapping[0].length + 1);
+		const base = path.resolve(cwd, mapping[1]);
+		const segments = rest === "" ? [] : rest.split(".");
+		const candidates =
+			segments.length === 0 ? LUAU_EXTENSIONS.map(extension => path.join(base, `init${extension}`)) : [];
+		for (let index = segments.length - 1; index >= 0; index--) {
+			const file = path.join(base, ...segments.slice(0, index), segments.slice(index).join("."));
+			candidates.push(
+				...LUAU_EXTENSIONS.map(extension => file + extension),
+				...LUAU_EXTENSIONS.map(extension => path.join(file, `init${extension}`)),
+			);
+		}
+		for (const candidate of candidates) {
+			if (await fs.pathExists(candidate)) return candidate;
+		}
+		return undefined;
+	};
+
+	const findSource = async (luauFile: string) => {
+		const relative = path.relative(outDir, luauFile);
+		if (relative.startsWith("..")) return undefined;
+		// `main.server.ts` compiles to `main.server.luau`, and `index.ts` to `init.luau`
+		const stem = relative.replace(/\.luau?$/, "").replace(/(^|[\\/])init((\.server|\.client)?)$/, "$1index$2");
+		for (const extension of [".ts", ".tsx"]) {
+			const candidate = path.join(rootDir, stem + extension);
+			if (await fs.pathExists(candidate)) return candidate;
+		}
+		return undefined;
+	};
+
+	return async trace => {
+		const frames = new Array<StackFrame>();
+		for (const text of trace.split(/\r?\n/)) {
+			const frame = parseFrame(text);
+			if (!frame) continue;
+			const location = `${frame.instance}:${frame.line}`;
+			const luauFile = await findLuauFile(frame.instance);
+			const sourceFile = luauFile && (await findSource(luauFile));
+			if (!luauFile || !sourceFile) {
+				frames.push({ location });
+				continue;
+			}
+			const [luauLines, tsLines] = await Promise.all([readLines(luauFile), readLines(sourceFile)]);
+			const line = luauLines && tsLines ? matchLine(luauLines, frame.line, tsLines) : undefined;
+			const source = toPosix(path.relative(cwd, sourceFile));
+			frames.push({ location, source: line !== undefined ? `${source}:${line}` : source });
+		}
+		return frames;
+	};
+}
+
+function escapeXml(text: string) {
+	return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+export function formatFrames(frames: ReadonlyArray<StackFrame>) {
+	return frames.map(frame => (frame.source ? `at ${frame.source} (${frame.location})` : `at ${frame.location}`));
+}
+
+/**
+ * Renders a run as JUnit XML, with the stack traces mapped to TypeScript.
+ */
+export async function renderJunit(run: TestRun, suiteName: string, mapTrace: TraceMapper) {
+	const lines = [
+		`<?xml version="1.0" encoding="UTF-8"?>`,
+		`<testsuites name="${escapeXml(suiteName)}" tests="${run.totalTests}" failures="${run.failed}" skipped="${
+			run.skipped
+		}">`,
+		`\t<testsuite name="${escapeXml(suiteName)}" tests="${run.totalTests}" failures="${run.failed}" skipped="${
+			run.skipped
+		}" timestamp="${run.timestamp.toISOString()}">`,
+	];
+	for (const test of run.tests) {
+		const testcase = `\t\t<testcase name="${escapeXml(test.name)}" classname="${escapeXml(suiteName)}"`;
+		if (test.status === TestStatus.Passed) {
+			lines.push(`${testcase}/>`);
+		} else if (test.status === TestStatus.Skipped) {
+			lines.push(`${testcase}>`, `\t\t\t<skipped/>`, `\t\t</testcase>`);
+		} else {
+			const frames = test.trace !== undefined ? formatFrames(await mapTrace(test.trace)) : [];
+			const body = [test.message ?? "", ...frames].join("\n").trim();
+			lines.push(
+				`${testcase}>`,
+				`\t\t\t<failure message="${escapeXml(test.message?.split("\n")[0] ?? "failed")}">${escapeXml(
+					body,
+				)}</failure>`,
+				`\t\t</testcase>`,
+			);
+		}
+	}
+	lines.push(`\t</testsuite>`, `</testsuites>`, "");
+	return lines.join("\n");
+}
+
+/**
+ * Renders a Markdown summary of a run and its history, e.g. for a CI job summary.
+ */
+export async function renderMarkdown(run: TestRun, history: TestHistory, mapTrace: TraceMapper) {
+	const lines = [
+		`## Test results ${run.success ? "✅" : "❌"}`,
+		"",
+		`Run \`${run.file}\` at ${run.timestamp.toISOString()}.`,
+		"",
+		"| Total | Passed | Failed | Skipped |",
+		"| --- | --- | --- | --- |",
+		`| ${run.totalTests} | ${run.passed} | ${run.failed} | ${run.skipped} |`,
+		"",
+	];
+	const failures = run.tests.filter(test => test.status === TestStatus.Failed);
+	if (failures.length > 0) {
+		lines.push("### Failures", "");
+		for (const test of failures) {
+			const frames = test.trace !== undefined ? formatFrames(await mapTrace(test.trace)) : [];
+			lines.push(
+				`- **${test.name}**`,
+				"",
+				"  ```",
+				...[test.message ?? "", ...frames].map(v => `  ${v}`),
+				"  ```",
+				"",
+			);
+		}
+	}
+	if (history.newlyFailing.length > 0) {
+		lines.push("### Newly failing", "", ...history.newlyFailing.map(name => `- ${name}`), "");
+	}
+	if (history.flaky.length > 0) {
+		lines.push(
+			"### Flaky",
+			"",
+			...history.flaky.map(({ name, failures, runs }) => `- ${name} (failed ${failures} of ${runs} runs)`),
+			"",
+		);
+	}
+	return lines.join("\n");
+}
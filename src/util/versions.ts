@@ -0,0 +1,497 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { LogService } from "../classes/LogService";
+import { PACKAGE_NAME, PROJECT_SCOPE, RBXTS_SCOPE, VERSION as CLI_VERSION } from "../constants";
+import { InitError } from "../errors/InitError";
+import { cmd, quoteArg } from "./cmd";
+
+export enum VersionSource {
+	/** Query the registry (or `--registryMirror`) with `npm view` */
+	Registry = "registry",
+	/** Read the versions locked in a `pnpm-lock.yaml`, `package-lock.json` or `yarn.lock` */
+	Lockfile = "lockfile",
+	/** Do not resolve anything, only apply `--compilerVersion` */
+	None = "none",
+}
+
+export interface PackageVersions {
+	versions: Array<string>;
+	/** The `latest` dist-tag, or the locked version */
+	latest?: string;
+}
+
+export type VersionResolver = (name: string) => Promise<PackageVersions | undefined>;
+
+/** A dependency left at a range, because there were no versions to pick from */
+export interface UnresolvedVersion {
+	name: string;
+	range: string;
+}
+
+export interface PinOptions {
+	compilerVersion?: string;
+	resolver?: VersionResolver;
+	/** Dependencies the project declared before the template was merged into it, which are kept as they are */
+	keep?: ReadonlyArray<string>;
+}
+
+const COMPILER = "roblox-ts";
+const COMPILER_TYPES = `${RBXTS_SCOPE}/compiler-types`;
+const TYPES = `${RBXTS_SCOPE}/types`;
+const FRAMEWORK = `${PROJECT_SCOPE}/bevy_framework`;
+
+const LOCKFILES = ["pnpm-lock.yaml", "package-lock.json", "yarn.lock"];
+
+const VERSION = /^(\d+)\.(\d+)\.(\d+)(?:-([\w.-]+))?(?:\+[\w.-]+)?$/;
+
+/**
+ * Compares two semver versions, including prerelease precedence.
+ */
+export function compareVersions(a: string, b: string) {
+	const matchA = VERSION.exec(a);
+	const matchB = VERSION.exec(b);
+	if (!matchA || !matchB) {
+		return a.localeCompare(b);
+	}
+
+	for (let i = 1; i <= 3; i++) {
+		const diff = Number(matchA[i]) - Number(matchB[i]);
+		if (diff !== 0) return diff;
+	}
+
+	const [preA, preB] = [matchA[4], matchB[4]];
+	if (preA === undefined || preB === undefined) {
+		return preA === preB ? 0 : preA === undefined ? 1 : -1;
+	}
+
+	const partsA = preA.split(".");
+	const partsB = preB.split(".");
+	for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+		if (partsA[i] === undefined) return -1;
+		if (partsB[i] === undefined) return 1;
+		const numeric = /^\d+$/.test(partsA[i]) && /^\d+$/.test(partsB[i]);
+		const diff = numeric ? Number(partsA[i]) - Number(partsB[i]) : partsA[i].localeCompare(partsB[i]);
+		if (diff !== 0) return diff;
+	}
+	return 0;
+}
+
+export enum ReleaseType {
+	Patch = "patch",
+	Minor = "minor",
+	Major = "major",
+	/** The next `<preid>.N` prerelease, e.g. `0.14.0-beta.5` to `0.14.0-beta.6` */
+	Prerelease = "prerelease",
+}
+
+/**
+ * Computes the next version the way `npm version` does.
+ * A prerelease is promoted to its release by `patch`, and by `minor` or `major` when it is already on that boundary.
+ */
+export function bumpVersion(version: string, type: ReleaseType, preid = "beta") {
+	const match = VERSION.exec(version);
+	if (!match) {
+		throw new InitError(`${kleur.yellow(version)} is not a valid semver version`);
+	}
+
+	const [major, minor, patch] = [1, 2, 3].map(i => Number(match[i]));
+	const prerelease = match[4];
+	switch (type) {
+		case ReleaseType.Major:
+			return prerelease !== undefined && minor === 0 && patch === 0 ? `${major}.0.0` : `${major + 1}.0.0`;
+		case ReleaseType.Minor:
+			return prerelease !== undefined && patch === 0 ? `${major}.${minor}.0` : `${major}.${minor + 1}.0`;
+		case ReleaseType.Patch:
+			return prerelease !== undefined ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+		case ReleaseType.Prerelease: {
+			if (prerelease === undefined) {
+				return `${major}.${minor}.${patch + 1}-${preid}.0`;
+			}
+			const counter = prerelease.startsWith(`${preid}.`) ? prerelease.slice(preid.length + 1) : undefined;
+			const next = counter !== undefined && /^\d+$/.test(counter) ? Number(counter) + 1 : 0;
+			return `${major}.${minor}.${patch}-${preid}.${next}`;
+		}
+	}
+}
+
+/** A version with missing or wildcard parts, as written in a range, e.g. `1.2`, `1.x` or `^0.14.0-beta.5` */
+const PARTIAL_VERSION = /^[v=]*(\d+|[xX*])?(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([\w.-]+))?(?:\+[\w.-]+)?$/;
+
+interface Comparator {
+	operator: "<" | "<=" | ">" | ">=" | "=";
+	version: string;
+	/** Written with a prerelease tag, which lets prereleases of the same version match */
+	prerelease: boolean;
+}
+
+/**
+ * Turns one comparator of a range, e.g. `^1.2.3`, `~1.2` or `>=1.0.0`, into plain lower and upper bounds.
+ * @returns `undefined` when the comparator is not valid semver
+ */
+function expandComparator(text: string): Array<Comparator> | undefined {
+	const [, operator = "", rest] = /^(\^|~>?|[<>]=?|=)?(.*)$/.exec(text)!;
+	const match = PARTIAL_VERSION.exec(rest);
+	if (!match) return undefined;
+
+	const [major, minor, patch] = [1, 2, 3].map(i =>
+		match[i] === undefined || /^[xX*]$/.test(match[i]) ? undefined : Number(match[i]),
+	);
+	if (major === undefined) return [];
+
+	const prerelease = match[4] !== undefined;
+	const partial = minor === undefined || patch === undefined;
+	const lower = `${major}.${minor ?? 0}.${patch ?? 0}${prerelease ? `-${match[4]}` : ""}`;
+	const bound = (op: Comparator["operator"], version: string) => ({ operator: op, version, prerelease });
+	// the first version past the given part, e.g. 2.0.0-0 for the major part of 1.2.3
+	const bump = (part: number) =>
+		part === 0
+			? `${major + 1}.0.0-0`
+			: part === 1
+			? `${major}.${minor! + 1}.0-0`
+			: `${major}.${minor}.${patch! + 1}-0`;
+	const lastPart = minor === undefined ? 0 : patch === undefined ? 1 : 2;
+
+	switch (operator) {
+		case "^":
+			return [
+				bound(">=", lower),
+				bound("<", bump(major !== 0 || minor === undefined ? 0 : minor !== 0 || patch === undefined ? 1 : 2)),
+			];
+		case "~":
+		case "~>":
+			return [bound(">=", lower), bound("<", bump(minor === undefined ? 0 : 1))];
+		case ">":
+			return [partial ? bound(">=", bump(lastPart)) : bound(">", lower)];
+		case ">=":
+			return [bound(">=", lower)];
+		case "<":
+			return [bound("<", partial ? `${lower}-0` : lower)];
+		case "<=":
+			return [partial ? bound("<", bump(lastPart)) : bound("<=", lower)];
+		default:
+			return partial ? [bound(">=", lower), bound("<", bump(lastPart))] : [bound("=", lower)];
+	}
+}
+
+function testComparator(version: string, { operator, version: other }: Comparator) {
+	const diff = compareVersions(version, other);
+	switch (operator) {
+		case "<":
+			return diff < 0;
+		case "<=":
+			return diff <= 0;
+		case ">":
+			return diff > 0;
+		case ">=":
+			return diff >= 0;
+		default:
+			return diff === 0;
+	}
+}
+
+/**
+ * Splits a range into its `||` alternatives, each a list of comparators that must all hold.
+ * An alternative that is not valid semver is `undefined`.
+ */
+function parseRange(range: string) {
+	return range.split("||").map(set => {
+		const normalized = set.trim().replace(/([<>=~^])\s+/g, "$1");
+		const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(normalized);
+		const parts = hyphen ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`] : normalized.split(/\s+/).filter(v => v !== "");
+
+		const comparators = new Array<Comparator>();
+		for (const part of parts) {
+			const expanded = expandComparator(part);
+			if (!expanded) return undefined;
+			comparators.push(...expanded);
+		}
+		return comparators;
+	});
+}
+
+/**
+ * Checks a version against an npm range such as `^0.14.0-beta.5`, `~1.2 || >=2` or `1.0.0 - 1.5.0`.
+ * Like npm, a prerelease only matches when the range names a prerelease of the same version.
+ */
+export function satisfiesRange(version: string, range: string) {
+	const match = VERSION.exec(version);
+	if (!match) return false;
+
+	return parseRange(range).some(comparators => {
+		if (!comparators || !comparators.every(comparator => testComparator(version, comparator))) return false;
+		if (match[4] === undefined) return true;
+
+		const release = `${match[1]}.${match[2]}.${match[3]}`;
+		return comparators.some(comparator => comparator.prerelease && comparator.version.startsWith(`${release}-`));
+	});
+}
+
+/**
+ * Checks whether `range` is an npm range `satisfiesRange` understands, rather than a dist-tag or a
+ * `workspace:`, `link:` or git spec.
+ */
+export function isValidRange(range: string) {
+	return parseRange(range).every(comparators => comparators !== undefined);
+}
+
+function isStable(version: string) {
+	return VERSION.test(version) && !version.includes("-");
+}
+
+function highest(versions: ReadonlyArray<string>) {
+	return [...versions].sort(compareVersions).pop();
+}
+
+function latestOf({ versions, latest }: PackageVersions) {
+	return latest ?? highest(versions.filter(isStable)) ?? highest(versions);
+}
+
+/** `latest`, `*` and an empty range, which take any version */
+function isAnyVersion(range: string) {
+	return range === "latest" || range.trim() === "" || range.trim() === "*";
+}
+
+/**
+ * Picks the version npm would install for `range`: the `latest` dist-tag when it satisfies the range,
+ * otherwise the highest version that does. `latest`, `*` and an empty range take the `latest` dist-tag.
+ * @returns `undefined` when no version satisfies the range
+ */
+export function resolveRange(range: string, packageVersions: PackageVersions) {
+	if (isAnyVersion(range)) {
+		return latestOf(packageVersions);
+	}
+	const { versions, latest } = packageVersions;
+	if (latest !== undefined && satisfiesRange(latest, range)) {
+		return latest;
+	}
+	return highest(versions.filter(version => satisfiesRange(version, range)));
+}
+
+/**
+ * Resolves versions with `npm view`, so scoped registries and auth tokens from `.npmrc` files apply.
+ * Retries are disabled so an unreachable mirror fails fast instead of stalling init.
+ */
+export function createRegistryResolver(cwd: string, registry?: string): VersionResolver {
+	return async name => {
+		const registryArg = registry !== undefined ? ` --registry ${quoteArg(registry)}` : "";
+		let output: string;
+		try {
+			output = await cmd(
+				`npm view ${quoteArg(name)} versions dist-tags --json --fetch-retries 0${registryArg}`,
+				cwd,
+			);
+		} catch (error) {
+			LogService.warn(`Could not resolve versions of ${kleur.yellow(name)}\n${String(error)}`);
+			return undefined;
+		}
+		const data = JSON.parse(output);
+		const versions: Array<string> = typeof data.versions === "string" ? [data.versions] : data.versions ?? [];
+		return { versions, latest: data["dist-tags"]?.latest };
+	};
+}
+
+function parsePnpmLock(text: string) {
+	const locked = new Map<string, Array<string>>();
+	// v9 keys look like `  '@rbxts/types@1.0.888':`, v6 keys like `  /@rbxts/types/1.0.888:`
+	const patterns = [
+		/^ {2}'?(@?[^@\s'/]+(?:\/[^@\s']+)?)@(\d[^('\s:]*)/gm,
+		/^ {2}'?\/(@?[^\s'/]+(?:\/[^\s'/]+)?)\/(\d[^('\s:_]*)/gm,
+	];
+	for (const pattern of patterns) {
+		let match: RegExpExecArray | null;
+		while ((match = pattern.exec(text))) {
+			locked.set(match[1], [...(locked.get(match[1]) ?? []), match[2]]);
+		}
+	}
+	return locked;
+}
+
+function parsePackageLock(text: string) {
+	const locked = new Map<string, Array<string>>();
+	const data = JSON.parse(text);
+	for (const [key, value] of Object.entries<{ version?: string }>(data.packages ?? data.dependencies ?? {})) {
+		const name = key.replace(/^(.*\/)?node_modules\//, "");
+		if (name.length > 0 && value.version !== undefined) {
+			locked.set(name, [...(locked.get(name) ?? []), value.version]);
+		}
+	}
+	return locked;
+}
+
+function parseYarnLock(text: string) {
+	const locked = new Map<string, Array<string>>();
+	let names = new Array<string>();
+	for (const line of text.split(/\r?\n/)) {
+		if (/^\S/.test(line) && line.endsWith(":")) {
+			// `"@rbxts/types@^1.0.0", "@rbxts/types@latest":`
+			names = line
+				.slice(0, -1)
+				.split(",")
+				.map(spec => spec.trim().replace(/^"|"$/g, ""))
+				.map(spec => spec.slice(0, spec.lastIndexOf("@")));
+		} else {
+			const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line)?.[1];
+			if (version !== undefined) {
+				for (const name of new Set(names)) {
+					locked.set(name, [...(locked.get(name) ?? []), version]);
+				}
+			}
+		}
+	}
+	return locked;
+}
+
+/**
+ * Finds the lockfile to resolve versions from, preferring `lockfile` when given.
+ */
+export async function findLockfile(cwd: string, lockfile?: string) {
+	if (lockfile !== undefined) {
+		const lockfilePath = path.resolve(lockfile);
+		if (!(await fs.pathExists(lockfilePath))) {
+			throw new InitError(`Lockfile ${kleur.yellow(lockfilePath)} does not exist`);
+		}
+		return lockfilePath;
+	}
+
+	for (const fileName of LOCKFILES) {
+		const lockfilePath = path.join(cwd, fileName);
+		if (await fs.pathExists(lockfilePath)) {
+			return lockfilePath;
+		}
+	}
+
+	throw new InitError(`No lockfile found in ${cwd}. Use --lockfile to choose one or a different --versionSource`);
+}
+
+/**
+ * Resolves versions from a lockfile. A package's latest version is the highest version locked.
+ */
+export async function createLockfileResolver(lockfilePath: string): Promise<VersionResolver> {
+	const text = await fs.readFile(lockfilePath, "utf8");
+	const fileName = path.basename(lockfilePath);
+	const locked = fileName.endsWith(".yaml")
+		? parsePnpmLock(text)
+		: fileName.endsWith(".json")
+		? parsePackageLock(text)
+		: parseYarnLock(text);
+
+	return async name => {
+		const versions = locked.get(name);
+		return versions && versions.length > 0 ? { versions, latest: highest(versions) } : undefined;
+	};
+}
+
+/**
+ * Picks the `@rbxts/compiler-types` release made for a compiler version, e.g. `3.0.0-types.1` for `3.0.0`.
+ * Falls back to the highest release with the same major and minor version.
+ */
+function matchCompilerTypes(compilerVersion: string, { versions }: PackageVersions) {
+	const exact = versions.filter(version => version.startsWith(`${compilerVersion}-types`));
+	if (exact.length > 0) {
+		return highest(exact);
+	}
+	const minor = compilerVersion.split(".").slice(0, 2).join(".") + ".";
+	return highest(versions.filter(version => version.startsWith(minor)));
+}
+
+type DependencyField = "dependencies" | "devDependencies" | "peerDependencies";
+
+/**
+ * Pins the compiler and its type packages to exact versions, and the Bevy framework peer range
+ * to the resolved release, so projects created on the same day resolve the same versions.
+ * Versions are picked within the ranges the template declares, so pinning never leaves them.
+ * @returns the dependencies left at a range, because the resolver had no versions for them
+ */
+export async function pinDependencies(cwd: string, { compilerVersion, resolver, keep = [] }: PinOptions) {
+	const packageJsonPath = path.join(cwd, "package.json");
+	const text = await fs.readFile(packageJsonPath, "utf8");
+	const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+	const pkgJson = JSON.parse(text);
+
+	const fields: Array<DependencyField> = ["dependencies", "devDependencies", "peerDependencies"];
+	const findField = (name: string) =>
+		keep.includes(name) ? undefined : fields.find(field => pkgJson[field]?.[name] !== undefined);
+	const set = (name: string, version: string | undefined) => {
+		const field = findField(name);
+		if (field && version !== undefined) {
+			pkgJson[field][name] = version;
+		}
+	};
+	// dist-tags other than latest and workspace:, link: or git specs are left as the template declares them
+	const rangeOf = (name: string) => {
+		const range: string = pkgJson[findField(name)!][name];
+		return range === "latest" || isValidRange(range) ? range : undefined;
+	};
+	const unresolved = new Set<string>();
+	const resolve = async (name: string) => {
+		if (!findField(name) || rangeOf(name) === undefined) return undefined;
+		const packageVersions = await resolver?.(name);
+		if (packageVersions === undefined) {
+			unresolved.add(name);
+		}
+		return packageVersions;
+	};
+	const pick = (name: string, packageVersions: PackageVersions) => {
+		const range = rangeOf(name)!;
+		const version = resolveRange(range, packageVersions);
+		if (version === undefined) {
+			const recent = [...packageVersions.versions].sort(compareVersions).slice(-5);
+			throw new InitError(
+				`No version of ${name} matches ${kleur.yellow(range)} from the template. ` +
+					`Recent versions: ${recent.join(", ")}`,
+			);
+		}
+		return version;
+	};
+
+	let compiler = compilerVersion;
+	const compilerVersions = await resolve(COMPILER);
+	if (compilerVersions) {
+		if (compiler !== undefined && !compilerVersions.versions.includes(compiler)) {
+			const recent = compilerVersions.versions.filter(isStable).sort(compareVersions).slice(-5);
+			throw new InitError(
+				`roblox-ts ${kleur.yellow(compiler)} is not available. Recent versions: ${recent.join(", ")}`,
+			);
+		}
+		compiler ??= pick(COMPILER, compilerVersions);
+	}
+	set(COMPILER, compiler);
+
+	const compilerTypes = await resolve(COMPILER_TYPES);
+	if (compiler !== undefined && compilerTypes) {
+		const range = rangeOf(COMPILER_TYPES)!;
+		// every compiler-types version is a prerelease, which `*` does not match
+		const versions = compilerTypes.versions.filter(
+			version => isAnyVersion(range) || satisfiesRange(version, range),
+		);
+		set(COMPILER_TYPES, matchCompilerTypes(compiler, { versions }));
+	} else if (compilerVersion !== undefined && findField(COMPILER_TYPES) && rangeOf(COMPILER_TYPES) !== undefined) {
+		// without versions to pick from, any types release made for the compiler will do
+		set(COMPILER_TYPES, `~${compilerVersion}-types.0`);
+	}
+
+	const types = await resolve(TYPES);
+	if (types) {
+		set(TYPES, pick(TYPES, types));
+	}
+
+	const framework = await resolve(FRAMEWORK);
+	if (framework) {
+		set(FRAMEWORK, `^${pick(FRAMEWORK, framework)}`);
+	}
+
+	// the project's scripts run the create-bevy that created it, not whatever npx finds
+	set(PACKAGE_NAME, CLI_VERSION);
+
+	await fs.outputFile(
+		packageJsonPath,
+		JSON.stringify(pkgJson, undefined, indent) + (text.endsWith("\n") ? "\n" : ""),
+	);
+
+	// an explicit --compilerVersion is pinned without versions to pick from
+	return [...unresolved]
+		.map((name): UnresolvedVersion => ({ name, range: pkgJson[findField(name)!][name] }))
+		.filter(({ range }) => !VERSION.test(range));
+}
@@ -0,0 +1,355 @@
+import fs from "fs-extra";
+import kleur from "kleur";
+import path from "path";
+
+import { RBXTS_SCOPE } from "../constants";
+import { InitError } from "../errors/InitError";
+import { parseJsonc } from "./jsonMerge";
+import { PNPM_WORKSPACE_FILE } from "./packageManagers";
+import {
+	getDependencyScopes,
+	getGlobIgnorePaths,
+	readProjectFile,
+	RojoTreeNode,
+	writeProjectFile,
+} from "./rojoProject";
+import { toPosix } from "./templates";
+import { parseYaml } from "./yaml";
+
+/** Built-in template `init --workspace` creates the workspace root from */
+export const WORKSPACE_TEMPLATE = "workspace";
+/** Folder of the workspace that `init --into` creates packages in */
+export const WORKSPACE_PACKAGES_DIR = "packages";
+/** Compiler options shared by the packages, which their `tsconfig.json` extends */
+export const WORKSPACE_TSCONFIG = "tsconfig.base.json";
+/** ESLint config shared by the packages, which their `eslint.config.mjs` re-exports */
+export const WORKSPACE_ESLINT_CONFIG = "eslint.config.base.mjs";
+/** Rojo project at the workspace root, mapping every package for tests */
+export const WORKSPACE_PROJECT_FILE = "default.project.json";
+
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+const WORKSPACE_PROTOCOL = "workspace:";
+const WORKSPACE_RANGE = "workspace:^";
+
+type Dependencies = Record<string, string>;
+
+export interface WorkspacePackage {
+	name: string;
+	version: string;
+	/** Absolute path of the package */
+	dir: string;
+	/** Path of the package relative to the workspace root, with forward slashes */
+	relative: string;
+	scripts: Record<string, string>;
+	/** Other packages of the workspace it depends on, in any dependency field */
+	dependencies: Array<string>;
+}
+
+async function readPackagePatterns(root: string) {
+	const file = path.join(root, PNPM_WORKSPACE_FILE);
+	if (!(await fs.pathExists(file))) return undefined;
+	const workspace = parseYaml(await fs.readFile(file, "utf8"), file) as { packages?: Array<string> } | null;
+	// a single package keeps pnpm settings in the file too, listing only itself
+	const patterns = (workspace?.packages ?? []).filter(pattern => pattern !== "." && pattern !== "./");
+	return patterns.length > 0 ? patterns : undefined;
+}
+
+/**
+ * Finds the root of the pnpm workspace that contains `dir`, or `undefined` when it is not inside one.
+ */
+export async function findWorkspaceRoot(dir: string) {
+	for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+		if (await readPackagePatterns(current)) return current;
+		if (path.dirname(current) === current) return undefined;
+	}
+}
+
+/**
+ * Lists the folders matching a `packages` pattern: a folder, `folder/*` or `folder/**`.
+ */
+async function expandPattern(root: string, pattern: string) {
+	const base = pattern.replace(/\/\*\*?$/, "");
+	if (base === pattern) return [path.join(root, pattern)];
+
+	const dirs = new Array<string>();
+	const visit = async (dir: string, recursive: boolean) => {
+		for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => new Array<fs.Dirent>())) {
+			if (!entry.isDirectory() || entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+			dirs.push(path.join(dir, entry.name));
+			if (recursive) await visit(path.join(dir, entry.name), true);
+		}
+	};
+	await visit(path.join(root, base), pattern.endsWith("/**"));
+	return dirs;
+}
+
+/**
+ * Reads the packages of the workspace at `root`, sorted by path.
+ */
+export async function readWorkspace(root: string) {
+	const patterns = await readPackagePatterns(root);
+	if (!patterns) {
+		throw new InitError(`${kleur.yellow(root)} is not a pnpm workspace, create one with init --workspace`);
+	}
+
+	const included = new Set<string>();
+	const excluded = new Set<string>();
+	for (const pattern of patterns) {
+		const negated = pattern.startsWith("!");
+		for (const dir of await expandPattern(root, negated ? pattern.slice(1) : pattern)) {
+			(negated ? excluded : included).add(dir);
+		}
+	}
+
+	const manifests = new Array<{ dir: string; packageJson: Record<string, unknown> }>();
+	for (const dir of [...included].sort()) {
+		const packageJson = await fs.readJson(path.join(dir, "package.json")).catch(() => undefined);
+		if (!excluded.has(dir) && typeof packageJson?.name === "string") {
+			manifests.push({ dir, packageJson });
+		}
+	}
+
+	const names = new Set(manifests.map(({ packageJson }) => packageJson.name as string));
+	return manifests.map(({ dir, packageJson }): WorkspacePackage => {
+		const name = packageJson.name as string;
+		const dependencies = DEPENDENCY_FIELDS.flatMap(field => Object.keys(packageJson[field] ?? {}));
+		return {
+			name,
+			version: typeof packageJson.version === "string" ? packageJson.version : "0.0.0",
+			dir,
+			relative: toPosix(path.relative(root, dir)),
+			scripts: (packageJson.scripts as Record<string, string> | undefined) ?? {},
+			dependencies: [...new Set(dependencies)].filter(v => v !== name && names.has(v)).sort(),
+		};
+	});
+}
+
+/**
+ * Sorts packages so that every package comes after the workspace packages it depends on.
+ */
+export function sortPackages(packages: ReadonlyArray<WorkspacePackage>) {
+	const byName = new Map(packages.map(member => [member.name, member]));
+	const sorted = new Array<WorkspacePackage>();
+	const visiting = new Set<string>();
+	const visit = (member: WorkspacePackage, trail: ReadonlyArray<string>) => {
+		if (sorted.includes(member)) return;
+		if (visiting.has(member.name)) {
+			const cycle = [...trail.slice(trail.indexOf(member.name)), member.name];
+			throw new InitError(`Workspace packages depend on each other in a cycle: ${cycle.join(" → ")}`);
+		}
+		visiting.add(member.name);
+		for (const dependency of member.dependencies) {
+			const found = byName.get(dependency);
+			if (found) visit(found, [...trail, member.name]);
+		}
+		visiting.delete(member.name);
+		sorted.push(member);
+	};
+	for (const member of packages) {
+		visit(member, []);
+	}
+	return sorted;
+}
+
+/**
+ * Makes dependencies on other workspace packages use `workspace:^`, replacing registry versions and
+ * `link:` or `file:` paths. Returns the names changed.
+ */
+export function useWorkspaceRanges(packageJson: Record<string, unknown>, names: ReadonlyArray<string>) {
+	const changed = new Array<string>();
+	for (const field of DEPENDENCY_FIELDS) {
+		const dependencies = packageJson[field] as Dependencies | undefined;
+		for (const [name, range] of Object.entries(dependencies ?? {})) {
+			if (names.includes(name) && name !== packageJson.name && !range.startsWith(WORKSPACE_PROTOCOL)) {
+				dependencies![name] = WORKSPACE_RANGE;
+				changed.push(name);
+			}
+		}
+	}
+	return [...new Set(changed)];
+}
+
+/**
+ * Replaces `workspace:` ranges with the versions of the workspace packages, like `pnpm publish` does,
+ * so a package published with npm depends on versions that exist in the registry. Returns the names replaced.
+ */
+export async function resolveWorkspaceRanges(cwd: string, packageJson: Record<string, unknown>) {
+	const ranges = DEPENDENCY_FIELDS.flatMap(field =>
+		Object.entries((packageJson[field] as Dependencies | undefined) ?? {})
+			.filter(([, range]) => range.startsWith(WORKSPACE_PROTOCOL))
+			.map(([name, range]) => ({ field, name, range: range.slice(WORKSPACE_PROTOCOL.length) })),
+	);
+	if (ranges.length === 0) return [];
+
+	const root = await findWorkspaceRoot(cwd);
+	const packages = root !== undefined ? await readWorkspace(root) : [];
+	const missing = new Array<string>();
+	for (const { field, name, range } of ranges) {
+		const member = packages.find(v => v.name === name);
+		if (!member) {
+			missing.push(name);
+		} else {
+			(packageJson[field] as Dependencies)[name] =
+				range === "*" ? member.version : range === "^" || range === "~" ? range + member.version : range;
+		}
+	}
+	if (missing.length > 0) {
+		throw new InitError(
+			`Cannot resolve the workspace: ranges of ${missing.join(", ")}, no workspace package has that name`,
+		);
+	}
+	return [...new Set(ranges.map(({ name }) => name))];
+}
+
+/**
+ * Makes a freshly copied package a member of the workspace at `root`: dependencies on other members use
+ * `workspace:` ranges, dependents link its `out/` like the published package, and `tsconfig.json` and
+ * `eslint.config.mjs` build on the shared configs. `packageDir` is where the package ends up, when `dir`
+ * is a staging copy of it. Returns a note for every file changed.
+ */
+export async function adoptWorkspacePackage(dir: string, root: string, packageDir = dir) {
+	const notes = new Array<string>();
+	const members = (await readWorkspace(root)).filter(member => member.dir !== path.resolve(packageDir));
+
+	const packageJsonPath = path.join(dir, "package.json");
+	const text = await fs.readFile(packageJsonPath, "utf8");
+	const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+	const packageJson = JSON.parse(text);
+	const linked = useWorkspaceRanges(
+		packageJson,
+		members.map(member => member.name),
+	);
+	if (linked.length > 0) {
+		notes.push(`Depending on ${linked.join(", ")} through ${WORKSPACE_RANGE}`);
+	}
+	// pnpm links out/ into the other members, which is the layout `release` publishes
+	packageJson.publishConfig = { ...packageJson.publishConfig, directory: "out", linkDirectory: true };
+	// the root pins pnpm for the whole workspace
+	delete packageJson.packageManager;
+	await fs.outputFile(packageJsonPath, JSON.stringify(packageJson, undefined, indent) + "\n");
+
+	const tsconfigPath = path.join(dir, "tsconfig.json");
+	const baseTsconfigPath = path.join(root, WORKSPACE_TSCONFIG);
+	if ((await fs.pathExists(tsconfigPath)) && (await fs.pathExists(baseTsconfigPath))) {
+		const tsconfig = parseJsonc(await fs.readFile(tsconfigPath, "utf8"));
+		const shared = parseJsonc(await fs.readFile(baseTsconfigPath, "utf8")).compilerOptions ?? {};
+		const compilerOptions = { ...tsconfig.compilerOptions };
+		for (const [option, value] of Object.entries(compilerOptions)) {
+			if (JSON.stringify(value) === JSON.stringify(shared[option])) {
+				delete compilerOptions[option];
+			}
+		}
+		const rewritten = {
+			extends: toPosix(path.relative(packageDir, baseTsconfigPath)),
+			...tsconfig,
+			compilerOptions,
+		};
+		await fs.outputFile(tsconfigPath, JSON.stringify(rewritten, undefined, "\t") + "\n");
+		notes.push(`tsconfig.json extends ${WORKSPACE_TSCONFIG}`);
+	}
+
+	const eslintConfigPath = path.join(dir, "eslint.config.mjs");
+	const baseEslintConfigPath = path.join(root, WORKSPACE_ESLINT_CONFIG);
+	if ((await fs.pathExists(eslintConfigPath)) && (await fs.pathExists(baseEslintConfigPath))) {
+		const relative = toPosix(path.relative(packageDir, baseEslintConfigPath));
+		await fs.outputFile(eslintConfigPath, `export { default } from "${relative}";\n`);
+		notes.push(`eslint.config.mjs re-exports ${WORKSPACE_ESLINT_CONFIG}`);
+	}
+	return notes;
+}
+
+/**
+ * Writes the workspace's Rojo test project: every package's `out/` mapped where dependents find it once installed,
+ * next to the other dependencies hoisted to the root, and the TestEZ runner. The tree is generated, other
+ * settings of an existing project are kept. Returns whether the file changed.
+ */
+export async function writeWorkspaceProject(root: string, packages: ReadonlyArray<WorkspacePackage>) {
+	const sorted = sortPackages(packages);
+	const scopes = new Set([RBXTS_SCOPE]);
+	const external = new Set<string>();
+	for (const member of sorted) {
+		if (member.name.startsWith("@")) {
+			scopes.add(member.name.split("/")[0]);
+		}
+		const packageJson = await fs.readJson(path.join(member.dir, "package.json"));
+		getDependencyScopes(packageJson).forEach(scope => scopes.add(scope));
+		for (const field of DEPENDENCY_FIELDS) {
+			Object.keys(packageJson[field] ?? {}).forEach(name => external.add(name));
+		}
+	}
+
+	const nodeModules: RojoTreeNode = { $className: "Folder" };
+	for (const scope of [...scopes].sort()) {
+		const members = sorted.filter(member => member.name.startsWith(`${scope}/`));
+		if (members.length === 0) {
+			nodeModules[scope] = { $path: `node_modules/${scope}` };
+			continue;
+		}
+		// members are not installed at the root, so the scope lists its hoisted packages one by one
+		const scopeNode: RojoTreeNode = { $className: "Folder" };
+		for (const name of [...external].filter(v => v.startsWith(`${scope}/`)).sort()) {
+			scopeNode[name.slice(scope.length + 1)] = { $path: `node_modules/${name}` };
+		}
+		for (const member of members) {
+			scopeNode[member.name.slice(scope.length + 1)] = { $path: `${member.relative}/out` };
+		}
+		nodeModules[scope] = scopeNode;
+	}
+	for (const member of sorted.filter(v => !v.name.startsWith("@"))) {
+		nodeModules[member.name] = { $path: `${member.relative}/out` };
+	}
+
+	const file = path.join(root, WORKSPACE_PROJECT_FILE);
+	const existing = (await fs.pathExists(file)) ? await readProjectFile(file) : undefined;
+	const rootName = (await fs.readJson(path.join(root, "package.json")).catch(() => undefined))?.name;
+	// rbxtsc copies the runtime library into every package it builds
+	const include: RojoTreeNode =
+		sorted.length > 0 ? { $path: `${sorted[0].relative}/include` } : { $className: "Folder" };
+	const project = {
+		...existing?.project,
+		name: rootName ?? path.basename(root),
+		globIgnorePaths: getGlobIgnorePaths([], [file], undefined, true),
+		tree: {
+			$className: "DataModel",
+			ReplicatedStorage: {
+				$className: "ReplicatedStorage",
+				rbxts_include: { ...include, node_modules: nodeModules },
+			},
+			TestService: {
+				$path: `node_modules/${RBXTS_SCOPE}/test-cloud-testez/TestService`,
+			},
+		},
+	};
+	if (existing && JSON.stringify(existing.project) === JSON.stringify(project)) {
+		return false;
+	}
+	await writeProjectFile({ file, project, indent: existing?.indent ?? "\t", finalNewline: true });
+	return true;
+}
+
+/**
+ * Brings the workspace in line with its packages: dependencies between them use `workspace:` ranges and the
+ * Rojo test project maps every package. Returns a note for every file changed.
+ */
+export async function syncWorkspace(root: string) {
+	const notes = new Array<string>();
+	const packages = await readWorkspace(root);
+	for (const member of packages) {
+		const packageJsonPath = path.join(member.dir, "package.json");
+		const text = await fs.readFile(packageJsonPath, "utf8");
+		const indent = /^([ \t]+)"/m.exec(text)?.[1] ?? "\t";
+		const packageJson = JSON.parse(text);
+		const changed = useWorkspaceRanges(
+			packageJson,
+			packages.map(v => v.name),
+		);
+		if (changed.length > 0) {
+			await fs.outputFile(packageJsonPath, JSON.stringify(packageJson, undefined, indent) + "\n");
+			notes.push(`${member.relative}/package.json: ${changed.join(", ")} now use ${WORKSPACE_RANGE}`);
+		}
+	}
+	if (await writeWorkspaceProject(root, packages)) {
+		notes.push(`Updated ${WORKSPACE_PROJECT_FILE}`);
+	}
+	return notes;
+}
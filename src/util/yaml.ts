@@ -0,0 +1,177 @@
+import kleur from "kleur";
+
+import { InitError } from "../errors/InitError";
+
+export type YamlValue = string | number | boolean | null | Array<YamlValue> | { [key: string]: YamlValue };
+
+interface Line {
+	indent: number;
+	text: string;
+	raw: string;
+	number: number;
+}
+
+/**
+ * Parses the block-style YAML written by test runners and lockfiles: mappings, sequences, plain and quoted scalars,
+ * `|` and `>` block scalars and flow collections on one line. Plain scalars must fit on one line, and anchors, tags
+ * and multiple documents are not supported.
+ */
+export function parseYaml(text: string, file = "YAML"): YamlValue {
+	const lines = new Array<Line>();
+	text.split(/\r?\n/).forEach((raw, index) => {
+		if (/^\s*(#.*)?$/.test(raw) || raw === "---" || raw === "...") {
+			// keep blank lines inside block scalars
+			lines.push({ indent: -1, text: "", raw, number: index + 1 });
+			return;
+		}
+		const indent = /^ */.exec(raw)![0].length;
+		lines.push({ indent, text: raw.slice(indent), raw, number: index + 1 });
+	});
+
+	let position = 0;
+	const fail = (line: Line, message: string): never => {
+		throw new InitError(`Could not parse ${kleur.yellow(file)} at line ${line.number}: ${message}`);
+	};
+	const skipBlank = () => {
+		while (position < lines.length && lines[position].indent < 0) position++;
+	};
+
+	const parseBlockScalar = (header: string, parentIndent: number) => {
+		const content = new Array<string>();
+		let indent: number | undefined;
+		while (position < lines.length) {
+			const line = lines[position];
+			if (line.indent >= 0 && line.indent <= parentIndent) break;
+			indent ??= line.indent >= 0 ? line.indent : undefined;
+			content.push(line.indent < 0 ? "" : line.raw.slice(indent));
+			position++;
+		}
+		while (content.length > 0 && content[content.length - 1] === "") content.pop();
+		// folding turns a line break into a space, and each blank line into a line break
+		const folded = header.startsWith(">")
+			? content.join("\n").replace(/([^\n])\n(\n*)(?=[^\n ])/g, (_, char, blank) => char + (blank || " "))
+			: content.join("\n");
+		return header.includes("-") ? folded : folded + "\n";
+	};
+
+	const parseValue = (rest: string, indent: number, line: Line): YamlValue => {
+		if (rest === "") {
+			skipBlank();
+			const next = lines[position];
+			if (next && (next.indent > indent || (next.indent === indent && next.text.startsWith("- ")))) {
+				return parseBlock(next.indent);
+			}
+			return null;
+		}
+		if (/^[|>][+-]?$/.test(rest)) {
+			return parseBlockScalar(rest, indent);
+		}
+		return parseScalar(rest, line);
+	};
+
+	const parseBlock = (indent: number): YamlValue => {
+		skipBlank();
+		const first = lines[position];
+		if (first.text === "-" || first.text.startsWith("- ")) {
+			const items = new Array<YamlValue>();
+			while (position < lines.length) {
+				skipBlank();
+				const line = lines[position];
+				if (!line || line.indent !== indent || !(line.text === "-" || line.text.startsWith("- "))) break;
+				const rest = line.text.slice(1).trimStart();
+				if (/^[^'"[{][^:]*:(\s|$)/.test(rest) || /^["'][^"']*["']:(\s|$)/.test(rest)) {
+					// `- key: value` starts a mapping indented at the key
+					lines[position] = { ...line, indent: indent + line.text.indexOf(rest), text: rest };
+					items.push(parseBlock(lines[position].indent));
+				} else {
+					position++;
+					// the value of an item is indented further, a `-` at the same indentation is the next item
+					items.push(parseValue(rest, indent + 1, line));
+				}
+			}
+			return items;
+		}
+
+		const mapping: { [key: string]: YamlValue } = {};
+		while (position < lines.length) {
+			skipBlank();
+			const line = lines[position];
+			if (!line || line.indent < indent) break;
+			if (line.indent > indent) fail(line, "unexpected indentation");
+			const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:#][^:]*?)\s*:(?:\s+(.*))?$/.exec(line.text);
+			if (!match) fail(line, "expected a key");
+			position++;
+			const key = String(parseScalar(match![1], line));
+			mapping[key] = parseValue(stripComment(match![2] ?? ""), indent, line);
+		}
+		return mapping;
+	};
+
+	skipBlank();
+	if (position >= lines.length) return null;
+	const root = lines[position];
+	if (!root.text.startsWith("-") && !/:(\s|$)/.test(root.text)) {
+		return parseScalar(root.text, root);
+	}
+	return parseBlock(root.indent);
+}
+
+function stripComment(text: string) {
+	if (/^["']/.test(text)) return text.trim();
+	return text.replace(/\s+#.*$/, "").trim();
+}
+
+function splitFlow(text: string) {
+	const parts = new Array<string>();
+	let depth = 0;
+	let quote: string | undefined;
+	let current = "";
+	for (const char of text) {
+		if (quote !== undefined) {
+			if (char === quote) quote = undefined;
+		} else if (char === '"' || char === "'") {
+			quote = char;
+		} else if (char === "[" || char === "{") {
+			depth++;
+		} else if (char === "]" || char === "}") {
+			depth--;
+		} else if (char === "," && depth === 0) {
+			parts.push(current.trim());
+			current = "";
+			continue;
+		}
+		current += char;
+	}
+	if (current.trim() !== "") parts.push(current.trim());
+	return parts;
+}
+
+function parseScalar(text: string, line: Line): YamlValue {
+	const value = text.trim();
+	if (value.startsWith('"')) {
+		try {
+			return JSON.parse(value);
+		} catch {
+			throw new InitError(`Invalid double-quoted string at line ${line.number}`);
+		}
+	}
+	if (value.startsWith("'")) {
+		return value.slice(1, -1).replace(/''/g, "'");
+	}
+	if (value.startsWith("[") && value.endsWith("]")) {
+		return splitFlow(value.slice(1, -1)).map(part => parseScalar(part, line));
+	}
+	if (value.startsWith("{") && value.endsWith("}")) {
+		const mapping: { [key: string]: YamlValue } = {};
+		for (const part of splitFlow(value.slice(1, -1))) {
+			const separator = part.search(/:(\s|$)/);
+			mapping[String(parseScalar(part.slice(0, separator), line))] = parseScalar(part.slice(separator + 1), line);
+		}
+		return mapping;
+	}
+	if (/^(~|null|Null|NULL)?$/.test(value)) return null;
+	if (/^(true|True|TRUE)$/.test(value)) return true;
+	if (/^(false|False|FALSE)$/.test(value)) return false;
+	if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+	return value;
+}
@@ -0,0 +1,6 @@
+import { component } from "{{framework}}";
+
+/**
+ * {{pascalName}} 组件
+ */
+export const {{pascalName}} = component<{}>("{{pascalName}}");
@@ -0,0 +1,29 @@
+/**
+ * {{title}} 示例
+ *
+ * 运行方式: 在 run.json 中设置 exampleFolder 为 "{{folder}}", exampleName 为 "{{fileName}}"
+ */
+
+import { RunService } from "@rbxts/services";
+import type { BevyWorld } from "{{framework}}";
+import { App, DefaultPlugins, Main } from "{{framework}}";
+
+function {{camelName}}System(world: BevyWorld) {}
+
+/**
+ * 创建并配置示例应用
+ *
+ * @returns 配置好的应用实例
+ */
+export function createApp(): App {
+	const app = App.create().addPlugins(DefaultPlugins.create());
+
+	app.addSystems(Main, {{camelName}}System);
+
+	return app;
+}
+
+if (RunService.IsClient()) {
+	const app = createApp();
+	app.run();
+}
@@ -0,0 +1,16 @@
+import type { App, Plugin } from "{{framework}}";
+
+/**
+ * {{pascalName}} 插件
+ */
+export class {{pascalName}}Plugin implements Plugin {
+	build(app: App): void {}
+
+	name(): string {
+		return "{{pascalName}}Plugin";
+	}
+
+	isUnique(): boolean {
+		return true;
+	}
+}
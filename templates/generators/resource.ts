@@ -0,0 +1,4 @@
+/**
+ * {{pascalName}} 资源
+ */
+export class {{pascalName}} {}
@@ -0,0 +1,6 @@
+import type { BevyWorld } from "{{framework}}";
+
+/**
+ * {{pascalName}} 系统
+ */
+export function {{camelName}}System(world: BevyWorld): void {}
@@ -0,0 +1,9 @@
+/**
+ * @fileoverview {{title}} 单元测试
+ */
+
+export = () => {
+	describe("{{title}}", () => {
+		it("works", () => {});
+	});
+};
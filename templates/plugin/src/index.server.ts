@@ -0,0 +1,6 @@
+const toolbar = plugin.CreateToolbar("MyToolbar");
+const button = toolbar.CreateButton("MyButton", "", "");
+
+button.Click.Connect(() => {
+	print("Button clicked!");
+});
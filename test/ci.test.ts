@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { CI_FILES, CiOptions, CiProvider, renderCi, writeCi } from "../out/util/ci";
+import { PackageManager } from "../out/util/packageManagers";
+import { parseYaml } from "../out/util/yaml";
+import { assertSnapshot, createTempDir } from "./helpers";
+
+const SCRIPTS = { lint: "eslint .", build: "rbxtsc", test: "npx test-cloud-testez", watch: "rbxtsc -w" };
+
+const OPTIONS: { [K in Exclude<CiProvider, CiProvider.None>]: CiOptions } = {
+	[CiProvider.GitHub]: {
+		manager: PackageManager.PNPM,
+		packageName: "@scope/project",
+		registry: "https://npm.pkg.github.com/",
+		branch: "main",
+		scripts: SCRIPTS,
+	},
+	[CiProvider.GitLab]: {
+		manager: PackageManager.NPM,
+		packageName: "@scope/project",
+		registry: "https://registry.npmjs.org/",
+		branch: "develop",
+		scripts: SCRIPTS,
+	},
+};
+
+describe("renderCi", () => {
+	for (const [provider, options] of Object.entries(OPTIONS)) {
+		it(`renders the ${provider} workflows`, async () => {
+			const files = renderCi(provider as CiProvider, options);
+			assert.deepEqual([...files.keys()], CI_FILES[provider as CiProvider]);
+			for (const [file, contents] of files) {
+				assert.doesNotThrow(() => parseYaml(contents, file));
+				await assertSnapshot(contents, path.join("ci", provider, path.basename(file)));
+			}
+		});
+	}
+
+	it("leaves out the lint and test steps without their scripts", () => {
+		for (const provider of [CiProvider.GitHub, CiProvider.GitLab] as const) {
+			const files = renderCi(provider, { ...OPTIONS[provider], scripts: { build: "rbxtsc" } });
+			for (const contents of files.values()) {
+				assert.doesNotMatch(contents, /run lint|test-cloud|ROBLOX_API_KEY/);
+				assert.match(contents, /run build/);
+			}
+		}
+	});
+
+	it("renders nothing without a provider", () => {
+		assert.equal(renderCi(CiProvider.None, OPTIONS[CiProvider.GitHub]).size, 0);
+	});
+});
+
+describe("writeCi", () => {
+	let dir: string;
+
+	before(async () => {
+		dir = await createTempDir("ci");
+	});
+
+	after(async () => {
+		await fs.remove(dir);
+	});
+
+	it("writes the workflows except those to keep", async () => {
+		const release = path.join(dir, ".github/workflows/release.yml");
+		await fs.outputFile(release, "# mine\n");
+		const written = await writeCi(dir, CiProvider.GitHub, OPTIONS[CiProvider.GitHub], [
+			".github/workflows/release.yml",
+		]);
+		assert.deepEqual(written, [".github/workflows/ci.yml"]);
+		assert.equal(await fs.readFile(release, "utf8"), "# mine\n");
+	});
+});
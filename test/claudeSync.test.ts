@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { PROJECT_SCOPE } from "../out/constants";
+import { getProjectScope, syncClaudeResources, SyncMode } from "../out/util/claudeSync";
+import { createTempDir } from "./helpers";
+
+const HOOKS = { hooks: { PreToolUse: [{ matcher: "Bash", hooks: [{ type: "command", command: "echo hi" }] }] } };
+const MCP = { mcpServers: { tools: { command: "node", args: ["${CLAUDE_PLUGIN_ROOT}/server.js"] } } };
+
+describe("claude sync", () => {
+	let project: string;
+
+	/** Installs a package with a skill, hooks and an MCP server named after the package */
+	async function installPlugin(name: string) {
+		const dir = path.join(project, "node_modules", name);
+		await fs.outputJson(path.join(dir, "package.json"), { name, version: "1.0.0" });
+		await fs.outputFile(path.join(dir, ".claude-plugin/skills/use/SKILL.md"), "# Use\n");
+		await fs.outputJson(path.join(dir, ".claude-plugin/hooks/hooks.json"), HOOKS);
+		await fs.outputJson(path.join(dir, ".claude-plugin/.mcp.json"), {
+			mcpServers: { [name.split("/")[1]]: MCP.mcpServers.tools },
+		});
+	}
+
+	beforeEach(async () => {
+		project = await createTempDir("claude-sync");
+		await fs.outputJson(path.join(project, "package.json"), {
+			name: "@team/game",
+			devDependencies: { "@team/tools": "1.0.0", "@other/tools": "1.0.0" },
+		});
+		await installPlugin("@team/tools");
+		await installPlugin("@other/tools");
+	});
+
+	afterEach(async () => {
+		await fs.remove(project);
+	});
+
+	it("finds the project's own scope", async () => {
+		assert.equal(await getProjectScope(project), "@team");
+		await fs.outputJson(path.join(project, "package.json"), { name: "game" });
+		assert.equal(await getProjectScope(project), PROJECT_SCOPE);
+	});
+
+	it("only adds hooks and MCP servers from trusted scopes", async () => {
+		const report = await syncClaudeResources(project, {
+			mode: SyncMode.Copy,
+			scopes: ["@team", "@other"],
+			trustedScopes: ["@team"],
+		});
+		assert.deepEqual(report.entries.map(entry => entry.name).sort(), [
+			"skills/@other__tools__use",
+			"skills/@team__tools__use",
+		]);
+		assert.equal(report.hooks, 1);
+		assert.deepEqual(report.mcpServers, ["tools"]);
+		assert.deepEqual(report.untrusted, ["@other/tools"]);
+
+		const mcp = await fs.readJson(path.join(project, ".mcp.json"));
+		assert.deepEqual(Object.keys(mcp.mcpServers), ["tools"]);
+		assert.deepEqual(mcp.mcpServers.tools.args, ["${CLAUDE_PROJECT_DIR}/node_modules/@team/tools/server.js"]);
+		const settings = await fs.readJson(path.join(project, ".claude/settings.local.json"));
+		assert.equal(settings.hooks.PreToolUse.length, 1);
+	});
+
+	it("does not enable MCP servers, and keeps the approvals given to them", async () => {
+		const options = { mode: SyncMode.Copy, scopes: ["@team"], trustedScopes: ["@team"] };
+		await syncClaudeResources(project, options);
+		const settingsPath = path.join(project, ".claude/settings.local.json");
+		assert.equal((await fs.readJson(settingsPath)).enabledMcpjsonServers, undefined);
+
+		await fs.writeJson(settingsPath, { ...(await fs.readJson(settingsPath)), enabledMcpjsonServers: ["tools"] });
+		await syncClaudeResources(project, options);
+		assert.deepEqual((await fs.readJson(settingsPath)).enabledMcpjsonServers, ["tools"]);
+
+		// the server is gone once its package is no longer trusted
+		const report = await syncClaudeResources(project, { ...options, trustedScopes: [] });
+		assert.deepEqual(report.untrusted, ["@team/tools"]);
+		const settings = await fs.readJson(settingsPath);
+		assert.equal(settings.enabledMcpjsonServers, undefined);
+		assert.equal(settings.hooks, undefined);
+	});
+});
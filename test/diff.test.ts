@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { mergeThreeWay } from "../out/util/diff";
+
+describe("mergeThreeWay", () => {
+	const base = "a\nb\nc\nd\ne\n";
+
+	it("takes changes made on one side only", () => {
+		assert.deepEqual(mergeThreeWay(base, base, "a\nc\nd\ne\nf\n"), { text: "a\nc\nd\ne\nf\n", conflict: false });
+		assert.deepEqual(mergeThreeWay(base, "a\nb\nc\nd\ne\nf\n", base), {
+			text: "a\nb\nc\nd\ne\nf\n",
+			conflict: false,
+		});
+	});
+
+	it("combines changes to separate lines", () => {
+		assert.deepEqual(mergeThreeWay(base, "a\nB\nc\nd\ne\n", "a\nb\nc\nD\ne\n"), {
+			text: "a\nB\nc\nD\ne\n",
+			conflict: false,
+		});
+	});
+
+	it("accepts the same change made on both sides", () => {
+		assert.deepEqual(mergeThreeWay(base, "a\nX\nc\nd\ne\n", "a\nX\nc\nd\ne\n"), {
+			text: "a\nX\nc\nd\ne\n",
+			conflict: false,
+		});
+	});
+
+	it("wraps different changes to the same lines in conflict markers", () => {
+		assert.deepEqual(mergeThreeWay("a\nb\nc\n", "a\nX\nc\n", "a\nY\nc\n", "mine", "theirs"), {
+			text: "a\n<<<<<<< mine\nX\n=======\nY\n>>>>>>> theirs\nc\n",
+			conflict: true,
+		});
+	});
+
+	it("keeps a final newline removed on one side", () => {
+		assert.equal(mergeThreeWay("a\nb\n", "a\nb", "a\nb\nc\n").text, "a\nb\nc");
+	});
+});
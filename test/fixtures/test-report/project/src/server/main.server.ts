@@ -0,0 +1,4 @@
+import { runTests } from "./tests";
+
+const results = runTests();
+print(results.summary);
@@ -0,0 +1,13 @@
+import { add } from "../math";
+
+export = () => {
+	describe("add", () => {
+		it("adds two numbers", () => {
+			expect(add(1, 2)).to.equal(3);
+		});
+
+		it("adds negative numbers", () => {
+			expect(add(-1, -2)).to.equal(-3);
+		});
+	});
+};
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+
+import { Template, TemplateManifest } from "../out/util/templates";
+import { TemplateContext } from "../out/util/templating";
+
+export const CONTEXT: TemplateContext = {
+	variables: {
+		projectName: "project",
+		scope: "@scope",
+		packageName: "@scope/project",
+		packageNameWithoutScope: "project",
+		githubOrg: "scope",
+		repositoryUrl: "git+https://github.com/scope/project.git",
+		author: "Test",
+		description: "",
+		license: "MIT",
+		registry: "https://registry.npmjs.org/",
+	},
+	answers: {},
+};
+
+/**
+ * Creates a temporary folder, removed again by `fs.remove`.
+ */
+export function createTempDir(name: string) {
+	return fs.mkdtemp(path.join(os.tmpdir(), `create-bevy-${name}-`));
+}
+
+/**
+ * Writes a template with the given files into `dir`.
+ */
+export async function createTemplate(
+	dir: string,
+	files: Record<string, string>,
+	manifest: Partial<TemplateManifest> = {},
+): Promise<Template> {
+	for (const [file, contents] of Object.entries(files)) {
+		await fs.outputFile(path.join(dir, file), contents);
+	}
+	return { manifest: { name: "test", description: "", ...manifest }, dir, dispose: async () => {} };
+}
+
+export const FIXTURES_DIR = path.join(__dirname, "../test/fixtures");
+
+/**
+ * Compares `actual` with a file under `test/fixtures`. Run the tests with `UPDATE_SNAPSHOTS=1` to rewrite the files.
+ */
+export async function assertSnapshot(actual: string, file: string) {
+	const snapshot = path.join(FIXTURES_DIR, file);
+	if (process.env.UPDATE_SNAPSHOTS) {
+		await fs.outputFile(snapshot, actual);
+	}
+	assert.equal(actual, await fs.readFile(snapshot, "utf8"), `${file} is out of date`);
+}
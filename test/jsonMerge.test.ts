@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { hasJsonComments, mergeJson, parseJsonc } from "../out/util/jsonMerge";
+
+describe("parseJsonc", () => {
+	it("parses comments and trailing commas", () => {
+		const text = '{\n\t// line\n\t"a": 1, /* block */\n\t"b": [1, 2,],\n}\n';
+		assert.deepEqual(parseJsonc(text), { a: 1, b: [1, 2] });
+	});
+
+	it("leaves strings alone", () => {
+		assert.deepEqual(parseJsonc('{"a": "x,}"}'), { a: "x,}" });
+		assert.deepEqual(parseJsonc('{"a": "x, ]", "b": "// c", "c": "/* d */"}'), {
+			a: "x, ]",
+			b: "// c",
+			c: "/* d */",
+		});
+		assert.deepEqual(parseJsonc('{"a": "\\",}",}'), { a: '",}' });
+	});
+
+	it("fails on invalid JSON", () => {
+		assert.throws(() => parseJsonc('{"a": }'), SyntaxError);
+	});
+});
+
+describe("hasJsonComments", () => {
+	it("finds comments outside of strings", () => {
+		assert.equal(hasJsonComments('{"a": 1} // b'), true);
+		assert.equal(hasJsonComments('{"a": "https://example.com"}'), false);
+		assert.equal(hasJsonComments('{"a": 1,}'), false);
+	});
+});
+
+describe("mergeJson", () => {
+	it("keeps existing values and reports where they differ", () => {
+		const result = mergeJson({ a: 1, b: { c: 2 } }, { a: 2, b: { c: 3, d: 4 }, e: 5 });
+		assert.deepEqual(result.value, { a: 1, b: { c: 2, d: 4 }, e: 5 });
+		assert.deepEqual(result.conflicts, ["a", "b.c"]);
+	});
+
+	it("combines arrays without duplicates", () => {
+		const result = mergeJson({ include: ["src", { a: 1 }] }, { include: ["src", "test", { a: 1 }] });
+		assert.deepEqual(result.value, { include: ["src", { a: 1 }, "test"] });
+		assert.deepEqual(result.conflicts, []);
+	});
+
+	it("only merges the given fields", () => {
+		const result = mergeJson(
+			{ name: "mine", scripts: { build: "tsc" } },
+			{ name: "template", version: "1.0.0", scripts: { build: "rbxtsc", lint: "eslint" } },
+			["scripts"],
+		);
+		assert.deepEqual(result.value, { name: "mine", scripts: { build: "tsc", lint: "eslint" } });
+		assert.deepEqual(result.conflicts, ["scripts.build"]);
+	});
+});
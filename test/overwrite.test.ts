@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { BACKUP_DIR } from "../out/constants";
+import { backupFiles, findExistingFiles, mergeTemplate } from "../out/util/overwrite";
+import { copyTemplate, Template } from "../out/util/templates";
+import { CONTEXT, createTempDir, createTemplate } from "./helpers";
+
+const TEMPLATE_FILES = {
+	"package.json": JSON.stringify(
+		{
+			name: "{{packageName}}",
+			scripts: { build: "rbxtsc", lint: "eslint" },
+			devDependencies: { "roblox-ts": "^3.0.0" },
+		},
+		undefined,
+		"\t",
+	),
+	"tsconfig.json": '{\n\t"compilerOptions": { "strict": true, "outDir": "out" }\n}\n',
+	"src/index.ts": "export {};\n",
+	"README.md": "# {{packageName}}\n",
+};
+
+describe("--merge", () => {
+	let root: string;
+	let template: Template;
+	let project: string;
+
+	before(async () => {
+		root = await createTempDir("merge");
+		template = await createTemplate(path.join(root, "template"), TEMPLATE_FILES);
+	});
+
+	beforeEach(async () => {
+		project = await fs.mkdtemp(path.join(root, "project-"));
+	});
+
+	after(async () => {
+		await fs.remove(root);
+	});
+
+	it("writes missing files and skips identical ones", async () => {
+		await fs.outputFile(path.join(project, "src/index.ts"), "export {};\n");
+		const report = await mergeTemplate(template, project, CONTEXT);
+		assert.deepEqual(report.written.sort(), ["README.md", "package.json", "tsconfig.json"]);
+		assert.deepEqual(report.unchanged, ["src/index.ts"]);
+		assert.equal(await fs.readFile(path.join(project, "README.md"), "utf8"), "# @scope/project\n");
+	});
+
+	it("merges package.json, keeping the existing values and formatting", async () => {
+		const existing = { name: "mine", scripts: { build: "tsc" }, devDependencies: { typescript: "^5.0.0" } };
+		await fs.outputFile(path.join(project, "package.json"), JSON.stringify(existing, undefined, 4) + "\n");
+
+		const report = await mergeTemplate(template, project, CONTEXT);
+		assert.deepEqual(report.merged, ["package.json"]);
+		assert.deepEqual(report.conflicts, [{ file: "package.json", keys: ["scripts.build"] }]);
+
+		const text = await fs.readFile(path.join(project, "package.json"), "utf8");
+		assert.deepEqual(JSON.parse(text), {
+			name: "mine",
+			scripts: { build: "tsc", lint: "eslint" },
+			devDependencies: { typescript: "^5.0.0", "roblox-ts": "^3.0.0" },
+		});
+		assert.match(text, /^ {4}"name"/m);
+		assert.ok(text.endsWith("}\n"));
+	});
+
+	it("keeps a commented tsconfig.json that merging would change", async () => {
+		const existing = '{\n\t// mine\n\t"compilerOptions": { "strict": false },\n}\n';
+		await fs.outputFile(path.join(project, "tsconfig.json"), existing);
+
+		const report = await mergeTemplate(template, project, CONTEXT);
+		const conflict = report.conflicts.find(({ file }) => file === "tsconfig.json");
+		assert.equal(conflict?.commented, true);
+		assert.match(conflict?.diff ?? "", /outDir/);
+		assert.equal(await fs.readFile(path.join(project, "tsconfig.json"), "utf8"), existing);
+	});
+
+	it("merges a commented tsconfig.json that it would not change", async () => {
+		const existing =
+			'{\n\t// mine, with "a string,}"\n\t"compilerOptions": { "strict": true, "outDir": "out", },\n}\n';
+		await fs.outputFile(path.join(project, "tsconfig.json"), existing);
+
+		const report = await mergeTemplate(template, project, CONTEXT);
+		assert.ok(report.unchanged.includes("tsconfig.json"));
+		assert.equal(await fs.readFile(path.join(project, "tsconfig.json"), "utf8"), existing);
+	});
+
+	it("keeps other files that differ, with a diff", async () => {
+		await fs.outputFile(path.join(project, "README.md"), "# Mine\n");
+		const report = await mergeTemplate(template, project, CONTEXT);
+		const conflict = report.conflicts.find(({ file }) => file === "README.md");
+		assert.match(conflict?.diff ?? "", /^-# Mine$/m);
+		assert.match(conflict?.diff ?? "", /^\+# @scope\/project$/m);
+		assert.equal(await fs.readFile(path.join(project, "README.md"), "utf8"), "# Mine\n");
+	});
+
+	it("keeps a package.json that is not valid JSON", async () => {
+		await fs.outputFile(path.join(project, "package.json"), "{ broken");
+		const report = await mergeTemplate(template, project, CONTEXT);
+		assert.ok(report.conflicts.some(({ file, diff }) => file === "package.json" && diff !== undefined));
+		assert.equal(await fs.readFile(path.join(project, "package.json"), "utf8"), "{ broken");
+	});
+});
+
+describe("--force", () => {
+	let root: string;
+
+	after(async () => {
+		await fs.remove(root);
+	});
+
+	it("backs up the files it overwrites", async () => {
+		root = await createTempDir("force");
+		const template = await createTemplate(path.join(root, "template"), TEMPLATE_FILES);
+		const project = path.join(root, "project");
+		await fs.outputFile(path.join(project, "README.md"), "# Mine\n");
+		await fs.outputFile(path.join(project, "src/index.ts"), "print(1);\n");
+		await fs.ensureDir(path.join(project, "empty"));
+
+		const existing = await findExistingFiles(project, ["README.md", "src/index.ts", "empty", "package.json"]);
+		assert.deepEqual(existing, ["README.md", "src/index.ts"]);
+
+		const backupDir = await backupFiles(project, existing);
+		await copyTemplate(template, project, CONTEXT);
+
+		assert.equal(path.dirname(backupDir), path.join(project, BACKUP_DIR));
+		assert.equal(await fs.readFile(path.join(backupDir, "README.md"), "utf8"), "# Mine\n");
+		assert.equal(await fs.readFile(path.join(backupDir, "src/index.ts"), "utf8"), "print(1);\n");
+		assert.equal(await fs.readFile(path.join(project, "README.md"), "utf8"), "# @scope/project\n");
+	});
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { applyPackageManager, PackageManager, rewriteCommands } from "../out/util/packageManagers";
+import { createTempDir } from "./helpers";
+
+describe("rewriteCommands", () => {
+	const cases: Array<[string, PackageManager, string]> = [
+		["npm run build && npm test", PackageManager.PNPM, "pnpm run build && pnpm run test"],
+		["yarn start", PackageManager.NPM, "npm run start"],
+		["npm run build -- --watch", PackageManager.PNPM, "pnpm run build -- --watch"],
+		["pnpm install --frozen-lockfile", PackageManager.NPM, "npm ci"],
+		["npm ci", PackageManager.YarnBerry, "yarn install --immutable"],
+		["npm i", PackageManager.Yarn, "yarn install"],
+		["npm install -D eslint", PackageManager.Bun, "bun add -D eslint"],
+		[
+			"cd packages/a && (npm i --frozen-lockfile)",
+			PackageManager.Bun,
+			"cd packages/a && (bun install --frozen-lockfile)",
+		],
+	];
+	for (const [text, manager, expected] of cases) {
+		it(`rewrites ${text} for ${manager}`, () => {
+			assert.equal(rewriteCommands(text, manager), expected);
+		});
+	}
+
+	it("leaves npx and other commands alone", () => {
+		assert.equal(rewriteCommands("npx create-bevy release", PackageManager.PNPM), "npx create-bevy release");
+		assert.equal(rewriteCommands("rbxtsc --type game", PackageManager.Bun), "rbxtsc --type game");
+	});
+});
+
+describe("applyPackageManager", () => {
+	let dir: string;
+
+	beforeEach(async () => {
+		dir = await createTempDir("package-manager");
+		await fs.outputJson(path.join(dir, "package.json"), {
+			name: "project",
+			packageManager: "npm@10.0.0",
+			scripts: { build: "npm run compile", lint: "npm run eslint" },
+		});
+		await fs.outputFile(path.join(dir, "package-lock.json"), "{}\n");
+		await fs.outputFile(path.join(dir, "yarn.lock"), "\n");
+	});
+
+	afterEach(async () => {
+		await fs.remove(dir);
+	});
+
+	it("switches a new project to the chosen manager", async () => {
+		await applyPackageManager(dir, { manager: PackageManager.PNPM, version: "9.0.0", corepack: true });
+		const packageJson = await fs.readJson(path.join(dir, "package.json"));
+		assert.equal(packageJson.packageManager, "pnpm@9.0.0");
+		assert.deepEqual(packageJson.scripts, { build: "pnpm run compile", lint: "pnpm run eslint" });
+		assert.equal(await fs.pathExists(path.join(dir, "package-lock.json")), false);
+		assert.equal(await fs.pathExists(path.join(dir, "yarn.lock")), false);
+	});
+
+	it("leaves what a merged project already had alone", async () => {
+		const notes = await applyPackageManager(
+			dir,
+			{ manager: PackageManager.PNPM, version: "9.0.0", corepack: true },
+			{
+				files: ["package.json", "package-lock.json"],
+				scripts: ["build"],
+				dependencies: [],
+				packageManager: true,
+			},
+		);
+		const packageJson = await fs.readJson(path.join(dir, "package.json"));
+		assert.equal(packageJson.packageManager, "npm@10.0.0");
+		assert.deepEqual(packageJson.scripts, { build: "npm run compile", lint: "pnpm run eslint" });
+		assert.ok(notes.includes("Kept the packageManager field of package.json"));
+		assert.equal(await fs.pathExists(path.join(dir, "package-lock.json")), true);
+		// only came from the template
+		assert.equal(await fs.pathExists(path.join(dir, "yarn.lock")), false);
+	});
+});
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { scopeToGitHubOrg, validateGitHubOrg, validateScope } from "../out/util/packageMetadata";
+
+describe("scopeToGitHubOrg", () => {
+	const cases: Array<[string, string]> = [
+		["@white-dragon-bevy", "white-dragon-bevy"],
+		["@my_team", "my-team"],
+		["@my.team_dev", "my-team-dev"],
+		["@team~", "team"],
+		["@a._b", "a-b"],
+	];
+	for (const [scope, org] of cases) {
+		it(`turns ${scope} into ${org}`, () => {
+			assert.equal(validateScope(scope), undefined);
+			assert.equal(scopeToGitHubOrg(scope), org);
+			assert.equal(validateGitHubOrg(org), undefined);
+		});
+	}
+
+	it("keeps within the length of a GitHub name", () => {
+		assert.equal(scopeToGitHubOrg(`@${"a".repeat(50)}`).length, 39);
+	});
+});
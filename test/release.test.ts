@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { getDistTag, renderChangelog } from "../out/util/release";
+
+describe("renderChangelog", () => {
+	const date = new Date("2026-01-02T10:00:00Z");
+
+	it("groups conventional commits by type", () => {
+		const commits = [
+			{ hash: "a1", subject: "feat: add plugins" },
+			{ hash: "b2", subject: "fix(core): keep the world" },
+			{ hash: "c3", subject: "docs: explain systems" },
+			{ hash: "d4", subject: "feat!: rename resources" },
+		];
+		assert.equal(
+			renderChangelog("1.2.0", commits, date),
+			[
+				"## v1.2.0 (2026-01-02)",
+				"",
+				"### Features",
+				"",
+				"- feat: add plugins (a1)",
+				"- feat!: rename resources (d4)",
+				"",
+				"### Fixes",
+				"",
+				"- fix(core): keep the world (b2)",
+				"",
+				"### Other changes",
+				"",
+				"- docs: explain systems (c3)",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("leaves out empty groups", () => {
+		const section = renderChangelog("1.2.1", [{ hash: "e5", subject: "fix: typo" }], date);
+		assert.doesNotMatch(section, /### Features|### Other changes/);
+	});
+
+	it("says when nothing changed", () => {
+		assert.equal(
+			renderChangelog("1.2.1", [], date),
+			"## v1.2.1 (2026-01-02)\n\nNo changes since the last release.\n",
+		);
+	});
+});
+
+describe("getDistTag", () => {
+	const cases: Array<[string, string | undefined]> = [
+		["1.0.0", undefined],
+		["1.0.0+build.1", undefined],
+		["1.0.0-beta.1", "beta"],
+		["1.0.0-rc1", "rc"],
+		["1.0.0-alpha-2", "alpha"],
+		["1.0.0-0", "next"],
+		["1.0.0-1.beta", "next"],
+	];
+	for (const [version, tag] of cases) {
+		it(`publishes ${version} under ${tag ?? "latest"}`, () => {
+			assert.equal(getDistTag(version), tag);
+		});
+	}
+});
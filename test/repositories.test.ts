@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+
+import { LogService } from "../out/classes/LogService";
+import { git } from "../out/util/git";
+import { CloneMode, cloneRepositories, GitProtocol, RepositoryConfig } from "../out/util/repositories";
+
+describe("cloneRepositories", () => {
+	let root: string;
+	let remote: string;
+	let project: string;
+
+	const repository = (overrides: Partial<RepositoryConfig> = {}): RepositoryConfig => ({
+		name: "library",
+		https: remote,
+		ssh: remote,
+		destination: "repo/library",
+		...overrides,
+	});
+	const clone = (config: RepositoryConfig, mode?: CloneMode) =>
+		cloneRepositories([config], project, { protocol: GitProtocol.HTTPS, mode });
+
+	before(async () => {
+		LogService.silent = true;
+		// git only clones submodules over file:// when allowed explicitly
+		process.env.GIT_ALLOW_PROTOCOL = "file";
+		for (const role of ["AUTHOR", "COMMITTER"]) {
+			process.env[`GIT_${role}_NAME`] = "Test";
+			process.env[`GIT_${role}_EMAIL`] = "test@example.com";
+		}
+
+		root = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-clone-"));
+		const source = path.join(root, "source");
+		await fs.outputFile(path.join(source, "README.md"), "v1\n");
+		await git(["init", "--quiet"], source);
+		await git(["add", "."], source);
+		await git(["commit", "--quiet", "-m", "first"], source);
+		await git(["tag", "v1"], source);
+		await fs.outputFile(path.join(source, "README.md"), "v2\n");
+		await git(["commit", "--quiet", "-am", "second"], source);
+
+		remote = path.join(root, "remote.git");
+		await git(["clone", "--quiet", "--bare", source, remote], root);
+	});
+
+	beforeEach(async () => {
+		project = path.join(root, "project");
+		await fs.remove(project);
+		await fs.ensureDir(project);
+		await git(["init", "--quiet"], project);
+	});
+
+	after(async () => {
+		LogService.silent = false;
+		await fs.remove(root);
+	});
+
+	it("clones a repository into its destination", async () => {
+		assert.deepEqual(await clone(repository()), []);
+		assert.equal(await fs.readFile(path.join(project, "repo/library/README.md"), "utf8"), "v2\n");
+	});
+
+	it("checks out the configured ref", async () => {
+		assert.deepEqual(await clone(repository({ ref: "v1", shallow: true })), []);
+		assert.equal(await fs.readFile(path.join(project, "repo/library/README.md"), "utf8"), "v1\n");
+	});
+
+	it("adds a submodule", async () => {
+		assert.deepEqual(await clone(repository(), CloneMode.Submodule), []);
+		assert.equal(await fs.readFile(path.join(project, "repo/library/README.md"), "utf8"), "v2\n");
+		assert.match(await fs.readFile(path.join(project, ".gitmodules"), "utf8"), /path = repo\/library/);
+	});
+
+	it("removes what a failed clone leaves behind", async () => {
+		const failures = await clone(repository({ https: path.join(root, "missing.git") }));
+		assert.equal(failures.length, 1);
+		assert.equal(await fs.pathExists(path.join(project, "repo")), false);
+	});
+
+	it("keeps the folders that were there before a failed clone", async () => {
+		await fs.ensureDir(path.join(project, "repo/library"));
+		await clone(repository({ https: path.join(root, "missing.git") }));
+		assert.deepEqual(await fs.readdir(path.join(project, "repo")), ["library"]);
+	});
+
+	it("unregisters a submodule that failed to clone", async () => {
+		const failures = await clone(repository({ https: path.join(root, "missing.git") }), CloneMode.Submodule);
+		assert.equal(failures.length, 1);
+		assert.equal(await fs.pathExists(path.join(project, "repo")), false);
+		assert.equal(await fs.pathExists(path.join(project, ".gitmodules")), false);
+		assert.equal(await fs.pathExists(path.join(project, ".git/modules/repo/library")), false);
+		assert.equal((await git(["status", "--porcelain"], project)).trim(), "");
+	});
+
+	it("keeps the other repositories going after a failure", async () => {
+		const failures = await cloneRepositories(
+			[repository({ name: "missing", https: path.join(root, "missing.git") }), repository()],
+			project,
+			{ protocol: GitProtocol.HTTPS },
+		);
+		assert.deepEqual(
+			failures.map(failure => failure.repository.name),
+			["missing"],
+		);
+		assert.equal(await fs.pathExists(path.join(project, "repo/library/README.md")), true);
+	});
+
+	it("refuses a destination that is not empty", async () => {
+		await fs.outputFile(path.join(project, "repo/library/notes.txt"), "mine\n");
+		const [failure] = await clone(repository());
+		assert.match((failure.error as Error).message, /already exists and is not empty/);
+		assert.equal(await fs.readFile(path.join(project, "repo/library/notes.txt"), "utf8"), "mine\n");
+	});
+});
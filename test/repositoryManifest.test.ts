@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+
+import { REPOSITORIES_ENV } from "../out/constants";
+import { InitError } from "../out/errors/InitError";
+import { loadRepositories, ManifestKind } from "../out/util/repositoryManifest";
+
+describe("loadRepositories", () => {
+	let root: string;
+
+	// written as separate files, so each layer is its own manifest
+	async function manifest(name: string, repositories: Array<object>) {
+		const file = path.join(root, `${name}.json`);
+		await fs.writeJson(file, { repositories });
+		return file;
+	}
+	const byName = async (cliFile?: string) =>
+		new Map((await loadRepositories(cliFile)).map(repository => [repository.name, repository]));
+
+	before(async () => {
+		root = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-manifest-"));
+	});
+
+	afterEach(() => {
+		delete process.env[REPOSITORIES_ENV];
+	});
+
+	after(async () => {
+		await fs.remove(root);
+	});
+
+	it("loads the bundled repositories", async () => {
+		const repositories = await byName();
+		assert.equal(repositories.get("claude-bevy")?.destination, ".claude");
+		assert.equal(repositories.get("claude-bevy")?.sources[0].kind, ManifestKind.Bundled);
+	});
+
+	it("lets later manifests override fields and add entries", async () => {
+		process.env[REPOSITORIES_ENV] = await manifest("env", [
+			{ name: "claude-bevy", ref: "v1" },
+			{
+				name: "extra",
+				https: "https://example.com/extra.git",
+				ssh: "git@example.com:extra.git",
+				destination: "x",
+			},
+		]);
+		const repositories = await byName(await manifest("cli", [{ name: "claude-bevy", ref: "v2" }]));
+
+		const claude = repositories.get("claude-bevy")!;
+		assert.equal(claude.ref, "v2");
+		assert.equal(claude.destination, ".claude");
+		assert.deepEqual(
+			claude.sources.map(source => source.kind),
+			[ManifestKind.Bundled, ManifestKind.Env, ManifestKind.Cli],
+		);
+		assert.deepEqual(repositories.get("extra")?.sources.map(source => source.kind), [ManifestKind.Env]);
+	});
+
+	it("leaves out entries a later manifest disables", async () => {
+		const repositories = await byName(await manifest("cli", [{ name: "bevy_framework", enabled: false }]));
+		assert.equal(repositories.has("bevy_framework"), false);
+		assert.equal(repositories.has("claude-bevy"), true);
+	});
+
+	it("lets a later manifest enable an entry again", async () => {
+		process.env[REPOSITORIES_ENV] = await manifest("env", [{ name: "bevy_framework", enabled: false }]);
+		const repositories = await byName(await manifest("cli", [{ name: "bevy_framework", enabled: true }]));
+		assert.equal(repositories.get("bevy_framework")?.destination, "repo/bevy_framework");
+	});
+
+	it("does not require the fields of a disabled entry", async () => {
+		const repositories = await byName(await manifest("cli", [{ name: "unknown", enabled: false }]));
+		assert.equal(repositories.has("unknown"), false);
+	});
+
+	it("requires the fields of an enabled entry", async () => {
+		await assert.rejects(byName(await manifest("cli", [{ name: "unknown" }])), (error: unknown) => {
+			assert.ok(error instanceof InitError);
+			assert.match(error.message, /"unknown" is missing https, ssh, destination/);
+			return true;
+		});
+	});
+
+	it("rejects an enabled flag that is not a boolean", async () => {
+		await assert.rejects(byName(await manifest("cli", [{ name: "claude-bevy", enabled: "no" }])), InitError);
+	});
+});
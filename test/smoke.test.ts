@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { LogService } from "../out/classes/LogService";
+import { PACKAGE_ROOT } from "../out/constants";
+import { CiProvider } from "../out/util/ci";
+import { cmd, quoteArg } from "../out/util/cmd";
+import { OverwriteMode } from "../out/util/overwrite";
+import { PackageManager } from "../out/util/packageManagers";
+import { writeProjectFiles } from "../out/util/projectFiles";
+import { resolveTemplate } from "../out/util/templates";
+import { VersionSource } from "../out/util/versions";
+import { CONTEXT, createTempDir } from "./helpers";
+
+/** `create-bevy` and the command words after it, up to the first flag or argument */
+const CLI_COMMAND = /(?:^|&&|\|\||;)\s*create-bevy((?:\s+[a-z][\w-]*)+)/g;
+
+/**
+ * Lists the create-bevy commands the scripts of a package.json run, e.g. `["claude", "sync"]`.
+ */
+function findCliCommands(scripts: Record<string, string>) {
+	return Object.values(scripts).flatMap(script =>
+		[...script.matchAll(CLI_COMMAND)].map(match => match[1].trim().split(/\s+/)),
+	);
+}
+
+// the bin the template scripts call only exists once create-bevy itself is installed into the project
+describe("init then install", () => {
+	let root: string;
+
+	before(async () => {
+		LogService.silent = true;
+		root = await createTempDir("smoke");
+		await cmd(`npm pack ${quoteArg(PACKAGE_ROOT)} --silent --pack-destination ${quoteArg(root)}`, root);
+	});
+
+	after(async () => {
+		LogService.silent = false;
+		await fs.remove(root);
+	});
+
+	for (const templateName of ["package", "workspace"]) {
+		it(`installs the CLI and runs the ${templateName} template's scripts with it`, async () => {
+			const project = path.join(root, templateName);
+			const template = await resolveTemplate(templateName);
+			await writeProjectFiles(project, {
+				template,
+				context: { ...CONTEXT, answers: { packageManager: PackageManager.NPM } },
+				features: template.manifest.features ?? [],
+				packageManager: { manager: PackageManager.NPM, corepack: false },
+				ciProvider: CiProvider.None,
+				branch: "main",
+				overwriteMode: OverwriteMode.Refuse,
+				existingPaths: [],
+				versionSource: VersionSource.None,
+			});
+
+			// only the packed CLI is installed, the scripts themselves are not run
+			const packageJsonPath = path.join(project, "package.json");
+			const packageJson = await fs.readJson(packageJsonPath);
+			const tarball = (await fs.readdir(root)).find(file => file.endsWith(".tgz"))!;
+			assert.ok(packageJson.devDependencies["create-bevy"] !== undefined);
+			await fs.writeJson(packageJsonPath, {
+				...packageJson,
+				dependencies: {},
+				devDependencies: { "create-bevy": `file:${path.join(root, tarball)}` },
+				peerDependencies: {},
+			});
+			// runs the postinstall script
+			await cmd("npm install --no-audit --no-fund --prefer-offline", project);
+
+			const commands = findCliCommands(packageJson.scripts);
+			assert.ok(commands.length > 0);
+			for (const [command, ...rest] of commands) {
+				const help = await cmd(`npx --no-install create-bevy ${[command, ...rest].join(" ")} --help`, project);
+				assert.match(help.trimStart(), new RegExp(`^create-bevy ${command}\\b`), `create-bevy ${command}`);
+			}
+		});
+	}
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { LogService } from "../out/classes/LogService";
+import {
+	compareRuns,
+	createTraceMapper,
+	readTestRuns,
+	renderJunit,
+	renderMarkdown,
+	TestRun,
+	TestStatus,
+	TraceMapper,
+} from "../out/util/testReport";
+import { parseYaml } from "../out/util/yaml";
+import { assertSnapshot, FIXTURES_DIR } from "./helpers";
+
+const PROJECT = path.join(FIXTURES_DIR, "test-report/project");
+
+describe("parseYaml", () => {
+	it("parses the supported block and flow styles", async () => {
+		const text = await fs.readFile(path.join(FIXTURES_DIR, "yaml/sample.yaml"), "utf8");
+		assert.deepEqual(parseYaml(text), await fs.readJson(path.join(FIXTURES_DIR, "yaml/sample.json")));
+	});
+
+	it("parses a document that is a single scalar", () => {
+		assert.equal(parseYaml("# nothing but\n42\n"), 42);
+		assert.equal(parseYaml(""), null);
+	});
+
+	it("fails with the file and line", () => {
+		assert.throws(
+			() => parseYaml("a: 1\n    b: 2\n", "result.yaml"),
+			/result\.yaml.* at line 2: unexpected indentation/,
+		);
+		assert.throws(() => parseYaml("a: 1\njust text\n"), /at line 2: expected a key/);
+	});
+});
+
+describe("test reports", () => {
+	let runs: Array<TestRun>;
+	let mapTrace: TraceMapper;
+
+	before(async () => {
+		LogService.silent = true;
+		runs = await readTestRuns(PROJECT);
+		mapTrace = await createTraceMapper(PROJECT);
+	});
+
+	after(() => {
+		LogService.silent = false;
+	});
+
+	it("reads the runs oldest first and skips files that are not results", () => {
+		assert.deepEqual(
+			runs.map(run => run.file),
+			[
+				".test-result/2026-10-01T10-00-00.yaml",
+				".test-result/2026-10-02T10-00-00.yaml",
+				".test-result/2026-10-03T10-00-00.yaml",
+				".test-result/1791115200.yml",
+			],
+		);
+		assert.equal(runs[3].timestamp.toISOString(), "2026-10-04T12:00:00.000Z");
+	});
+
+	it("splits errors into the message and the trace", () => {
+		const [failure] = runs[1].tests;
+		assert.equal(failure.name, "add adds negative numbers");
+		assert.equal(failure.status, TestStatus.Failed);
+		assert.equal(failure.message, "Expected -3, got 1");
+		assert.equal(failure.trace, "ReplicatedStorage.TS.__tests__.math.spec:10\nServerScriptService.TS.main:4");
+	});
+
+	it("finds newly failing and flaky tests", () => {
+		const history = compareRuns(runs);
+		// the third run only lists failures, so the tests missing from it passed
+		assert.deepEqual(history.newlyFailing, ["add adds negative numbers", "sub subtracts"]);
+		assert.deepEqual(history.flaky, [{ name: "add adds negative numbers", failures: 2, runs: 4 }]);
+		assert.deepEqual(compareRuns(runs.slice(0, 2)), {
+			newlyFailing: ["add adds negative numbers"],
+			flaky: [],
+		});
+		assert.deepEqual(compareRuns([]), { newlyFailing: [], flaky: [] });
+	});
+
+	it("maps Luau frames back to TypeScript lines", async () => {
+		assert.deepEqual(await mapTrace(runs[1].tests[0].trace!), [
+			{
+				location: "ReplicatedStorage.TS.__tests__.math.spec:10",
+				source: "src/shared/__tests__/math.spec.ts:10",
+			},
+			{ location: "ServerScriptService.TS.main:4", source: "src/server/main.server.ts:3" },
+		]);
+		// frames outside the project's own code keep their Luau location
+		assert.deepEqual(await mapTrace("Script 'ReplicatedStorage.rbxts_include.RuntimeLib', Line 200"), [
+			{ location: "ReplicatedStorage.rbxts_include.RuntimeLib:200" },
+		]);
+	});
+
+	it("renders JUnit XML", async () => {
+		await assertSnapshot(await renderJunit(runs[3], "game", mapTrace), "test-report/expected/junit.xml");
+	});
+
+	it("renders a Markdown summary", async () => {
+		const markdown = await renderMarkdown(runs[3], compareRuns(runs), mapTrace);
+		await assertSnapshot(markdown, "test-report/expected/summary.md");
+	});
+});
@@ -0,0 +1,279 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+
+import fs from "fs-extra";
+import path from "path";
+
+import { LogService } from "../out/classes/LogService";
+import upgradeCommand from "../out/commands/upgrade";
+import { STAMP_FILE } from "../out/constants";
+import { InitError } from "../out/errors/InitError";
+import { CiProvider } from "../out/util/ci";
+import { OverwriteMode } from "../out/util/overwrite";
+import { PackageManager } from "../out/util/packageManagers";
+import { writeProjectFiles } from "../out/util/projectFiles";
+import { createStamp, hashContents, readStamp, writeStamp } from "../out/util/stamp";
+import { resolveTemplate } from "../out/util/templates";
+import { VersionSource } from "../out/util/versions";
+import { CONTEXT, createTempDir } from "./helpers";
+
+const PACKAGE_JSON = JSON.stringify({ name: "{{packageName}}", version: "1.0.0" }, undefined, "\t") + "\n";
+
+const TEMPLATE_V1 = {
+	"template.json": JSON.stringify({ name: "test", description: "Test template" }),
+	"package.json": PACKAGE_JSON,
+	"README.md": "# {{packageName}}\n\nv1\n",
+	"src/index.ts": "import a from 'a';\n\nexport const x = 1;\n\nexport const y = 2;\n",
+	"config.txt": "mode = 1\n",
+	"old.txt": "old\n",
+	"notes.txt": "notes\n",
+	"deleted.txt": "deleted\n",
+};
+
+const TEMPLATE_V2 = {
+	...TEMPLATE_V1,
+	"README.md": "# {{packageName}}\n\nv2\n",
+	"src/index.ts": "import a from 'a';\n\nexport const x = 1;\n\nexport const y = 3;\n",
+	"config.txt": "mode = 2\n",
+	"deleted.txt": "deleted v2\n",
+	"new.txt": "new\n",
+	"old.txt": undefined,
+	"notes.txt": undefined,
+};
+
+const CI_PACKAGE_JSON = (scripts: Record<string, string>) =>
+	JSON.stringify({ name: "{{packageName}}", version: "1.0.0", scripts }, undefined, "\t") + "\n";
+
+async function writeFiles(dir: string, files: Record<string, string | undefined>) {
+	await fs.emptyDir(dir);
+	for (const [file, contents] of Object.entries(files)) {
+		if (contents !== undefined) {
+			await fs.outputFile(path.join(dir, file), contents);
+		}
+	}
+}
+
+describe("stamp", () => {
+	let dir: string;
+
+	beforeEach(async () => {
+		dir = await createTempDir("stamp");
+	});
+
+	afterEach(async () => {
+		await fs.remove(dir);
+	});
+
+	it("reads back what it writes", async () => {
+		await writeFiles(dir, { "a.txt": "a\n", "image.png": "\x89PNG\r\n\x1a\n\0" });
+		const template = await resolveTemplate("game");
+		const stamp = await createStamp(template, CONTEXT, "./template", dir, ["a.txt", "image.png"]);
+
+		assert.equal(stamp.template, "game");
+		assert.equal(stamp.source, "./template");
+		assert.equal(stamp.files["a.txt"], hashContents("a\n"));
+		assert.equal(stamp.base["a.txt"], "a\n");
+		// binary files are only hashed
+		assert.equal(typeof stamp.files["image.png"], "string");
+		assert.equal(stamp.base["image.png"], undefined);
+
+		await writeStamp(dir, stamp);
+		assert.deepEqual(await readStamp(dir), stamp);
+	});
+
+	it("only hashes large files", async () => {
+		await writeFiles(dir, { "large.txt": "a".repeat(65 * 1024) });
+		const stamp = await createStamp(await resolveTemplate("game"), CONTEXT, undefined, dir, ["large.txt"]);
+		assert.equal(typeof stamp.files["large.txt"], "string");
+		assert.equal(stamp.base["large.txt"], undefined);
+	});
+
+	it("fails for a project without a valid stamp", async () => {
+		await assert.rejects(readStamp(dir), (error: unknown) => {
+			assert.ok(error instanceof InitError);
+			assert.match(error.message, /not found/);
+			return true;
+		});
+		await fs.outputFile(path.join(dir, STAMP_FILE), "{");
+		await assert.rejects(readStamp(dir), /is not valid JSON/);
+	});
+});
+
+describe("upgrade", () => {
+	let root: string;
+	let templateDir: string;
+	let project: string;
+
+	const read = (file: string) => fs.readFile(path.join(project, file), "utf8");
+	const run = (options: { dryRun?: boolean; diff?: boolean } = {}) =>
+		upgradeCommand.handler({
+			_: [],
+			$0: "create-roblox-ts",
+			dir: project,
+			template: templateDir,
+			versionSource: VersionSource.None,
+			...options,
+		});
+
+	before(async () => {
+		LogService.silent = true;
+		root = await createTempDir("upgrade");
+		templateDir = path.join(root, "template");
+	});
+
+	beforeEach(async () => {
+		// creates the project the way init does
+		await writeFiles(templateDir, TEMPLATE_V1);
+		project = path.join(root, "project");
+		await fs.emptyDir(project);
+		const template = await resolveTemplate(templateDir);
+		const { files } = await writeProjectFiles(project, {
+			template,
+			context: CONTEXT,
+			features: [],
+			packageManager: { manager: PackageManager.NPM, version: "10.0.0", corepack: false },
+			ciProvider: CiProvider.None,
+			branch: "main",
+			overwriteMode: OverwriteMode.Refuse,
+			existingPaths: [],
+			versionSource: VersionSource.None,
+		});
+		await writeStamp(project, await createStamp(template, CONTEXT, templateDir, project, files));
+		await writeFiles(templateDir, TEMPLATE_V2);
+	});
+
+	afterEach(() => {
+		process.exitCode = undefined;
+	});
+
+	after(async () => {
+		LogService.silent = false;
+		await fs.remove(root);
+	});
+
+	it("takes the template changes to files the project did not change", async () => {
+		await run();
+		assert.equal(await read("README.md"), "# @scope/project\n\nv2\n");
+		assert.equal(await read("new.txt"), "new\n");
+		assert.equal(await fs.pathExists(path.join(project, "old.txt")), false);
+		assert.equal(process.exitCode, undefined);
+	});
+
+	it("merges changes made in the project and in the template", async () => {
+		await fs.writeFile(
+			path.join(project, "src/index.ts"),
+			"import a from 'b';\n\nexport const x = 1;\n\nexport const y = 2;\n",
+		);
+		await run();
+		assert.equal(await read("src/index.ts"), "import a from 'b';\n\nexport const x = 1;\n\nexport const y = 3;\n");
+	});
+
+	it("keeps project changes to files the template did not change", async () => {
+		await writeFiles(templateDir, { ...TEMPLATE_V2, "config.txt": TEMPLATE_V1["config.txt"] });
+		await fs.writeFile(path.join(project, "config.txt"), "mode = 3\n");
+		await run();
+		assert.equal(await read("config.txt"), "mode = 3\n");
+		assert.equal(process.exitCode, undefined);
+	});
+
+	it("writes conflict markers where both changed the same lines", async () => {
+		await fs.writeFile(path.join(project, "config.txt"), "mode = 3\n");
+		await run();
+		assert.match(await read("config.txt"), /^<<<<<<< .*\nmode = 3\n=======\nmode = 2\n>>>>>>> /m);
+		assert.equal(process.exitCode, 1);
+	});
+
+	it("leaves conflicting files untouched with --diff", async () => {
+		await fs.writeFile(path.join(project, "config.txt"), "mode = 3\n");
+		await run({ diff: true });
+		assert.equal(await read("config.txt"), "mode = 3\n");
+		assert.equal(process.exitCode, 1);
+	});
+
+	it("keeps files the project deleted, or changed before the template removed them", async () => {
+		await fs.remove(path.join(project, "deleted.txt"));
+		await fs.writeFile(path.join(project, "notes.txt"), "my notes\n");
+		await run();
+		assert.equal(await fs.pathExists(path.join(project, "deleted.txt")), false);
+		assert.equal(await read("notes.txt"), "my notes\n");
+	});
+
+	it("records the upgraded files in the stamp", async () => {
+		await run();
+		const stamp = await readStamp(project);
+		assert.equal(stamp.base["README.md"], "# @scope/project\n\nv2\n");
+		assert.equal(stamp.files["new.txt"], hashContents("new\n"));
+		assert.equal(stamp.files["old.txt"], undefined);
+	});
+
+	it("changes nothing in a dry run", async () => {
+		const before = await fs.readFile(path.join(project, STAMP_FILE), "utf8");
+		await run({ dryRun: true });
+		assert.equal(await read("README.md"), "# @scope/project\n\nv1\n");
+		assert.equal(await fs.pathExists(path.join(project, "new.txt")), false);
+		assert.equal(await read(STAMP_FILE), before);
+	});
+});
+
+describe("upgrade with CI", () => {
+	let root: string;
+
+	before(async () => {
+		LogService.silent = true;
+		root = await createTempDir("upgrade-ci");
+	});
+
+	after(async () => {
+		LogService.silent = false;
+		await fs.remove(root);
+	});
+
+	it("generates the workflows again from the new scripts", async () => {
+		const templateDir = path.join(root, "template");
+		const project = path.join(root, "project");
+		const manifest = JSON.stringify({ name: "test", description: "Test template", ci: true });
+		await writeFiles(templateDir, {
+			"template.json": manifest,
+			"package.json": CI_PACKAGE_JSON({ build: "rbxtsc" }),
+		});
+
+		// the answers init records for the provider and branch
+		const context = {
+			...CONTEXT,
+			answers: { packageManager: PackageManager.NPM, ci: CiProvider.GitHub, branch: "main" },
+		};
+		const template = await resolveTemplate(templateDir);
+		const { files } = await writeProjectFiles(project, {
+			template,
+			context,
+			features: [],
+			packageManager: { manager: PackageManager.NPM, corepack: false },
+			ciProvider: CiProvider.GitHub,
+			branch: "main",
+			overwriteMode: OverwriteMode.Refuse,
+			existingPaths: [],
+			versionSource: VersionSource.None,
+		});
+		assert.ok(files.includes(".github/workflows/ci.yml"));
+		await writeStamp(project, await createStamp(template, context, templateDir, project, files));
+		const workflow = path.join(project, ".github/workflows/ci.yml");
+		assert.doesNotMatch(await fs.readFile(workflow, "utf8"), /npm run lint/);
+
+		await writeFiles(templateDir, {
+			"template.json": manifest,
+			"package.json": CI_PACKAGE_JSON({ lint: "eslint .", build: "rbxtsc" }),
+		});
+		await upgradeCommand.handler({
+			_: [],
+			$0: "create-roblox-ts",
+			dir: project,
+			template: templateDir,
+			versionSource: VersionSource.None,
+		});
+
+		assert.equal(process.exitCode, undefined);
+		assert.match(await fs.readFile(workflow, "utf8"), /run: npm run lint/);
+		const stamp = await readStamp(project);
+		assert.equal(stamp.base[".github/workflows/ci.yml"], await fs.readFile(workflow, "utf8"));
+	});
+});
@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+
+import { VERSION } from "../out/constants";
+import { InitError } from "../out/errors/InitError";
+import { PackageVersions, pinDependencies, resolveRange, satisfiesRange, VersionResolver } from "../out/util/versions";
+
+describe("satisfiesRange", () => {
+	const cases: Array<[string, string, boolean]> = [
+		["1.2.3", "^1.0.0", true],
+		["2.0.0", "^1.0.0", false],
+		["0.14.9", "^0.14.0", true],
+		["0.15.0", "^0.14.0", false],
+		["0.0.4", "^0.0.3", false],
+		["1.2.9", "~1.2.3", true],
+		["1.3.0", "~1.2.3", false],
+		["1.9.0", "1.x", true],
+		["2.0.0", "1", false],
+		["1.5.0", "1.0.0 - 1.5.0", true],
+		["1.5.1", "1.0.0 - 1.5.0", false],
+		["3.0.0", "~1.2 || >=2", true],
+		["1.1.0", "~1.2 || >=2", false],
+		["1.2.3", ">= 1.2.0 < 1.3.0", true],
+		["1.2.3", "1.2.3", true],
+		["1.2.4", "1.2.3", false],
+	];
+	for (const [version, range, expected] of cases) {
+		it(`${expected ? "matches" : "rejects"} ${version} for ${range}`, () => {
+			assert.equal(satisfiesRange(version, range), expected);
+		});
+	}
+
+	it("only matches prereleases of the version the range names", () => {
+		assert.equal(satisfiesRange("0.14.0-beta.7", "^0.14.0-beta.5"), true);
+		assert.equal(satisfiesRange("0.14.0-beta.3", "^0.14.0-beta.5"), false);
+		assert.equal(satisfiesRange("0.15.0-beta.1", "^0.14.0-beta.5"), false);
+		assert.equal(satisfiesRange("1.3.0-rc.1", "^1.2.0"), false);
+	});
+
+	it("rejects specs that are not ranges", () => {
+		assert.equal(satisfiesRange("1.0.0", "workspace:*"), false);
+		assert.equal(satisfiesRange("not-a-version", "*"), false);
+	});
+});
+
+describe("resolveRange", () => {
+	const versions: PackageVersions = {
+		versions: ["1.0.0", "1.1.0", "1.2.0", "2.0.0", "2.1.0-beta.1"],
+		latest: "1.2.0",
+	};
+
+	it("takes the latest dist-tag for latest and *", () => {
+		assert.equal(resolveRange("latest", versions), "1.2.0");
+		assert.equal(resolveRange("*", versions), "1.2.0");
+	});
+
+	it("prefers the latest dist-tag when it satisfies the range", () => {
+		assert.equal(resolveRange("^1.0.0", versions), "1.2.0");
+	});
+
+	it("otherwise takes the highest satisfying version", () => {
+		assert.equal(resolveRange(">=2", versions), "2.0.0");
+		assert.equal(resolveRange("~1.1.0", versions), "1.1.0");
+	});
+
+	it("returns undefined when nothing satisfies the range", () => {
+		assert.equal(resolveRange("^3.0.0", versions), undefined);
+	});
+});
+
+describe("pinDependencies", () => {
+	const registry: Record<string, PackageVersions> = {
+		"roblox-ts": { versions: ["2.3.0", "3.0.0", "3.1.0"], latest: "3.1.0" },
+		"@rbxts/compiler-types": { versions: ["2.3.0-types.1", "3.0.0-types.0", "3.1.0-types.0", "3.1.0-types.1"] },
+		"@rbxts/types": { versions: ["1.0.800", "1.0.850"], latest: "1.0.850" },
+		"@white-dragon-bevy/bevy_framework": {
+			versions: ["0.13.0", "0.14.0-beta.5", "0.14.0-beta.6"],
+			latest: "0.13.0",
+		},
+	};
+	const resolver: VersionResolver = async name => registry[name];
+
+	async function pin(packageJson: object, options: Parameters<typeof pinDependencies>[1] = { resolver }) {
+		const dir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-test-"));
+		try {
+			await fs.outputFile(path.join(dir, "package.json"), JSON.stringify(packageJson, undefined, "\t") + "\n");
+			await pinDependencies(dir, options);
+			return await fs.readJson(path.join(dir, "package.json"));
+		} finally {
+			await fs.remove(dir);
+		}
+	}
+
+	it("pins the highest versions within the template's ranges", async () => {
+		const result = await pin({
+			devDependencies: {
+				"roblox-ts": "^3.0.0",
+				"@rbxts/compiler-types": "latest",
+				"@rbxts/types": "^1.0.0",
+			},
+			peerDependencies: { "@white-dragon-bevy/bevy_framework": "^0.14.0-beta.5" },
+		});
+		assert.deepEqual(result.devDependencies, {
+			"roblox-ts": "3.1.0",
+			"@rbxts/compiler-types": "3.1.0-types.1",
+			"@rbxts/types": "1.0.850",
+		});
+		assert.equal(result.peerDependencies["@white-dragon-bevy/bevy_framework"], "^0.14.0-beta.6");
+	});
+
+	it("keeps an older compiler the range asks for, with matching compiler types", async () => {
+		const result = await pin({ devDependencies: { "roblox-ts": "~2.3.0", "@rbxts/compiler-types": "*" } });
+		assert.equal(result.devDependencies["roblox-ts"], "2.3.0");
+		assert.equal(result.devDependencies["@rbxts/compiler-types"], "2.3.0-types.1");
+	});
+
+	it("fails when no version matches the template's range", async () => {
+		await assert.rejects(pin({ devDependencies: { "roblox-ts": "^4.0.0" } }), (error: unknown) => {
+			assert.ok(error instanceof InitError);
+			assert.match(error.message, /No version of roblox-ts matches/);
+			return true;
+		});
+	});
+
+	it("matches the compiler types to an explicit compiler version", async () => {
+		const packageJson = { devDependencies: { "roblox-ts": "^3.0.0", "@rbxts/compiler-types": "latest" } };
+		const result = await pin(packageJson, { resolver, compilerVersion: "3.0.0" });
+		assert.equal(result.devDependencies["roblox-ts"], "3.0.0");
+		assert.equal(result.devDependencies["@rbxts/compiler-types"], "3.0.0-types.0");
+	});
+
+	it("reports the dependencies left at a range", async () => {
+		const dir = await fs.mkdtemp(path.join(os.tmpdir(), "create-bevy-test-"));
+		try {
+			const devDependencies = {
+				"roblox-ts": "latest",
+				"@rbxts/compiler-types": "latest",
+				"@rbxts/types": "^1.0.0",
+			};
+			await fs.outputJson(path.join(dir, "package.json"), { devDependencies });
+			assert.deepEqual(await pinDependencies(dir, { compilerVersion: "3.0.0" }), [
+				{ name: "@rbxts/compiler-types", range: "~3.0.0-types.0" },
+				{ name: "@rbxts/types", range: "^1.0.0" },
+			]);
+			assert.deepEqual(await pinDependencies(dir, { resolver }), []);
+		} finally {
+			await fs.remove(dir);
+		}
+	});
+
+	it("limits the compiler types to the explicit compiler version without a resolver", async () => {
+		const packageJson = { devDependencies: { "roblox-ts": "^3.0.0", "@rbxts/compiler-types": "latest" } };
+		const result = await pin(packageJson, { compilerVersion: "3.1.0" });
+		assert.equal(result.devDependencies["roblox-ts"], "3.1.0");
+		const range = result.devDependencies["@rbxts/compiler-types"];
+		assert.equal(range, "~3.1.0-types.0");
+		assert.equal(satisfiesRange("3.1.0-types.1", range), true);
+		assert.equal(satisfiesRange("3.0.0-types.0", range), false);
+		assert.equal(satisfiesRange("3.1.1-types.0", range), false);
+	});
+
+	it("leaves dependencies the project declared and specs that are not ranges alone", async () => {
+		const result = await pin(
+			{ devDependencies: { "roblox-ts": "^2.0.0", "@rbxts/types": "workspace:*" } },
+			{ resolver, keep: ["roblox-ts"] },
+		);
+		assert.equal(result.devDependencies["roblox-ts"], "^2.0.0");
+		assert.equal(result.devDependencies["@rbxts/types"], "workspace:*");
+	});
+
+	it("pins create-bevy to the running version", async () => {
+		const result = await pin({ devDependencies: { "create-bevy": "*" } }, {});
+		assert.equal(result.devDependencies["create-bevy"], VERSION);
+	});
+});